@@ -2,16 +2,23 @@ import React from "react";
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 
 import Login from "./pages/Login";
+import ResetPassword from "./pages/ResetPassword";
+import VerifyEmail from "./pages/VerifyEmail";
 import Shop from "./pages/user/Shop";
+import Product from "./pages/user/Product";
 import Cart from "./pages/user/Cart";
 import { CartProvider } from "./contexts/CartContext";
 import { AuthProvider } from "./contexts/AuthContext";
 import ProtectedRoute from "./contexts/ProtectedRoute";
 import Orders from "./pages/user/Orders";
+import Account from "./pages/user/Account";
 import AdminReport from "./pages/admin/AdminReport";
 import AdminInventory from "./pages/admin/AdminInventory";
+import AdminCategories from "./pages/admin/AdminCategories";
+import AdminSearch from "./pages/admin/AdminSearch";
 import AdminUsers from "./pages/admin/AdminUsers";
 import AdminSales from "./pages/admin/AdminSales";
+import { PERMISSIONS } from "./utils/permissions";
 
 function App() {
   return (
@@ -29,6 +36,16 @@ function App() {
               }
             />
             <Route path="/login" element={<Login />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route
+              path="/product/:id"
+              element={
+                <ProtectedRoute requiredRole="user">
+                  <Product />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/cart"
               element={
@@ -46,12 +63,21 @@ function App() {
               }
             />
 
-            {/* FOR ADMIN */}
+            <Route
+              path="/my-account"
+              element={
+                <ProtectedRoute requiredRole="user">
+                  <Account />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* FOR ADMIN AND STAFF */}
 
             <Route
               path="/admin"
               element={
-                <ProtectedRoute requiredRole="admin">
+                <ProtectedRoute requiredPermission={PERMISSIONS.REPORTS_READ}>
                   <AdminReport />
                 </ProtectedRoute>
               }
@@ -59,7 +85,7 @@ function App() {
             <Route
               path="/admin-users"
               element={
-                <ProtectedRoute requiredRole="admin">
+                <ProtectedRoute requiredPermission={PERMISSIONS.USERS_MANAGE}>
                   <AdminUsers />
                 </ProtectedRoute>
               }
@@ -67,15 +93,37 @@ function App() {
             <Route
               path="/admin-products"
               element={
-                <ProtectedRoute requiredRole="admin">
+                <ProtectedRoute
+                  requiredPermission={PERMISSIONS.INVENTORY_WRITE}
+                >
                   <AdminInventory />
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/admin-categories"
+              element={
+                <ProtectedRoute
+                  requiredPermission={PERMISSIONS.INVENTORY_WRITE}
+                >
+                  <AdminCategories />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin-search"
+              element={
+                <ProtectedRoute
+                  requiredPermission={PERMISSIONS.INVENTORY_WRITE}
+                >
+                  <AdminSearch />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/admin-sales"
               element={
-                <ProtectedRoute requiredRole="admin">
+                <ProtectedRoute requiredPermission={PERMISSIONS.ORDERS_FULFIL}>
                   <AdminSales />
                 </ProtectedRoute>
               }
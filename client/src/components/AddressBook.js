@@ -0,0 +1,227 @@
+import { useContext, useState, useEffect } from "react";
+import axios from "axios";
+import { AuthContext } from "../contexts/AuthContext";
+import FieldError from "./FieldError";
+
+// the fields of an address, in the order they are shown
+const ADDRESS_FIELDS = [
+  { field: "label", placeholder: "Label (ex: Home, Work)" },
+  { field: "street", placeholder: "House No. / Street" },
+  { field: "barangay", placeholder: "Barangay" },
+  { field: "city", placeholder: "City / Municipality" },
+  { field: "province", placeholder: "Province" },
+  { field: "postalCode", placeholder: "Postal Code (ex: 4031)" },
+  { field: "contactNumber", placeholder: "Contact Number (ex: 09171234567)" },
+];
+
+const EMPTY_ADDRESS = {
+  label: "",
+  street: "",
+  barangay: "",
+  city: "",
+  province: "",
+  postalCode: "",
+  contactNumber: "",
+};
+
+/**
+ * COMPONENT: AddressBook
+ * PURPOSE: Lets a customer keep several delivery addresses and choose which one is the default.
+ *
+ * CONTEXT:
+ *  - AuthContext: Used to access the user's token.
+ *
+ * STATE:
+ *  - addresses (Array): The saved addresses.
+ *  - form (Object): The fields of the address being added or edited.
+ *  - editingId (string | null): The id of the address being edited, or null when adding one.
+ *  - errors (Object): The backend's validation messages for the form.
+ *
+ * USAGE:
+ *  - Rendered in the "My Account" page. The default address is the one picked at checkout.
+ */
+
+export default function AddressBook() {
+  const { token } = useContext(AuthContext);
+
+  const [addresses, setAddresses] = useState([]);
+  const [form, setForm] = useState(EMPTY_ADDRESS);
+  const [editingId, setEditingId] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  const url = `${process.env.REACT_APP_BACKEND_URL}/customer/addresses`;
+  const headers = { Authorization: `Bearer ${token}` };
+
+  /**
+   * useEffect (for fetching the addresses):
+   * - Fetches the saved addresses when the component mounts or when the token changes.
+   */
+  useEffect(() => {
+    const fetchAddresses = async () => {
+      if (!token) return;
+
+      try {
+        const response = await axios.get(
+          `${process.env.REACT_APP_BACKEND_URL}/customer/addresses`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        setAddresses(response.data);
+      } catch (error) {
+        console.error("Error fetching addresses:", error);
+      }
+    };
+
+    fetchAddresses();
+  }, [token]);
+
+  const resetForm = () => {
+    setForm(EMPTY_ADDRESS);
+    setEditingId(null);
+    setErrors({});
+  };
+
+  /**
+   * handleSubmit:
+   * - Adds a new address, or saves the one being edited.
+   * - The backend replies with the whole address book, which replaces the shown list.
+   * - If the backend rejects some fields, shows its messages next to them.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = editingId
+        ? await axios.patch(`${url}/${editingId}`, form, { headers })
+        : await axios.post(url, form, { headers });
+      setAddresses(response.data);
+      resetForm();
+    } catch (error) {
+      console.error("Error saving address:", error);
+      if (error.response?.data?.errors) {
+        setErrors(error.response.data.errors);
+      } else {
+        alert(error.response?.data?.error || "Unable to save address.");
+      }
+    }
+  };
+
+  const handleEdit = (address) => {
+    const fields = {};
+    for (const { field } of ADDRESS_FIELDS) {
+      fields[field] = address[field];
+    }
+    setForm(fields);
+    setEditingId(address._id);
+    setErrors({});
+  };
+
+  const handleSetDefault = async (addressId) => {
+    try {
+      const response = await axios.patch(
+        `${url}/${addressId}`,
+        { isDefault: true },
+        { headers }
+      );
+      setAddresses(response.data);
+    } catch (error) {
+      console.error("Error setting default address:", error);
+      alert(error.response?.data?.error || "Unable to set default address.");
+    }
+  };
+
+  const handleDelete = async (addressId) => {
+    if (!window.confirm("Delete this address?")) return;
+
+    try {
+      const response = await axios.delete(`${url}/${addressId}`, { headers });
+      setAddresses(response.data);
+      if (editingId === addressId) resetForm();
+    } catch (error) {
+      console.error("Error deleting address:", error);
+      alert(error.response?.data?.error || "Unable to delete address.");
+    }
+  };
+
+  const handleChange = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <div className="mt-8 flex flex-col gap-2">
+      <h2 className="text-2xl font-black mb-2">ADDRESS BOOK</h2>
+
+      {addresses.length === 0 && (
+        <span className="text-gray-600">
+          No saved addresses yet. Orders are delivered to the address you
+          registered with until you add one.
+        </span>
+      )}
+      {addresses.map((address) => (
+        <div
+          key={address._id}
+          className="bg-[#F2F2F2] rounded-xl px-4 py-2 flex justify-between items-center gap-2"
+        >
+          <div className="flex flex-col">
+            <span className="font-bold">
+              {address.label}
+              {address.isDefault && (
+                <span className="text-[#40573C]"> (Default)</span>
+              )}
+            </span>
+            <span>
+              {address.street}, {address.barangay}, {address.city},{" "}
+              {address.province} {address.postalCode}
+            </span>
+            <span className="text-gray-600">{address.contactNumber}</span>
+          </div>
+          <div className="flex gap-3">
+            {!address.isDefault && (
+              <button
+                className="font-bold text-[#40573C]"
+                onClick={() => handleSetDefault(address._id)}
+              >
+                Set default
+              </button>
+            )}
+            <button className="font-bold" onClick={() => handleEdit(address)}>
+              Edit
+            </button>
+            <button
+              className="font-bold text-red-500"
+              onClick={() => handleDelete(address._id)}
+            >
+              Delete
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <form className="mt-4 flex flex-col gap-2" onSubmit={handleSubmit}>
+        <h3 className="text-xl font-bold">
+          {editingId ? "Edit Address" : "Add an Address"}
+        </h3>
+        {ADDRESS_FIELDS.map(({ field, placeholder }) => (
+          <div key={field} className="flex flex-col gap-2">
+            <input
+              type="text"
+              className="input-box"
+              placeholder={placeholder}
+              value={form[field]}
+              onChange={handleChange(field)}
+            />
+            <FieldError errors={errors} field={field} />
+          </div>
+        ))}
+        <div className="self-end flex gap-3">
+          {editingId && (
+            <button className="font-bold mt-3" type="button" onClick={resetForm}>
+              Cancel
+            </button>
+          )}
+          <button className="form-button mt-3" type="submit">
+            {editingId ? "Save Address" : "Add Address"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
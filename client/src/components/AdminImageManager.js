@@ -0,0 +1,232 @@
+import axios from "axios";
+import { useState, useContext, useRef } from "react";
+import { FaTrash } from "react-icons/fa";
+import { FaRegCircleXmark } from "react-icons/fa6";
+import { AuthContext } from "../contexts/AuthContext";
+import FieldError from "./FieldError";
+
+/**
+ * COMPONENT: AdminImageManager
+ * PURPOSE: A modal to upload, order and delete the images of a product's gallery.
+ *
+ * PROPS:
+ *  - product (Object): The product, as returned by /admin/getProductListings.
+ *  - onClose (Function): Callback function to close the modal; called with true if the gallery was changed.
+ *
+ * CONTEXT:
+ *  - AuthContext: Used to access the admin's token.
+ *
+ * STATE:
+ *  - current (Object): The product as last returned by the backend, with its images in order.
+ *  - dragIndex (number): The position of the image being dragged, if any.
+ *  - dropping (boolean): Whether files are being dragged over the gallery.
+ *  - uploading (boolean): Whether files are being uploaded.
+ *  - errors (Object): The backend's message for the last file it refused.
+ *  - version (number): How many times the gallery was changed.
+ *
+ * USAGE:
+ *  - Opened from the "Images" button of an InventoryCard.
+ *  - Images are added by dropping files on the gallery or picking them, and ordered by dragging them. The first one is the product's cover.
+ *
+ * NOTES:
+ *  - The backend turns every upload into a webp with a thumbnail, so any JPEG, PNG or WebP image of up to 5 MB will do.
+ *  - Files are uploaded one at a time, in the order they were picked; the first refused one stops the rest.
+ */
+
+export default function AdminImageManager({ product, onClose }) {
+  const { token } = useContext(AuthContext);
+
+  const [current, setCurrent] = useState(product);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropping, setDropping] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [version, setVersion] = useState(0);
+  const fileRef = useRef(null);
+
+  const url = `${process.env.REACT_APP_BACKEND_URL}/admin/products/${product._id}/images`;
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const handleChanged = (updated) => {
+    setCurrent(updated);
+    setVersion((prev) => prev + 1);
+  };
+
+  const handleFiles = async (files) => {
+    setUploading(true);
+    setErrors({});
+    for (const file of files) {
+      const form = new FormData();
+      form.append("image", file);
+      try {
+        const response = await axios.post(url, form, { headers });
+        handleChanged(response.data);
+      } catch (error) {
+        console.error("Error uploading image:", error);
+        const message =
+          error.response?.data?.errors?.image ||
+          error.response?.data?.error ||
+          "Unable to upload image.";
+        setErrors({ image: `${file.name}: ${message}` });
+        break;
+      }
+    }
+    setUploading(false);
+  };
+
+  /**
+   * handleMove:
+   * - Moves the dragged image to where it was dropped, showing the new order right away.
+   * - Puts the old order back if the backend refuses it.
+   */
+  const handleMove = async (from, to) => {
+    if (from === to) return;
+    const previous = current;
+    const images = [...current.images];
+    const [moved] = images.splice(from, 1);
+    images.splice(to, 0, moved);
+    setCurrent({ ...current, images });
+
+    try {
+      const response = await axios.patch(
+        url,
+        { order: images.map((image) => image._id) },
+        { headers }
+      );
+      handleChanged(response.data);
+    } catch (error) {
+      console.error("Error reordering images:", error);
+      setCurrent(previous);
+      alert(error.response?.data?.error || "Unable to reorder images.");
+    }
+  };
+
+  const handleDelete = async (image) => {
+    if (!window.confirm(`Delete this image of ${current.name}?`)) return;
+
+    try {
+      const response = await axios.delete(`${url}/${image._id}`, { headers });
+      handleChanged(response.data);
+    } catch (error) {
+      console.error("Error deleting image:", error);
+      alert(error.response?.data?.error || "Unable to delete image.");
+    }
+  };
+
+  // dropped images are moved by their tile; dropped files are uploaded here
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDropping(false);
+    if (e.dataTransfer.files.length > 0 && !uploading) {
+      handleFiles([...e.dataTransfer.files]);
+    }
+  };
+
+  const handlePick = (e) => {
+    handleFiles([...e.target.files]);
+    // the same file can be picked again after a refusal
+    e.target.value = "";
+  };
+
+  return (
+    <>
+      <div className="justify-center items-center flex overflow-x-hidden overflow-y-auto fixed inset-0 z-50 outline-none focus:outline-none">
+        <div className="relative w-auto my-6 mx-auto max-w-3xl">
+          <div className="border-0 rounded-lg shadow-lg relative flex flex-col w-full bg-white outline-none focus:outline-none">
+            <div className="flex items-start justify-between p-5 border-b border-solid border-blueGray-200 rounded-t">
+              <h3 className="text-3xl font-semibold">
+                Images of {current.name}
+              </h3>
+              <button
+                className="p-1 ml-16 text-black float-right text-3xl"
+                onClick={() => onClose(version > 0)}
+              >
+                <FaRegCircleXmark />
+              </button>
+            </div>
+            <div className="relative p-6 flex-auto rounded-t">
+              <div
+                className={`w-[500px] bg-gray-50 border-2 rounded-xl p-4 flex flex-col gap-3 ${
+                  dropping ? "border-green-600" : "border-gray-200"
+                }`}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  if (dragIndex === null) setDropping(true);
+                }}
+                onDragLeave={() => setDropping(false)}
+                onDrop={handleDrop}
+              >
+                {current.images.length === 0 && (
+                  <p className="text-gray-600">
+                    No uploaded images yet
+                    {current.imageUrl ? "; the product shows its image link." : "."}
+                  </p>
+                )}
+                <div className="flex flex-wrap gap-2">
+                  {current.images.map((image, index) => (
+                    <div
+                      key={image._id}
+                      className={`relative w-24 h-24 rounded-xl overflow-hidden border-2 cursor-pointer ${
+                        index === 0 ? "border-green-600" : "border-transparent"
+                      } ${dragIndex === index ? "opacity-30" : "opacity-100"}`}
+                      draggable
+                      onDragStart={() => setDragIndex(index)}
+                      onDragEnd={() => setDragIndex(null)}
+                      onDrop={(e) => {
+                        if (dragIndex === null) return;
+                        e.preventDefault();
+                        e.stopPropagation();
+                        handleMove(dragIndex, index);
+                        setDragIndex(null);
+                      }}
+                    >
+                      <img
+                        src={image.thumbnailUrl}
+                        alt=""
+                        className="object-cover w-full h-full"
+                        draggable={false}
+                      />
+                      {index === 0 && (
+                        <div className="absolute bottom-0 left-0 bg-[#40573C] text-white text-[12px] font-bold rounded-md px-4">
+                          COVER
+                        </div>
+                      )}
+                      <button
+                        className="absolute top-0 right-0 bg-white rounded-full p-1"
+                        onClick={() => handleDelete(image)}
+                        title="Delete"
+                      >
+                        <FaTrash />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <span className="text-sm text-gray-600">
+                  Drop JPEG, PNG or WebP images here, up to 5 MB each, or pick
+                  them. Drag the images to order them; the first is the cover.
+                </span>
+                <input
+                  ref={fileRef}
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp"
+                  multiple
+                  className="hidden"
+                  onChange={handlePick}
+                />
+                <button
+                  className="form-button self-start"
+                  disabled={uploading}
+                  onClick={() => fileRef.current.click()}
+                >
+                  {uploading ? "Uploading..." : "+ Add Images"}
+                </button>
+                <FieldError errors={errors} field="image" />
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+      <div className="opacity-25 fixed inset-0 z-40 bg-black"></div>
+    </>
+  );
+}
@@ -2,15 +2,39 @@ import { useContext } from "react";
 import LOGO from "../assets/logo/100_LOGO.png";
 import { HiOutlineReceiptTax } from "react-icons/hi";
 import {
+  MdOutlineCategory,
   MdPeopleOutline,
   MdOutlineShoppingBag,
   MdOutlineShoppingCart,
+  MdSearch,
 } from "react-icons/md";
 import { AuthContext } from "../contexts/AuthContext";
 import { useNavigate } from "react-router-dom";
+import { ADMIN_SECTIONS, homePathFor } from "../utils/permissions";
+
+const SECTION_ICONS = {
+  "/admin-users": <MdPeopleOutline />,
+  "/admin-products": <MdOutlineShoppingBag />,
+  "/admin-categories": <MdOutlineCategory />,
+  "/admin-search": <MdSearch />,
+  "/admin-sales": <HiOutlineReceiptTax />,
+  "/admin": <MdOutlineShoppingCart />,
+};
+
+/**
+ * COMPONENT: AdminNavbar
+ * PURPOSE: The navigation bar of the admin pages.
+ *
+ * CONTEXT:
+ *  - AuthContext: Used to log out, and to show only the sections the user's permissions allow.
+ *
+ * USAGE:
+ *  - Rendered at the top of every admin page. Staff only see the sections they can use.
+ */
 
 export default function AdminNavbar() {
-  const { logout } = useContext(AuthContext);
+  const { logout, userType, userPermissions, hasPermission } =
+    useContext(AuthContext);
   const navigate = useNavigate();
 
   return (
@@ -20,41 +44,27 @@ export default function AdminNavbar() {
           src={LOGO}
           alt="Website Logo"
           className="w-24 cursor-pointer"
-          onClick={() => navigate("/admin")}
+          onClick={() => navigate(homePathFor(userPermissions))}
         />
         <h1 className="font-black text-3xl">FARM-TO-TABLE</h1>
-        <h2 className="text-2xl">Hello, Admin!</h2>
+        <h2 className="text-2xl">
+          Hello, {userType === "admin" ? "Admin" : "Staff"}!
+        </h2>
       </div>
       <div className="spacer m-auto"></div>
       <div className="right flex gap-12 items-center pr-12">
-        <button
-          className="flex items-center gap-2"
-          onClick={() => navigate("/admin-users")}
-        >
-          <MdPeopleOutline />
-          Users
-        </button>
-        <button
-          className="flex items-center gap-2"
-          onClick={() => navigate("/admin-products")}
-        >
-          <MdOutlineShoppingBag />
-          Products
-        </button>
-        <button
-          className="flex items-center gap-2"
-          onClick={() => navigate("/admin-sales")}
-        >
-          <HiOutlineReceiptTax />
-          Orders
-        </button>
-        <button
-          className="flex items-center gap-2"
-          onClick={() => navigate("/admin")}
-        >
-          <MdOutlineShoppingCart />
-          Sales
-        </button>
+        {ADMIN_SECTIONS.filter(({ permission }) =>
+          hasPermission(permission)
+        ).map(({ path, label }) => (
+          <button
+            key={path}
+            className="flex items-center gap-2"
+            onClick={() => navigate(path)}
+          >
+            {SECTION_ICONS[path]}
+            {label}
+          </button>
+        ))}
         <button className="form-button" onClick={logout}>
           Log Out
         </button>
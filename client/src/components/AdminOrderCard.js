@@ -1,6 +1,8 @@
 import { FaRegCircleXmark } from "react-icons/fa6";
 import { useState, useEffect, useContext, useRef } from "react";
 import { AuthContext } from "../contexts/AuthContext";
+import { formatQuantity, perUnit } from "../utils/units";
+import { variantName } from "../utils/variants";
 import axios from "axios";
 
 // TODO: connect to db
@@ -34,7 +36,10 @@ export default function AdminOrderCard({ users }) {
       window.location.reload(); // refresh page to get current data
     } catch (error) {
       console.error("Error confirming order:", error);
-      alert("Insufficient stock for one or more items in the order.");
+      alert(
+        error.response?.data?.error ||
+          "Insufficient stock for one or more items in the order."
+      );
     }
   };
 
@@ -114,14 +119,18 @@ export default function AdminOrderCard({ users }) {
                         alt=""
                         className="object-cover w-20 h-20 rounded-xl"
                       />
-                      <h1 className="font-black">{product.name}</h1>
+                      <h1 className="font-black">
+                        {variantName(product.name, product.variantLabel)}
+                      </h1>
                     </div>
 
                     <div className="spacer mx-auto"></div>
 
                     <div className="flex bg-white rounded-xl px-4 py-2 justify-between items-center">
                       <div className="flex items-end gap-1">
-                        <div className="font-black">x{product.count}</div>
+                        <div className="font-black">
+                          {formatQuantity(product.count, product.unit)}
+                        </div>
                       </div>
                     </div>
                   </div>
@@ -163,6 +172,12 @@ export default function AdminOrderCard({ users }) {
                   </h1>
                   <p className="font-medium">{users[selectedIndex].name}</p>
                   <p className="font-medium">{users[selectedIndex].email}</p>
+                  {users[selectedIndex].deliveryAddress && (
+                    <p className="font-medium">
+                      {users[selectedIndex].deliveryAddress.label} ·{" "}
+                      {users[selectedIndex].deliveryAddress.contactNumber}
+                    </p>
+                  )}
                   <p className="font-medium">{users[selectedIndex].address}</p>
                 </div>
                 <div className="relative p-6 flex-auto border-b border-solid border-blueGray-200 rounded-t">
@@ -181,16 +196,20 @@ export default function AdminOrderCard({ users }) {
                             className="object-cover w-20 h-20"
                           />
                           <div className="flex flex-col gap-1">
-                            <h1 className="font-black">{product.name}</h1>
-                            <h1 className="font-regular">{product.type}</h1>
+                            <h1 className="font-black">
+                              {variantName(product.name, product.variantLabel)}
+                            </h1>
                           </div>
 
                           <div className="spacer mx-auto"></div>
 
                           <div className="flex flex-col items-end gap-1">
-                            <div className="font-regular">x{product.count}</div>
+                            <div className="font-regular">
+                              {formatQuantity(product.count, product.unit)} ×
+                              P{product.price} {perUnit(product.unit)}
+                            </div>
                             <div className="font-semibold">
-                              P{product.count * product.price}
+                              P{(product.count * product.price).toFixed(2)}
                             </div>
                           </div>
                         </div>
@@ -0,0 +1,177 @@
+import axios from "axios";
+import { useState, useContext } from "react";
+import { FaEdit, FaTrash } from "react-icons/fa";
+import { FaRegCircleXmark } from "react-icons/fa6";
+import { AuthContext } from "../contexts/AuthContext";
+import PriceTimeline from "./PriceTimeline";
+import VariantForm from "./VariantForm";
+import { categoryName } from "../utils/categories";
+import { formatQuantity, perUnit } from "../utils/units";
+
+/**
+ * COMPONENT: AdminProductDetail
+ * PURPOSE: A modal with a product's details, its variants and their price timeline, where variants can be added, edited and deleted and price changes scheduled.
+ *
+ * PROPS:
+ *  - product (Object): The product, as returned by /admin/getProductListings.
+ *  - onClose (Function): Callback function to close the modal; called with true if the variants were changed.
+ *
+ * CONTEXT:
+ *  - AuthContext: Used to access the admin's token.
+ *
+ * STATE:
+ *  - current (Object): The product as last returned by the backend, with its variants.
+ *  - editingId (string): The id of the variant whose edit form is shown, if any.
+ *  - version (number): How many times the variants were changed; the price timeline is fetched again after each change.
+ *
+ * USAGE:
+ *  - Opened from the "Prices" button of an InventoryCard. The stock of each variant is updated on the card itself.
+ */
+
+export default function AdminProductDetail({ product, onClose }) {
+  const { token } = useContext(AuthContext);
+
+  const [current, setCurrent] = useState(product);
+  const [editingId, setEditingId] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  const url = `${process.env.REACT_APP_BACKEND_URL}/admin/products/${product._id}/variants`;
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const handleChanged = (updated) => {
+    setCurrent(updated);
+    setEditingId(null);
+    setVersion((prev) => prev + 1);
+  };
+
+  // the forms show the backend's messages, so errors are left to them
+  const handleAdd = async (fields) => {
+    const response = await axios.post(url, fields, { headers });
+    handleChanged(response.data);
+  };
+
+  const handleSave = async (variantId, fields) => {
+    const response = await axios.patch(`${url}/${variantId}`, fields, {
+      headers,
+    });
+    handleChanged(response.data);
+  };
+
+  const handleDelete = async (variant) => {
+    if (
+      !window.confirm(
+        `Stop selling ${current.name} (${variant.label})? It will be removed from customers' carts.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const response = await axios.delete(`${url}/${variant._id}`, {
+        headers,
+      });
+      handleChanged(response.data);
+    } catch (error) {
+      console.error("Error deleting variant:", error);
+      alert(error.response?.data?.error || "Unable to delete variant.");
+    }
+  };
+
+  return (
+    <>
+      <div className="justify-center items-center flex overflow-x-hidden overflow-y-auto fixed inset-0 z-50 outline-none focus:outline-none">
+        <div className="relative w-auto my-6 mx-auto max-w-3xl">
+          <div className="border-0 rounded-lg shadow-lg relative flex flex-col w-full bg-white outline-none focus:outline-none">
+            <div className="flex items-start justify-between p-5 border-b border-solid border-blueGray-200 rounded-t">
+              <h3 className="text-3xl font-semibold">{current.name}</h3>
+              <button
+                className="p-1 ml-16 text-black float-right text-3xl"
+                onClick={() => onClose(version > 0)}
+              >
+                <FaRegCircleXmark />
+              </button>
+            </div>
+            <div className="relative p-6 flex-auto border-b border-solid border-blueGray-200 rounded-t">
+              <p className="font-bold">Product Category:</p>
+              <p className="font-medium">
+                {categoryName(current)}
+                {current.archived ? " (archived)" : ""}
+              </p>
+              <p className="font-bold">Product Description:</p>
+              <p className="font-medium">{current.description}</p>
+              <p className="font-bold">Origin Farm:</p>
+              <p className="font-medium">{current.origin || "Not set"}</p>
+            </div>
+            <div className="relative p-6 flex-auto border-b border-solid border-blueGray-200 rounded-t">
+              <p className="font-bold mb-2">Variants:</p>
+              <div className="flex flex-col gap-2">
+                {current.variants.map((variant) =>
+                  editingId === variant._id ? (
+                    <div
+                      key={variant._id}
+                      className="bg-[#F2F2F2] rounded-xl p-2"
+                    >
+                      <VariantForm
+                        variant={variant}
+                        onSubmit={(fields) => handleSave(variant._id, fields)}
+                        onCancel={() => setEditingId(null)}
+                        submitLabel="Save"
+                      />
+                    </div>
+                  ) : (
+                    <div
+                      key={variant._id}
+                      className="flex items-center gap-3 bg-[#F2F2F2] rounded-xl p-2"
+                    >
+                      <div className="flex flex-col">
+                        <span className="font-black">{variant.label}</span>
+                        <span className="text-sm">
+                          PHP {variant.price.toFixed(2)} {perUnit(variant.unit)}{" "}
+                          · in steps of{" "}
+                          {formatQuantity(variant.orderIncrement ?? 1, variant.unit)}
+                        </span>
+                        <span className="text-sm">
+                          On hand {formatQuantity(variant.quantity, variant.unit)}{" "}
+                          · reserved{" "}
+                          {formatQuantity(variant.reserved, variant.unit)}
+                        </span>
+                      </div>
+
+                      <div className="spacer mx-auto"></div>
+
+                      <button
+                        className="bg-white rounded-full p-2"
+                        onClick={() => setEditingId(variant._id)}
+                        title="Edit"
+                      >
+                        <FaEdit />
+                      </button>
+                      <button
+                        className="bg-white rounded-full p-2"
+                        onClick={() => handleDelete(variant)}
+                        title="Delete"
+                      >
+                        <FaTrash />
+                      </button>
+                    </div>
+                  )
+                )}
+              </div>
+              <p className="font-bold mt-4 mb-2">Add Variant:</p>
+              <VariantForm onSubmit={handleAdd} submitLabel="+ Add Variant" />
+            </div>
+            <div className="relative p-6 flex-auto border-b border-solid border-blueGray-200 rounded-t">
+              <PriceTimeline
+                key={version}
+                productId={current._id}
+                variants={current.variants}
+                editable
+              />
+            </div>
+          </div>
+        </div>
+      </div>
+      <div className="opacity-25 fixed inset-0 z-40 bg-black"></div>
+    </>
+  );
+}
@@ -1,50 +1,245 @@
-import { useEffect } from "react";
+import axios from "axios";
+import { useState, useEffect, useContext } from "react";
+import { FaRegCircleXmark } from "react-icons/fa6";
+import { AuthContext } from "../contexts/AuthContext";
+import FieldError from "./FieldError";
+import { categoryOptions } from "../utils/categories";
+
+const INPUT_CLASS =
+  "bg-gray-200 appearance-none border-2 border-gray-200 rounded w-full py-2 px-4 text-gray-700 leading-tight focus:outline-none focus:bg-white focus:border-emerald-600";
+const LABEL_CLASS =
+  "block text-gray-500 font-bold md:text-right mb-1 md:mb-0 pr-4";
 
 /**
- * COMPONENT: Popup
- * PURPOSE: Displays a temporary popup notification with an image and title.
+ * COMPONENT: AdminUpdatePopup
+ * PURPOSE: A modal for editing a product's name, description, origin farm, category and image.
  *
  * PROPS:
- *  - show (boolean): Controls the visibility of the popup.
- *  - onClose (Function): Callback function to close the popup.
- *  - image (string): URL of the image to be displayed in the popup.
- *  - title (string): Text to be displayed as the title of the popup.
+ *  - product (Object): The product being edited.
+ *  - onClose (Function): Callback function to close the modal.
+ *  - onSaved (Function): Called with the updated product after it is saved.
+ *
+ * CONTEXT:
+ *  - AuthContext: Used to access the admin's token.
  *
- * STATE: None
+ * STATE:
+ *  - form (Object): The edited fields of the product.
+ *  - categories (Array): The categories the product can be moved to.
+ *  - fieldErrors (Object): The backend's validation messages, shown below the matching inputs.
  *
  * USAGE:
- *  - Used to provide visual feedback to the user after adding an item to the cart.
+ *  - Opened from the "Edit" button of an InventoryCard. Stock is updated on the card itself.
+ *  - The price, unit and order increment are those of each variant, edited in the AdminProductDetail modal.
+ *  - The image link is only for products without uploaded images; the others show the first image of their gallery, managed in the AdminImageManager modal.
  */
 
-export default function Popup({ show, onClose, image, title }) {
+export default function AdminUpdatePopup({ product, onClose, onSaved }) {
+  const { token } = useContext(AuthContext);
+
+  const [form, setForm] = useState({
+    name: product.name,
+    description: product.description || "",
+    origin: product.origin || "",
+    category: product.category?._id ?? "",
+    imageUrl: product.imageUrl || "",
+  });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [categories, setCategories] = useState([]);
+  const uploaded = product.images?.length > 0;
+
   useEffect(() => {
-    if (show) {
-      const timer = setTimeout(onClose, 5000);
-      return () => clearTimeout(timer);
+    const fetchCategories = async () => {
+      try {
+        const response = await axios.get(
+          `${process.env.REACT_APP_BACKEND_URL}/admin/categories`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        setCategories(response.data);
+      } catch (error) {
+        console.error("Error fetching categories:", error);
+      }
+    };
+
+    fetchCategories();
+  }, [token]);
+
+  const handleChange = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  /**
+   * handleSubmit:
+   * - Saves the edited fields.
+   * - If the backend rejects some fields (ex: a name that is taken), keeps the modal open and shows its messages.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await axios.patch(
+        `${process.env.REACT_APP_BACKEND_URL}/admin/products/${product._id}`,
+        {
+          name: form.name,
+          description: form.description,
+          origin: form.origin,
+          category: form.category,
+          imageUrl: uploaded ? undefined : form.imageUrl,
+        },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setFieldErrors({});
+      onSaved(response.data);
+    } catch (error) {
+      console.error("Error updating product:", error);
+      if (error.response?.data?.errors) {
+        setFieldErrors(error.response.data.errors);
+      } else {
+        alert(error.response?.data?.error || "Unable to update product.");
+      }
     }
-  }, [show, onClose]);
+  };
 
   return (
-    <div
-      className={`fixed bottom-0 right-0 m-12 p-4 w-[400px] bg-green-600 text-white rounded-xl transition-transform transform z-50 ${
-        show ? "translate-y-0" : "translate-y-64"
-      }`}
-      style={{ transitionDuration: "0.5s" }}
-    >
-      <div className="flex items-center gap-4">
-        <img
-          src={image}
-          alt="Product"
-          className="w-24 h-24 object-cover rounded-xl"
-        />
-        <div className="flex flex-col w-2/3">
-          <h1 className="font-bold">Updated stock!</h1>
-          <span className="text-ellipsis whitespace-nowrap overflow-hidden">
-            {" "}
-            {title}
-          </span>
+    <>
+      <div className="justify-center items-center flex overflow-x-hidden overflow-y-auto fixed inset-0 z-50 outline-none focus:outline-none">
+        <div className="relative w-auto my-6 mx-auto max-w-3xl">
+          <div className="border-0 rounded-lg shadow-lg relative flex flex-col w-full bg-white outline-none focus:outline-none">
+            <div className="flex items-start justify-between p-5 border-b border-solid border-blueGray-200 rounded-t">
+              <h3 className="text-3xl font-semibold">Edit Product</h3>
+              <button
+                className="p-1 ml-16 text-black float-right text-3xl"
+                onClick={onClose}
+              >
+                <FaRegCircleXmark />
+              </button>
+            </div>
+            <div className="relative p-6 flex-auto border-b border-solid border-blueGray-200 rounded-t">
+              <form onSubmit={handleSubmit}>
+                <div className="flex flex-row justify-center">
+                  <img
+                    src={form.imageUrl}
+                    alt=""
+                    className="object-cover w-20 h-20 "
+                  />
+                </div>
+                {!uploaded && (
+                  <div className="md:flex md:items-center mb-6">
+                    <div className="md:w-1/3">
+                      <label className={LABEL_CLASS} htmlFor="edit-image">
+                        Product Image URL
+                      </label>
+                    </div>
+                    <div className="md:w-2/3">
+                      <input
+                        className={INPUT_CLASS}
+                        id="edit-image"
+                        type="text"
+                        placeholder="Product Image URL"
+                        value={form.imageUrl}
+                        onChange={handleChange("imageUrl")}
+                      />
+                      <FieldError errors={fieldErrors} field="imageUrl" />
+                    </div>
+                  </div>
+                )}
+                <div className="md:flex md:items-center mb-6">
+                  <div className="md:w-1/3">
+                    <label className={LABEL_CLASS} htmlFor="edit-name">
+                      Product Name
+                    </label>
+                  </div>
+                  <div className="md:w-2/3">
+                    <input
+                      className={INPUT_CLASS}
+                      id="edit-name"
+                      type="text"
+                      placeholder="Product Name"
+                      value={form.name}
+                      onChange={handleChange("name")}
+                    />
+                    <FieldError errors={fieldErrors} field="name" />
+                  </div>
+                </div>
+                <div className="md:flex md:items-center mb-6">
+                  <div className="md:w-1/3">
+                    <label className={LABEL_CLASS} htmlFor="edit-category">
+                      Product Category
+                    </label>
+                  </div>
+                  <div className="md:w-2/3">
+                    <select
+                      id="edit-category"
+                      className={INPUT_CLASS}
+                      value={form.category}
+                      onChange={handleChange("category")}
+                    >
+                      <option value="" disabled>
+                        Choose a category
+                      </option>
+                      {categoryOptions(categories).map((category) => (
+                        <option key={category._id} value={category._id}>
+                          {category.label}
+                        </option>
+                      ))}
+                    </select>
+                    <FieldError errors={fieldErrors} field="category" />
+                  </div>
+                </div>
+                <div className="md:flex md:items-center mb-6">
+                  <div className="md:w-1/3">
+                    <label className={LABEL_CLASS} htmlFor="edit-description">
+                      Product Description
+                    </label>
+                  </div>
+                  <div className="md:w-2/3">
+                    <textarea
+                      className={INPUT_CLASS}
+                      id="edit-description"
+                      placeholder="Product Description"
+                      value={form.description}
+                      onChange={handleChange("description")}
+                    />
+                    <FieldError errors={fieldErrors} field="description" />
+                  </div>
+                </div>
+                <div className="md:flex md:items-center mb-6">
+                  <div className="md:w-1/3">
+                    <label className={LABEL_CLASS} htmlFor="edit-origin">
+                      Origin Farm
+                    </label>
+                  </div>
+                  <div className="md:w-2/3">
+                    <input
+                      className={INPUT_CLASS}
+                      id="edit-origin"
+                      type="text"
+                      placeholder="Optional"
+                      value={form.origin}
+                      onChange={handleChange("origin")}
+                    />
+                    <FieldError errors={fieldErrors} field="origin" />
+                  </div>
+                </div>
+                <div className="flex items-center justify-end p-6">
+                  <button
+                    className="text-red-500 background-transparent font-bold uppercase px-6 py-2 text-sm outline-none focus:outline-none mr-1 mb-1 ease-linear transition-all duration-150"
+                    type="button"
+                    onClick={onClose}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    className="bg-[#40573C] text-white active:bg-emerald-600 font-bold uppercase text-sm px-6 py-3 rounded shadow hover:shadow-lg outline-none focus:outline-none mr-1 mb-1 ease-linear transition-all duration-150"
+                    type="submit"
+                  >
+                    Save
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
         </div>
       </div>
-    </div>
+      <div className="opacity-25 fixed inset-0 z-40 bg-black"></div>
+    </>
   );
 }
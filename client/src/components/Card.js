@@ -1,47 +1,75 @@
 import { useState } from "react";
+import { Link } from "react-router-dom";
+import { categoryName } from "../utils/categories";
+import { coverThumbnail } from "../utils/images";
+import { formatQuantity, perUnit } from "../utils/units";
+import { findVariant, hasVariants, inStockVariants } from "../utils/variants";
+import QuantityInput from "./QuantityInput";
 
 /**
  * COMPONENT: Card
  * PURPOSE: Displays a product item with details, image, and "Add to Cart" functionality.
  *
  * PROPS:
- *  - product (Object): Product data including name, image, type, quantity, description, and price.
+ *  - product (Object): Product data including name, image, category, description, and its variants with their price and available stock.
  *  - addToCart (Function): Callback function to add the product to the shopping cart.
  *
  * STATE:
- *  - quantity (number): The quantity of the product to be added to the cart (default: 1).
+ *  - variantId (string): The variant to be added to the cart (default: the first one in stock).
+ *  - quantity (number): The quantity of the variant to be added to the cart, in its unit (default: the variant's order increment).
  *
  * USAGE:
- *  - Used on the "Shop" page to render individual product cards.
+ *  - Used on the "Shop" page to render individual product cards, and on the "Product" page for related products.
+ *  - The image and name link to the product's page.
  *
  * NOTES:
  *  - Requires a product object conforming to the ProductSchema.
  *  - addToCart function must be provided to enable the "Add to Cart" feature.
+ *  - Variants with less than one order increment in stock are left out of the selector, which is only shown for products sold more than one way.
  */
 
 export default function Card({ product, addToCart }) {
-  const [quantity, setQuantity] = useState(1);
+  const variants = inStockVariants(product);
+  const [variantId, setVariantId] = useState(variants[0]?._id);
+  // falls back to the first variant in stock if the picked one sold out
+  const variant = findVariant(product, variantId) ?? variants[0];
+  const [quantity, setQuantity] = useState(variant?.orderIncrement ?? 1);
+
+  // the quantities of one variant do not carry over to another
+  const handleVariantChange = (e) => {
+    const picked = findVariant(product, e.target.value);
+    setVariantId(picked._id);
+    setQuantity(picked.orderIncrement ?? 1);
+  };
+
+  if (!variant) return null;
 
   return (
     <div className="h-[470px] w-[270px] bg-[#F2F2F2] rounded-2xl flex flex-col p-2 border-2 border-white hover:border-black">
-      <div className="h-[230px] w-full object-cover rounded-2xl overflow-hidden">
+      <Link
+        to={`/product/${product._id}`}
+        className="h-[230px] w-full object-cover rounded-2xl overflow-hidden"
+      >
         <img
-          src={product.imageUrl}
+          src={variant.imageUrl || coverThumbnail(product)}
           alt={product.name}
           className="object-cover w-full h-full"
         />
-      </div>
+      </Link>
 
       <div className="flex flex-col gap-1 p-2">
-        <span className="font-bold text-xl overflow-hidden whitespace-nowrap text-ellipsis">
+        <Link
+          to={`/product/${product._id}`}
+          className="font-bold text-xl overflow-hidden whitespace-nowrap text-ellipsis"
+        >
           {product.name}
-        </span>
+        </Link>
         <div className="flex justify-between items-center">
-          <div className="bg-white p-1 rounded-md text-sm w-16 flex justify-center">
-            {product.type === 1 ? "Crop" : "Poultry"}
+          <div className="bg-white p-1 rounded-md text-sm flex justify-center">
+            {categoryName(product)}
           </div>
           <div className="mr-1 text-sm font-bold">
-            Stock: {product.quantity}
+            Stock: {formatQuantity(variant.available, variant.unit)}
           </div>
         </div>
 
@@ -50,29 +78,45 @@ export default function Card({ product, addToCart }) {
         </p>
         <div className="flex gap-1 items-end mb-1">
           <div className="text-xl font-bold">PHP</div>
-          <div className="text-4xl font-bold">{product.price}</div>
-          <div className="font-bold">/ piece</div>
+          <div className="text-4xl font-bold">{variant.price}</div>
+          <div className="font-bold">{perUnit(variant.unit)}</div>
+          {hasVariants(product) && (
+            <>
+              <div className="spacer mx-auto"></div>
+              <select
+                value={variant._id}
+                onChange={handleVariantChange}
+                className="w-24 p-1 rounded-md text-sm"
+                title="Variant"
+              >
+                {variants.map((option) => (
+                  <option key={option._id} value={option._id}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
         </div>
 
         <div className="flex gap-2">
-          <select
+          <QuantityInput
+            variant={variant}
+            max={variant.available}
             value={quantity}
-            onChange={(e) => setQuantity(e.target.value)}
-            className="p-2 pl-4 h-10 rounded-xl"
-          >
-            {Array.from({ length: product.quantity }, (_, i) => i + 1).map(
-              (num) => (
-                <option key={num} value={num}>
-                  {num}
-                </option>
-              )
-            )}
-          </select>
+            onChange={setQuantity}
+            className="p-2 pl-4 h-10 rounded-xl w-24"
+          />
 
           <button
             className="rounded-xl bg-[#40573C] text-white px-4 w-full mx-auto text-md font-bold"
             onClick={
-              () => addToCart({ ...product, selectedQuantity: quantity }) // Call addToCart prop with product and selected quantity
+              () =>
+                addToCart({
+                  ...product,
+                  variantId: variant._id,
+                  selectedQuantity: quantity,
+                }) // Call addToCart prop with product, variant and selected quantity
             }
           >
             {" "}
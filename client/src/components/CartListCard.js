@@ -1,16 +1,20 @@
 import { FaTrash } from "react-icons/fa";
 import { useState } from "react";
 import { useCart } from "../contexts/CartContext";
+import { categoryName } from "../utils/categories";
+import { perUnit } from "../utils/units";
+import { findVariant, hasVariants } from "../utils/variants";
+import QuantityInput from "./QuantityInput";
 
 /**
  * COMPONENT: CartListCard
- * PURPOSE: Displays a product item within a user's shopping cart, including quantity selection, image, name, type, total price, and a delete option.
+ * PURPOSE: Displays a product item within a user's shopping cart, including quantity selection, image, name, category, total price, and a delete option.
  *
  * PROPS:
- *  - product (Object): Object containing product details and quantity in the cart.
+ *  - product (Object): The cart item, with its product details, the id of the variant in the cart, and its quantity.
  *
  * STATE:
- *  - quantity (number): The quantity of the product currently in the cart.
+ *  - quantity (number): The quantity of the variant currently in the cart, in its unit.
  *
  * CONTEXT:
  *  - useCart: A React Context hook providing functions for updating quantity and removing items from the cart.
@@ -21,11 +25,11 @@ import { useCart } from "../contexts/CartContext";
 
 export default function CartListCard({ product }) {
   let item = product.product;
+  const variant = findVariant(item, product.variantId);
   const [quantity, setQuantity] = useState(product.quantity);
   const { updateQuantity, removeFromCart } = useCart();
 
-  const handleQuantityChange = (e) => {
-    const newQuantity = e.target.value;
+  const handleQuantityChange = (newQuantity) => {
     setQuantity(newQuantity);
     updateQuantity(product._id, newQuantity);
   };
@@ -34,25 +38,22 @@ export default function CartListCard({ product }) {
     removeFromCart(product._id);
   };
 
+  // the backend takes deleted variants out of carts
+  if (!variant) return null;
+
   return (
     <div className="w-full h-24 bg-[#EEDBDB] rounded-xl px-4 py-2">
       <div className="flex h-full items-center gap-3">
-        <select
+        <QuantityInput
+          variant={variant}
+          max={Math.max(variant.available, product.quantity)}
           value={quantity}
           onChange={handleQuantityChange}
-          className="p-2 pl-4 h-10 rounded-xl"
-        >
-          {Array.from({ length: product.quantity }, (_, i) => i + 1).map(
-            (num) => (
-              <option key={num} value={num}>
-                {num}
-              </option>
-            )
-          )}
-        </select>
+          className="p-2 pl-4 h-10 rounded-xl w-24"
+        />
         <div className="overflow-hidden h-full w-24 bg-red-300 rounded-xl">
           <img
-            src={item.imageUrl}
+            src={variant.imageUrl || item.imageUrl}
             alt={item.name}
             className="object-cover h-full w-full"
           />
@@ -60,9 +61,15 @@ export default function CartListCard({ product }) {
 
         <div className="flex flex-col gap-1">
           <h1 className="font-black">{item.name}</h1>
-          <div className="bg-white p-1 rounded-md text-sm w-16 flex justify-center">
-            {product.type === 1 ? "Crop" : "Poultry"}
+          {hasVariants(item) && (
+            <span className="text-sm font-bold">{variant.label}</span>
+          )}
+          <div className="bg-white p-1 rounded-md text-sm flex justify-center">
+            {categoryName(item)}
           </div>
+          <span className="text-sm">
+            PHP {variant.price} {perUnit(variant.unit)}
+          </span>
         </div>
 
         <div className="spacer mx-auto"></div>
@@ -71,7 +78,7 @@ export default function CartListCard({ product }) {
           <div className="flex items-end gap-1">
             <div className="text-xl font-bold">PHP</div>
             <div className="text-4xl font-bold">
-              {(item.price * quantity).toFixed(2)}
+              {(variant.price * quantity).toFixed(2)}
             </div>
           </div>
 
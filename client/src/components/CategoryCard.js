@@ -0,0 +1,70 @@
+import { useState } from "react";
+import { FaEdit, FaTrash } from "react-icons/fa";
+import CategoryForm from "./CategoryForm";
+
+/**
+ * COMPONENT: CategoryCard
+ * PURPOSE: Shows a product category with its slug, display order and product count, with controls to edit or delete it.
+ *
+ * PROPS:
+ *  - category (Object): The category, as returned by /admin/categories, with its label from categoryOptions.
+ *  - categories (Array): Every category, to pick a new parent from.
+ *  - onSave (Function): Called with the id and the edited fields; returns the request's promise.
+ *  - onDelete (Function): Called with the category to delete it.
+ *
+ * STATE:
+ *  - editing (boolean): Whether the edit form is shown instead of the details.
+ *
+ * USAGE:
+ *  - Used on the admin categories page, one card per category, with subcategories right after their parent.
+ */
+
+export default function CategoryCard({ category, categories, onSave, onDelete }) {
+  const [editing, setEditing] = useState(false);
+
+  const handleSave = async (fields) => {
+    await onSave(category._id, fields);
+    setEditing(false);
+  };
+
+  return (
+    <div className="w-full bg-[#F2F2F2] rounded-xl px-4 py-2">
+      {editing ? (
+        <CategoryForm
+          category={category}
+          categories={categories}
+          onSubmit={handleSave}
+          onCancel={() => setEditing(false)}
+          submitLabel="Save"
+        />
+      ) : (
+        <div className="flex items-center gap-3">
+          <div className="flex flex-col">
+            <h1 className="font-black">{category.label}</h1>
+            <span className="text-sm">
+              /{category.slug} · order {category.displayOrder} ·{" "}
+              {category.productCount} products
+            </span>
+          </div>
+
+          <div className="spacer mx-auto"></div>
+
+          <button
+            className="bg-white rounded-full p-2"
+            onClick={() => setEditing(true)}
+            title="Edit"
+          >
+            <FaEdit />
+          </button>
+          <button
+            className="bg-white rounded-full p-2"
+            onClick={() => onDelete(category)}
+            title="Delete"
+          >
+            <FaTrash />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+import { useState } from "react";
+import FieldError from "./FieldError";
+
+/**
+ * COMPONENT: CategoryForm
+ * PURPOSE: The fields of a product category (name, slug, parent and display order), for adding or editing one.
+ *
+ * PROPS:
+ *  - category (Object): The category being edited, or nothing for a new one.
+ *  - categories (Array): Every category, to pick the parent from.
+ *  - onSubmit (Function): Called with the fields; returns a promise that rejects with the axios error if the backend refuses them.
+ *  - onCancel (Function): Optional. Shows a "Cancel" button that calls it.
+ *  - submitLabel (string): The text of the submit button.
+ *
+ * STATE:
+ *  - form (Object): The typed fields.
+ *  - fieldErrors (Object): The backend's validation messages, shown below the matching inputs.
+ *
+ * USAGE:
+ *  - Used on the admin categories page, to add a category and in each CategoryCard to edit it.
+ */
+
+export default function CategoryForm({
+  category,
+  categories,
+  onSubmit,
+  onCancel,
+  submitLabel,
+}) {
+  const emptyForm = {
+    name: category?.name ?? "",
+    slug: category?.slug ?? "",
+    parent: category?.parent ?? "",
+    displayOrder: category?.displayOrder ?? 0,
+  };
+  const [form, setForm] = useState(emptyForm);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  // only top-level categories can be parents, and never the category itself
+  const parents = categories.filter(
+    (option) => !option.parent && option._id !== category?._id
+  );
+
+  const handleChange = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  /**
+   * handleSubmit:
+   * - Sends the fields. A blank slug is left out of a new category, so the backend makes one from the name.
+   * - Clears the form after adding a category, or shows the backend's messages if it refused them.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const fields = {
+      name: form.name,
+      parent: form.parent || null,
+      displayOrder: form.displayOrder === "" ? "" : Number(form.displayOrder),
+    };
+    if (form.slug || category) fields.slug = form.slug;
+
+    try {
+      await onSubmit(fields);
+      setFieldErrors({});
+      if (!category) setForm(emptyForm);
+    } catch (error) {
+      console.error("Error saving category:", error);
+      if (error.response?.data?.errors) {
+        setFieldErrors(error.response.data.errors);
+      } else {
+        alert(error.response?.data?.error || "Unable to save category.");
+      }
+    }
+  };
+
+  return (
+    <form className="flex flex-col gap-2" onSubmit={handleSubmit}>
+      <div className="flex gap-2">
+        <div className="w-full">
+          <input
+            type="text"
+            className="input-box"
+            placeholder="Name (ex: Seafood)"
+            value={form.name}
+            onChange={handleChange("name")}
+          />
+          <FieldError errors={fieldErrors} field="name" />
+        </div>
+        <div className="w-full">
+          <input
+            type="text"
+            className="input-box"
+            placeholder={category ? "Slug" : "Slug (optional)"}
+            value={form.slug}
+            onChange={handleChange("slug")}
+          />
+          <FieldError errors={fieldErrors} field="slug" />
+        </div>
+      </div>
+      <div className="flex gap-2">
+        <div className="w-full">
+          <select
+            className="input-box"
+            value={form.parent}
+            onChange={handleChange("parent")}
+          >
+            <option value="">No parent (top level)</option>
+            {parents.map((parent) => (
+              <option key={parent._id} value={parent._id}>
+                Under {parent.name}
+              </option>
+            ))}
+          </select>
+          <FieldError errors={fieldErrors} field="parent" />
+        </div>
+        <div className="w-full">
+          <input
+            type="number"
+            step="1"
+            className="input-box"
+            placeholder="Display order"
+            value={form.displayOrder}
+            onChange={handleChange("displayOrder")}
+          />
+          <FieldError errors={fieldErrors} field="displayOrder" />
+        </div>
+      </div>
+      <div className="flex gap-2 self-end">
+        {onCancel && (
+          <button
+            className="font-bold text-red-500"
+            type="button"
+            onClick={onCancel}
+          >
+            Cancel
+          </button>
+        )}
+        <button className="form-button" type="submit">
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
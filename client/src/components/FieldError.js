@@ -0,0 +1,19 @@
+/**
+ * COMPONENT: FieldError
+ * PURPOSE: Displays the validation message the backend returned for one form field.
+ *
+ * PROPS:
+ *  - errors (Object): The `errors` object of a 400 response, mapping field names to messages.
+ *  - field (string): The name of the field to show the message for.
+ *
+ * USAGE:
+ *  - Place right below the input of the matching field. Renders nothing if the field has no error.
+ */
+
+export default function FieldError({ errors, field }) {
+  if (!errors || !errors[field]) {
+    return null;
+  }
+
+  return <div className="text-red-500 text-sm w-full">{errors[field]}</div>;
+}
@@ -1,9 +1,40 @@
 import axios from "axios";
 import { useState, useContext } from "react";
+import { FaEdit, FaArchive, FaUndo, FaHistory, FaImages } from "react-icons/fa";
 import { AuthContext } from "../contexts/AuthContext";
+import AdminUpdatePopup from "./AdminUpdatePopup";
+import AdminProductDetail from "./AdminProductDetail";
+import AdminImageManager from "./AdminImageManager";
+import { categoryName } from "../utils/categories";
+import { coverThumbnail } from "../utils/images";
+import { formatQuantity, isFractional, perUnit } from "../utils/units";
+import { findVariant, hasVariants } from "../utils/variants";
+
+/**
+ * COMPONENT: InventoryCard
+ * PURPOSE: Shows a product in the admin inventory, with controls to update the stock of its variants, edit it, manage its images, variants and prices, and archive or restore it.
+ *
+ * PROPS:
+ *  - product (Object): The product, as returned by /admin/getProductListings.
+ *
+ * STATE:
+ *  - variantId (string): The variant whose stock is shown and updated.
+ *  - quantity (number): The stock on hand typed in the stock input, in the variant's unit.
+ *  - showEdit (boolean): Whether the edit modal is open.
+ *  - showDetail (boolean): Whether the detail modal, with the variants and the price timeline, is open.
+ *  - showImages (boolean): Whether the image gallery modal is open.
+ *
+ * USAGE:
+ *  - Used on the admin inventory page. Archived products are shown with a label and can be restored.
+ */
 
 export default function Card({ product }) {
-  const [quantity, setQuantity] = useState(product.quantity);
+  const [variantId, setVariantId] = useState(product.variants[0]._id);
+  const variant = findVariant(product, variantId);
+  const [quantity, setQuantity] = useState(variant.quantity);
+  const [showEdit, setShowEdit] = useState(false);
+  const [showDetail, setShowDetail] = useState(false);
+  const [showImages, setShowImages] = useState(false);
 
   const { token } = useContext(AuthContext);
 
@@ -13,11 +44,24 @@ export default function Card({ product }) {
       return; // Prevent further execution if not all fields are filled
     }
 
+    if (!isFractional(variant.unit) && !Number.isInteger(quantity)) {
+      alert(`Stock sold by the ${variant.unit} has to be a whole number.`);
+      return;
+    }
+
+    if (quantity < variant.reserved) {
+      alert(
+        `Stock on hand cannot be lower than the ${formatQuantity(variant.reserved, variant.unit)} reserved by pending orders.`
+      );
+      return;
+    }
+
     try {
       await axios.post(
         `${process.env.REACT_APP_BACKEND_URL}/admin/updateStock`,
         {
           productId: product._id,
+          variantId: variant._id,
           quantity: quantity,
         },
         { headers: { Authorization: `Bearer ${token}` } }
@@ -26,39 +70,167 @@ export default function Card({ product }) {
       window.location.reload(); // refresh page to get current data
     } catch (error) {
       console.log(error);
+      alert(error.response?.data?.error || "Unable to update stock.");
+    }
+  };
+
+  // the stock input shows the stock of the picked variant
+  const handleVariantChange = (e) => {
+    const picked = findVariant(product, e.target.value);
+    setVariantId(picked._id);
+    setQuantity(picked.quantity);
+  };
+
+  /**
+   * handleArchive:
+   * - Archives the product, hiding it from customers, or restores an archived one.
+   * - Archiving asks for confirmation first, since it also takes the product out of every cart.
+   */
+  const handleArchive = async () => {
+    const action = product.archived ? "unarchive" : "archive";
+    if (
+      !product.archived &&
+      !window.confirm(
+        `Archive ${product.name}? Customers will no longer see it, and it will be removed from their carts.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await axios.post(
+        `${process.env.REACT_APP_BACKEND_URL}/admin/products/${product._id}/${action}`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      window.location.reload(); // refresh page to get current data
+    } catch (error) {
+      console.log(error);
+      alert(error.response?.data?.error || `Unable to ${action} product.`);
     }
   };
 
+  const handleSaved = () => {
+    setShowEdit(false);
+    alert("Product updated!");
+    window.location.reload(); // refresh page to get current data
+  };
+
   return (
     <div className="h-[470px] w-[270px] bg-[#F2F2F2] rounded-2xl flex flex-col p-2 border-2 border-white hover:border-black">
-      <div className="h-[230px] w-full object-cover rounded-2xl overflow-hidden">
+      <div className="relative h-[230px] w-full object-cover rounded-2xl overflow-hidden">
         <img
-          src={product.imageUrl}
+          src={variant.imageUrl || coverThumbnail(product)}
           alt={product.name}
           className="object-cover w-full h-full"
         />
+        {product.archived && (
+          <div className="absolute top-0 left-0 p-2">
+            <div className="bg-[#FF6961] text-white font-bold rounded-full px-4 py-2 text-sm">
+              ARCHIVED
+            </div>
+          </div>
+        )}
+        <div className="absolute top-0 right-0 p-2 flex gap-2">
+          <button
+            className="bg-white rounded-full p-2"
+            onClick={() => setShowEdit(true)}
+            title="Edit"
+          >
+            <FaEdit />
+          </button>
+          <button
+            className="bg-white rounded-full p-2"
+            onClick={() => setShowDetail(true)}
+            title="Variants and prices"
+          >
+            <FaHistory />
+          </button>
+          <button
+            className="bg-white rounded-full p-2"
+            onClick={() => setShowImages(true)}
+            title="Images"
+          >
+            <FaImages />
+          </button>
+          <button
+            className="bg-white rounded-full p-2"
+            onClick={handleArchive}
+            title={product.archived ? "Restore" : "Archive"}
+          >
+            {product.archived ? <FaUndo /> : <FaArchive />}
+          </button>
+        </div>
       </div>
+      {showEdit && (
+        <AdminUpdatePopup
+          product={product}
+          onClose={() => setShowEdit(false)}
+          onSaved={handleSaved}
+        />
+      )}
+      {showDetail && (
+        <AdminProductDetail
+          product={product}
+          onClose={(changed) =>
+            changed ? window.location.reload() : setShowDetail(false)
+          }
+        />
+      )}
+      {showImages && (
+        <AdminImageManager
+          product={product}
+          onClose={(changed) =>
+            changed ? window.location.reload() : setShowImages(false)
+          }
+        />
+      )}
 
       <div className="flex flex-col gap-1 p-2">
         <span className="font-bold text-xl overflow-hidden whitespace-nowrap text-ellipsis">
           {product.name}
         </span>
         <div className="flex justify-between items-center">
-          <div className="bg-white p-1 rounded-md text-sm w-16 flex justify-center">
-            {product.type === 1 ? "Crop" : "Poultry"}
+          <div className="bg-white p-1 rounded-md text-sm flex justify-center">
+            {categoryName(product)}
           </div>
           <div className="mr-1 text-sm font-bold">
-            Stock: {product.quantity}
+            On hand: {formatQuantity(variant.quantity, variant.unit)}
           </div>
         </div>
+        <div className="flex justify-between items-center text-sm">
+          <span>
+            Reserved: {formatQuantity(variant.reserved, variant.unit)}
+          </span>
+          <span>
+            Available: {formatQuantity(variant.available, variant.unit)}
+          </span>
+        </div>
 
         <p className="h-12 w-full overflow-hidden text-ellipsis line-clamp-3 text-sm text-[12px] leading-4">
           {product.description}
         </p>
         <div className="flex gap-1 items-end mb-1">
           <div className="text-xl font-bold">PHP</div>
-          <div className="text-4xl font-bold">{product.price}</div>
-          <div className="font-bold">/ piece</div>
+          <div className="text-4xl font-bold">{variant.price}</div>
+          <div className="font-bold">{perUnit(variant.unit)}</div>
+          {hasVariants(product) && (
+            <>
+              <div className="spacer mx-auto"></div>
+              <select
+                value={variant._id}
+                onChange={handleVariantChange}
+                className="w-24 p-1 rounded-md text-sm"
+                title="Variant"
+              >
+                {product.variants.map((option) => (
+                  <option key={option._id} value={option._id}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
         </div>
 
         <div className="flex gap-2">
@@ -66,10 +238,10 @@ export default function Card({ product }) {
             type="number"
             min="0"
             max="999999999999"
-            step="1"
+            step={isFractional(variant.unit) ? "0.001" : "1"}
             value={quantity}
             // onChange={handleProductStockChange} // Update quantity state on change
-            onChange={(e) => setQuantity(Math.max(0, parseInt(e.target.value)))} // Update quantity state on change
+            onChange={(e) => setQuantity(Math.max(0, parseFloat(e.target.value)))} // Update quantity state on change
             className="p-2 pl-4 rounded-xl w-20"
           />
           <button
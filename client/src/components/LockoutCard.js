@@ -0,0 +1,45 @@
+/**
+ * COMPONENT: LockoutCard
+ * PURPOSE: Lists the accounts and IP addresses that are locked out of logging in after too many failed attempts.
+ *
+ * PROPS:
+ *  - lockouts (Array): The lockouts returned by /admin/loginLockouts.
+ *  - onClear (Function): Called with the id of a lockout to lift it.
+ *
+ * USAGE:
+ *  - Used on the admin users page so admins can let locked out users back in.
+ */
+
+export default function LockoutCard({ lockouts, onClear }) {
+  return (
+    <div className="list-container mt-8 flex flex-col gap-2">
+      {lockouts.map((lockout) => (
+        <div
+          key={lockout._id}
+          className="w-full h-16 bg-[#EEDBDB] rounded-xl px-4 py-2"
+        >
+          <div className="flex h-full items-center gap-3">
+            <div className="flex flex-col">
+              <h1 className="font-black">{lockout.key}</h1>
+              <span className="text-sm">
+                {lockout.kind === "ip" ? "IP address" : "Account"} ·{" "}
+                {lockout.failures} failed attempts · locked until{" "}
+                {new Date(lockout.lockedUntil).toLocaleTimeString()}
+              </span>
+            </div>
+
+            <div className="spacer mx-auto"></div>
+
+            <button
+              className="bg-[#40573C] text-white font-semibold rounded-full px-4 py-2"
+              onClick={() => onClear(lockout._id)}
+              type="button"
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import { useState, useRef, useContext } from "react";
+import { useNavigate } from "react-router-dom";
 import { AuthContext } from "../contexts/AuthContext";
 import { IoEyeOffSharp, IoEyeSharp } from "react-icons/io5";
 
@@ -26,6 +27,7 @@ export default function LoginForm({ toggleFunc }) {
   const emailRef = useRef(null);
   const passwordRef = useRef(null);
   const { login } = useContext(AuthContext);
+  const navigate = useNavigate();
   const [showPassword, setShowPassword] = useState(false);
   const [loginError, setLoginError] = useState(null);
 
@@ -91,6 +93,13 @@ export default function LoginForm({ toggleFunc }) {
           </button>
         </div>
 
+        <span
+          className="self-end font-bold text-[#40573C] cursor-pointer"
+          onClick={() => navigate("/reset-password")}
+        >
+          Forgot password?
+        </span>
+
         <div className="text-red-500 mt-3">{loginError}</div>
         <button className="form-button mt-8" type="submit">
           Log In
@@ -1,26 +1,35 @@
 import { useContext } from "react";
 import LOGO from "../assets/logo/100_LOGO.png";
 import { AiOutlineShopping } from "react-icons/ai";
-import { MdOutlineShoppingCart } from "react-icons/md";
+import {
+  MdOutlineShoppingCart,
+  MdOutlineAccountCircle,
+} from "react-icons/md";
 import { AuthContext } from "../contexts/AuthContext";
 import { useNavigate } from "react-router-dom";
-import { IoPowerOutline } from "react-icons/io5";
+import { IoPowerOutline, IoExitOutline } from "react-icons/io5";
 
 /**
  * COMPONENT: Navbar
- * PURPOSE: Displays the website's navigation bar, including the logo, user greeting, and links to orders, cart, and logout.
+ * PURPOSE: Displays the website's navigation bar, including the logo, user greeting, and links to orders, cart, account, and logout.
  *
  * CONTEXT:
- *  - AuthContext: Provides user authentication information (e.g., userFirstName, logout function).
+ *  - AuthContext: Provides user authentication information (e.g., userFirstName, logout and logoutEverywhere functions).
  *
  * USAGE:
  *  - Place on the top of the page layout.
  */
 
 export default function Navbar() {
-  const { logout, userFirstName } = useContext(AuthContext);
+  const { logout, logoutEverywhere, userFirstName } = useContext(AuthContext);
   const navigate = useNavigate();
 
+  const handleLogoutEverywhere = () => {
+    if (window.confirm("Log out of all devices, including this one?")) {
+      logoutEverywhere();
+    }
+  };
+
   return (
     <div className="h-32 p-6 w-screen flex sticky top-0 bg-white z-10">
       <div className="left flex gap-12 flex items-center pl-12">
@@ -51,6 +60,22 @@ export default function Navbar() {
           <span className="hidden xl:inline">Cart</span>
         </button>
 
+        <button
+          className="flex items-center gap-2 md:gap-2 md:px-4"
+          onClick={() => navigate("/my-account")}
+        >
+          <MdOutlineAccountCircle />
+          <span className="hidden xl:inline">My Account</span>
+        </button>
+
+        <button
+          className="flex items-center gap-2 md:gap-2 md:px-4"
+          onClick={handleLogoutEverywhere}
+        >
+          <IoExitOutline />
+          <span className="hidden xl:inline">Log Out All Devices</span>
+        </button>
+
         <button
           className="flex sm:w-[200px] sm:h-[65px] items-center bg-[#40573C] justify-center rounded-full gap-2 text-white font-semibold"
           onClick={logout}
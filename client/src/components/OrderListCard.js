@@ -1,16 +1,18 @@
 import { FaTrash } from "react-icons/fa";
 import { useState } from "react";
+import { formatQuantity, perUnit } from "../utils/units";
+import { variantName } from "../utils/variants";
 import { useCart } from "../contexts/CartContext";
 
 /**
  * COMPONENT: OrderListCard
- * PURPOSE: Displays a product item within an order summary, including quantity, image, name, type, and total price.
+ * PURPOSE: Displays a product item within an order summary, including quantity, image, name, and total price.
  *
  * PROPS:
  *  - product (Object): Object containing product details and quantity in the order.
  *
  * STATE:
- *  - quantity (number): The quantity of the product in the order (this is set to the initial product count and doesn't change).
+ *  - quantity (number): The quantity of the product in the order, in its unit (this is set to the initial product count and doesn't change).
  *
  * USAGE:
  *  - Used within the order page to display the individual items included in the order.
@@ -23,7 +25,7 @@ export default function OrderListCard({ product }) {
     <div className="w-full h-24 bg-gray-50 rounded-xl px-4 py-2">
       <div className="flex h-full items-center gap-3">
         <div className="p-4 h-10 rounded-xl bg-white flex items-center justify-center">
-          {product.count}
+          {formatQuantity(product.count, product.unit)}
         </div>
         <div className="overflow-hidden h-full w-24 bg-red-300 rounded-xl">
           <img
@@ -34,10 +36,12 @@ export default function OrderListCard({ product }) {
         </div>
 
         <div className="flex flex-col gap-1">
-          <h1 className="font-black">{product.name}</h1>
-          <div className="bg-white p-1 rounded-md text-sm w-16 flex justify-center">
-            {product.type === 1 ? "Crop" : "Poultry"}
-          </div>
+          <h1 className="font-black">
+            {variantName(product.name, product.variantLabel)}
+          </h1>
+          <span className="text-sm">
+            PHP {product.price} {perUnit(product.unit)}
+          </span>
         </div>
 
         <div className="spacer mx-auto"></div>
@@ -0,0 +1,223 @@
+import axios from "axios";
+import { useState, useEffect, useContext, useCallback } from "react";
+import { AuthContext } from "../contexts/AuthContext";
+import FieldError from "./FieldError";
+import { perUnit } from "../utils/units";
+
+const SOURCE_LABELS = {
+  created: "Initial price",
+  manual: "Edited",
+  scheduled: "Scheduled",
+};
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+/**
+ * COMPONENT: PriceTimeline
+ * PURPOSE: Shows the prices the variants of a product have had and the price changes scheduled for them.
+ *
+ * PROPS:
+ *  - productId (string): The product whose prices are shown.
+ *  - variants (Array): The variants whose prices are shown, each with its _id, label and unit.
+ *  - editable (boolean): Whether price changes can be scheduled and cancelled here.
+ *
+ * CONTEXT:
+ *  - AuthContext: Used to access the admin's token.
+ *
+ * STATE:
+ *  - history (Array): The past price changes of every variant of the product, latest first.
+ *  - scheduled (Array): The price changes still to come of every variant of the product, soonest first.
+ *  - variantId (string): The variant picked in the schedule form.
+ *  - newPrice (string): The price typed in the schedule form.
+ *  - effectiveAt (string): The date and time picked in the schedule form.
+ *  - fieldErrors (Object): The backend's validation messages for the schedule form.
+ *
+ * USAGE:
+ *  - Used in the admin product detail view (editable, every variant) and in the product sale report (read-only, one variant).
+ *
+ * NOTES:
+ *  - The variant labels are only shown when there is more than one variant.
+ */
+
+export default function PriceTimeline({ productId, variants, editable = false }) {
+  const { token } = useContext(AuthContext);
+
+  const [history, setHistory] = useState([]);
+  const [scheduled, setScheduled] = useState([]);
+  const [variantId, setVariantId] = useState(variants[0]?._id ?? "");
+  const [newPrice, setNewPrice] = useState("");
+  const [effectiveAt, setEffectiveAt] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const url = `${process.env.REACT_APP_BACKEND_URL}/admin/products/${productId}`;
+  const headers = { Authorization: `Bearer ${token}` };
+
+  // the backend sends the changes of every variant of the product
+  const isShown = (change) =>
+    variants.some((variant) => variant._id === change.variantId);
+  const variantOf = (change) =>
+    variants.find((variant) => variant._id === change.variantId);
+  // what a price is for (ex: "/ tray (Tray of 30)")
+  const priceUnit = (change) => {
+    const variant = variantOf(change);
+    return variants.length > 1
+      ? `${perUnit(variant.unit)} (${variant.label})`
+      : perUnit(variant.unit);
+  };
+
+  /**
+   * fetchPrices:
+   * - Fetches the price history and the scheduled price changes of the product; only those of the given variants are shown.
+   */
+  const fetchPrices = useCallback(async () => {
+    if (!token) return;
+
+    try {
+      const response = await axios.get(`${url}/prices`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setHistory(response.data.history);
+      setScheduled(response.data.scheduled);
+    } catch (error) {
+      console.error("Error fetching prices:", error);
+    }
+  }, [url, token]);
+
+  useEffect(() => {
+    fetchPrices();
+  }, [fetchPrices]);
+
+  /**
+   * handleSchedule:
+   * - Schedules a new price. The picked time is local, so it is sent as an ISO date with its timezone.
+   */
+  const handleSchedule = async (e) => {
+    e.preventDefault();
+
+    try {
+      await axios.post(
+        `${url}/scheduledPrices`,
+        {
+          variantId,
+          price: newPrice === "" ? "" : Number(newPrice),
+          effectiveAt: effectiveAt && new Date(effectiveAt).toISOString(),
+        },
+        { headers }
+      );
+      setNewPrice("");
+      setEffectiveAt("");
+      setFieldErrors({});
+      fetchPrices();
+    } catch (error) {
+      console.error("Error scheduling price:", error);
+      if (error.response?.data?.errors) {
+        setFieldErrors(error.response.data.errors);
+      } else {
+        alert(error.response?.data?.error || "Unable to schedule price.");
+      }
+    }
+  };
+
+  const handleCancel = async (scheduleId) => {
+    if (!window.confirm("Cancel this price change?")) return;
+
+    try {
+      await axios.delete(`${url}/scheduledPrices/${scheduleId}`, { headers });
+      fetchPrices();
+    } catch (error) {
+      console.error("Error cancelling price:", error);
+      alert(error.response?.data?.error || "Unable to cancel price change.");
+    }
+  };
+
+  const shownHistory = history.filter(isShown);
+  const shownScheduled = scheduled.filter(isShown);
+
+  return (
+    <div className="flex flex-col gap-2">
+      <p className="font-bold">Upcoming Prices:</p>
+      {shownScheduled.length === 0 && (
+        <p className="font-medium">No price changes scheduled.</p>
+      )}
+      {shownScheduled.map((change) => (
+        <div key={change._id} className="flex justify-between gap-3">
+          <span className="font-medium">
+            PHP {change.price.toFixed(2)} {priceUnit(change)} from{" "}
+            {formatDateTime(change.effectiveAt)}
+          </span>
+          {editable && (
+            <button
+              className="font-bold text-red-500"
+              onClick={() => handleCancel(change._id)}
+              type="button"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      ))}
+
+      {editable && (
+        <form className="flex flex-col gap-2" onSubmit={handleSchedule}>
+          <div className="flex gap-2">
+            {variants.length > 1 && (
+              <select
+                className="input-box"
+                value={variantId}
+                onChange={(e) => setVariantId(e.target.value)}
+              >
+                {variants.map((variant) => (
+                  <option key={variant._id} value={variant._id}>
+                    {variant.label}
+                  </option>
+                ))}
+              </select>
+            )}
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              className="input-box"
+              placeholder="New price"
+              value={newPrice}
+              onChange={(e) => setNewPrice(e.target.value)}
+            />
+            <input
+              type="datetime-local"
+              className="input-box"
+              value={effectiveAt}
+              onChange={(e) => setEffectiveAt(e.target.value)}
+            />
+          </div>
+          <FieldError errors={fieldErrors} field="variantId" />
+          <FieldError errors={fieldErrors} field="price" />
+          <FieldError errors={fieldErrors} field="effectiveAt" />
+          <div className="self-end">
+            <button className="form-button" type="submit">
+              Schedule Price
+            </button>
+          </div>
+        </form>
+      )}
+
+      <p className="font-bold mt-4">Price History:</p>
+      {shownHistory.length === 0 && (
+        <p className="font-medium">No recorded price changes.</p>
+      )}
+      {shownHistory.map((change) => (
+        <p key={change._id} className="font-medium">
+          {formatDateTime(change.effectiveAt)} · PHP {change.price.toFixed(2)}{" "}
+          {priceUnit(change)}
+          {change.previousPrice !== null &&
+            ` (was PHP ${change.previousPrice.toFixed(2)})`}{" "}
+          · {SOURCE_LABELS[change.source]}
+          {change.changedBy?.email && ` by ${change.changedBy.email}`}
+        </p>
+      ))}
+    </div>
+  );
+}
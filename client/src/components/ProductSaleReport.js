@@ -1,6 +1,9 @@
 import { FaRegCircleXmark } from 'react-icons/fa6'
 import { useState, useEffect } from "react";
 import Lenis from "@studio-freight/lenis";
+import PriceTimeline from "./PriceTimeline";
+import { formatQuantity, perUnit } from "../utils/units";
+import { variantName } from "../utils/variants";
 
 export default function ProductSaleReport({ product }) {
   const [showModal, setShowModal] = useState(false);
@@ -42,7 +45,10 @@ export default function ProductSaleReport({ product }) {
                     alt=""
                     className="object-cover w-20 h-20 rounded-xl"
                 />
-                <h1 className="font-black">{product.name}</h1>
+                <h1 className="font-black">
+                    {variantName(product.name, product.variantLabel)}
+                    {product.archived && <span className="font-medium"> (archived)</span>}
+                </h1>
             </div>
             
             <div className="spacer mx-auto"></div>
@@ -68,21 +74,29 @@ export default function ProductSaleReport({ product }) {
                       </div>
                       <div className="relative p-6 flex-auto border-b border-solid border-blueGray-200 rounded-t">
                           <p className="font-bold">Product Name:</p>
-                          <p className="font-medium">{product.name}</p>
-                          <p className="font-bold">Product Type:</p>
-                          <p className="font-medium">{product.type === 1 ? "Crop" : "Poultry"}</p>
+                          <p className="font-medium">{product.name}{product.archived ? " (archived, no longer sold)" : ""}</p>
+                          <p className="font-bold">Variant:</p>
+                          <p className="font-medium">{product.variantLabel}</p>
+                          <p className="font-bold">Product Category:</p>
+                          <p className="font-medium">{product.category ?? "Uncategorized"}</p>
                           <p className="font-bold">Product Description:</p>
                           <p className="font-medium">{product.description}</p>
                       </div>
                       <div className="relative p-6 flex-auto border-b border-solid border-blueGray-200 rounded-t">
-                          <div className="font-bold">Product Price: <span className="font-medium">{product.price}</span></div>
-                          <div className="font-bold">Product Total Number Sold: <span className="font-medium">{product.totalQuantity}</span></div>
+                          <div className="font-bold">Product Price: <span className="font-medium">PHP {product.price} {perUnit(product.unit)}</span></div>
+                          <div className="font-bold">Product Total Number Sold: <span className="font-medium">{formatQuantity(product.totalQuantity, product.unit)}</span></div>
                       </div>
                       <div className="flex items-center justify-center relative p-6 flex-auto border-b border-solid border-blueGray-200 rounded-t">
                           <p className="font-black text-3xl">Total Sale</p>    
                           <div className="spacer mx-5"></div>
                           <p className="font-black text-3xl">P{product.totalSales.toFixed(2)}</p>
                       </div>
+                      <div className="relative p-6 flex-auto border-b border-solid border-blueGray-200 rounded-t">
+                          <PriceTimeline
+                              productId={product.productId}
+                              variants={[{ _id: product.variantId, label: product.variantLabel, unit: product.unit }]}
+                          />
+                      </div>
                   </div>
               </div>
           </div>
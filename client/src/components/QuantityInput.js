@@ -0,0 +1,60 @@
+import { useEffect, useState } from "react";
+import { isOrderQuantity } from "../utils/units";
+
+/**
+ * COMPONENT: QuantityInput
+ * PURPOSE: Lets the customer type the quantity of a product variant to order, in steps of the variant's order increment.
+ *
+ * PROPS:
+ *  - variant (Object): The variant being ordered, with its unit and order increment.
+ *  - max (number): The most that can be ordered, in the variant's unit.
+ *  - value (number): The current quantity.
+ *  - onChange (Function): Called with the new quantity once it is a multiple of the order increment from one step up to max.
+ *  - className (string): Classes of the input.
+ *
+ * STATE:
+ *  - draft (string): What is typed, which can be empty or off-step while the customer is typing.
+ *
+ * USAGE:
+ *  - Used on product cards, the product page and the cart in place of a select, so large quantities and small steps (ex: grams) can be ordered.
+ *
+ * NOTES:
+ *  - A typed quantity that cannot be ordered is put back to the current one when the input loses focus.
+ */
+
+export default function QuantityInput({
+  variant,
+  max,
+  value,
+  onChange,
+  className,
+}) {
+  const [draft, setDraft] = useState(String(value));
+
+  // the quantity is reset from outside when another variant is picked
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+
+  const handleChange = (e) => {
+    setDraft(e.target.value);
+    const quantity = Number(e.target.value);
+    if (e.target.value !== "" && isOrderQuantity(variant, quantity, max)) {
+      onChange(quantity);
+    }
+  };
+
+  return (
+    <input
+      type="number"
+      min={variant.orderIncrement ?? 1}
+      max={max}
+      step={variant.orderIncrement ?? 1}
+      value={draft}
+      onChange={handleChange}
+      onBlur={() => setDraft(String(value))}
+      className={className}
+      title="Quantity"
+    />
+  );
+}
@@ -1,5 +1,6 @@
-import { useRef, useContext } from "react";
+import { useRef, useContext, useState } from "react";
 import { AuthContext } from "../contexts/AuthContext";
+import FieldError from "./FieldError";
 
 /**
  * COMPONENT: RegisterForm
@@ -8,6 +9,9 @@ import { AuthContext } from "../contexts/AuthContext";
  * PROPS:
  *  - toggleFunc (Function): Function to switch between login and registration forms.
  *
+ * STATE:
+ *  - fieldErrors (Object): The backend's validation messages, shown below the matching inputs.
+ *
  * CONTEXT:
  *  - AuthContext: Provides the `register` function for user registration.
  *
@@ -23,20 +27,20 @@ export default function RegisterForm({ toggleFunc }) {
   const emailRef = useRef(null);
   const passwordRef = useRef(null);
   const { register } = useContext(AuthContext);
+  const [fieldErrors, setFieldErrors] = useState({});
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     const user = {
       firstName: firstNameRef.current.value,
       middleName: middleNameRef.current.value || "",
       lastName: lastNameRef.current.value,
       address: addressRef.current.value,
-      userType: "user",
       email: emailRef.current.value,
       password: passwordRef.current.value,
     };
 
-    register(user);
+    setFieldErrors((await register(user)) || {});
   };
 
   return (
@@ -57,6 +61,7 @@ export default function RegisterForm({ toggleFunc }) {
           placeholder="First Name"
           ref={firstNameRef}
         />
+        <FieldError errors={fieldErrors} field="firstName" />
         <input
           type="text"
           id="mname"
@@ -64,6 +69,7 @@ export default function RegisterForm({ toggleFunc }) {
           placeholder="Middle Name (Optional)"
           ref={middleNameRef}
         />
+        <FieldError errors={fieldErrors} field="middleName" />
 
         <input
           type="text"
@@ -73,6 +79,7 @@ export default function RegisterForm({ toggleFunc }) {
           placeholder="Last Name"
           ref={lastNameRef}
         />
+        <FieldError errors={fieldErrors} field="lastName" />
 
         <input
           type="text"
@@ -82,6 +89,7 @@ export default function RegisterForm({ toggleFunc }) {
           placeholder="Address"
           ref={addressRef}
         />
+        <FieldError errors={fieldErrors} field="address" />
 
         <input
           type="text"
@@ -91,6 +99,7 @@ export default function RegisterForm({ toggleFunc }) {
           placeholder="Email"
           ref={emailRef}
         />
+        <FieldError errors={fieldErrors} field="email" />
 
         <input
           type="password"
@@ -100,6 +109,7 @@ export default function RegisterForm({ toggleFunc }) {
           placeholder="Password"
           ref={passwordRef}
         />
+        <FieldError errors={fieldErrors} field="password" />
 
         <button className="form-button mt-8" type="submit">
           Sign up
@@ -1,9 +1,19 @@
 import { FaRegCircleCheck, FaRegCircleXmark  } from 'react-icons/fa6'
 import { useState, useEffect, useContext, useRef } from "react";
+import { AuthContext } from "../contexts/AuthContext";
+import { formatQuantity, perUnit } from "../utils/units";
+import { variantName } from "../utils/variants";
+import {
+  STATUS_LABELS,
+  SALE_STATUSES,
+  NEXT_ADMIN_STATUS,
+} from "../utils/orderStatus";
+import axios from "axios";
 
 export default function SaleReportCard({ users }) {
   const [showModal, setShowModal] = useState(false);
   const [selectedIndex, setSelectedIndex] = useState(null);
+  const { token } = useContext(AuthContext);
 
   const openModal = (index) => {
     setShowModal(true);
@@ -32,6 +42,28 @@ export default function SaleReportCard({ users }) {
         return total.toFixed(2);
       };
 
+    // moves the order to the next step of its lifecycle (ex: Confirmed -> Packed)
+    const advanceOrder = async (id, status) => {
+      setShowModal(false);
+      try {
+        await axios.post(
+          `${process.env.REACT_APP_BACKEND_URL}/admin/updateOrderStatus`,
+          { orderId: id, status },
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+      } catch (error) {
+        console.error("Error updating order status:", error);
+        alert(error.response?.data?.error || "Order status update failed.");
+      }
+      window.location.reload(); // refresh page to get current data
+    };
+
+    const statusBadge = (status) => (
+      <div className={`flex flex-col gap-1 rounded-xl px-4 py-2 font-black ${SALE_STATUSES.includes(status) ? "bg-[#80EF80]" : "bg-[#FF6961]"}`}>
+          <h1>{STATUS_LABELS[status]}</h1>
+      </div>
+    );
+
     return( 
         <div className="cart-container w-[800px]">
           <div className="list-container mt-8 flex flex-col gap-2 h-full">
@@ -55,15 +87,7 @@ export default function SaleReportCard({ users }) {
                             <div className="flex flex-col gap-1">
                                 <h1 className="font-bold">Total - P{getTotal(user.products).toFixed(2)}</h1>
                             </div>
-                            {user.status === 1 ? (
-                            <div className="flex flex-col gap-1 rounded-xl px-4 py-2 font-black bg-[#80EF80]">
-                                <h1>Confirmed</h1>
-                            </div>
-                            ) : (
-                            <div className="flex flex-col gap-1 rounded-xl px-4 py-2 font-black bg-[#FF6961]">
-                                <h1>Cancelled</h1>
-                            </div>
-                            )}
+                            {statusBadge(user.status)}
                         </div>
                     </div>
                     {user.products.map((product, key) => {
@@ -76,14 +100,16 @@ export default function SaleReportCard({ users }) {
                                       alt=""
                                       className="object-cover w-20 h-20 rounded-xl"z
                                     />
-                                    <h1 className="font-black">{product.name}</h1>
+                                    <h1 className="font-black">
+                                      {variantName(product.name, product.variantLabel)}
+                                    </h1>
                                 </div>
                                 
                                 <div className="spacer mx-auto"></div>
         
                             <div className="flex bg-white rounded-xl px-4 py-2 justify-between items-center">
                               <div className="flex items-end gap-1">
-                                <div className="font-black">x{product.count}</div>
+                                <div className="font-black">{formatQuantity(product.count, product.unit)}</div>
                               </div>
                             </div>
                           </div>
@@ -112,6 +138,9 @@ export default function SaleReportCard({ users }) {
                           <h1 className="font-bold">Delivery Information  <span className='font-light'> ({new Date(users[selectedIndex].dateTimeOrdered).toLocaleDateString('default', { month: 'long', day: 'numeric', year: 'numeric' })})</span></h1>
                           <p className="font-medium">{users[selectedIndex].name}</p>
                           <p className="font-medium">{users[selectedIndex].email}</p>
+                          {users[selectedIndex].deliveryAddress && (
+                              <p className="font-medium">{users[selectedIndex].deliveryAddress.label} · {users[selectedIndex].deliveryAddress.contactNumber}</p>
+                          )}
                           <p className="font-medium">{users[selectedIndex].address}</p>
                       </div>
                       <div className="relative p-6 flex-auto border-b border-solid border-blueGray-200 rounded-t">
@@ -126,14 +155,15 @@ export default function SaleReportCard({ users }) {
                                         className="object-cover w-20 h-20"
                                       />
                                       <div className="flex flex-col gap-1">
-                                        <h1 className="font-black">{product.name}</h1>
-                                        <h1 className="font-regular">{product.type}</h1>
+                                        <h1 className="font-black">
+                                          {variantName(product.name, product.variantLabel)}
+                                        </h1>
                                       </div>
                                       
                                       <div className="spacer mx-auto"></div>
 
                                       <div className="flex flex-col items-end gap-1">
-                                        <div className="font-regular">x{product.count}</div>
+                                        <div className="font-regular">{formatQuantity(product.count, product.unit)} × P{product.price} {perUnit(product.unit)}</div>
                                         <div className="font-semibold">P{(product.count * product.price).toFixed(2)}</div>
                                       </div>
                                   </div>
@@ -146,16 +176,24 @@ export default function SaleReportCard({ users }) {
                           <div className="spacer mx-auto"></div>
                           <h1 className="font-bold">P{getOverallSales()}</h1>
                           <div className="spacer mx-auto"></div>
-                          {users[selectedIndex].status === 1 ? (
-                            <div className="flex flex-col gap-1 rounded-xl px-4 py-2 font-black bg-[#80EF80]">
-                                <h1>Confirmed</h1>
-                            </div>
-                            ) : (
-                            <div className="flex flex-col gap-1 rounded-xl px-4 py-2 font-black bg-[#FF6961]">
-                                <h1>Cancelled</h1>
-                            </div>                                                                          
-                          )}
+                          {statusBadge(users[selectedIndex].status)}
                       </div>
+                      {NEXT_ADMIN_STATUS[users[selectedIndex].status] !== undefined && (
+                        <div className="flex items-center justify-end p-6">
+                          <button
+                            className="bg-[#40573C] text-white active:bg-emerald-600 font-bold uppercase text-sm px-6 py-3 rounded shadow hover:shadow-lg outline-none focus:outline-none mr-1 mb-1 ease-linear transition-all duration-150"
+                            type="button"
+                            onClick={() =>
+                              advanceOrder(
+                                users[selectedIndex]._id,
+                                NEXT_ADMIN_STATUS[users[selectedIndex].status]
+                              )
+                            }
+                          >
+                            Mark as {STATUS_LABELS[NEXT_ADMIN_STATUS[users[selectedIndex].status]]}
+                          </button>
+                        </div>
+                      )}
                   </div>
               </div>
           </div>
@@ -0,0 +1,110 @@
+import { useState, useContext, useEffect } from "react";
+import { AuthContext } from "../contexts/AuthContext";
+import { SEARCH_DELAY } from "../utils/productQuery";
+import { coverThumbnail } from "../utils/images";
+import axios from "axios";
+
+/**
+ * COMPONENT: SearchBox
+ * PURPOSE: The product search of the shop, suggesting products while the customer types.
+ *
+ * PROPS:
+ *  - value (string): The typed text.
+ *  - onChange (Function): Called with the typed text.
+ *  - onSearch (Function): Called with the text to search, when the form is sent or a suggestion is picked.
+ *
+ * STATE:
+ *  - suggestions (Array): The products that best match the typed text, as returned by /customer/searchSuggestions.
+ *
+ * CONTEXT:
+ *  - AuthContext: Used to access the user's authentication token.
+ *
+ * USAGE:
+ *  - Used in the filters of the Shop page.
+ *
+ * NOTES:
+ *  - The backend allows for typos and synonyms, so suggestions can have none of the typed words (ex: "itlog" suggests Eggs).
+ *  - Suggestions are only fetched from 2 letters on, once the customer stops typing.
+ */
+
+const MIN_LENGTH = 2;
+
+export default function SearchBox({ value, onChange, onSearch }) {
+  const { token } = useContext(AuthContext);
+
+  const [suggestions, setSuggestions] = useState([]);
+
+  useEffect(() => {
+    const search = value.trim();
+    if (!token || search.length < MIN_LENGTH) {
+      setSuggestions([]);
+      return;
+    }
+
+    let current = true;
+    const fetchSuggestions = async () => {
+      try {
+        const query = new URLSearchParams({ search });
+        const response = await axios.get(
+          `${process.env.REACT_APP_BACKEND_URL}/customer/searchSuggestions?${query}`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        if (current) setSuggestions(response.data);
+      } catch (error) {
+        console.error("Error fetching suggestions:", error);
+      }
+    };
+
+    const timer = setTimeout(fetchSuggestions, SEARCH_DELAY);
+    return () => {
+      current = false;
+      clearTimeout(timer);
+    };
+  }, [token, value]);
+
+  const search = (text) => {
+    setSuggestions([]);
+    onSearch(text);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    search(value);
+  };
+
+  const handlePick = (name) => {
+    onChange(name);
+    search(name);
+  };
+
+  return (
+    <form className="flex flex-col gap-2" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        placeholder="Name"
+        className="bg-white text-xl rounded-lg w-full p-4"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      />
+      {suggestions.length > 0 && (
+        <div className="flex flex-col bg-white rounded-lg p-2">
+          {suggestions.map((product) => (
+            <button
+              key={product._id}
+              type="button"
+              className="flex items-center gap-2 p-1 rounded-md hover:bg-green-50"
+              onClick={() => handlePick(product.name)}
+            >
+              <img
+                src={coverThumbnail(product)}
+                alt=""
+                className="object-cover w-10 h-10 rounded-md"
+              />
+              {product.name}
+            </button>
+          ))}
+        </div>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,69 @@
+import { useState } from "react";
+import { FaEdit, FaTrash } from "react-icons/fa";
+import SynonymForm from "./SynonymForm";
+
+/**
+ * COMPONENT: SynonymCard
+ * PURPOSE: Shows a synonym entry, with controls to edit or delete it.
+ *
+ * PROPS:
+ *  - synonym (Object): The entry, as returned by /admin/synonyms.
+ *  - onSave (Function): Called with the id and the edited fields; returns the request's promise.
+ *  - onDelete (Function): Called with the entry to delete it.
+ *
+ * STATE:
+ *  - editing (boolean): Whether the edit form is shown instead of the words.
+ *
+ * USAGE:
+ *  - Used on the admin search page, one card per entry.
+ */
+
+export default function SynonymCard({ synonym, onSave, onDelete }) {
+  const [editing, setEditing] = useState(false);
+
+  const handleSave = async (fields) => {
+    await onSave(synonym._id, fields);
+    setEditing(false);
+  };
+
+  return (
+    <div className="w-full bg-[#F2F2F2] rounded-xl px-4 py-2">
+      {editing ? (
+        <SynonymForm
+          synonym={synonym}
+          onSubmit={handleSave}
+          onCancel={() => setEditing(false)}
+          submitLabel="Save"
+        />
+      ) : (
+        <div className="flex items-center gap-3">
+          <div className="flex flex-col">
+            <h1 className="font-black">{synonym.term}</h1>
+            <span className="text-sm">
+              {synonym.synonyms.length > 0
+                ? synonym.synonyms.join(", ")
+                : "No synonyms yet"}
+            </span>
+          </div>
+
+          <div className="spacer mx-auto"></div>
+
+          <button
+            className="bg-white rounded-full p-2"
+            onClick={() => setEditing(true)}
+            title="Edit"
+          >
+            <FaEdit />
+          </button>
+          <button
+            className="bg-white rounded-full p-2"
+            onClick={() => onDelete(synonym)}
+            title="Delete"
+          >
+            <FaTrash />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
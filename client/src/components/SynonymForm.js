@@ -0,0 +1,114 @@
+import { useState } from "react";
+import FieldError from "./FieldError";
+
+/**
+ * COMPONENT: SynonymForm
+ * PURPOSE: The fields of a synonym entry (a word of the catalog and the other words shoppers use for it), for adding or editing one.
+ *
+ * PROPS:
+ *  - synonym (Object): The entry being edited, or nothing for a new one.
+ *  - onSubmit (Function): Called with the fields; returns a promise that rejects with the axios error if the backend refuses them.
+ *  - onCancel (Function): Optional. Shows a "Cancel" button that calls it.
+ *  - submitLabel (string): The text of the submit button.
+ *
+ * STATE:
+ *  - form (Object): The typed fields; the synonyms are typed separated by commas.
+ *  - fieldErrors (Object): The backend's validation messages, shown below the matching inputs.
+ *
+ * USAGE:
+ *  - Used on the admin search page, to add an entry and in each SynonymCard to edit it.
+ */
+
+export default function SynonymForm({ synonym, onSubmit, onCancel, submitLabel }) {
+  const emptyForm = {
+    term: synonym?.term ?? "",
+    synonyms: synonym?.synonyms.join(", ") ?? "",
+  };
+  const [form, setForm] = useState(emptyForm);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleChange = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  /**
+   * handleSubmit:
+   * - Sends the term and the synonyms as a list, without blanks.
+   * - Clears the form after adding an entry, or shows the backend's messages if it refused them.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const fields = {
+      term: form.term,
+      synonyms: form.synonyms
+        .split(",")
+        .map((word) => word.trim())
+        .filter(Boolean),
+    };
+
+    try {
+      await onSubmit(fields);
+      setFieldErrors({});
+      if (!synonym) setForm(emptyForm);
+    } catch (error) {
+      console.error("Error saving synonym:", error);
+      if (error.response?.data?.errors) {
+        setFieldErrors(error.response.data.errors);
+      } else {
+        alert(error.response?.data?.error || "Unable to save synonym.");
+      }
+    }
+  };
+
+  // the synonyms are typed in one input, so the message of any of them is
+  // shown below it
+  const synonymError = Object.entries(fieldErrors).find(([field]) =>
+    field.startsWith("synonyms")
+  );
+
+  return (
+    <form className="flex flex-col gap-2" onSubmit={handleSubmit}>
+      <div className="flex gap-2">
+        <div className="w-full">
+          <input
+            type="text"
+            className="input-box"
+            placeholder="Word in product names (ex: egg)"
+            value={form.term}
+            onChange={handleChange("term")}
+          />
+          <FieldError errors={fieldErrors} field="term" />
+        </div>
+        <div className="w-full">
+          <input
+            type="text"
+            className="input-box"
+            placeholder="Other words, separated by commas (ex: itlog)"
+            value={form.synonyms}
+            onChange={handleChange("synonyms")}
+          />
+          {synonymError && (
+            <FieldError
+              errors={{ synonyms: synonymError[1] }}
+              field="synonyms"
+            />
+          )}
+        </div>
+      </div>
+      <div className="flex gap-2 self-end">
+        {onCancel && (
+          <button
+            className="font-bold text-red-500"
+            type="button"
+            onClick={onCancel}
+          >
+            Cancel
+          </button>
+        )}
+        <button className="form-button" type="submit">
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -1,13 +1,137 @@
-import { useState } from "react";
+import { useState, useContext } from "react";
+import axios from "axios";
 import { FaRegCircleXmark  } from 'react-icons/fa6'
+import { AuthContext } from "../contexts/AuthContext";
+import { STATUS_LABELS } from "../utils/orderStatus";
 
-export default function UserCard({ users }) {
+const ROLE_LABELS = {
+    user: "Customer",
+    staff: "Staff",
+    admin: "Admin",
+};
+
+/**
+ * COMPONENT: UserCard
+ * PURPOSE: Lists users, and shows the details, order history and account actions of the one clicked.
+ *
+ * PROPS:
+ *  - users (Array): The users returned by /admin/registeredUsers.
+ *  - onChange (Function): Called after an action changes a user, so the list can be fetched again.
+ *
+ * STATE:
+ *  - showModal (boolean): Whether the details of a user are shown.
+ *  - selectedIndex (number | null): The index of the user whose details are shown.
+ *  - details (Object | null): The orders and lifetime spend of that user, from /admin/users/:userId.
+ *
+ * USAGE:
+ *  - Used on the admin users page.
+ */
+
+export default function UserCard({ users, onChange }) {
+    const { token } = useContext(AuthContext);
     const [showModal, setShowModal] = useState(false);
     const [selectedIndex, setSelectedIndex] = useState(null);
+    const [details, setDetails] = useState(null);
+
+    // fetch the order history and lifetime spend of a user
+    const fetchDetails = async (user) => {
+        setDetails(null);
+        try {
+            const response = await axios.get(
+                `${process.env.REACT_APP_BACKEND_URL}/admin/users/${user._id}`,
+                { headers: { Authorization: `Bearer ${token}` } }
+            );
+            setDetails(response.data);
+        } catch (error) {
+            console.error("Error fetching user:", error);
+        }
+    };
+
+    // post an admin action on a user, then close the details and let the page
+    // refresh the list, since the user may no longer match its filters
+    const runAction = async (path, body, fallbackError) => {
+        try {
+            const response = await axios.post(
+                `${process.env.REACT_APP_BACKEND_URL}/admin/${path}`,
+                body,
+                { headers: { Authorization: `Bearer ${token}` } }
+            );
+            alert(response.data.message);
+            setShowModal(false);
+            if (onChange) {
+                onChange();
+            }
+        } catch (error) {
+            console.error(`Error on ${path}:`, error);
+            alert(error.response?.data?.error || fallbackError);
+        }
+    };
+
+    const toggleActive = (user) => {
+        if (user.active === false) {
+            runAction("reactivateUser", { userId: user._id }, "Unable to reactivate user.");
+        } else if (window.confirm(`Deactivate ${user.email}? They will be logged out and unable to log in.`)) {
+            runAction("deactivateUser", { userId: user._id }, "Unable to deactivate user.");
+        }
+    };
+
+    // promoting is confirmed by typing the user's email again
+    // role is "staff" (can fulfil orders) or "admin" (full access)
+    const promote = (user, role) => {
+        const access = role === "admin" ? "full admin access" : "staff access to fulfil orders";
+        const confirmEmail = window.prompt(
+            `This gives ${user.email} ${access}. Type their email to confirm.`
+        );
+        if (confirmEmail === null) {
+            return;
+        }
+        runAction("promoteUser", { userId: user._id, confirmEmail, role }, "Unable to promote user.");
+    };
+
+    const forcePasswordReset = (user) => {
+        if (window.confirm(`Require ${user.email} to reset their password? They will be logged out until they do.`)) {
+            runAction("forcePasswordReset", { userId: user._id }, "Unable to require a password reset.");
+        }
+    };
+
+    // email the selected user a new verification link
+    const resendVerification = async (user) => {
+        try {
+            const response = await axios.post(
+                `${process.env.REACT_APP_BACKEND_URL}/admin/resendVerification`,
+                { userId: user._id },
+                { headers: { Authorization: `Bearer ${token}` } }
+            );
+            alert(response.data.message);
+        } catch (error) {
+            console.error("Error resending verification:", error);
+            alert(error.response?.data?.error || "Unable to send verification email.");
+        }
+    };
+
+    // log the selected user out of every session
+    const revokeSessions = async (user) => {
+        if (!window.confirm(`Log ${user.email} out of all devices?`)) {
+            return;
+        }
+
+        try {
+            const response = await axios.post(
+                `${process.env.REACT_APP_BACKEND_URL}/admin/revokeUserSessions`,
+                { userId: user._id },
+                { headers: { Authorization: `Bearer ${token}` } }
+            );
+            alert(response.data.message);
+        } catch (error) {
+            console.error("Error revoking sessions:", error);
+            alert(error.response?.data?.error || "Unable to revoke sessions.");
+        }
+    };
 
     const openModal = (index) => {
         setShowModal(true);
         setSelectedIndex(index);
+        fetchDetails(users[index]);
     };
 
     return (
@@ -22,6 +146,13 @@ export default function UserCard({ users }) {
                         <div className="flex h-full items-center gap-3">
                             <div className="flex flex-col gap-1">
                                 <h1 className="font-black">{user.firstName} {user.middleName} {user.lastName}</h1>
+                                {(user.userType !== "user" || user.active === false) && (
+                                    <span className="text-sm">
+                                        {user.userType !== "user" ? ROLE_LABELS[user.userType] : ""}
+                                        {user.userType !== "user" && user.active === false ? " · " : ""}
+                                        {user.active === false ? "Deactivated" : ""}
+                                    </span>
+                                )}
                             </div>
                     
                             <div className="spacer mx-auto"></div>
@@ -29,6 +160,9 @@ export default function UserCard({ users }) {
                             <div className="flex justify-between items-center">
                                 <div className="flex items-end gap-1">
                                     <div className="font-black">{user.email}</div>
+                                    {user.emailVerified === false && (
+                                        <div className="text-sm text-red-500">(unverified)</div>
+                                    )}
                                 </div>
                             </div>
                         </div>
@@ -51,8 +185,77 @@ export default function UserCard({ users }) {
                                 </div>
                                 <div className="relative p-6 flex-auto">
                                     <h1 className="font-bold">Name: <p className="font-medium">{users[selectedIndex].firstName} {users[selectedIndex].middleName} {users[selectedIndex].lastName}</p></h1>
-                                    <div className="font-bold">Email: <p className="font-medium">{users[selectedIndex].email}</p></div>
+                                    <div className="font-bold">Email: <p className="font-medium">{users[selectedIndex].email} ({users[selectedIndex].emailVerified === false ? "unverified" : "verified"})</p></div>
                                     <div className="font-bold">Address: <p className="font-medium">{users[selectedIndex].address}</p></div>
+                                    <div className="font-bold">Account: <p className="font-medium">
+                                        {ROLE_LABELS[users[selectedIndex].userType]},{" "}
+                                        {users[selectedIndex].active === false ? "deactivated" : "active"}
+                                        {users[selectedIndex].passwordResetRequired ? ", must reset password" : ""}
+                                    </p></div>
+                                    {details && (
+                                        <>
+                                            <div className="font-bold">Lifetime Spend: <p className="font-medium">PHP {details.lifetimeSpend.toFixed(2)}</p></div>
+                                            <div className="font-bold">Orders ({details.orderCount}):</div>
+                                            <div>
+                                                {details.orders.length === 0 && (
+                                                    <p className="font-medium">No orders yet.</p>
+                                                )}
+                                                {details.orders.map((order) => (
+                                                    <p key={order._id} className="font-medium">
+                                                        {new Date(order.dateTimeOrdered).toLocaleDateString()} · {STATUS_LABELS[order.status]} · PHP {(order.totalOrderSales || 0).toFixed(2)}
+                                                    </p>
+                                                ))}
+                                            </div>
+                                        </>
+                                    )}
+                                    {users[selectedIndex].emailVerified === false && (
+                                        <button
+                                            className="mt-4 mr-2 bg-[#40573C] text-white font-semibold rounded-full px-4 py-2"
+                                            onClick={() => resendVerification(users[selectedIndex])}
+                                            type="button"
+                                        >
+                                            Resend verification
+                                        </button>
+                                    )}
+                                    <button
+                                        className="mt-4 mr-2 bg-[#40573C] text-white font-semibold rounded-full px-4 py-2"
+                                        onClick={() => revokeSessions(users[selectedIndex])}
+                                        type="button"
+                                    >
+                                        Revoke all sessions
+                                    </button>
+                                    <button
+                                        className="mt-4 mr-2 bg-[#40573C] text-white font-semibold rounded-full px-4 py-2"
+                                        onClick={() => forcePasswordReset(users[selectedIndex])}
+                                        type="button"
+                                    >
+                                        Require password reset
+                                    </button>
+                                    {users[selectedIndex].userType === "user" && users[selectedIndex].active !== false && (
+                                        <button
+                                            className="mt-4 mr-2 bg-[#40573C] text-white font-semibold rounded-full px-4 py-2"
+                                            onClick={() => promote(users[selectedIndex], "staff")}
+                                            type="button"
+                                        >
+                                            Make staff
+                                        </button>
+                                    )}
+                                    {users[selectedIndex].userType !== "admin" && users[selectedIndex].active !== false && (
+                                        <button
+                                            className="mt-4 mr-2 bg-[#40573C] text-white font-semibold rounded-full px-4 py-2"
+                                            onClick={() => promote(users[selectedIndex], "admin")}
+                                            type="button"
+                                        >
+                                            Promote to admin
+                                        </button>
+                                    )}
+                                    <button
+                                        className="mt-4 bg-[#FF6961] text-white font-semibold rounded-full px-4 py-2"
+                                        onClick={() => toggleActive(users[selectedIndex])}
+                                        type="button"
+                                    >
+                                        {users[selectedIndex].active === false ? "Reactivate" : "Deactivate"}
+                                    </button>
                                 </div>
                             </div>
                         </div>
@@ -0,0 +1,172 @@
+import { useState } from "react";
+import FieldError from "./FieldError";
+import { UNITS, isFractional } from "../utils/units";
+
+/**
+ * COMPONENT: VariantForm
+ * PURPOSE: The fields of a product variant (label, price, unit, order increment and image), for adding or editing one.
+ *
+ * PROPS:
+ *  - variant (Object): The variant being edited, or nothing for a new one.
+ *  - onSubmit (Function): Called with the fields; returns a promise that rejects with the axios error if the backend refuses them.
+ *  - onCancel (Function): Optional. Shows a "Cancel" button that calls it.
+ *  - submitLabel (string): The text of the submit button.
+ *
+ * STATE:
+ *  - form (Object): The typed fields.
+ *  - fieldErrors (Object): The backend's validation messages, shown below the matching inputs.
+ *
+ * USAGE:
+ *  - Used in the AdminProductDetail modal, to add a variant and to edit each one.
+ *
+ * NOTES:
+ *  - The stock on hand is only set here for a new variant; after that it is updated on the InventoryCard.
+ */
+
+export default function VariantForm({ variant, onSubmit, onCancel, submitLabel }) {
+  const emptyForm = {
+    label: variant?.label ?? "",
+    price: variant?.price ?? "",
+    unit: variant?.unit ?? "piece",
+    orderIncrement: variant?.orderIncrement ?? 1,
+    quantity: "",
+    imageUrl: variant?.imageUrl ?? "",
+  };
+  const [form, setForm] = useState(emptyForm);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleChange = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const toNumber = (value) => (value === "" ? "" : Number(value));
+
+  /**
+   * handleSubmit:
+   * - Sends the fields. A blank image is sent as null, so the variant shows the product's image.
+   * - Clears the form after adding a variant, or shows the backend's messages if it refused them.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const fields = {
+      label: form.label,
+      price: toNumber(form.price),
+      unit: form.unit,
+      orderIncrement: toNumber(form.orderIncrement),
+      imageUrl: form.imageUrl || null,
+    };
+    if (!variant) fields.quantity = toNumber(form.quantity);
+
+    try {
+      await onSubmit(fields);
+      setFieldErrors({});
+      if (!variant) setForm(emptyForm);
+    } catch (error) {
+      console.error("Error saving variant:", error);
+      if (error.response?.data?.errors) {
+        setFieldErrors(error.response.data.errors);
+      } else {
+        alert(error.response?.data?.error || "Unable to save variant.");
+      }
+    }
+  };
+
+  const step = isFractional(form.unit) ? "0.001" : "1";
+
+  return (
+    <form className="flex flex-col gap-2" onSubmit={handleSubmit}>
+      <div className="flex gap-2">
+        <div className="w-full">
+          <input
+            type="text"
+            className="input-box"
+            placeholder="Label (ex: Tray of 30)"
+            value={form.label}
+            onChange={handleChange("label")}
+          />
+          <FieldError errors={fieldErrors} field="label" />
+        </div>
+        <div className="w-full">
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            className="input-box"
+            placeholder="Price"
+            value={form.price}
+            onChange={handleChange("price")}
+          />
+          <FieldError errors={fieldErrors} field="price" />
+        </div>
+      </div>
+      <div className="flex gap-2">
+        <div className="w-full">
+          <select
+            className="input-box"
+            value={form.unit}
+            onChange={handleChange("unit")}
+          >
+            {UNITS.map((unit) => (
+              <option key={unit} value={unit}>
+                Sold by the {unit}
+              </option>
+            ))}
+          </select>
+          <FieldError errors={fieldErrors} field="unit" />
+        </div>
+        <div className="w-full">
+          <input
+            type="number"
+            min="0"
+            step={step}
+            className="input-box"
+            placeholder="Order increment (ex: 0.25)"
+            value={form.orderIncrement}
+            onChange={handleChange("orderIncrement")}
+          />
+          <FieldError errors={fieldErrors} field="orderIncrement" />
+        </div>
+      </div>
+      <div className="flex gap-2">
+        {!variant && (
+          <div className="w-full">
+            <input
+              type="number"
+              min="0"
+              step={step}
+              className="input-box"
+              placeholder="Stock on hand"
+              value={form.quantity}
+              onChange={handleChange("quantity")}
+            />
+            <FieldError errors={fieldErrors} field="quantity" />
+          </div>
+        )}
+        <div className="w-full">
+          <input
+            type="text"
+            className="input-box"
+            placeholder="Image URL (optional)"
+            value={form.imageUrl}
+            onChange={handleChange("imageUrl")}
+          />
+          <FieldError errors={fieldErrors} field="imageUrl" />
+        </div>
+      </div>
+      <div className="flex gap-2 self-end">
+        {onCancel && (
+          <button
+            className="font-bold text-red-500"
+            type="button"
+            onClick={onCancel}
+          >
+            Cancel
+          </button>
+        )}
+        <button className="form-button" type="submit">
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -1,6 +1,8 @@
-import { createContext, useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { createContext, useState, useEffect, useRef, useCallback } from "react";
+import { useNavigate, useLocation } from "react-router-dom";
+import { jwtDecode } from "jwt-decode";
 import axios from "axios";
+import { homePathFor } from "../utils/permissions";
 
 /**
  * CONTEXT: AuthProvider
@@ -11,26 +13,66 @@ import axios from "axios";
  *    - checkAuth (Function): A function to check authentication status and update state.
  *    - login (Function): A function to handle user login.
  *    - logout (Function): A function to handle user logout.
+ *    - logoutEverywhere (Function): A function to log the user out of every session, on every device.
+ *    - refreshSession (Function): A function to renew the access token using the refresh token cookie.
+ *    - storeSession (Function): A function to save a session returned by the backend (ex: the new access token after a password change).
  *    - register (Function): A function to handle user registration.
+ *    - requestPasswordReset (Function): A function to have a password reset link emailed.
+ *    - resetPassword (Function): A function to set a new password with the token from a reset link.
  *    - isAuthenticated (boolean): Indicates whether a user is currently authenticated.
  *    - userEmail (string or null): The email of the currently logged-in user.
  *    - userFirstName (string or null): The first name of the currently logged-in user.
+ *    - userEmailVerified (boolean): Whether the currently logged-in user has verified their email.
+ *    - userPermissions (Array): The permissions of the currently logged-in user's role (ex: "orders:fulfil").
+ *    - hasPermission (Function): A function to check whether the currently logged-in user has a permission.
+ *    - verifyEmail (Function): A function to verify an email with the token from a verification link.
+ *    - resendVerification (Function): A function to have the verification link emailed again.
  *
  * USAGE:
  *  - Wraps the entire application to provide authentication context and functionality.
+ *
+ * NOTES:
+ *  - Access tokens are short-lived. They are renewed shortly before they expire, and any axios
+ *    request rejected with a 401 is retried once after a renewal. If renewal fails, the user is logged out.
  */
 
+// requests to these routes are never retried after a renewal
+const AUTH_ROUTES = [
+  "/auth/login",
+  "/auth/refresh",
+  "/auth/logout",
+  "/auth/logoutEverywhere",
+];
+
+// renew the access token this long before it expires
+const RENEW_BEFORE_EXPIRY_MS = 60 * 1000;
+
+// turn a wait in seconds into words for the login form
+const formatWait = (seconds) => {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+};
+
 export const AuthContext = createContext();
 
 export const AuthProvider = ({ children }) => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [token, setToken] = useState(null);
   const navigate = useNavigate();
+  const location = useLocation();
 
   const [userEmail, setUserEmail] = useState(null);
   const [userFirstName, setUserFirstName] = useState(null);
   const [userType, setUserType] = useState(null);
   const [userAddress, setUserAddress] = useState(null);
+  const [userEmailVerified, setUserEmailVerified] = useState(true);
+  const [userPermissions, setUserPermissions] = useState([]);
+
+  // the renewal in progress, shared by every request waiting on it
+  const refreshPromise = useRef(null);
 
   /**
    * checkAuth:
@@ -38,12 +80,14 @@ export const AuthProvider = ({ children }) => {
    * - If found, it sets authentication state to 'true', updates user data, and indicates successful login.
    * - If not found, it sets authentication state to 'false', indicating no active login session.
    */
-  const checkAuth = () => {
+  const checkAuth = useCallback(() => {
     const storedToken = localStorage.getItem("token");
     const storedEmail = localStorage.getItem("email");
     const storedFirstName = localStorage.getItem("firstName");
     const storedUserType = localStorage.getItem("userType");
     const storedAddress = localStorage.getItem("address");
+    const storedEmailVerified = localStorage.getItem("emailVerified");
+    const storedPermissions = localStorage.getItem("permissions");
 
     if (storedToken) {
       setToken(storedToken);
@@ -51,11 +95,13 @@ export const AuthProvider = ({ children }) => {
       setUserFirstName(storedFirstName);
       setUserType(storedUserType);
       setUserAddress(storedAddress);
+      setUserEmailVerified(storedEmailVerified !== "false");
+      setUserPermissions(storedPermissions ? JSON.parse(storedPermissions) : []);
       setIsAuthenticated(true);
     } else {
       setIsAuthenticated(false);
     }
-  };
+  }, []);
 
   /**
    * useEffect (for initial auth check):
@@ -64,13 +110,63 @@ export const AuthProvider = ({ children }) => {
    */
   useEffect(() => {
     checkAuth();
-  }, []);
+  }, [checkAuth]);
+
+  /**
+   * storeSession:
+   * - Saves the access token and user data returned by the backend to local storage and state.
+   */
+  const storeSession = useCallback((data) => {
+    localStorage.setItem("token", data.token);
+    localStorage.setItem("email", data.email);
+    localStorage.setItem("firstName", data.firstName);
+    localStorage.setItem("userType", data.userType);
+    localStorage.setItem("address", data.address);
+    localStorage.setItem("emailVerified", data.emailVerified);
+    localStorage.setItem("permissions", JSON.stringify(data.permissions || []));
+    checkAuth();
+  }, [checkAuth]);
+
+  /**
+   * clearSession:
+   * - Clears authentication state, token, and stored user data.
+   */
+  const clearSession = useCallback(() => {
+    setIsAuthenticated(false);
+    setToken(null);
+
+    localStorage.removeItem("token");
+    localStorage.removeItem("email");
+    localStorage.removeItem("firstName");
+    localStorage.removeItem("userType");
+    localStorage.removeItem("address");
+    localStorage.removeItem("emailVerified");
+    localStorage.removeItem("permissions");
+
+    checkAuth();
+    setUserEmail(null);
+    setUserFirstName(null);
+    setUserType(null);
+    setUserAddress(null);
+    setUserPermissions([]);
+    setUserEmailVerified(true);
+  }, [checkAuth]);
+
+  /**
+   * hasPermission:
+   * - Checks whether the logged-in user's role has the given permission (see utils/permissions.js).
+   */
+  const hasPermission = (permission) => userPermissions.includes(permission);
 
   /**
    * login:
    * - Sends a login request to the backend.
-   * - If successful, updates authentication state, stores the token, user data, and redirects to the home page.
+   * - If successful, updates authentication state, stores the token, user data, and redirects to the home page
+   *   (the shop for customers, or the first admin page their permissions allow). Customers sent to the login page
+   *   by a link (ex: to a product page) are taken back to it instead.
+   * - The backend also sets the refresh token cookie used by `refreshSession`.
    * - If unsuccessful, logs an error and handles the error response appropriately.
+   * - After too many failed attempts, the message tells the user how long to wait.
    */
   const login = async (email, password) => {
     try {
@@ -79,34 +175,39 @@ export const AuthProvider = ({ children }) => {
         {
           email,
           password,
-        }
+        },
+        { withCredentials: true }
       );
       if (response.status === 200) {
-        setIsAuthenticated(true);
-        setToken(response.data.token);
-        localStorage.setItem("token", response.data.token);
-        localStorage.setItem("email", email);
-        localStorage.setItem("firstName", response.data.firstName);
-        localStorage.setItem("userType", response.data.userType);
-        localStorage.setItem("address", response.data.address);
-        checkAuth();
-
-        setUserEmail(email);
-        setUserFirstName(response.data.firstName);
-        setUserAddress(response.data.address);
-
-        if (response.data.userType === "admin") {
-          navigate("/admin");
+        storeSession(response.data);
+        const permissions = response.data.permissions || [];
+        // every customer page is open to every customer, so the link they
+        // followed is safe to go back to
+        const from = location.state?.from;
+        if (from && permissions.length === 0) {
+          navigate(from, { replace: true });
         } else {
-          navigate("/");
+          navigate(homePathFor(permissions));
         }
       } else {
         return response.data.error;
       }
     } catch (error) {
       console.error("Error loggin in:", error);
-      if (error.response.status === 401) {
+      const retryAfter = error.response?.data?.retryAfter;
+      if (error.response?.status === 429) {
+        return `Too many failed attempts. Please try again in ${formatWait(
+          retryAfter
+        )}.`;
+      } else if (error.response?.status === 401 && retryAfter > 0) {
+        return `Wrong email or password. Please wait ${formatWait(
+          retryAfter
+        )} before trying again.`;
+      } else if (error.response?.status === 401) {
         return "Wrong email or password. Please try again";
+      } else if (error.response?.status === 403) {
+        // deactivated, or required by an admin to reset the password
+        return error.response.data.error;
       } else {
         return "An error occured during login";
       }
@@ -115,31 +216,154 @@ export const AuthProvider = ({ children }) => {
 
   /**
    * logout:
+   * - Asks the backend to revoke the current access and refresh tokens.
    * - Clears authentication state and token.
    * - Removes stored data from local storage.
    * - Redirects the user to the login page.
+   * - The local session is cleared even if the backend cannot be reached.
    */
-  const logout = () => {
-    setIsAuthenticated(false);
-    setToken(null);
-
-    localStorage.removeItem("token");
-    localStorage.removeItem("email");
-    localStorage.removeItem("firstName");
-    localStorage.removeItem("address");
-
-    checkAuth();
-    setUserEmail(null);
-    setUserFirstName(null);
-    setUserAddress(null);
+  const logout = useCallback(async () => {
+    const storedToken = localStorage.getItem("token");
+    try {
+      await axios.post(
+        `${process.env.REACT_APP_BACKEND_URL}/auth/logout`,
+        {},
+        {
+          withCredentials: true,
+          headers: storedToken
+            ? { Authorization: `Bearer ${storedToken}` }
+            : {},
+        }
+      );
+    } catch (error) {
+      console.error("Error logging out:", error);
+    }
+    clearSession();
     navigate("/login");
+  }, [clearSession, navigate]);
+
+  /**
+   * logoutEverywhere:
+   * - Asks the backend to revoke every session of the user, on every device.
+   * - If successful, clears the local session and redirects to the login page.
+   * - If unsuccessful, alerts the user and keeps them logged in.
+   */
+  const logoutEverywhere = async () => {
+    try {
+      await axios.post(
+        `${process.env.REACT_APP_BACKEND_URL}/auth/logoutEverywhere`,
+        {},
+        {
+          withCredentials: true,
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+      clearSession();
+      navigate("/login");
+    } catch (error) {
+      console.error("Error logging out everywhere:", error);
+      alert(error.response?.data?.error || "Unable to log out everywhere");
+    }
   };
 
+  /**
+   * refreshSession:
+   * - Trades the refresh token cookie for a new access token and stores it.
+   * - Concurrent calls share one request, since the refresh token is rotated on every use.
+   * - If renewal fails, the user is logged out.
+   * - Returns the new access token, or null if renewal failed.
+   */
+  const refreshSession = useCallback(() => {
+    if (!refreshPromise.current) {
+      refreshPromise.current = axios
+        .post(
+          `${process.env.REACT_APP_BACKEND_URL}/auth/refresh`,
+          {},
+          { withCredentials: true }
+        )
+        .then((response) => {
+          storeSession(response.data);
+          return response.data.token;
+        })
+        .catch((error) => {
+          console.error("Error refreshing session:", error);
+          logout();
+          return null;
+        })
+        .finally(() => {
+          refreshPromise.current = null;
+        });
+    }
+    return refreshPromise.current;
+  }, [storeSession, logout]);
+
+  /**
+   * useEffect (for retrying expired requests):
+   * - Registers an axios interceptor that renews the access token when a request fails with a 401.
+   * - The failed request is retried once with the new token.
+   */
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const request = error.config;
+        const isAuthRoute = AUTH_ROUTES.some((route) =>
+          request?.url?.includes(route)
+        );
+
+        if (
+          error.response?.status !== 401 ||
+          !request ||
+          request.retried ||
+          isAuthRoute
+        ) {
+          return Promise.reject(error);
+        }
+
+        request.retried = true;
+        const newToken = await refreshSession();
+        if (!newToken) {
+          return Promise.reject(error);
+        }
+        request.headers.Authorization = `Bearer ${newToken}`;
+        return axios(request);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [refreshSession]);
+
+  /**
+   * useEffect (for silent renewal):
+   * - Schedules a renewal of the access token shortly before it expires.
+   * - An already expired token is renewed right away.
+   */
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    let expiresAt;
+    try {
+      expiresAt = jwtDecode(token).exp * 1000;
+    } catch (error) {
+      console.error("Invalid token:", error);
+      return;
+    }
+
+    const timer = setTimeout(
+      refreshSession,
+      Math.max(0, expiresAt - Date.now() - RENEW_BEFORE_EXPIRY_MS)
+    );
+    return () => clearTimeout(timer);
+  }, [token, refreshSession]);
+
   /**
    * register:
    * - Sends a registration request to the backend with the provided user data.
-   * - If successful, displays a success message and redirects to the login page.
-   * - If unsuccessful, displays an error message.
+   * - If successful, tells the user to verify their email before ordering, and redirects to the login page.
+   * - If the backend rejects some fields, returns its errors per field so the form can show them.
+   * - If unsuccessful otherwise, displays an error message.
    */
   const register = async (userData) => {
     try {
@@ -149,17 +373,112 @@ export const AuthProvider = ({ children }) => {
       );
 
       if (response.status === 201) {
-        alert("Registration successful! Please log in.");
+        alert(
+          "Registration successful! We sent you an email with a verification link; verify your email before ordering. Please log in."
+        );
         navigate("/");
       } else {
         alert(response.data.error);
       }
     } catch (error) {
       console.error("Error registering:", error);
+      if (error.response?.data?.errors) {
+        return error.response.data.errors;
+      }
       alert("An error occured during registration");
     }
   };
 
+  /**
+   * requestPasswordReset:
+   * - Asks the backend to email a password reset link to the given address.
+   * - Returns { message } if successful, or { error, errors } with the backend's messages if not.
+   */
+  const requestPasswordReset = async (email) => {
+    try {
+      const response = await axios.post(
+        `${process.env.REACT_APP_BACKEND_URL}/auth/forgot-password`,
+        { email }
+      );
+      return { message: response.data.message };
+    } catch (error) {
+      console.error("Error requesting password reset:", error);
+      return {
+        error:
+          error.response?.data?.error || "An error occured. Please try again",
+        errors: error.response?.data?.errors,
+      };
+    }
+  };
+
+  /**
+   * resetPassword:
+   * - Sends the token from the reset link and the new password to the backend.
+   * - Returns { message } if successful, or { error, errors } with the backend's messages if not.
+   */
+  const resetPassword = async (resetToken, password) => {
+    try {
+      const response = await axios.post(
+        `${process.env.REACT_APP_BACKEND_URL}/auth/reset-password`,
+        { token: resetToken, password }
+      );
+      return { message: response.data.message };
+    } catch (error) {
+      console.error("Error resetting password:", error);
+      return {
+        error:
+          error.response?.data?.error || "An error occured. Please try again",
+        errors: error.response?.data?.errors,
+      };
+    }
+  };
+
+  /**
+   * verifyEmail:
+   * - Sends the token from the verification link to the backend.
+   * - If the user is logged in, renews the session so it knows the email is verified.
+   * - Returns { message } if successful, or { error } with the backend's message if not.
+   */
+  const verifyEmail = useCallback(async (verificationToken) => {
+    try {
+      const response = await axios.post(
+        `${process.env.REACT_APP_BACKEND_URL}/auth/verify-email`,
+        { token: verificationToken }
+      );
+      if (localStorage.getItem("token")) {
+        await refreshSession();
+      }
+      return { message: response.data.message };
+    } catch (error) {
+      console.error("Error verifying email:", error);
+      return {
+        error:
+          error.response?.data?.error || "An error occured. Please try again",
+      };
+    }
+  }, [refreshSession]);
+
+  /**
+   * resendVerification:
+   * - Asks the backend to email the verification link to the logged-in user again.
+   * - Alerts the user with the outcome.
+   */
+  const resendVerification = async () => {
+    try {
+      const response = await axios.post(
+        `${process.env.REACT_APP_BACKEND_URL}/auth/resend-verification`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      alert(response.data.message);
+    } catch (error) {
+      console.error("Error resending verification:", error);
+      alert(
+        error.response?.data?.error || "Unable to send verification email"
+      );
+    }
+  };
+
   return (
     <AuthContext.Provider
       value={{
@@ -167,12 +486,22 @@ export const AuthProvider = ({ children }) => {
         checkAuth,
         login,
         logout,
+        logoutEverywhere,
+        refreshSession,
+        storeSession,
         register,
+        requestPasswordReset,
+        resetPassword,
+        verifyEmail,
+        resendVerification,
         isAuthenticated,
         userEmail,
         userFirstName,
         userType,
         userAddress,
+        userEmailVerified,
+        userPermissions,
+        hasPermission,
       }}
     >
       {children}
@@ -9,7 +9,7 @@ import axios from "axios";
  *
  * FUNCTIONS:
  *    - cart (array): The current items in the user's cart.
- *    - addToCart (Function): Function to add a product to the cart.
+ *    - addToCart (Function): Function to add a product to the cart, resolving to an error message if it could not be added.
  *    - removeFromCart (Function): Function to remove a product from the cart.
  *    - updateQuantity (Function): Function to update the quantity of a product in the cart.
  *    - createOrder (Function): Function to create an order from the cart items.
@@ -22,8 +22,7 @@ import axios from "axios";
 export const CartContext = createContext();
 
 export function CartProvider({ children }) {
-  const { userEmail, userFirstName, userAddress, token } =
-    useContext(AuthContext);
+  const { userEmail, token } = useContext(AuthContext);
   const [forceUpdate, setForceUpdate] = useState(0);
   const [cart, setCart] = useState([]);
   const navigate = useNavigate();
@@ -39,7 +38,7 @@ export function CartProvider({ children }) {
       if (userEmail) {
         try {
           const response = await axios.get(
-            `${process.env.REACT_APP_BACKEND_URL}/customer/getCart?email=${userEmail}`,
+            `${process.env.REACT_APP_BACKEND_URL}/customer/getCart`,
             { headers: { Authorization: `Bearer ${token}` } }
           );
           setCart(response.data.items);
@@ -59,23 +58,28 @@ export function CartProvider({ children }) {
    * - Adds a product to the cart in the backend.
    * - Updates the local cart state with the new data.
    * - Triggers a re-render to reflect changes.
+   * - Returns why the product could not be added (ex: the quantity is off-step or the product is gone), or null if it was.
    */
   const addToCart = async (product) => {
     if (!userEmail) {
       console.error("User email is not available");
-      return;
+      return "Log in to add products to your cart.";
     }
 
     try {
       const response = await axios.post(
         `${process.env.REACT_APP_BACKEND_URL}/customer/addToCart`,
-        { email: userEmail, product },
+        { product },
         { headers: { Authorization: `Bearer ${token}` } }
       );
       setCart(response.data.items);
       setForceUpdate(forceUpdate + 1);
+      return null;
     } catch (error) {
       console.error("Error adding to cart:", error);
+      return (
+        error.response?.data?.error || "Unable to add the product to the cart."
+      );
     }
   };
 
@@ -89,7 +93,7 @@ export function CartProvider({ children }) {
     try {
       const response = await axios.post(
         `${process.env.REACT_APP_BACKEND_URL}/customer/removeFromCart`,
-        { email: userEmail, productId },
+        { productId },
         { headers: { Authorization: `Bearer ${token}` } }
       );
 
@@ -111,7 +115,7 @@ export function CartProvider({ children }) {
       try {
         const response = await axios.post(
           `${process.env.REACT_APP_BACKEND_URL}/customer/updateCartQuantity`,
-          { email: userEmail, productId, quantity },
+          { productId, quantity },
           { headers: { Authorization: `Bearer ${token}` } }
         );
 
@@ -125,60 +129,29 @@ export function CartProvider({ children }) {
 
   /**
    * createOrder:
-   * - Creates an order in the backend based on the current items in the cart.
-   * - Clears the cart after the order is successfully created.
+   * - Creates an order in the backend from the items stored in the user's cart.
+   * - Prices and the shipping fee are computed by the backend, which also clears the cart.
+   * - The order is delivered to the saved address with the given id, or to the default address if none is given.
    */
-  const createOrder = async (shippingFee, token) => {
+  const createOrder = async (token, addressId) => {
     try {
-      const orderData = {
-        name: userFirstName,
-        email: userEmail,
-        address: userAddress,
-        products: cart.map((item) => ({
-          productId: item.product._id,
-          name: item.product.name,
-          count: item.quantity,
-          price: item.product.price,
-          imageUrl: item.product.imageUrl,
-        })),
-        dateTimeOrdered: new Date().toISOString(),
-        shippingFee: shippingFee,
-        status: 0,
-      };
-
       await axios.post(
         `${process.env.REACT_APP_BACKEND_URL}/customer/orderProduct`,
-        orderData,
+        addressId ? { addressId } : {},
         {
           headers: { Authorization: `Bearer ${token}` },
         }
       );
 
-      // Clear the cart in the backend
-      axios
-        .post(
-          `${process.env.REACT_APP_BACKEND_URL}/customer/clearCart`,
-          {
-            email: userEmail,
-          },
-          {
-            headers: {
-              Authorization: `Bearer ${token}`,
-            },
-          }
-        )
-        .then((response) => {
-          navigate("/my-orders");
-          setCart([]);
-          setForceUpdate(forceUpdate + 1);
-          console.log(response.data.message);
-        })
-        .catch((error) => {
-          console.error("Error clearing cart:", error);
-        });
+      navigate("/my-orders");
+      setCart([]);
+      setForceUpdate(forceUpdate + 1);
     } catch (error) {
       console.error("Error creating order:", error);
-      alert("Insufficient stock for one or more items in the order.");
+      alert(
+        error.response?.data?.error ||
+          "Insufficient stock for one or more items in the order."
+      );
     }
   };
 
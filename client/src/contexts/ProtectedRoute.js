@@ -1,5 +1,5 @@
 import { useContext, useEffect, useState } from "react";
-import { Navigate } from "react-router-dom";
+import { Navigate, useLocation } from "react-router-dom";
 import { AuthContext } from "./AuthContext";
 
 /**
@@ -7,19 +7,27 @@ import { AuthContext } from "./AuthContext";
  * PURPOSE: Controls access to specific routes based on user authentication status.
  *
  * CONTEXT:
- *  - AuthContext: Uses the `isAuthenticated` state and `checkAuth` function to determine if the user is authenticated.
+ *  - AuthContext: Uses the `isAuthenticated` state and `checkAuth` function to determine if the user is authenticated,
+ *    and `userType` and `hasPermission` to check what they can access.
+ *
+ * PROPS:
+ *  - requiredRole (string): The role the user must have (ex: "user" for customer pages).
+ *  - requiredPermission (string): The permission the user's role must have (ex: "reports:read" for the sales report).
  *
  * STATE:
  *  - loading (boolean): Indicates whether authentication is being checked.
  *
  * USAGE:
  *  - Wraps routes that should only be accessible to authenticated users.
- *  - Redirects unauthenticated users to the login page.
+ *  - Redirects unauthenticated users, and users without the required role or permission, to the login page.
+ *    The page they asked for is passed along, so logging in can take them back to it (see login in AuthContext).
  */
 
-const ProtectedRoute = ({ children, requiredRole }) => {
-  const { isAuthenticated, checkAuth, userType } = useContext(AuthContext);
+const ProtectedRoute = ({ children, requiredRole, requiredPermission }) => {
+  const { isAuthenticated, checkAuth, userType, hasPermission } =
+    useContext(AuthContext);
   const [loading, setLoading] = useState(true);
+  const location = useLocation();
 
   useEffect(() => {
     const authenticate = async () => {
@@ -38,10 +46,14 @@ const ProtectedRoute = ({ children, requiredRole }) => {
     return <></>;
   }
 
-  return isAuthenticated && (!requiredRole || requiredRole === userType) ? (
+  const allowed =
+    (!requiredRole || requiredRole === userType) &&
+    (!requiredPermission || hasPermission(requiredPermission));
+
+  return isAuthenticated && allowed ? (
     children
   ) : (
-    <Navigate to="/login" />
+    <Navigate to="/login" state={{ from: location }} replace />
   );
 };
 
@@ -0,0 +1,149 @@
+import { useState, useContext, useRef } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import PICTURE1 from "../assets/login/login1.jpg";
+import LOGO from "../assets/logo/100_LOGO.png";
+import FieldError from "../components/FieldError";
+import { AuthContext } from "../contexts/AuthContext";
+
+/**
+ * PAGE: ResetPassword
+ * PURPOSE: Lets a user who forgot their password reset it through an emailed link.
+ *
+ * STATE:
+ *  - message (string): The backend's reply once a step succeeds.
+ *  - error (string): The backend's error if a step fails.
+ *  - fieldErrors (Object): The backend's validation messages, shown below the matching inputs.
+ *  - done (boolean): Whether the current step has succeeded.
+ *
+ * CONTEXT:
+ *  - AuthContext: Provides the `requestPasswordReset` and `resetPassword` functions.
+ *
+ * USAGE:
+ *  - Without a token in the URL, asks for the email to send the reset link to.
+ *  - Opened from the emailed link (/reset-password?token=...), asks for the new password.
+ */
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const resetToken = searchParams.get("token");
+  const navigate = useNavigate();
+  const { requestPasswordReset, resetPassword } = useContext(AuthContext);
+
+  const emailRef = useRef(null);
+  const passwordRef = useRef(null);
+  const confirmRef = useRef(null);
+
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [done, setDone] = useState(false);
+
+  /**
+   * showResult:
+   * - Shows the outcome of a step, as returned by the AuthContext functions.
+   */
+  const showResult = (result) => {
+    setMessage(result.message || null);
+    setError(result.errors ? null : result.error || null);
+    setFieldErrors(result.errors || {});
+    setDone(Boolean(result.message));
+  };
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    showResult(await requestPasswordReset(emailRef.current.value));
+  };
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+
+    if (passwordRef.current.value !== confirmRef.current.value) {
+      showResult({ errors: { confirm: "Passwords do not match." } });
+      return;
+    }
+
+    showResult(await resetPassword(resetToken, passwordRef.current.value));
+  };
+
+  return (
+    <div className="relative h-screen w-screen overflow-hidden">
+      <img
+        src={PICTURE1}
+        alt="Background"
+        className="absolute h-full w-full object-cover"
+      />
+
+      <div className="absolute inset-0 flex items-center justify-center backdrop-blur-sm">
+        <div className="container">
+          <form onSubmit={resetToken ? handleReset : handleRequest}>
+            <div className="flex flex-col items-center mb-12">
+              <img src={LOGO} alt="Logo" className="h-24" />
+              <h1 className="font-black text-2xl">FARM-TO-TABLE</h1>
+            </div>
+
+            <div className="mb-6">
+              <h1 className="font-black text-3xl">
+                {resetToken ? "CHOOSE A NEW PASSWORD" : "FORGOT YOUR PASSWORD?"}
+              </h1>
+              <span className="font-medium text-xl">
+                {resetToken
+                  ? "Enter the new password for your account."
+                  : "Enter your email and we'll send you a link to reset it."}
+              </span>
+            </div>
+
+            {!done &&
+              (resetToken ? (
+                <>
+                  <input
+                    type="password"
+                    required={true}
+                    className="input-box"
+                    placeholder="New Password"
+                    ref={passwordRef}
+                  />
+                  <FieldError errors={fieldErrors} field="password" />
+                  <input
+                    type="password"
+                    required={true}
+                    className="input-box"
+                    placeholder="Confirm New Password"
+                    ref={confirmRef}
+                  />
+                  <FieldError errors={fieldErrors} field="confirm" />
+                </>
+              ) : (
+                <>
+                  <input
+                    type="text"
+                    required={true}
+                    className="input-box"
+                    placeholder="Email"
+                    ref={emailRef}
+                  />
+                  <FieldError errors={fieldErrors} field="email" />
+                </>
+              ))}
+
+            <div className="text-red-500 mt-3">{error}</div>
+            <div className="font-medium mt-3">{message}</div>
+
+            {!done && (
+              <button className="form-button mt-8" type="submit">
+                {resetToken ? "Reset Password" : "Send Reset Link"}
+              </button>
+            )}
+            <div className="flex gap-1 mt-4">
+              <span
+                className="font-bold text-[#40573C] cursor-pointer"
+                onClick={() => navigate("/login")}
+              >
+                Back to log in
+              </span>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
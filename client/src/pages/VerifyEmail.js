@@ -0,0 +1,99 @@
+import { useState, useContext, useEffect, useRef } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import PICTURE1 from "../assets/login/login1.jpg";
+import LOGO from "../assets/logo/100_LOGO.png";
+import { AuthContext } from "../contexts/AuthContext";
+import { homePathFor } from "../utils/permissions";
+
+/**
+ * PAGE: VerifyEmail
+ * PURPOSE: Verifies the user's email with the token from the emailed link.
+ *
+ * STATE:
+ *  - result (Object or null): The outcome of the verification, { message } or { error }.
+ *
+ * CONTEXT:
+ *  - AuthContext: Provides the `verifyEmail` function, whether the user is logged in, and their permissions to pick where to continue.
+ *
+ * USAGE:
+ *  - Opened from the emailed link (/verify-email?token=...). Verifies as soon as it loads.
+ */
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const verificationToken = searchParams.get("token");
+  const navigate = useNavigate();
+  const { verifyEmail, isAuthenticated, userPermissions } =
+    useContext(AuthContext);
+
+  const [result, setResult] = useState(null);
+  // the token only works once, so it must not be sent twice
+  const sent = useRef(false);
+
+  /**
+   * useEffect (for verifying):
+   * - Sends the token from the URL to the backend once, when the page loads.
+   */
+  useEffect(() => {
+    if (sent.current) {
+      return;
+    }
+    sent.current = true;
+
+    if (!verificationToken) {
+      setResult({ error: "Verification link is invalid or has expired." });
+      return;
+    }
+    verifyEmail(verificationToken).then(setResult);
+  }, [verificationToken, verifyEmail]);
+
+  const handleContinue = () => {
+    if (!isAuthenticated) {
+      navigate("/login");
+    } else {
+      navigate(homePathFor(userPermissions));
+    }
+  };
+
+  return (
+    <div className="relative h-screen w-screen overflow-hidden">
+      <img
+        src={PICTURE1}
+        alt="Background"
+        className="absolute h-full w-full object-cover"
+      />
+
+      <div className="absolute inset-0 flex items-center justify-center backdrop-blur-sm">
+        <div className="container">
+          <form>
+            <div className="flex flex-col items-center mb-12">
+              <img src={LOGO} alt="Logo" className="h-24" />
+              <h1 className="font-black text-2xl">FARM-TO-TABLE</h1>
+            </div>
+
+            <h1 className="font-black text-3xl mb-6">EMAIL VERIFICATION</h1>
+            {!result && (
+              <span className="font-medium text-xl">Verifying...</span>
+            )}
+            {result?.message && (
+              <span className="font-medium text-xl">
+                Your email is verified. You can now place orders!
+              </span>
+            )}
+            {result?.error && (
+              <span className="text-red-500 text-xl">{result.error}</span>
+            )}
+
+            <button
+              className="form-button mt-8"
+              type="button"
+              onClick={handleContinue}
+            >
+              Continue
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
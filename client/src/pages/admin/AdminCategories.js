@@ -0,0 +1,126 @@
+import axios from "axios";
+import CategoryCard from "../../components/CategoryCard";
+import CategoryForm from "../../components/CategoryForm";
+import AdminNavbar from "../../components/AdminNavbar";
+import Lenis from "@studio-freight/lenis";
+import { useEffect, useState, useContext, useCallback } from "react";
+import { AuthContext } from "../../contexts/AuthContext";
+import { categoryOptions } from "../../utils/categories";
+
+/**
+ * PAGE: AdminCategories
+ * PURPOSE: Lets admins add, edit, nest, reorder and delete the product categories the shop is filtered by.
+ *
+ * CONTEXT:
+ *  - AuthContext: Used to access the admin's token.
+ *
+ * STATE:
+ *  - categories (Array): Every category in display order, with its product count.
+ *
+ * USAGE:
+ *  - Renders the admin categories page.
+ *
+ * NOTES:
+ *  - Only empty categories can be deleted; the backend refuses the rest and its message is shown.
+ */
+
+export default function AdminCategories() {
+  const { token } = useContext(AuthContext);
+
+  const [categories, setCategories] = useState([]);
+
+  const url = `${process.env.REACT_APP_BACKEND_URL}/admin/categories`;
+  const headers = { Authorization: `Bearer ${token}` };
+
+  useEffect(() => {
+    const lenis = new Lenis();
+
+    function raf(time) {
+      lenis.raf(time);
+      requestAnimationFrame(raf);
+    }
+
+    requestAnimationFrame(raf);
+  }, []);
+
+  /**
+   * fetchCategories:
+   * - Fetches every category, in display order.
+   */
+  const fetchCategories = useCallback(async () => {
+    if (!token) {
+      console.error("No token found");
+      return;
+    }
+
+    try {
+      const response = await axios.get(url, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setCategories(response.data);
+    } catch (error) {
+      console.error("Error fetching categories:", error);
+    }
+  }, [url, token]);
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
+  // the forms show the backend's messages, so errors are left to them
+  const handleCreate = async (fields) => {
+    await axios.post(url, fields, { headers });
+    fetchCategories();
+  };
+
+  const handleSave = async (categoryId, fields) => {
+    await axios.patch(`${url}/${categoryId}`, fields, { headers });
+    fetchCategories();
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete the ${category.name} category?`)) return;
+
+    try {
+      await axios.delete(`${url}/${category._id}`, { headers });
+      fetchCategories();
+    } catch (error) {
+      console.error("Error deleting category:", error);
+      alert(error.response?.data?.error || "Unable to delete category.");
+    }
+  };
+
+  return (
+    <div className="h-screen w-screen">
+      <AdminNavbar />
+
+      <div className="main-container mt-3 flex">
+        <div className="spacer mx-auto"></div>
+        <div className="cart-container w-[800px]">
+          <h1 className="font-black text-6xl flex flex-row justify-center mb-6">
+            Categories
+          </h1>
+          <div className="mt-6">
+            <CategoryForm
+              categories={categories}
+              onSubmit={handleCreate}
+              submitLabel="+ Add Category"
+            />
+          </div>
+          <div className="list-container mt-8 flex flex-col gap-2">
+            {categoryOptions(categories).map((category) => (
+              <CategoryCard
+                key={category._id}
+                category={category}
+                categories={categories}
+                onSave={handleSave}
+                onDelete={handleDelete}
+              />
+            ))}
+          </div>
+        </div>
+        <div className="spacer mx-auto"></div>
+      </div>
+    </div>
+  );
+}
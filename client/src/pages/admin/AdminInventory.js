@@ -1,4 +1,5 @@
 import SkeletonCard from "../../components/SkeletonCard";
+import FieldError from "../../components/FieldError";
 import IMAGE from "../../assets/shop/empty.png";
 import InventoryCard from "../../components/InventoryCard";
 import AdminNavbar from "../../components/AdminNavbar";
@@ -8,50 +9,45 @@ import { useState, useEffect, useContext, useRef } from "react";
 import { AuthContext } from "../../contexts/AuthContext";
 import Lenis from "@studio-freight/lenis";
 import axios from "axios";
+import { categoryOptions } from "../../utils/categories";
+import { SEARCH_DELAY, productQuery } from "../../utils/productQuery";
+import { UNITS, isFractional } from "../../utils/units";
 
 export default function Shop() {
   const [imageURL, setImageURL] = useState("");
   const [productName, setProductName] = useState("");
-  const [productType, setProductType] = useState("");
+  const [productCategory, setProductCategory] = useState("");
   const [productDescription, setProductDescription] = useState("");
+  const [productOrigin, setProductOrigin] = useState("");
+  const [productVariantLabel, setProductVariantLabel] = useState("");
   const [productPrice, setProductPrice] = useState("");
   const [productStock, setProductStock] = useState("");
+  const [productUnit, setProductUnit] = useState("piece");
+  const [productIncrement, setProductIncrement] = useState("1");
+  // the backend's validation messages, shown below the matching inputs
+  const [fieldErrors, setFieldErrors] = useState({});
 
   const [showModal, setShowModal] = useState(false);
   const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+
+  const [pages, setPages] = useState(0);
+  const [page, setPage] = useState(1);
 
   const [loading, setLoading] = useState(true);
-  const [filteredProducts, setFilteredProducts] = useState([]);
   const [filterOption, setFilterOption] = useState({});
-  const [sortOption, setSortOption] = useState();
+  // the backend's messages for filters it refused (ex: a maximum price
+  // below the minimum)
+  const [filterErrors, setFilterErrors] = useState({});
   const [activeSort, setActiveSort] = useState(null);
   const filterRef = useRef(null);
 
   const { token } = useContext(AuthContext);
 
-  useEffect(() => {
-    let filtered = [...products];
-
-    if (filterOption.name) {
-      filtered = filtered.filter((product) =>
-        product.name.toLowerCase().includes(filterOption.name.toLowerCase())
-      );
-    }
-
-    if (sortOption) {
-      const [key, order] = Object.entries(sortOption)[0];
-      filtered.sort((a, b) => {
-        if (order === 1) return a[key] > b[key] ? 1 : -1;
-        else return a[key] < b[key] ? 1 : -1;
-      });
-    }
-
-    setFilteredProducts(filtered);
-  }, [filterOption, sortOption, products]);
-
-  // /** handleFilter: Updates the filter options based on user input. */
+  // /** handleFilter: Updates the filter options based on user input, starting from the first page. */
   const handleFilter = (key, value) => {
     setFilterOption((prev) => ({ ...prev, [key]: value }));
+    setPage(1);
   };
 
   const openModal = () => {
@@ -66,45 +62,51 @@ export default function Shop() {
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    if (
-      !imageURL ||
-      !productName ||
-      !productType ||
-      !productDescription ||
-      !productPrice ||
-      isNaN(productStock) ||
-      productStock < 0
-    ) {
-      alert("Please fill out all fields!");
-      return;
-    }
-
-    setShowModal(false);
     try {
       await axios.post(
         `${process.env.REACT_APP_BACKEND_URL}/admin/addProduct`,
         {
           name: productName,
-          type: productType,
+          category: productCategory,
           description: productDescription,
-          price: productPrice,
-          quantity: productStock,
+          origin: productOrigin,
+          // left out when blank, so the backend labels it "Regular"
+          variantLabel: productVariantLabel || undefined,
+          price: productPrice === "" ? "" : Number(productPrice),
+          unit: productUnit,
+          orderIncrement:
+            productIncrement === "" ? "" : Number(productIncrement),
+          quantity: productStock === "" ? "" : Number(productStock),
           imageUrl: imageURL,
         },
         { headers: { Authorization: `Bearer ${token}` } }
       );
     } catch (error) {
-      console.error("Error adding order:", error);
+      console.error("Error adding product:", error);
+      if (error.response?.data?.errors) {
+        // keep the modal open so the messages show next to the fields
+        setFieldErrors(error.response.data.errors);
+      } else {
+        alert(error.response?.data?.error || "Unable to add product.");
+      }
+      return;
     }
+
+    setShowModal(false);
+    setFieldErrors({});
     alert("Added product!");
     window.location.reload();
 
     setImageURL("");
     setProductName("");
-    setProductType("");
+    setProductCategory("");
     setProductDescription("");
+    setProductOrigin("");
+    setProductVariantLabel("");
     setProductPrice("");
     setProductStock("");
+    setProductUnit("piece");
+    setProductIncrement("1");
   };
 
   /**
@@ -125,59 +127,78 @@ export default function Shop() {
 
   /**
    * useEffect (for fetching products):
-   * - Fetches the product data from the backend API when the component mounts.
-   * - Updates the `products` and `filteredProducts` state with the fetched data.
-   * - Sets `loading` to `false` after the data is fetched.
-   * - This effect has a dependency on the `token` to re-fetch data if the user's authentication changes.
+   * - Fetches the current page of products matching the filters and sort; the backend does the searching, filtering and sorting.
+   * - Waits for the admin to stop typing before fetching, and ignores the answer if the filters changed in the meantime.
+   * - Sets `loading` to `false` after the first page is fetched.
    */
   useEffect(() => {
-    const fetchProducts = async () => {
-      if (!token) {
-        console.error("No token found");
-        setLoading(false);
-        return;
-      }
+    if (!token) {
+      console.error("No token found");
+      setLoading(false);
+      return;
+    }
 
+    let current = true;
+    const fetchProducts = async () => {
       try {
-        const response = await fetch(
-          `${process.env.REACT_APP_BACKEND_URL}/admin/getProductListings`,
-          {
-            method: "GET",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
-          }
+        const query = productQuery(filterOption, activeSort, page);
+        const response = await axios.get(
+          `${process.env.REACT_APP_BACKEND_URL}/admin/getProductListings?${query}`,
+          { headers: { Authorization: `Bearer ${token}` } }
         );
+        if (!current) return;
 
-        if (response.ok) {
-          const data = await response.json();
-          console.log("Fetched products:", data);
-          setProducts(data);
-        } else {
-          console.error("Error fetching products:", response.statusText);
-        }
+        setProducts(response.data.products);
+        setPages(response.data.pages);
+        setFilterErrors({});
       } catch (error) {
         console.error("Error fetching products:", error);
+        if (current) setFilterErrors(error.response?.data?.errors ?? {});
       } finally {
-        setLoading(false);
+        if (current) setLoading(false);
       }
     };
 
-    fetchProducts();
+    const timer = setTimeout(fetchProducts, SEARCH_DELAY);
+    return () => {
+      current = false;
+      clearTimeout(timer);
+    };
+  }, [token, filterOption, activeSort, page]);
+
+  /**
+   * useEffect (for fetching categories):
+   * - Fetches the categories a new product can be filed under.
+   */
+  useEffect(() => {
+    const fetchCategories = async () => {
+      if (!token) return;
+
+      try {
+        const response = await axios.get(
+          `${process.env.REACT_APP_BACKEND_URL}/admin/categories`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        setCategories(response.data);
+      } catch (error) {
+        console.error("Error fetching categories:", error);
+      }
+    };
+
+    fetchCategories();
   }, [token]);
 
-  /** handleSort: Sets the sorting option based on the clicked button. */
+  /** handleSort: Sets the sorting option based on the clicked button, starting from the first page. */
   const handleSort = (key, order) => {
     setActiveSort({ key, order });
-    setSortOption({ [key]: order === "Ascending" ? 1 : -1 });
+    setPage(1);
   };
 
   /** handleReset: Clears all filter and sorting options. */
   const handleReset = () => {
     setFilterOption({});
-    setSortOption(null);
     setActiveSort(null);
+    setPage(1);
     filterRef.current.value = "";
   };
 
@@ -185,7 +206,7 @@ export default function Shop() {
     <div className="min-h-screen w-screen flex flex-col">
       <AdminNavbar />
       <div className="main-container flex flex-col sm:flex-row flex-grow pt-3">
-        <div className="filter-container w-5/6 sm:w-[275px] h-[870px] p-6 m-12 mt-0 bg-[#F2F2F2] rounded-2xl flex-shrink-0 sm:sticky sm:top-36">
+        <div className="filter-container w-5/6 sm:w-[275px] p-6 m-12 mt-0 bg-[#F2F2F2] rounded-2xl flex-shrink-0 sm:sticky sm:top-36">
           <div className="flex flex-row justify-center items-center gap-2">
             <button className="form-button mb-6" onClick={() => openModal()}>
               + Add Product
@@ -197,10 +218,54 @@ export default function Shop() {
               type="text"
               placeholder="Name"
               className="bg-white text-xl rounded-lg w-full p-4"
-              onChange={(e) => handleFilter("name", e.target.value)}
+              onChange={(e) => handleFilter("search", e.target.value)}
               ref={filterRef}
             />
           </div>
+          <div className="flex flex-col gap-2 mt-6">
+            <h1 className="text-2xl font-black mb-2">FILTER</h1>
+            <select
+              className="bg-white text-xl rounded-lg w-full p-4"
+              value={filterOption.category ?? ""}
+              onChange={(e) => handleFilter("category", e.target.value)}
+            >
+              <option value="">All categories</option>
+              {categoryOptions(categories).map((category) => (
+                <option key={category._id} value={category._id}>
+                  {category.label}
+                </option>
+              ))}
+            </select>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min="0"
+                placeholder="Min price"
+                className="bg-white text-xl rounded-lg w-full p-4"
+                value={filterOption.minPrice ?? ""}
+                onChange={(e) => handleFilter("minPrice", e.target.value)}
+              />
+              <input
+                type="number"
+                min="0"
+                placeholder="Max price"
+                className="bg-white text-xl rounded-lg w-full p-4"
+                value={filterOption.maxPrice ?? ""}
+                onChange={(e) => handleFilter("maxPrice", e.target.value)}
+              />
+            </div>
+            <FieldError errors={filterErrors} field="minPrice" />
+            <FieldError errors={filterErrors} field="maxPrice" />
+            <select
+              className="bg-white text-xl rounded-lg w-full p-4"
+              value={filterOption.inStock ?? ""}
+              onChange={(e) => handleFilter("inStock", e.target.value)}
+            >
+              <option value="">All stock</option>
+              <option value="true">In stock</option>
+              <option value="false">Out of stock</option>
+            </select>
+          </div>
           <div className="flex flex-col gap-2 mt-6">
             <h1 className="text-2xl font-black mb-2">SORT BY</h1>
             <button
@@ -224,17 +289,6 @@ export default function Shop() {
               <FaArrowUp />
               Price Ascending
             </button>
-
-            <button
-              className={`bg-white text-xl rounded-lg w-full p-4  py-3 flex items-center gap-2 transition-colors ease-out ${
-                activeSort?.key === "type" && activeSort?.order === "Ascending"
-                  ? "bg-green-300"
-                  : ""
-              }`}
-              onClick={() => handleSort("type", "Ascending")}
-            >
-              <FaArrowUp /> Type Ascending
-            </button>
             <button
               className={`bg-white text-lg rounded-lg w-full p-4 py-3  flex items-center gap-2 transition-colors ease-out ${
                 activeSort?.key === "quantity" &&
@@ -268,17 +322,6 @@ export default function Shop() {
               <FaArrowDown />
               Price Descending
             </button>
-            <button
-              className={`bg-white text-xl rounded-lg w-full p-4 py-3  flex items-center gap-2 transition-colors ease-out ${
-                activeSort?.key === "type" && activeSort?.order === "Descending"
-                  ? "bg-green-300"
-                  : ""
-              }`}
-              onClick={() => handleSort("type", "Descending")}
-            >
-              <FaArrowDown />
-              Type Descending
-            </button>
             <button
               className={`bg-white text-lg rounded-lg w-full p-4  py-3 flex items-center gap-2  transition-colors ease-out ${
                 activeSort?.key === "quantity" &&
@@ -307,18 +350,39 @@ export default function Shop() {
                 <SkeletonCard key={index} />
               ))}
             </div>
-          ) : filteredProducts.length === 0 ? (
+          ) : products.length === 0 ? (
             <div className="w-full flex flex-col items-center justify-center mt-20 lg:pr-48">
               <img src={IMAGE} alt="No product" />
               <span className="font-semibold">Oops! No products found.</span>
             </div>
           ) : (
             <div className="flex flex-wrap gap-2 justify-center sm:justify-start">
-              {filteredProducts.map((product) => (
+              {products.map((product) => (
                 <InventoryCard key={product._id} product={product} />
               ))}
             </div>
           )}
+          {pages > 1 && (
+            <div className="mt-4 flex justify-center items-center gap-3 w-full">
+              <button
+                className="form-button"
+                disabled={page <= 1}
+                onClick={() => setPage(page - 1)}
+              >
+                Previous
+              </button>
+              <span className="font-medium">
+                Page {page} of {pages}
+              </span>
+              <button
+                className="form-button"
+                disabled={page >= pages}
+                onClick={() => setPage(page + 1)}
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
       </div>
       {showModal && (
@@ -364,6 +428,7 @@ export default function Shop() {
                             placeholder="Product Image URL"
                             onChange={handleProductImageChange}
                           />
+                          <FieldError errors={fieldErrors} field="imageUrl" />
                         </div>
                       </div>
                     </div>
@@ -385,28 +450,33 @@ export default function Shop() {
                           value={productName}
                           onChange={(e) => setProductName(e.target.value)}
                         />
+                        <FieldError errors={fieldErrors} field="name" />
                       </div>
                     </div>
                     <div class="md:flex md:items-center mb-6">
                       <div class="md:w-1/3">
                         <label
                           class="block text-gray-500 font-bold md:text-right mb-1 md:mb-0 pr-4"
-                          for="product-type"
+                          for="product-category"
                         >
-                          Product Type
+                          Product Category
                         </label>
                       </div>
                       <div class="md:w-2/3">
                         <select
-                          id="product-type"
+                          id="product-category"
                           class="bg-gray-200 appearance-none border-2 border-gray-200 rounded w-full py-2 px-4 text-gray-700 leading-tight focus:outline-none focus:bg-white focus:border-emerald-600"
-                          value={productType}
-                          onChange={(e) => setProductType(e.target.value)}
+                          value={productCategory}
+                          onChange={(e) => setProductCategory(e.target.value)}
                         >
-                          <option value="">Select Product Type</option>
-                          <option value="1">Crops</option>
-                          <option value="2">Poultry</option>
+                          <option value="">Select Product Category</option>
+                          {categoryOptions(categories).map((category) => (
+                            <option key={category._id} value={category._id}>
+                              {category.label}
+                            </option>
+                          ))}
                         </select>
+                        <FieldError errors={fieldErrors} field="category" />
                       </div>
                     </div>
                     <div class="md:flex md:items-center mb-6">
@@ -428,6 +498,51 @@ export default function Shop() {
                             setProductDescription(e.target.value)
                           }
                         />
+                        <FieldError errors={fieldErrors} field="description" />
+                      </div>
+                    </div>
+                    <div class="md:flex md:items-center mb-6">
+                      <div class="md:w-1/3">
+                        <label
+                          class="block text-gray-500 font-bold md:text-right mb-1 md:mb-0 pr-4"
+                          for="product-origin"
+                        >
+                          Origin Farm
+                        </label>
+                      </div>
+                      <div class="md:w-2/3">
+                        <input
+                          class="bg-gray-200 appearance-none border-2 border-gray-200 rounded w-full py-2 px-4 text-gray-700 leading-tight focus:outline-none focus:bg-white focus:border-emerald-600"
+                          id="product-origin"
+                          type="text"
+                          placeholder="Optional"
+                          value={productOrigin}
+                          onChange={(e) => setProductOrigin(e.target.value)}
+                        />
+                        <FieldError errors={fieldErrors} field="origin" />
+                      </div>
+                    </div>
+                    <div class="md:flex md:items-center mb-6">
+                      <div class="md:w-1/3">
+                        <label
+                          class="block text-gray-500 font-bold md:text-right mb-1 md:mb-0 pr-4"
+                          for="variant-label"
+                        >
+                          Variant
+                        </label>
+                      </div>
+                      <div class="md:w-2/3">
+                        <input
+                          class="bg-gray-200 appearance-none border-2 border-gray-200 rounded w-full py-2 px-4 text-gray-700 leading-tight focus:outline-none focus:bg-white focus:border-emerald-600"
+                          id="variant-label"
+                          type="text"
+                          placeholder="Optional (ex: Tray of 30); more can be added later"
+                          value={productVariantLabel}
+                          onChange={(e) =>
+                            setProductVariantLabel(e.target.value)
+                          }
+                        />
+                        <FieldError errors={fieldErrors} field="variantLabel" />
                       </div>
                     </div>
                     <div class="md:flex md:items-center mb-6">
@@ -448,6 +563,58 @@ export default function Shop() {
                           value={productPrice}
                           onChange={(e) => setProductPrice(e.target.value)}
                         />
+                        <FieldError errors={fieldErrors} field="price" />
+                      </div>
+                    </div>
+                    <div class="md:flex md:items-center mb-6">
+                      <div class="md:w-1/3">
+                        <label
+                          class="block text-gray-500 font-bold md:text-right mb-1 md:mb-0 pr-4"
+                          for="product-unit"
+                        >
+                          Sold By
+                        </label>
+                      </div>
+                      <div class="md:w-2/3">
+                        <select
+                          id="product-unit"
+                          class="bg-gray-200 appearance-none border-2 border-gray-200 rounded w-full py-2 px-4 text-gray-700 leading-tight focus:outline-none focus:bg-white focus:border-emerald-600"
+                          value={productUnit}
+                          onChange={(e) => setProductUnit(e.target.value)}
+                        >
+                          {UNITS.map((unit) => (
+                            <option key={unit} value={unit}>
+                              {unit}
+                            </option>
+                          ))}
+                        </select>
+                        <FieldError errors={fieldErrors} field="unit" />
+                      </div>
+                    </div>
+                    <div class="md:flex md:items-center mb-6">
+                      <div class="md:w-1/3">
+                        <label
+                          class="block text-gray-500 font-bold md:text-right mb-1 md:mb-0 pr-4"
+                          for="product-increment"
+                        >
+                          Order Increment
+                        </label>
+                      </div>
+                      <div class="md:w-2/3">
+                        <input
+                          class="bg-gray-200 appearance-none border-2 border-gray-200 rounded w-full py-2 px-4 text-gray-700 leading-tight focus:outline-none focus:bg-white focus:border-emerald-600"
+                          id="product-increment"
+                          type="number"
+                          min="0"
+                          step={isFractional(productUnit) ? "0.001" : "1"}
+                          placeholder="Least a customer can order (ex: 0.25)"
+                          value={productIncrement}
+                          onChange={(e) => setProductIncrement(e.target.value)}
+                        />
+                        <FieldError
+                          errors={fieldErrors}
+                          field="orderIncrement"
+                        />
                       </div>
                     </div>
                     <div class="md:flex md:items-center mb-6 flex items-center gap-3">
@@ -464,14 +631,16 @@ export default function Shop() {
                           class="bg-gray-200 appearance-none border-2 border-gray-200 rounded w-full py-2 px-4 text-gray-700 leading-tight focus:outline-none focus:bg-white focus:border-emerald-600"
                           id="stock"
                           type="number"
+                          step={isFractional(productUnit) ? "0.001" : "1"}
                           placeholder="Product Stocks"
                           value={productStock}
                           onChange={(e) =>
                             setProductStock(
-                              Math.max(0, parseInt(e.target.value))
+                              Math.max(0, parseFloat(e.target.value))
                             )
                           }
                         />
+                        <FieldError errors={fieldErrors} field="quantity" />
                       </div>
                     </div>
                     <div className="flex items-center justify-end p-6">
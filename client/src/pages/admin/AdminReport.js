@@ -4,6 +4,7 @@ import AdminNavbar from "../../components/AdminNavbar";
 import Lenis from "@studio-freight/lenis";
 import { useEffect, useState, useContext } from "react";
 import { AuthContext } from "../../contexts/AuthContext";
+import axios from "axios";
 
 export default function AdminReport() {
   const { token } = useContext(AuthContext);
@@ -32,24 +33,12 @@ export default function AdminReport() {
       }
 
       try {
-        const response = await fetch(
+        const response = await axios.get(
           `${process.env.REACT_APP_BACKEND_URL}/report/getProductsSold`,
-          {
-            method: "GET",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
-          }
+          { headers: { Authorization: `Bearer ${token}` } }
         );
-
-        if (response.ok) {
-          const data = await response.json();
-          console.log("Fetched products:", data);
-          setItems(data);
-        } else {
-          console.error("Error fetching products:", response.statusText);
-        }
+        console.log("Fetched products:", response.data);
+        setItems(response.data);
       } catch (error) {
         console.error("Error fetching products:", error);
       }
@@ -62,24 +51,12 @@ export default function AdminReport() {
       }
 
       try {
-        const response = await fetch(
+        const response = await axios.get(
           `${process.env.REACT_APP_BACKEND_URL}/report/getWeeklyReport`,
-          {
-            method: "GET",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
-          }
+          { headers: { Authorization: `Bearer ${token}` } }
         );
-
-        if (response.ok) {
-          const data = await response.json();
-          console.log("Fetched products:", data);
-          setWeeklyData(data);
-        } else {
-          console.error("Error fetching reports:", response.statusText);
-        }
+        console.log("Fetched products:", response.data);
+        setWeeklyData(response.data);
       } catch (error) {
         console.error("Error fetching reports:", error);
       }
@@ -92,24 +69,12 @@ export default function AdminReport() {
       }
 
       try {
-        const response = await fetch(
+        const response = await axios.get(
           `${process.env.REACT_APP_BACKEND_URL}/report/getMonthlyReport`,
-          {
-            method: "GET",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
-          }
+          { headers: { Authorization: `Bearer ${token}` } }
         );
-
-        if (response.ok) {
-          const data = await response.json();
-          console.log("Fetched products:", data);
-          setMonthlyData(data);
-        } else {
-          console.error("Error fetching reports:", response.statusText);
-        }
+        console.log("Fetched products:", response.data);
+        setMonthlyData(response.data);
       } catch (error) {
         console.error("Error fetching reports:", error);
       }
@@ -122,24 +87,12 @@ export default function AdminReport() {
       }
 
       try {
-        const response = await fetch(
+        const response = await axios.get(
           `${process.env.REACT_APP_BACKEND_URL}/report/getYearlyReport`,
-          {
-            method: "GET",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
-          }
+          { headers: { Authorization: `Bearer ${token}` } }
         );
-
-        if (response.ok) {
-          const data = await response.json();
-          console.log("Fetched products:", data);
-          setYearlyData(data);
-        } else {
-          console.error("Error fetching reports:", response.statusText);
-        }
+        console.log("Fetched products:", response.data);
+        setYearlyData(response.data);
       } catch (error) {
         console.error("Error fetching reports:", error);
       }
@@ -158,7 +111,7 @@ export default function AdminReport() {
         <div className="filter-container p-6 m-12 mt-0 rounded-2xl flex-1">
           <h1 className="font-black text-4xl mb-6">PRODUCT SALES REPORT</h1>
           {items.map((product) => (
-            <ProductSaleReport key={product.id} product={product} />
+            <ProductSaleReport key={product.variantId} product={product} />
           ))}
         </div>
         <div className="filter-container p-6 m-12 mt-0 rounded-2xl flex-1">
@@ -4,6 +4,7 @@ import IMAGE from "../../assets/shop/empty.png";
 import AdminNavbar from "../../components/AdminNavbar";
 import { useState, useEffect, useContext, useRef } from "react";
 import { AuthContext } from "../../contexts/AuthContext";
+import axios from "axios";
 import { FaCircleMinus, FaCircleCheck, FaCircleXmark } from "react-icons/fa6";
 import Lenis from "@studio-freight/lenis";
 
@@ -40,24 +41,12 @@ export default function Cart() {
 
       try {
         const status = 0;
-        const response = await fetch(
+        const response = await axios.get(
           `${process.env.REACT_APP_BACKEND_URL}/admin/getOrders?status=${status}`,
-          {
-            method: "GET",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
-          }
+          { headers: { Authorization: `Bearer ${token}` } }
         );
-
-        if (response.ok) {
-          const data = await response.json();
-          console.log("Fetched orders:", data);
-          setPendingItems(data);
-        } else {
-          console.error("Error fetching orders:", response.statusText);
-        }
+        console.log("Fetched orders:", response.data);
+        setPendingItems(response.data);
       } catch (error) {
         console.error("Error fetching orders:", error);
       }
@@ -72,24 +61,12 @@ export default function Cart() {
       try {
         const earliestDate = "2020-01-01";
         const limit = 50;
-        const response = await fetch(
+        const response = await axios.get(
           `${process.env.REACT_APP_BACKEND_URL}/report/getRecentSales?earliestDate=${earliestDate}&limit=${limit}`,
-          {
-            method: "GET",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
-          }
+          { headers: { Authorization: `Bearer ${token}` } }
         );
-
-        if (response.ok) {
-          const data = await response.json();
-          console.log("Fetched orders:", data);
-          setConfirmedItems(data);
-        } else {
-          console.error("Error fetching orders:", response.statusText);
-        }
+        console.log("Fetched orders:", response.data);
+        setConfirmedItems(response.data);
       } catch (error) {
         console.error("Error fetching orders:", error);
       }
@@ -104,24 +81,12 @@ export default function Cart() {
       try {
         const earliestDate = "2020-01-01";
         const limit = 50;
-        const response = await fetch(
+        const response = await axios.get(
           `${process.env.REACT_APP_BACKEND_URL}/report/getCancelledOrders?earliestDate=${earliestDate}&limit=${limit}`,
-          {
-            method: "GET",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
-          }
+          { headers: { Authorization: `Bearer ${token}` } }
         );
-
-        if (response.ok) {
-          const data = await response.json();
-          console.log("Fetched orders:", data);
-          setCancelledItems(data);
-        } else {
-          console.error("Error fetching orders:", response.statusText);
-        }
+        console.log("Fetched orders:", response.data);
+        setCancelledItems(response.data);
       } catch (error) {
         console.error("Error fetching orders:", error);
       }
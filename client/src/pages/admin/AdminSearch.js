@@ -0,0 +1,228 @@
+import axios from "axios";
+import SynonymCard from "../../components/SynonymCard";
+import SynonymForm from "../../components/SynonymForm";
+import AdminNavbar from "../../components/AdminNavbar";
+import Lenis from "@studio-freight/lenis";
+import { FaTrash } from "react-icons/fa";
+import { useEffect, useState, useContext, useCallback } from "react";
+import { AuthContext } from "../../contexts/AuthContext";
+
+/**
+ * PAGE: AdminSearch
+ * PURPOSE: Lets admins add synonyms for the words of the catalog (ex: Tagalog names of produce) and see the shop searches that found nothing.
+ *
+ * CONTEXT:
+ *  - AuthContext: Used to access the admin's token.
+ *
+ * STATE:
+ *  - synonyms (Array): Every synonym entry, by term.
+ *  - searches (Array): The missed searches on the current page, the most searched first.
+ *  - pages (number): The number of pages of missed searches.
+ *  - page (number): The current page, starting at 1.
+ *
+ * USAGE:
+ *  - Renders the admin search page.
+ *
+ * NOTES:
+ *  - A missed search is fixed by adding the product, or a synonym that leads to it; dismissing it only takes it off the list until shoppers miss it again.
+ */
+
+export default function AdminSearch() {
+  const { token } = useContext(AuthContext);
+
+  const [synonyms, setSynonyms] = useState([]);
+  const [searches, setSearches] = useState([]);
+  const [pages, setPages] = useState(0);
+  const [page, setPage] = useState(1);
+
+  const url = `${process.env.REACT_APP_BACKEND_URL}/admin`;
+  const headers = { Authorization: `Bearer ${token}` };
+
+  useEffect(() => {
+    const lenis = new Lenis();
+
+    function raf(time) {
+      lenis.raf(time);
+      requestAnimationFrame(raf);
+    }
+
+    requestAnimationFrame(raf);
+  }, []);
+
+  /**
+   * fetchSynonyms:
+   * - Fetches every synonym entry, by term.
+   */
+  const fetchSynonyms = useCallback(async () => {
+    if (!token) {
+      console.error("No token found");
+      return;
+    }
+
+    try {
+      const response = await axios.get(`${url}/synonyms`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setSynonyms(response.data);
+    } catch (error) {
+      console.error("Error fetching synonyms:", error);
+    }
+  }, [url, token]);
+
+  /**
+   * fetchSearches:
+   * - Fetches the current page of missed searches.
+   */
+  const fetchSearches = useCallback(async () => {
+    if (!token) return;
+
+    try {
+      const response = await axios.get(`${url}/missedSearches`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { page },
+      });
+      setSearches(response.data.searches);
+      setPages(response.data.pages);
+    } catch (error) {
+      console.error("Error fetching missed searches:", error);
+    }
+  }, [url, token, page]);
+
+  useEffect(() => {
+    fetchSynonyms();
+  }, [fetchSynonyms]);
+
+  useEffect(() => {
+    fetchSearches();
+  }, [fetchSearches]);
+
+  // the forms show the backend's messages, so errors are left to them
+  const handleCreate = async (fields) => {
+    await axios.post(`${url}/synonyms`, fields, { headers });
+    fetchSynonyms();
+  };
+
+  const handleSave = async (synonymId, fields) => {
+    await axios.patch(`${url}/synonyms/${synonymId}`, fields, { headers });
+    fetchSynonyms();
+  };
+
+  const handleDelete = async (synonym) => {
+    if (!window.confirm(`Delete the synonyms of "${synonym.term}"?`)) return;
+
+    try {
+      await axios.delete(`${url}/synonyms/${synonym._id}`, { headers });
+      fetchSynonyms();
+    } catch (error) {
+      console.error("Error deleting synonym:", error);
+      alert(error.response?.data?.error || "Unable to delete synonym.");
+    }
+  };
+
+  const handleDismiss = async (search) => {
+    try {
+      await axios.delete(`${url}/missedSearches/${search._id}`, { headers });
+      // the last search of a page takes the list back a page
+      if (searches.length === 1 && page > 1) {
+        setPage(page - 1);
+      } else {
+        fetchSearches();
+      }
+    } catch (error) {
+      console.error("Error dismissing search:", error);
+      alert(error.response?.data?.error || "Unable to dismiss search.");
+    }
+  };
+
+  return (
+    <div className="h-screen w-screen">
+      <AdminNavbar />
+
+      <div className="main-container mt-3 flex">
+        <div className="spacer mx-auto"></div>
+        <div className="cart-container w-[800px]">
+          <h1 className="font-black text-6xl flex flex-row justify-center mb-6">
+            Search
+          </h1>
+
+          <h2 className="font-light text-4xl flex flex-row justify-center mt-8">
+            Synonyms
+          </h2>
+          <p className="text-gray-600 mt-2">
+            A search for a word also finds products with its other words (ex:
+            "itlog" finds eggs).
+          </p>
+          <div className="mt-6">
+            <SynonymForm onSubmit={handleCreate} submitLabel="+ Add Synonyms" />
+          </div>
+          <div className="list-container mt-8 flex flex-col gap-2">
+            {synonyms.map((synonym) => (
+              <SynonymCard
+                key={synonym._id}
+                synonym={synonym}
+                onSave={handleSave}
+                onDelete={handleDelete}
+              />
+            ))}
+          </div>
+
+          <h2 className="font-light text-4xl flex flex-row justify-center mt-8">
+            Searches With No Results
+          </h2>
+          <div className="list-container mt-6 mb-10 flex flex-col gap-2">
+            {searches.length === 0 && (
+              <p className="text-gray-600">No missed searches.</p>
+            )}
+            {searches.map((search) => (
+              <div
+                key={search._id}
+                className="w-full bg-[#F2F2F2] rounded-xl px-4 py-2 flex items-center gap-3"
+              >
+                <div className="flex flex-col">
+                  <h1 className="font-black">"{search.query}"</h1>
+                  <span className="text-sm">
+                    Searched {search.count}{" "}
+                    {search.count === 1 ? "time" : "times"} · last on{" "}
+                    {new Date(search.lastSearchedAt).toLocaleDateString()}
+                  </span>
+                </div>
+
+                <div className="spacer mx-auto"></div>
+
+                <button
+                  className="bg-white rounded-full p-2"
+                  onClick={() => handleDismiss(search)}
+                  title="Dismiss"
+                >
+                  <FaTrash />
+                </button>
+              </div>
+            ))}
+          </div>
+          {pages > 1 && (
+            <div className="mb-10 flex justify-center items-center gap-3">
+              <button
+                className="form-button"
+                disabled={page <= 1}
+                onClick={() => setPage(page - 1)}
+              >
+                Previous
+              </button>
+              <span className="font-medium">
+                Page {page} of {pages}
+              </span>
+              <button
+                className="form-button"
+                disabled={page >= pages}
+                onClick={() => setPage(page + 1)}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+        <div className="spacer mx-auto"></div>
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,45 @@
 import UserCard from "../../components/UserCard";
+import LockoutCard from "../../components/LockoutCard";
 import AdminNavbar from "../../components/AdminNavbar";
 import Lenis from "@studio-freight/lenis";
-import { useEffect, useState, useContext, useRef } from "react";
+import { useEffect, useState, useContext, useRef, useCallback } from "react";
 import { AuthContext } from "../../contexts/AuthContext";
+import axios from "axios";
 
-export default function AdminUsers({ userList }) {
+/**
+ * PAGE: AdminUsers
+ * PURPOSE: Lets admins search the registered users a page at a time, manage their accounts, and lift login lockouts.
+ *
+ * CONTEXT:
+ *  - AuthContext: Used to access the admin's token.
+ *
+ * STATE:
+ *  - users (Array): The users on the current page.
+ *  - total (number): The number of users that match the search and filters.
+ *  - pages (number): The number of pages of users.
+ *  - page (number): The current page, starting at 1.
+ *  - searchInput (string): The text typed in the search box.
+ *  - search (string): The search that was submitted.
+ *  - status (string): "active", "deactivated", or "" for both.
+ *  - userType (string): "user", "staff", "admin", or "" for all.
+ *  - lockouts (Array): The accounts and addresses locked out of logging in.
+ *
+ * USAGE:
+ *  - Renders the admin users page.
+ */
+
+export default function AdminUsers() {
   const { token } = useContext(AuthContext);
 
   const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [pages, setPages] = useState(0);
+  const [page, setPage] = useState(1);
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  const [status, setStatus] = useState("");
+  const [userType, setUserType] = useState("");
+  const [lockouts, setLockouts] = useState([]);
 
   useEffect(() => {
     const lenis = new Lenis();
@@ -20,43 +52,98 @@ export default function AdminUsers({ userList }) {
     requestAnimationFrame(raf);
   }, []);
 
-  useEffect(() => {
-    const fetchUsers = async () => {
-      if (!token) {
-        console.error("No token found");
-        // setLoading(false);
-        return;
-      }
+  /**
+   * fetchUsers:
+   * - Fetches the current page of users matching the search and filters.
+   */
+  const fetchUsers = useCallback(async () => {
+    if (!token) {
+      console.error("No token found");
+      return;
+    }
 
-      try {
-        const response = await fetch(
-          `${process.env.REACT_APP_BACKEND_URL}/admin/registeredUsers`,
-          {
-            method: "GET",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
-          }
-        );
-
-        if (response.ok) {
-          const data = await response.json();
-          console.log("Fetched users:", data);
-          setUsers(data);
-        } else {
-          console.error("Error fetching users:", response.statusText);
-        }
-      } catch (error) {
-        console.error("Error fetching users:", error);
-      } finally {
-        // setLoading(false);
-      }
-    };
+    const query = new URLSearchParams({ page });
+    if (search) query.set("search", search);
+    if (status) query.set("status", status);
+    if (userType) query.set("userType", userType);
 
+    try {
+      const { data } = await axios.get(
+        `${process.env.REACT_APP_BACKEND_URL}/admin/registeredUsers?${query}`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setUsers(data.users);
+      setTotal(data.total);
+      setPages(data.pages);
+    } catch (error) {
+      console.error("Error fetching users:", error);
+    }
+  }, [token, page, search, status, userType]);
+
+  useEffect(() => {
     fetchUsers();
+  }, [fetchUsers]);
+
+  /**
+   * handleSearch:
+   * - Searches with the typed text, starting from the first page.
+   */
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setSearch(searchInput.trim());
+  };
+
+  // a new filter starts from the first page
+  const handleFilter = (setFilter) => (e) => {
+    setPage(1);
+    setFilter(e.target.value);
+  };
+
+  /**
+   * fetchLockouts:
+   * - Fetches the accounts and addresses currently locked out of logging in.
+   */
+  const fetchLockouts = useCallback(async () => {
+    if (!token) {
+      return;
+    }
+
+    try {
+      const response = await axios.get(
+        `${process.env.REACT_APP_BACKEND_URL}/admin/loginLockouts`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setLockouts(response.data);
+    } catch (error) {
+      console.error("Error fetching lockouts:", error);
+    }
   }, [token]);
 
+  useEffect(() => {
+    fetchLockouts();
+  }, [fetchLockouts]);
+
+  /**
+   * clearLockout:
+   * - Lifts a lockout, then refreshes the list.
+   */
+  const clearLockout = async (lockoutId) => {
+    try {
+      await axios.post(
+        `${process.env.REACT_APP_BACKEND_URL}/admin/clearLoginLockout`,
+        { lockoutId },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+    } catch (error) {
+      console.error("Error clearing lockout:", error);
+      if (error.response?.data?.error) {
+        alert(error.response.data.error);
+      }
+    }
+    fetchLockouts();
+  };
+
   return (
     <div className="h-screen w-screen">
       <AdminNavbar />
@@ -68,9 +155,72 @@ export default function AdminUsers({ userList }) {
             Users
           </h1>
           <h2 className="font-light text-4xl flex flex-row justify-center">
-            Total: {users.length}
+            Total: {total}
           </h2>
-          <UserCard users={users} />
+          <form className="mt-6 flex gap-2" onSubmit={handleSearch}>
+            <input
+              type="text"
+              className="input-box"
+              placeholder="Search by name or email"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+            />
+            <button className="form-button" type="submit">
+              Search
+            </button>
+          </form>
+          <div className="mt-2 flex gap-2">
+            <select
+              className="input-box"
+              value={status}
+              onChange={handleFilter(setStatus)}
+            >
+              <option value="">All accounts</option>
+              <option value="active">Active</option>
+              <option value="deactivated">Deactivated</option>
+            </select>
+            <select
+              className="input-box"
+              value={userType}
+              onChange={handleFilter(setUserType)}
+            >
+              <option value="">All roles</option>
+              <option value="user">Customers</option>
+              <option value="staff">Staff</option>
+              <option value="admin">Admins</option>
+            </select>
+          </div>
+          <UserCard users={users} onChange={fetchUsers} />
+          {pages > 1 && (
+            <div className="mt-4 flex justify-center items-center gap-3">
+              <button
+                className="form-button"
+                disabled={page <= 1}
+                onClick={() => setPage(page - 1)}
+              >
+                Previous
+              </button>
+              <span className="font-medium">
+                Page {page} of {pages}
+              </span>
+              <button
+                className="form-button"
+                disabled={page >= pages}
+                onClick={() => setPage(page + 1)}
+              >
+                Next
+              </button>
+            </div>
+          )}
+
+          {lockouts.length > 0 && (
+            <>
+              <h2 className="font-light text-4xl flex flex-row justify-center mt-8">
+                Locked Out: {lockouts.length}
+              </h2>
+              <LockoutCard lockouts={lockouts} onClear={clearLockout} />
+            </>
+          )}
         </div>
         <div className="spacer mx-auto"></div>
       </div>
@@ -0,0 +1,254 @@
+import { useContext, useState, useEffect } from "react";
+import axios from "axios";
+import { AuthContext } from "../../contexts/AuthContext";
+import Navbar from "../../components/Navbar";
+import Footer from "../../components/Footer";
+import FieldError from "../../components/FieldError";
+import AddressBook from "../../components/AddressBook";
+
+// the profile fields the customer can edit
+const EMPTY_PROFILE = {
+  firstName: "",
+  middleName: "",
+  lastName: "",
+  address: "",
+};
+
+const EMPTY_PASSWORDS = {
+  currentPassword: "",
+  newPassword: "",
+  confirmPassword: "",
+};
+
+/**
+ * PAGE: Account
+ * PURPOSE: Lets a customer view and edit their profile, manage their delivery addresses and change their password.
+ *
+ * CONTEXT:
+ *  - AuthContext: Used to access the user's token, and to renew the session after edits so the stored name and address are current.
+ *    A password change ends every other session and replaces the access token of this one.
+ *
+ * STATE:
+ *  - profile (Object): The editable profile fields.
+ *  - email (string): The account's email, which cannot be changed.
+ *  - profileErrors (Object): The backend's validation messages for the profile form.
+ *  - passwords (Object): The current, new and confirmed passwords.
+ *  - passwordErrors (Object): The backend's validation messages for the password form.
+ *
+ * USAGE:
+ *  - Renders the "My Account" page.
+ */
+
+export default function Account() {
+  const { token, refreshSession, storeSession } = useContext(AuthContext);
+
+  const [profile, setProfile] = useState(EMPTY_PROFILE);
+  const [email, setEmail] = useState("");
+  const [profileErrors, setProfileErrors] = useState({});
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORDS);
+  const [passwordErrors, setPasswordErrors] = useState({});
+
+  /**
+   * useEffect (for fetching the profile):
+   * - Fetches the user's profile when the component mounts or when the token changes.
+   */
+  useEffect(() => {
+    const fetchProfile = async () => {
+      if (!token) {
+        console.error("No token found!");
+        return;
+      }
+
+      try {
+        const response = await axios.get(
+          `${process.env.REACT_APP_BACKEND_URL}/customer/profile`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        const { firstName, middleName, lastName, address } = response.data;
+        setProfile({
+          firstName,
+          middleName: middleName || "",
+          lastName,
+          address,
+        });
+        setEmail(response.data.email);
+      } catch (error) {
+        console.error("Error fetching profile:", error);
+      }
+    };
+
+    fetchProfile();
+  }, [token]);
+
+  /**
+   * handleProfileSubmit:
+   * - Saves the edited profile.
+   * - If successful, renews the session so AuthContext has the new name and address.
+   * - If the backend rejects some fields, shows its messages next to them.
+   */
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      await axios.patch(
+        `${process.env.REACT_APP_BACKEND_URL}/customer/profile`,
+        profile,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setProfileErrors({});
+      await refreshSession();
+      alert("Profile updated!");
+    } catch (error) {
+      console.error("Error updating profile:", error);
+      if (error.response?.data?.errors) {
+        setProfileErrors(error.response.data.errors);
+      } else {
+        alert(error.response?.data?.error || "Unable to update profile.");
+      }
+    }
+  };
+
+  /**
+   * handlePasswordSubmit:
+   * - Changes the password after checking that the new one was typed the same twice.
+   * - If the backend rejects some fields (ex: a wrong current password), shows its messages next to them.
+   */
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setPasswordErrors({ confirmPassword: "Passwords do not match." });
+      return;
+    }
+
+    try {
+      const response = await axios.post(
+        `${process.env.REACT_APP_BACKEND_URL}/auth/change-password`,
+        {
+          currentPassword: passwords.currentPassword,
+          newPassword: passwords.newPassword,
+        },
+        {
+          withCredentials: true,
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+      // the old access token was revoked along with the other sessions'
+      storeSession(response.data);
+      setPasswordErrors({});
+      setPasswords(EMPTY_PASSWORDS);
+      alert("Password changed!");
+    } catch (error) {
+      console.error("Error changing password:", error);
+      if (error.response?.data?.errors) {
+        setPasswordErrors(error.response.data.errors);
+      } else {
+        alert(error.response?.data?.error || "Unable to change password.");
+      }
+    }
+  };
+
+  const handleProfileChange = (field) => (e) =>
+    setProfile((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handlePasswordChange = (field) => (e) =>
+    setPasswords((prev) => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <div className="min-h-screen w-screen flex flex-col">
+      <Navbar />
+
+      <div className="main-container pt-3 flex flex-grow mb-12">
+        <div className="spacer mx-auto"></div>
+        <div className="cart-container w-[800px]">
+          <h1 className="font-black text-6xl">MY ACCOUNT</h1>
+
+          <form
+            className="mt-8 flex flex-col gap-2"
+            onSubmit={handleProfileSubmit}
+          >
+            <h2 className="text-2xl font-black mb-2">PROFILE</h2>
+            <span className="font-medium">Email: {email}</span>
+            <input
+              type="text"
+              className="input-box"
+              placeholder="First Name"
+              value={profile.firstName}
+              onChange={handleProfileChange("firstName")}
+            />
+            <FieldError errors={profileErrors} field="firstName" />
+            <input
+              type="text"
+              className="input-box"
+              placeholder="Middle Name (Optional)"
+              value={profile.middleName}
+              onChange={handleProfileChange("middleName")}
+            />
+            <FieldError errors={profileErrors} field="middleName" />
+            <input
+              type="text"
+              className="input-box"
+              placeholder="Last Name"
+              value={profile.lastName}
+              onChange={handleProfileChange("lastName")}
+            />
+            <FieldError errors={profileErrors} field="lastName" />
+            <input
+              type="text"
+              className="input-box"
+              placeholder="Address"
+              value={profile.address}
+              onChange={handleProfileChange("address")}
+            />
+            <FieldError errors={profileErrors} field="address" />
+            <div className="self-end">
+              <button className="form-button mt-3" type="submit">
+                Save Profile
+              </button>
+            </div>
+          </form>
+
+          <AddressBook />
+
+          <form
+            className="mt-8 flex flex-col gap-2"
+            onSubmit={handlePasswordSubmit}
+          >
+            <h2 className="text-2xl font-black mb-2">CHANGE PASSWORD</h2>
+            <input
+              type="password"
+              className="input-box"
+              placeholder="Current Password"
+              value={passwords.currentPassword}
+              onChange={handlePasswordChange("currentPassword")}
+            />
+            <FieldError errors={passwordErrors} field="currentPassword" />
+            <input
+              type="password"
+              className="input-box"
+              placeholder="New Password"
+              value={passwords.newPassword}
+              onChange={handlePasswordChange("newPassword")}
+            />
+            <FieldError errors={passwordErrors} field="newPassword" />
+            <input
+              type="password"
+              className="input-box"
+              placeholder="Confirm New Password"
+              value={passwords.confirmPassword}
+              onChange={handlePasswordChange("confirmPassword")}
+            />
+            <FieldError errors={passwordErrors} field="confirmPassword" />
+            <div className="self-end">
+              <button className="form-button mt-3" type="submit">
+                Change Password
+              </button>
+            </div>
+          </form>
+        </div>
+        <div className="spacer mx-auto"></div>
+      </div>
+      <Footer />
+    </div>
+  );
+}
@@ -3,11 +3,13 @@ import Navbar from "../../components/Navbar";
 import Footer from "../../components/Footer";
 import { FaTrash } from "react-icons/fa";
 import { useContext, useState, useEffect } from "react";
+import axios from "axios";
 import { CartContext } from "../../contexts/CartContext";
 import { AuthContext } from "../../contexts/AuthContext";
 import IMAGE from "../../assets/shop/empty.png";
 import BG from "../../assets/shop/cart.png";
 import { useNavigate } from "react-router-dom";
+import { findVariant } from "../../utils/variants";
 
 /**
  * PAGE: Cart
@@ -15,23 +17,30 @@ import { useNavigate } from "react-router-dom";
  *
  * CONTEXT:
  *  - CartContext: Used to access and manage the cart data, including creating orders.
- *  - AuthContext: Used to access user authentication details.
+ *  - AuthContext: Used to access user authentication details, and to resend the verification email.
  *
  * STATE:
  *  - totalPrice (number): The total price of the items in the cart.
  *  - shippingFee (number): The shipping fee based on the total price.
+ *  - addresses (Array): The user's saved delivery addresses.
+ *  - addressId (string): The id of the address the order will be delivered to.
  *
  * USAGE:
  *  - Renders the main cart page, allowing users to review and confirm their orders.
+ *  - Users with an unverified email are reminded to verify it, since they cannot order until they do.
+ *  - Users pick one of their saved addresses for delivery; the default one is picked at first.
  */
 
 export default function Cart() {
   const { cart, createOrder } = useContext(CartContext);
-  const { token } = useContext(AuthContext);
+  const { token, userEmailVerified, resendVerification } =
+    useContext(AuthContext);
   const navigate = useNavigate();
 
   const [totalPrice, setTotalPrice] = useState(0);
   const [shippingFee, setShippingFee] = useState(25);
+  const [addresses, setAddresses] = useState([]);
+  const [addressId, setAddressId] = useState("");
 
   /**
    * useEffect (for updating price and shipping):
@@ -41,19 +50,47 @@ export default function Cart() {
   useEffect(() => {
     let newTotalPrice = 0;
     for (const item of cart) {
-      newTotalPrice += item.product.price * item.quantity;
+      const variant = findVariant(item.product, item.variantId);
+      newTotalPrice += (variant?.price ?? 0) * item.quantity;
     }
     setTotalPrice(newTotalPrice);
     setShippingFee(newTotalPrice > 500 ? 0 : 25);
   }, [cart]);
 
+  /**
+   * useEffect (for fetching the addresses):
+   * - Fetches the saved addresses when the component mounts or when the token changes.
+   * - Picks the default address, which the user can change before ordering.
+   */
+  useEffect(() => {
+    const fetchAddresses = async () => {
+      if (!token) return;
+
+      try {
+        const response = await axios.get(
+          `${process.env.REACT_APP_BACKEND_URL}/customer/addresses`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        setAddresses(response.data);
+        const preferred =
+          response.data.find((address) => address.isDefault) ||
+          response.data[0];
+        setAddressId(preferred ? preferred._id : "");
+      } catch (error) {
+        console.error("Error fetching addresses:", error);
+      }
+    };
+
+    fetchAddresses();
+  }, [token]);
+
   /**
    * handleConfirmOrder:
-   * - Creates an order by calling the 'createOrder' function from CartContext.
+   * - Creates an order by calling the 'createOrder' function from CartContext, delivered to the picked address.
    * - Redirects the user to their order history page ("/my-orders") after successful order creation.
    */
   const handleConfirmOrder = async () => {
-    await createOrder(shippingFee, token);
+    await createOrder(token, addressId);
   };
 
   return (
@@ -64,6 +101,20 @@ export default function Cart() {
         <div className="spacer mx-auto"></div>
         <div className="cart-container w-[800px]">
           <h1 className="font-black text-6xl">SHOPPING CART</h1>
+          {!userEmailVerified && (
+            <div className="mt-4 bg-[#EEDBDB] rounded-xl px-4 py-2 flex justify-between items-center gap-2">
+              <span className="font-medium">
+                Please verify your email before ordering. Check your inbox for
+                the verification link.
+              </span>
+              <button
+                className="font-bold text-[#40573C]"
+                onClick={resendVerification}
+              >
+                Resend link
+              </button>
+            </div>
+          )}
           {cart.length === 0 ? (
             <div className="w-full h-full flex flex-col items-center justify-center">
               <img src={IMAGE} alt="No product" />
@@ -129,6 +180,37 @@ export default function Cart() {
                   </div>
                 </div>
               </div>
+              <div className="flex flex-col gap-2 mt-4">
+                <h2 className="text-xl font-bold">DELIVER TO</h2>
+                {addresses.length === 0 ? (
+                  <span className="text-gray-600">
+                    Your order will be delivered to the address you registered
+                    with.{" "}
+                    <span
+                      className="font-bold text-[#40573C] cursor-pointer"
+                      onClick={() => navigate("/my-account")}
+                    >
+                      Add a delivery address
+                    </span>
+                  </span>
+                ) : (
+                  <select
+                    className="input-box"
+                    value={addressId}
+                    onChange={(e) => setAddressId(e.target.value)}
+                  >
+                    {addresses.map((address) => (
+                      <option key={address._id} value={address._id}>
+                        {`${address.label} - ${address.street}, ${
+                          address.barangay
+                        }, ${address.city}${
+                          address.isDefault ? " (Default)" : ""
+                        }`}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </div>
               <div className="self-end">
                 <button
                   className="form-button mt-3"
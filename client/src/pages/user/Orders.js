@@ -10,6 +10,15 @@ import axios from "axios";
 import { parseJSON, format } from "date-fns";
 import Lenis from "@studio-freight/lenis";
 import { FaCircleMinus, FaCircleCheck, FaCircleXmark } from "react-icons/fa6";
+import {
+  ORDER_STATUS,
+  STATUS_LABELS,
+  SALE_STATUSES,
+  CLOSED_STATUSES,
+} from "../../utils/orderStatus";
+
+// the statuses shown under each tab (Pending, Completed, Cancelled)
+const STATUS_TABS = [[ORDER_STATUS.PENDING], SALE_STATUSES, CLOSED_STATUSES];
 
 /**
  * PAGE: Orders
@@ -21,7 +30,7 @@ import { FaCircleMinus, FaCircleCheck, FaCircleXmark } from "react-icons/fa6";
  *
  * STATE:
  *  - orders (array): Stores the user's orders fetched from the backend.
- *  - activeStatus (number): Represents the currently selected order status filter.
+ *  - activeStatus (number): Represents the currently selected order status tab (index in STATUS_TABS).
  *  - forceUpdate (number): Used to trigger re-rendering of the component when an order is cancelled.
  *
  * USAGE:
@@ -50,7 +59,9 @@ export default function Orders({}) {
 
       try {
         const response = await axios.get(
-          `${process.env.REACT_APP_BACKEND_URL}/customer/getOrders?email=${userEmail}&status=${activeStatus}`,
+          `${process.env.REACT_APP_BACKEND_URL}/customer/getOrders?status=${STATUS_TABS[
+            activeStatus
+          ].join(",")}`,
           {
             headers: {
               Authorization: `Bearer ${token}`,
@@ -222,15 +233,11 @@ export default function Orders({}) {
                         </p>
                         <p className="text-gray-600 font-bold">
                           Status:{" "}
-                          {order.status === 0
-                            ? "Pending"
-                            : order.status === 1
-                            ? "Confirmed"
-                            : "Canceled"}
+                          {STATUS_LABELS[order.status]}
                         </p>
                       </div>
                       <div>
-                        {order.status === 0 ? (
+                        {order.status === ORDER_STATUS.PENDING ? (
                           <button
                             className="form-button mt-4"
                             onClick={() => handleCancelOrder(order._id)}
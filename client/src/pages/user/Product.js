@@ -0,0 +1,300 @@
+import Card from "../../components/Card";
+import Navbar from "../../components/Navbar";
+import Footer from "../../components/Footer";
+import Popup from "../../components/Popup";
+import QuantityInput from "../../components/QuantityInput";
+import { useState, useContext, useEffect } from "react";
+import { useParams, useNavigate, useLocation } from "react-router-dom";
+import { FaArrowLeft } from "react-icons/fa";
+import axios from "axios";
+import { CartContext } from "../../contexts/CartContext";
+import { AuthContext } from "../../contexts/AuthContext";
+import { categoryName } from "../../utils/categories";
+import { formatQuantity, perUnit } from "../../utils/units";
+import {
+  findVariant,
+  hasVariants,
+  inStockVariants,
+  isInStock,
+} from "../../utils/variants";
+import { galleryImages } from "../../utils/images";
+
+import IMAGE from "../../assets/shop/empty.png";
+
+/**
+ * PAGE: Product
+ * PURPOSE: Shows one product with its images, full description, origin farm, variants and stock, lets the customer add it to the cart, and suggests related products.
+ *
+ * STATE:
+ *  - product (Object or null): The product, as returned by /customer/products/:id.
+ *  - related (Array): Products of the same category that can be ordered.
+ *  - status (string): "loading", "found" or "missing" (the product does not exist or is no longer sold).
+ *  - variantId (string): The variant to be added to the cart (default: the first one in stock).
+ *  - quantity (number): The quantity of the variant to be added to the cart, in its unit.
+ *  - image (string): The URL of the image shown large.
+ *  - popup (Object or null): The product just added to the cart, shown in the popup.
+ *
+ * CONTEXT:
+ *  - CartContext: Used to access the `addToCart` function to add products to the cart.
+ *  - AuthContext: Used to access the user's authentication token.
+ *
+ * USAGE:
+ *  - Rendered at /product/:id, so products can be linked and shared. Opened from the image or name of a Card.
+ *
+ * NOTES:
+ *  - Following a related product changes the url, so the browser's back button returns to the previous product.
+ *  - Products that ran out of stock keep their page, with the stock status telling so.
+ */
+
+export default function Product() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const [product, setProduct] = useState(null);
+  const [related, setRelated] = useState([]);
+  const [status, setStatus] = useState("loading");
+  const [variantId, setVariantId] = useState(null);
+  const [quantity, setQuantity] = useState(1);
+  const [image, setImage] = useState("");
+  const [popup, setPopup] = useState(null);
+
+  const { addToCart } = useContext(CartContext);
+  const { token } = useContext(AuthContext);
+
+  /**
+   * useEffect (for the page title):
+   * - The product's name becomes the title once it is fetched; the title from before is put back when the customer leaves the page.
+   */
+  useEffect(() => {
+    const previousTitle = document.title;
+    return () => {
+      document.title = previousTitle;
+    };
+  }, []);
+
+  /**
+   * useEffect (for fetching the product):
+   * - Fetches the product and its related products whenever the id in the url changes.
+   * - Starts with the first variant in stock, and scrolls back to the top for the new product.
+   */
+  useEffect(() => {
+    if (!token) return;
+
+    let current = true;
+    const fetchProduct = async () => {
+      setStatus("loading");
+      try {
+        const { data } = await axios.get(
+          `${process.env.REACT_APP_BACKEND_URL}/customer/products/${id}`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        if (!current) return;
+
+        const first =
+          inStockVariants(data.product)[0] ?? data.product.variants[0];
+        setProduct(data.product);
+        setRelated(data.related);
+        setVariantId(first._id);
+        setQuantity(first.orderIncrement ?? 1);
+        setImage(first.imageUrl || data.product.imageUrl);
+        setStatus("found");
+        document.title = data.product.name;
+      } catch (error) {
+        console.error("Error fetching product:", error);
+        if (current) setStatus("missing");
+      }
+    };
+
+    fetchProduct();
+    window.scrollTo(0, 0);
+    return () => {
+      current = false;
+    };
+  }, [token, id]);
+
+  /**
+   * handleBack:
+   * - Goes back to where the customer came from (ex: the shop with its filters), or to the shop if the page was opened from a link.
+   */
+  const handleBack = () => {
+    if (location.key !== "default") {
+      navigate(-1);
+    } else {
+      navigate("/");
+    }
+  };
+
+  // the quantities of one variant do not carry over to another
+  const handleVariantChange = (e) => {
+    const picked = findVariant(product, e.target.value);
+    setVariantId(picked._id);
+    setQuantity(picked.orderIncrement ?? 1);
+    setImage(picked.imageUrl || product.imageUrl);
+  };
+
+  /** handleAddToCart: Adds the product to the cart and shows the popup, or tells why it could not be added. */
+  const handleAddToCart = async (item) => {
+    const error = await addToCart(item);
+    if (error) {
+      alert(error);
+      return;
+    }
+    setPopup(item);
+  };
+
+  const variant = findVariant(product, variantId);
+
+  return (
+    <div className="min-h-screen w-screen flex flex-col">
+      <Navbar />
+      <div className="main-container flex flex-col flex-grow p-6 pt-3 mx-auto">
+        <button
+          className="flex items-center gap-2 font-bold mb-6 self-start"
+          onClick={handleBack}
+        >
+          <FaArrowLeft /> Back
+        </button>
+
+        {status === "missing" && (
+          <div className="w-full flex flex-col items-center justify-center mt-20">
+            <img src={IMAGE} alt="No product" />
+            <span className="font-semibold">
+              Oops! This product is no longer available.
+            </span>
+          </div>
+        )}
+
+        {status === "found" && variant && (
+          <>
+            <div className="flex flex-col sm:flex-row gap-12">
+              <div className="flex flex-col gap-2">
+                <img
+                  src={image}
+                  alt={product.name}
+                  className="object-cover w-[400px] h-96 rounded-2xl"
+                />
+                {galleryImages(product).length > 1 && (
+                  <div className="flex flex-wrap gap-2">
+                    {galleryImages(product).map(({ url, thumbnailUrl }) => (
+                      <img
+                        key={url}
+                        src={thumbnailUrl}
+                        alt=""
+                        className={`object-cover w-20 h-20 rounded-xl border-2 cursor-pointer ${
+                          url === image
+                            ? "border-green-600"
+                            : "border-transparent"
+                        }`}
+                        onClick={() => setImage(url)}
+                      />
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="flex flex-col gap-2 max-w-[600px]">
+                <div className="bg-[#F2F2F2] p-2 rounded-md text-sm self-start">
+                  {categoryName(product)}
+                </div>
+                <h1 className="font-black text-6xl">{product.name}</h1>
+                {product.origin && (
+                  <span className="text-gray-600">From {product.origin}</span>
+                )}
+
+                <div className="flex gap-1 items-end mt-4">
+                  <div className="text-xl font-bold">PHP</div>
+                  <div className="text-4xl font-bold">{variant.price}</div>
+                  <div className="font-bold">{perUnit(variant.unit)}</div>
+                </div>
+                {hasVariants(product) && (
+                  <select
+                    value={variant._id}
+                    onChange={handleVariantChange}
+                    className="p-2 pl-4 h-10 rounded-xl bg-[#F2F2F2] self-start"
+                    title="Variant"
+                  >
+                    {product.variants.map((option) => (
+                      <option
+                        key={option._id}
+                        value={option._id}
+                        disabled={!isInStock(option)}
+                      >
+                        {option.label}
+                        {isInStock(option) ? "" : " (out of stock)"}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                {isInStock(variant) ? (
+                  <span className="font-bold text-[#40573C]">
+                    In stock: {formatQuantity(variant.available, variant.unit)}
+                  </span>
+                ) : (
+                  <span className="font-bold text-red-500">Out of stock</span>
+                )}
+                <span className="text-sm text-gray-600">
+                  Sold by the {variant.unit}, in steps of{" "}
+                  {formatQuantity(variant.orderIncrement ?? 1, variant.unit)}
+                </span>
+
+                {isInStock(variant) && (
+                  <div className="flex gap-2 mt-2">
+                    <QuantityInput
+                      variant={variant}
+                      max={variant.available}
+                      value={quantity}
+                      onChange={setQuantity}
+                      className="p-2 pl-4 h-10 rounded-xl bg-[#F2F2F2] w-24"
+                    />
+                    <button
+                      className="rounded-xl bg-[#40573C] text-white px-4 h-10 font-bold"
+                      onClick={() =>
+                        handleAddToCart({
+                          ...product,
+                          variantId: variant._id,
+                          selectedQuantity: quantity,
+                        })
+                      }
+                    >
+                      + Add to cart
+                    </button>
+                  </div>
+                )}
+
+                <h2 className="text-2xl font-black mt-6">DESCRIPTION</h2>
+                <p>{product.description || "No description yet."}</p>
+              </div>
+            </div>
+
+            {related.length > 0 && (
+              <>
+                <h2 className="font-black text-4xl mt-20 mb-6">
+                  YOU MAY ALSO LIKE
+                </h2>
+                <div className="flex flex-wrap gap-2 justify-center sm:justify-start">
+                  {related.map((item) => (
+                    <Card
+                      key={item._id}
+                      product={item}
+                      addToCart={handleAddToCart}
+                    />
+                  ))}
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+
+      <Popup
+        show={Boolean(popup)}
+        onClose={() => setPopup(null)}
+        image={popup?.imageUrl}
+        title={popup?.name}
+      />
+
+      <Footer />
+    </div>
+  );
+}
@@ -4,29 +4,42 @@ import Navbar from "../../components/Navbar";
 import Footer from "../../components/Footer";
 import Popup from "../../components/Popup";
 import SkeletonCard from "../../components/SkeletonCard";
-import { useState, useContext, useEffect, useRef } from "react";
+import FieldError from "../../components/FieldError";
+import SearchBox from "../../components/SearchBox";
+import { useState, useContext, useEffect } from "react";
 import { CartContext } from "../../contexts/CartContext";
 import { AuthContext } from "../../contexts/AuthContext";
 import { FaArrowUp, FaArrowDown } from "react-icons/fa";
 import Lenis from "@studio-freight/lenis";
+import { categoryOptions } from "../../utils/categories";
+import { useSearchParams } from "react-router-dom";
+import axios from "axios";
+import {
+  SEARCH_DELAY,
+  productQuery,
+  readProductQuery,
+} from "../../utils/productQuery";
 
 import IMAGE from "../../assets/shop/empty.png";
 import BG from "../../assets/shop/bg-wheat.png";
 
 /**
  * PAGE: Shop
- * PURPOSE: Displays the product catalog with filtering and sorting options, allows adding products to cart, and shows a popup notification.
+ * PURPOSE: Displays the product catalog a page at a time with search, filtering and sorting options, allows adding products to cart, and shows a popup notification.
  *
  * STATE:
  *  - showPopup (boolean): Controls the visibility of the popup notification.
  *  - popupImage (string): URL of the image displayed in the popup.
  *  - popupName (string): Name of the product displayed in the popup.
- *  - products (array): The full list of product objects fetched from the server.
- *  - filteredProducts (array): The list of product objects after applying filters and sorting.
- *  - loading (boolean): Indicates whether products are being loaded.
- *  - sortOption (object): Stores the current sorting option (e.g., { price: -1 } for descending price).
- *  - filterOption (object): Stores the current filter values (e.g., { name: 'rice' }).
+ *  - products (array): The products on the current page, already filtered and sorted by the server.
+ *  - pages (number): The number of pages of matching products.
+ *  - page (number): The current page, starting at 1.
+ *  - loading (boolean): Indicates whether the first page is being loaded.
+ *  - filterOption (object): Stores the current filter values (e.g., { search: 'rice', category: <category id>, minPrice: '50', maxPrice: '' }).
+ *  - fieldErrors (object): The backend's messages for filters it refused (e.g., a maximum price below the minimum).
+ *  - categories (array): The product categories, in display order, offered as filters.
  *  - activeSort (object or null): Stores the currently active sorting key and order.
+ *  - searchInput (string): The text typed in the search box; it is only searched once sent or picked from the suggestions.
  *
  * CONTEXT:
  *  - CartContext: Used to access the `addToCart` function to add products to the cart.
@@ -34,19 +47,26 @@ import BG from "../../assets/shop/bg-wheat.png";
  *
  * USAGE:
  *  - Renders the main shopping page where users can browse and select products.
+ *  - The filters, sort and page are kept in the url (ex: /?search=eggs&page=2).
  */
 
 export default function Shop() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  // the filters, sort and page the shop was left with, if any
+  const [initial] = useState(() => readProductQuery(searchParams));
+
   const [showPopup, setShowPopup] = useState(false);
   const [popupImage, setPopupImage] = useState("");
   const [popupName, setPopupName] = useState("");
   const [products, setProducts] = useState([]);
-  const [filteredProducts, setFilteredProducts] = useState([]);
+  const [pages, setPages] = useState(0);
+  const [page, setPage] = useState(initial.page);
   const [loading, setLoading] = useState(true);
-  const [sortOption, setSortOption] = useState();
-  const [filterOption, setFilterOption] = useState({});
-  const [activeSort, setActiveSort] = useState(null);
-  const filterRef = useRef(null);
+  const [filterOption, setFilterOption] = useState(initial.filters);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [categories, setCategories] = useState([]);
+  const [activeSort, setActiveSort] = useState(initial.sort);
+  const [searchInput, setSearchInput] = useState(initial.filters.search ?? "");
 
   const { addToCart } = useContext(CartContext);
   const { token } = useContext(AuthContext);
@@ -67,76 +87,80 @@ export default function Shop() {
     requestAnimationFrame(raf);
   }, []);
 
+  /**
+   * useEffect (for keeping the url in sync):
+   * - Mirrors the filters, sort and page in the url, so links to the shop keep them and going back from a product page restores them.
+   * - Replaces the history entry rather than adding one, so the back button leaves the shop instead of undoing each filter.
+   * - Leaves the url alone once it matches, since setting it runs this effect again.
+   */
+  useEffect(() => {
+    const query = productQuery(filterOption, activeSort, page);
+    if (query.toString() === searchParams.toString()) return;
+    setSearchParams(query, { replace: true });
+  }, [filterOption, activeSort, page, searchParams, setSearchParams]);
+
   /**
    * useEffect (for fetching products):
-   * - Fetches the product data from the backend API when the component mounts.
-   * - Updates the `products` and `filteredProducts` state with the fetched data.
-   * - Sets `loading` to `false` after the data is fetched.
-   * - This effect has a dependency on the `token` to re-fetch data if the user's authentication changes.
+   * - Fetches the current page of products matching the filters and sort; the backend does the searching, filtering and sorting.
+   * - Waits for the customer to stop typing before fetching, and ignores the answer if the filters changed in the meantime.
+   * - Sets `loading` to `false` after the first page is fetched.
    */
   useEffect(() => {
-    const fetchProducts = async () => {
-      if (!token) {
-        console.error("No token found");
-        setLoading(false);
-        return;
-      }
+    if (!token) {
+      console.error("No token found");
+      setLoading(false);
+      return;
+    }
 
+    let current = true;
+    const fetchProducts = async () => {
       try {
-        const response = await fetch(
-          `${process.env.REACT_APP_BACKEND_URL}/customer/getProductListings`,
-          {
-            method: "GET",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
-          }
+        const query = productQuery(filterOption, activeSort, page);
+        const response = await axios.get(
+          `${process.env.REACT_APP_BACKEND_URL}/customer/getProductListings?${query}`,
+          { headers: { Authorization: `Bearer ${token}` } }
         );
+        if (!current) return;
 
-        if (response.ok) {
-          const data = await response.json();
-          console.log("Fetched products:", data);
-          setProducts(data);
-          setFilteredProducts(data);
-        } else {
-          console.error("Error fetching products:", response.statusText);
-        }
+        setProducts(response.data.products);
+        setPages(response.data.pages);
+        setFieldErrors({});
       } catch (error) {
         console.error("Error fetching products:", error);
+        if (current) setFieldErrors(error.response?.data?.errors ?? {});
       } finally {
-        setLoading(false);
+        if (current) setLoading(false);
       }
     };
 
-    fetchProducts();
-  }, [token]);
+    const timer = setTimeout(fetchProducts, SEARCH_DELAY);
+    return () => {
+      current = false;
+      clearTimeout(timer);
+    };
+  }, [token, filterOption, activeSort, page]);
 
   /**
-   * useEffect (for filtering and sorting):
-   * - Filters and sorts the `products` array based on the `filterOption` and `sortOption` states.
-   * - Updates the `filteredProducts` state with the resulting array.
-   * - This effect runs whenever `filterOption`, `sortOption`, or `products` change.
+   * useEffect (for fetching categories):
+   * - Fetches the product categories to filter by.
    */
   useEffect(() => {
-    let filtered = [...products];
+    const fetchCategories = async () => {
+      if (!token) return;
 
-    if (filterOption.name) {
-      filtered = filtered.filter((product) =>
-        product.name.toLowerCase().includes(filterOption.name.toLowerCase())
-      );
-    }
-
-    if (sortOption) {
-      const [key, order] = Object.entries(sortOption)[0];
-      filtered.sort((a, b) => {
-        if (order === 1) return a[key] > b[key] ? 1 : -1;
-        else return a[key] < b[key] ? 1 : -1;
-      });
-    }
+      try {
+        const response = await axios.get(
+          `${process.env.REACT_APP_BACKEND_URL}/customer/categories`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        setCategories(response.data);
+      } catch (error) {
+        console.error("Error fetching categories:", error);
+      }
+    };
 
-    setFilteredProducts(filtered);
-  }, [filterOption, sortOption, products]);
+    fetchCategories();
+  }, [token]);
 
   // --- Event Handlers ---
   /** handleClosePopup: Hides the popup notification. */
@@ -144,48 +168,94 @@ export default function Shop() {
     setShowPopup(false);
   };
 
-  /** handleAddToCart: Adds the selected product to the cart and shows the popup. */
-  const handleAddToCart = (product) => {
-    addToCart(product);
+  /** handleAddToCart: Adds the selected product to the cart and shows the popup, or tells why it could not be added. */
+  const handleAddToCart = async (product) => {
+    const error = await addToCart(product);
+    if (error) {
+      alert(error);
+      return;
+    }
     setShowPopup(true);
     setPopupImage(product.imageUrl);
     setPopupName(product.name);
   };
 
-  /** handleSort: Sets the sorting option based on the clicked button. */
+  /** handleSort: Sets the sorting option based on the clicked button, starting from the first page. */
   const handleSort = (key, order) => {
     setActiveSort({ key, order });
-    setSortOption({ [key]: order === "Ascending" ? 1 : -1 });
+    setPage(1);
   };
 
-  /** handleFilter: Updates the filter options based on user input. */
+  /** handleFilter: Updates the filter options based on user input, starting from the first page. */
   const handleFilter = (key, value) => {
     setFilterOption((prev) => ({ ...prev, [key]: value }));
+    setPage(1);
   };
 
   /** handleReset: Clears all filter and sorting options. */
   const handleReset = () => {
     setFilterOption({});
-    setSortOption(null);
     setActiveSort(null);
-    filterRef.current.value = "";
+    setPage(1);
+    setSearchInput("");
   };
 
   return (
     <div className="min-h-screen w-screen flex flex-col">
       <Navbar />
       <div className="main-container flex flex-col sm:flex-row flex-grow pt-3">
-        <div className="filter-container w-5/6 sm:w-[275px] h-[780px] p-6 m-12 mt-0 bg-[#F2F2F2] rounded-2xl flex-shrink-0 sm:sticky sm:top-36">
+        <div className="filter-container w-5/6 sm:w-[275px] p-6 m-12 mt-0 bg-[#F2F2F2] rounded-2xl flex-shrink-0 sm:sticky sm:top-36">
           <div className="flex flex-col gap-2">
             <h1 className="text-2xl font-black mb-2">SEARCH</h1>
-            <input
-              type="text"
-              placeholder="Name"
-              className="bg-white text-xl rounded-lg w-full p-4"
-              onChange={(e) => handleFilter("name", e.target.value)}
-              ref={filterRef}
+            <SearchBox
+              value={searchInput}
+              onChange={setSearchInput}
+              onSearch={(text) => handleFilter("search", text)}
             />
           </div>
+          <div className="flex flex-col gap-2 mt-6">
+            <h1 className="text-2xl font-black mb-2">PRICE</h1>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min="0"
+                placeholder="Min"
+                className="bg-white text-xl rounded-lg w-full p-4"
+                value={filterOption.minPrice ?? ""}
+                onChange={(e) => handleFilter("minPrice", e.target.value)}
+              />
+              <input
+                type="number"
+                min="0"
+                placeholder="Max"
+                className="bg-white text-xl rounded-lg w-full p-4"
+                value={filterOption.maxPrice ?? ""}
+                onChange={(e) => handleFilter("maxPrice", e.target.value)}
+              />
+            </div>
+            <FieldError errors={fieldErrors} field="minPrice" />
+            <FieldError errors={fieldErrors} field="maxPrice" />
+          </div>
+          <div className="flex flex-col gap-2 mt-6">
+            <h1 className="text-2xl font-black mb-2">CATEGORIES</h1>
+            <div className="flex flex-wrap gap-2">
+              {[{ _id: "", label: "All" }, ...categoryOptions(categories)].map(
+                (category) => (
+                  <button
+                    key={category._id}
+                    className={`bg-white text-sm rounded-lg p-2 transition-colors ease-out ${
+                      (filterOption.category ?? "") === category._id
+                        ? "bg-green-300"
+                        : ""
+                    }`}
+                    onClick={() => handleFilter("category", category._id)}
+                  >
+                    {category.label}
+                  </button>
+                )
+              )}
+            </div>
+          </div>
           <div className="flex flex-col gap-2 mt-6">
             <h1 className="text-2xl font-black mb-2">SORT BY</h1>
             <button
@@ -209,17 +279,6 @@ export default function Shop() {
               <FaArrowUp />
               Price Ascending
             </button>
-
-            <button
-              className={`bg-white text-xl rounded-lg w-full p-4  py-3 flex items-center gap-2 transition-colors ease-out ${
-                activeSort?.key === "type" && activeSort?.order === "Ascending"
-                  ? "bg-green-300"
-                  : ""
-              }`}
-              onClick={() => handleSort("type", "Ascending")}
-            >
-              <FaArrowUp /> Type Ascending
-            </button>
             <button
               className={`bg-white text-lg rounded-lg w-full p-4 py-3  flex items-center gap-2 transition-colors ease-out ${
                 activeSort?.key === "quantity" &&
@@ -253,17 +312,6 @@ export default function Shop() {
               <FaArrowDown />
               Price Descending
             </button>
-            <button
-              className={`bg-white text-xl rounded-lg w-full p-4 py-3  flex items-center gap-2 transition-colors ease-out ${
-                activeSort?.key === "type" && activeSort?.order === "Descending"
-                  ? "bg-green-300"
-                  : ""
-              }`}
-              onClick={() => handleSort("type", "Descending")}
-            >
-              <FaArrowDown />
-              Type Descending
-            </button>
             <button
               className={`bg-white text-lg rounded-lg w-full p-4  py-3 flex items-center gap-2  transition-colors ease-out ${
                 activeSort?.key === "quantity" &&
@@ -292,14 +340,14 @@ export default function Shop() {
                 <SkeletonCard key={index} />
               ))}
             </div>
-          ) : filteredProducts.length == 0 ? (
+          ) : products.length == 0 ? (
             <div className="w-full flex flex-col items-center justify-center mt-20 lg:pr-48">
               <img src={IMAGE} alt="No product" />
               <span className="font-semibold">Oops! No products found.</span>
             </div>
           ) : (
             <div className="flex flex-wrap gap-2 justify-center sm:justify-start">
-              {filteredProducts.map((product) => (
+              {products.map((product) => (
                 <Card
                   key={product._id}
                   product={product}
@@ -308,6 +356,27 @@ export default function Shop() {
               ))}
             </div>
           )}
+          {pages > 1 && (
+            <div className="mt-4 flex justify-center items-center gap-3 w-full">
+              <button
+                className="form-button"
+                disabled={page <= 1}
+                onClick={() => setPage(page - 1)}
+              >
+                Previous
+              </button>
+              <span className="font-medium">
+                Page {page} of {pages}
+              </span>
+              <button
+                className="form-button"
+                disabled={page >= pages}
+                onClick={() => setPage(page + 1)}
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
       </div>
 
@@ -0,0 +1,23 @@
+/**
+ * UTILITY: categories
+ * PURPOSE: Helpers for the product categories sent by the backend, which nest one level deep (ex: Produce > Leafy Greens).
+ *
+ * EXPORTS:
+ *    - categoryName (Function): The name of a product's category, for display.
+ *    - categoryOptions (Function): The categories in display order with subcategories under their parent, for selects.
+ */
+
+export const categoryName = (product) =>
+  product.category?.name ?? "Uncategorized";
+
+// the backend already sends categories in display order, so each parent is
+// followed by its subcategories in the order they came in
+export const categoryOptions = (categories) =>
+  categories
+    .filter((category) => !category.parent)
+    .flatMap((parent) => [
+      { ...parent, label: parent.name },
+      ...categories
+        .filter((category) => category.parent === parent._id)
+        .map((child) => ({ ...child, label: `${parent.name} › ${child.name}` })),
+    ]);
@@ -0,0 +1,35 @@
+/**
+ * UTILITY: images
+ * PURPOSE: Picks the images of a product to show, from the gallery uploaded by admins (server/utils/images.js) or, for products without uploads, the image link they were given.
+ *
+ * EXPORTS:
+ *    - coverThumbnail (Function): The small image of a product for cards and lists: the thumbnail of its first uploaded image, or its imageUrl.
+ *    - galleryImages (Function): Every image of a product for its page, each as { url, thumbnailUrl }: its own, then those of its variants.
+ *
+ * NOTES:
+ *  - Linked images have no thumbnail, so their full image stands in for it.
+ */
+
+export const coverThumbnail = (product) =>
+  product.images?.[0]?.thumbnailUrl || product.imageUrl;
+
+const linked = (url) => ({ url, thumbnailUrl: url });
+
+export const galleryImages = (product) => {
+  const own =
+    product.images?.length > 0
+      ? product.images
+      : [product.imageUrl].filter(Boolean).map(linked);
+  const ofVariants = product.variants
+    .map((variant) => variant.imageUrl)
+    .filter(Boolean)
+    .map(linked);
+
+  // variants often share the product's image
+  const seen = new Set();
+  return [...own, ...ofVariants].filter(({ url }) => {
+    if (seen.has(url)) return false;
+    seen.add(url);
+    return true;
+  });
+};
@@ -0,0 +1,47 @@
+/**
+ * UTILITY: orderStatus
+ * PURPOSE: Mirrors the order lifecycle of the backend (server/utils/orderLifecycle.js) for display.
+ *
+ * EXPORTS:
+ *    - ORDER_STATUS (object): The numeric order status codes.
+ *    - STATUS_LABELS (object): The display label of each status code.
+ *    - SALE_STATUSES (array): The statuses that count as a sale (confirmed until delivered).
+ *    - CLOSED_STATUSES (array): The statuses of orders that were cancelled or refunded.
+ *    - NEXT_ADMIN_STATUS (object): The next step an admin can move an order to, if any.
+ */
+
+export const ORDER_STATUS = {
+  PENDING: 0,
+  CONFIRMED: 1,
+  CANCELLED: 2,
+  PACKED: 3,
+  OUT_FOR_DELIVERY: 4,
+  DELIVERED: 5,
+  REFUNDED: 6,
+};
+
+export const STATUS_LABELS = {
+  [ORDER_STATUS.PENDING]: "Pending",
+  [ORDER_STATUS.CONFIRMED]: "Confirmed",
+  [ORDER_STATUS.CANCELLED]: "Cancelled",
+  [ORDER_STATUS.PACKED]: "Packed",
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: "Out for Delivery",
+  [ORDER_STATUS.DELIVERED]: "Delivered",
+  [ORDER_STATUS.REFUNDED]: "Refunded",
+};
+
+export const SALE_STATUSES = [
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.PACKED,
+  ORDER_STATUS.OUT_FOR_DELIVERY,
+  ORDER_STATUS.DELIVERED,
+];
+
+export const CLOSED_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED];
+
+export const NEXT_ADMIN_STATUS = {
+  [ORDER_STATUS.CONFIRMED]: ORDER_STATUS.PACKED,
+  [ORDER_STATUS.PACKED]: ORDER_STATUS.OUT_FOR_DELIVERY,
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: ORDER_STATUS.DELIVERED,
+  [ORDER_STATUS.DELIVERED]: ORDER_STATUS.REFUNDED,
+};
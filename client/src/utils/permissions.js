@@ -0,0 +1,67 @@
+/**
+ * UTILITY: permissions
+ * PURPOSE: Mirrors the permissions of the backend (server/utils/permissions.js) to decide what to show.
+ *
+ * EXPORTS:
+ *    - PERMISSIONS (object): The named permissions a role can have.
+ *    - ADMIN_SECTIONS (array): The admin pages, in navbar order, with the permission each one needs.
+ *    - homePathFor (Function): The page to land on after logging in with the given permissions.
+ *
+ * NOTES:
+ *  - Hiding a page is only for convenience; the backend checks the permission on every request.
+ */
+
+export const PERMISSIONS = {
+  INVENTORY_WRITE: "inventory:write",
+  ORDERS_FULFIL: "orders:fulfil",
+  REPORTS_READ: "reports:read",
+  USERS_MANAGE: "users:manage",
+};
+
+export const ADMIN_SECTIONS = [
+  {
+    path: "/admin-users",
+    label: "Users",
+    permission: PERMISSIONS.USERS_MANAGE,
+  },
+  {
+    path: "/admin-products",
+    label: "Products",
+    permission: PERMISSIONS.INVENTORY_WRITE,
+  },
+  {
+    path: "/admin-categories",
+    label: "Categories",
+    permission: PERMISSIONS.INVENTORY_WRITE,
+  },
+  {
+    path: "/admin-search",
+    label: "Search",
+    permission: PERMISSIONS.INVENTORY_WRITE,
+  },
+  {
+    path: "/admin-sales",
+    label: "Orders",
+    permission: PERMISSIONS.ORDERS_FULFIL,
+  },
+  {
+    path: "/admin",
+    label: "Sales",
+    permission: PERMISSIONS.REPORTS_READ,
+  },
+];
+
+// customers have no permissions and go to the shop; everyone else goes to
+// the sales report if they can see it, or else the first page they can use
+export const homePathFor = (permissions) => {
+  if (permissions.length === 0) {
+    return "/";
+  }
+  if (permissions.includes(PERMISSIONS.REPORTS_READ)) {
+    return "/admin";
+  }
+  const section = ADMIN_SECTIONS.find(({ permission }) =>
+    permissions.includes(permission)
+  );
+  return section ? section.path : "/";
+};
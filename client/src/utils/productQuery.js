@@ -0,0 +1,54 @@
+/**
+ * UTILITY: productQuery
+ * PURPOSE: Builds the query string of the product listings (/customer/getProductListings and /admin/getProductListings), which search, filter, sort and page through the products on the backend.
+ *
+ * EXPORTS:
+ *    - SEARCH_DELAY (number): How long to wait after the last change to the filters before fetching, in milliseconds.
+ *    - productQuery (Function): The query string for the filters, the active sort and the page.
+ *    - readProductQuery (Function): The filters, sort and page of a query string made by productQuery, to restore a page from its url.
+ *
+ * NOTES:
+ *  - A sort by price or stock is broken by name, so products with the same price keep a steady order.
+ */
+
+export const SEARCH_DELAY = 300;
+
+const FILTER_KEYS = ["search", "category", "minPrice", "maxPrice", "inStock"];
+
+const isSet = (value) => value !== undefined && value !== null && value !== "";
+
+// filters: { search, category, minPrice, maxPrice, inStock }, as typed
+// sort: { key, order: "Ascending" or "Descending" }, or null
+// the first page is left out, since it is the default
+export const productQuery = (filters, sort, page) => {
+  const query = new URLSearchParams();
+  for (const key of FILTER_KEYS) {
+    const value = filters[key];
+    const text = typeof value === "string" ? value.trim() : value;
+    if (isSet(text)) query.set(key, text);
+  }
+  if (sort) {
+    const key = `${sort.order === "Descending" ? "-" : ""}${sort.key}`;
+    query.set("sort", sort.key === "name" ? key : `${key},name`);
+  }
+  if (page > 1) query.set("page", page);
+  return query;
+};
+
+// params: URLSearchParams (ex: from useSearchParams)
+export const readProductQuery = (params) => {
+  const filters = {};
+  for (const key of FILTER_KEYS) {
+    if (params.has(key)) filters[key] = params.get(key);
+  }
+  // the first key is the one picked; the rest only break ties
+  const [first] = (params.get("sort") ?? "").split(",");
+  const sort = first
+    ? {
+        key: first.replace(/^-/, ""),
+        order: first.startsWith("-") ? "Descending" : "Ascending",
+      }
+    : null;
+  const page = Number(params.get("page")) || 1;
+  return { filters, sort, page };
+};
@@ -0,0 +1,41 @@
+/**
+ * UTILITY: units
+ * PURPOSE: Mirrors the units of measure of the backend (server/utils/units.js) to show and pick quantities.
+ *
+ * EXPORTS:
+ *    - UNITS (array): The units a product can be sold in, in the order they are offered.
+ *    - isFractional (Function): Whether quantities in the unit can have decimals (only kg).
+ *    - roundQuantity (Function): Rounds a quantity to the gram, hiding the float errors of sums like 0.1 + 0.2.
+ *    - formatQuantity (Function): A quantity with its unit, for display (ex: "1.5 kg", "2 trays").
+ *    - perUnit (Function): What a price is for, for display (ex: "/ kg").
+ *    - isOrderQuantity (Function): Whether a customer can order the quantity of a product variant, up to a limit.
+ *
+ * NOTES:
+ *  - Order lines from before units were added have no unit; they are by the piece.
+ */
+
+export const UNITS = ["kg", "g", "piece", "bundle", "dozen", "tray"];
+
+const DEFAULT_UNIT = "piece";
+
+// the units that read "2 pieces" rather than "2 piece"
+const COUNTABLE_UNITS = ["piece", "bundle", "tray"];
+
+export const isFractional = (unit) => unit === "kg";
+
+export const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+export const formatQuantity = (quantity, unit = DEFAULT_UNIT) => {
+  const amount = roundQuantity(quantity);
+  const plural = COUNTABLE_UNITS.includes(unit) && amount !== 1;
+  return `${amount} ${unit}${plural ? "s" : ""}`;
+};
+
+export const perUnit = (unit = DEFAULT_UNIT) => `/ ${unit}`;
+
+// a positive multiple of the variant's order increment, up to the given
+// quantity (the same check as the backend's checkOrderQuantity)
+export const isOrderQuantity = (variant, quantity, upTo) => {
+  const steps = roundQuantity(quantity / (variant.orderIncrement ?? 1));
+  return quantity > 0 && quantity <= upTo && Number.isInteger(steps);
+};
@@ -0,0 +1,23 @@
+/**
+ * UTILITY: variants
+ * PURPOSE: Helpers for product variants, the ways one product is sold (ex: eggs by the tray of 30 or by the dozen), each with its own price, unit and stock.
+ *
+ * EXPORTS:
+ *    - findVariant (Function): The variant of a product with the given id, if it still exists.
+ *    - isInStock (Function): Whether at least one order increment of a variant is still available.
+ *    - inStockVariants (Function): The variants of a product that can still be ordered.
+ *    - hasVariants (Function): Whether a product is sold more than one way, so its variant labels are worth showing.
+ *    - variantName (Function): The product name with the variant label, for display (ex: "Eggs (Tray of 30)").
+ */
+
+export const findVariant = (product, variantId) =>
+  product?.variants?.find((variant) => variant._id === variantId);
+
+export const isInStock = (variant) =>
+  variant.available >= (variant.orderIncrement ?? 1);
+
+export const inStockVariants = (product) => product.variants.filter(isInStock);
+
+export const hasVariants = (product) => product.variants.length > 1;
+
+export const variantName = (name, label) => (label ? `${name} (${label})` : name);
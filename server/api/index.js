@@ -2,17 +2,22 @@ import express from "express";
 import mongoose from "mongoose";
 import cors from "cors";
 import bodyParser from "body-parser";
+import cookieParser from "cookie-parser";
 import dotenv from "dotenv";
 import authRoutes from "../routers/auth.js";
 import adminRoutes from "../routers/admin.js";
 import customerRoutes from "../routers/customer.js";
 import reportRoutes from "../routers/report.js";
+import { UPLOADS_ROUTE, serveUploads } from "../utils/storage.js";
 
 // prepare the dot env
 dotenv.config({ path: "../.env" });
 
 // connect to express app
 const app = express();
+// the app runs behind a proxy; req.ip must be the client's address for the
+// login limits
+app.set("trust proxy", 1);
 // middleware
 
 app.use(
@@ -24,6 +29,7 @@ app.use(
 );
 
 app.use(bodyParser.json());
+app.use(cookieParser());
 
 // connect to mongodb
 const dbURI = process.env.MONGODB_URI;
@@ -40,6 +46,10 @@ app.use("/auth", authRoutes);
 app.use("/admin", adminRoutes);
 app.use("/customer", customerRoutes);
 app.use("/report", reportRoutes);
+// the disk of a Vercel deployment does not keep files, so product image
+// uploads are refused here until another storage is set up (see
+// utils/storage.js)
+app.use(UPLOADS_ROUTE, serveUploads());
 
 const port = process.env.PORT || 3001;
 
@@ -1,26 +1,123 @@
+import mongoose from "mongoose";
+import bcrypt from "bcrypt";
 import Product from "../models/productModel.js";
 import Order from "../models/orderModel.js";
 import User from "../models/userModel.js";
+import Cart from "../models/cartModel.js";
+import {
+  ORDER_STATUS,
+  SALE_STATUSES,
+  UNFINISHED_STATUSES,
+  parseStatuses,
+  transitionOrder,
+} from "../utils/orderLifecycle.js";
+import { revokeAllSessions } from "../utils/tokens.js";
+import { sendVerificationEmail } from "../utils/emailVerification.js";
+import { getActiveLockouts, clearLockout } from "../utils/loginThrottle.js";
+import { sendPasswordResetEmail } from "../utils/passwordReset.js";
+import ScheduledPrice from "../models/scheduledPriceModel.js";
+import Category from "../models/categoryModel.js";
+import Synonym from "../models/synonymModel.js";
+import MissedSearch from "../models/missedSearchModel.js";
+import {
+  actorOf,
+  recordPriceChange,
+  applyDuePriceChanges,
+  getPriceTimeline,
+} from "../utils/priceSchedule.js";
+import {
+  CATEGORY_SUMMARY,
+  CATEGORY_ORDER,
+  slugify,
+  checkParent,
+} from "../utils/categories.js";
+import {
+  DEFAULT_UNIT,
+  roundQuantity,
+  checkUnitQuantity,
+  checkProductUnits,
+} from "../utils/units.js";
+import {
+  DEFAULT_VARIANT_LABEL,
+  checkVariantLabel,
+} from "../utils/variants.js";
+import { variantReservedExpr } from "../utils/inventory.js";
+import {
+  checkPriceRange,
+  productFilter,
+  findProductPage,
+} from "../utils/productSearch.js";
+import { wordsOf, forgetVocabulary } from "../utils/search.js";
+import {
+  MAX_PRODUCT_IMAGES,
+  storeImage,
+  removeImage,
+} from "../utils/images.js";
+import { canStoreFiles } from "../utils/storage.js";
 
+const USERS_PAGE_SIZE = 20;
+const MISSED_SEARCHES_PAGE_SIZE = 20;
+
+// the fields a user search looks in
+const USER_SEARCH_FIELDS = ["firstName", "middleName", "lastName", "email"];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// the 400 sent when a product is filed under a category that does not exist
+const categoryNotFound = (res) =>
+  res.status(400).json({
+    error: "Category not found.",
+    errors: { category: "Category not found." },
+  });
+
+// the error sent when one field is rejected
+const fieldError = (res, status, field, message) =>
+  res.status(status).json({ error: message, errors: { [field]: message } });
+
+// a product is added with its first variant; more are added through
+// addVariant
 const addProduct = async (req, res) => {
   try {
     const {
       name,
       description = null,
+      origin = null,
+      category,
+      imageUrl = null,
+      variantLabel = DEFAULT_VARIANT_LABEL,
       price,
-      type,
+      unit = DEFAULT_UNIT,
+      orderIncrement = 1,
       quantity,
-      imageUrl = null,
     } = req.body;
+    if (!(await Category.exists({ _id: category }))) {
+      return categoryNotFound(res);
+    }
+    const errors = checkProductUnits({ unit, orderIncrement, quantity });
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: "Invalid request.", errors });
+    }
     const newProduct = new Product({
       name,
       description,
-      price,
-      type,
-      quantity,
+      origin: origin?.trim() || null,
+      category,
       imageUrl,
+      variants: [
+        { label: variantLabel.trim(), price, unit, orderIncrement, quantity },
+      ],
     });
     await newProduct.save();
+    const [variant] = newProduct.variants;
+    await recordPriceChange({
+      productId: newProduct._id,
+      variantId: variant._id,
+      price: variant.price,
+      source: "created",
+      actor: actorOf(req.tokenInfo),
+    });
+    // its words can be searched right away
+    forgetVocabulary();
     res.status(201).json({ message: "Product created successfully." });
   } catch (error) {
     console.error("Error adding product:", error); 
@@ -28,41 +125,300 @@ const addProduct = async (req, res) => {
   }
 };
 
-/**
- * req.body should be something like this:
- *
- * {
- *  "sortOption": {<key>: <asc or desc>}
- * }
- *
- * <key> can be "name", "type", "price", or "quantity"
- * <asc or desc>: 1 for ascending, -1 for descending
- * Only one key is allowed for now.
- */
+// one page of the products, archived ones included, searched, filtered and
+// sorted with the query string (see utils/productSearch.js)
 const getProductListings = async (req, res) => {
   try {
-    const { sortOption } = req.body;
-    const products = await Product.find().sort(sortOption);
-    res.status(200).json(products);
+    const rangeError = checkPriceRange(req.query);
+    if (rangeError) return fieldError(res, 400, "maxPrice", rangeError);
+    await applyDuePriceChanges();
+    const filter = await productFilter(req.query);
+    res.status(200).json(await findProductPage(filter, req.query));
   } catch (error) {
     res.status(500).json({ error: "Unable to get products." });
   }
 };
 
+// list users a page at a time, optionally searched and filtered
+// every word of the search has to appear in the name or the email
+// (ex: "juan cruz" finds Juan Dela Cruz)
 const getRegisteredUsers = async (req, res) => {
   try {
-    const users = await User.find();
-    res.status(200).json(users);
+    const {
+      search = "",
+      status,
+      userType,
+      page = 1,
+      limit = USERS_PAGE_SIZE,
+    } = req.query;
+
+    const filter = {};
+    const words = search.trim().split(/\s+/).filter(Boolean);
+    if (words.length > 0) {
+      filter.$and = words.map((word) => ({
+        $or: USER_SEARCH_FIELDS.map((field) => ({
+          [field]: { $regex: escapeRegex(word), $options: "i" },
+        })),
+      }));
+    }
+    // users from before deactivation existed have no active field
+    if (status === "active") filter.active = { $ne: false };
+    if (status === "deactivated") filter.active = false;
+    if (userType) filter.userType = userType;
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select("-password")
+        .sort({ lastName: 1, firstName: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter),
+    ]);
+    res.status(200).json({
+      users,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
   } catch (error) {
     res.status(500).json({ error: "Unable to get users" });
   }
 };
 
+// one user with their order history, latest first
+// lifetime spend only counts orders that are sales (see SALE_STATUSES)
+const getUserDetails = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select("-password");
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
+
+    // orders are linked to users by email
+    const orders = await Order.find({
+      email: user.email,
+      status: { $ne: ORDER_STATUS.IN_CART },
+    }).sort({ dateTimeOrdered: -1 });
+    const lifetimeSpend = orders
+      .filter((order) => SALE_STATUSES.includes(order.status))
+      .reduce((total, order) => total + (order.totalOrderSales || 0), 0);
+
+    res.status(200).json({
+      user,
+      orders,
+      orderCount: orders.length,
+      lifetimeSpend: Math.round(lifetimeSpend * 100) / 100,
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to get user." });
+  }
+};
+
+// stop a user from logging in, and end the sessions they have
+// admins cannot deactivate themselves, so there is always one who can undo it
+const deactivateUser = async (req, res) => {
+  try {
+    const { userId } = req.body;
+    if (userId === req.tokenInfo.userId) {
+      return res
+        .status(409)
+        .json({ error: "You cannot deactivate your own account." });
+    }
+    const user = await User.findByIdAndUpdate(userId, {
+      active: false,
+      deactivatedAt: new Date(),
+    });
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
+    await revokeAllSessions(user._id);
+    console.log(`User ${user.email} deactivated by ${req.tokenInfo.email}`);
+    res.status(200).json({ message: "User deactivated." });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to deactivate user." });
+  }
+};
+
+// let a deactivated user log in again
+const reactivateUser = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.body.userId, {
+      active: true,
+      deactivatedAt: null,
+    });
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
+    console.log(`User ${user.email} reactivated by ${req.tokenInfo.email}`);
+    res.status(200).json({ message: "User reactivated." });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to reactivate user." });
+  }
+};
+
+// give a user a role with more permissions (staff or admin)
+// the email of the user has to be typed again to confirm, so the wrong user
+// is not promoted by a misclick
+// the new role is in the user's tokens from their next refresh
+const promoteUser = async (req, res) => {
+  try {
+    const { userId, confirmEmail, role = "admin" } = req.body;
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
+    if (confirmEmail.trim().toLowerCase() !== user.email.toLowerCase()) {
+      return res.status(400).json({
+        error: "Confirmation does not match the user's email.",
+        errors: { confirmEmail: "Does not match the user's email." },
+      });
+    }
+    if (user.userType === role) {
+      return res.status(409).json({ error: `User is already ${role}.` });
+    }
+    if (user.userType === "admin") {
+      return res
+        .status(409)
+        .json({ error: "Admins cannot be moved to another role." });
+    }
+    if (user.active === false) {
+      return res
+        .status(409)
+        .json({ error: "Reactivate the user before promoting them." });
+    }
+
+    user.userType = role;
+    await user.save();
+    console.log(
+      `User ${user.email} promoted to ${role} by ${req.tokenInfo.email}`
+    );
+    res.status(200).json({ message: `User promoted to ${role}.` });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to promote user." });
+  }
+};
+
+// make a user choose a new password
+// they are logged out everywhere and cannot log in until they use the
+// emailed reset link
+const forcePasswordReset = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.body.userId,
+      { passwordResetRequired: true },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
+    await revokeAllSessions(user._id);
+    await sendPasswordResetEmail(user, { forced: true });
+    console.log(
+      `Password reset of ${user.email} required by ${req.tokenInfo.email}`
+    );
+    res.status(200).json({ message: "Password reset required." });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to require a password reset." });
+  }
+};
+
+// create another admin account
+// this is the only way to get an admin account besides the seed script
+const createAdmin = async (req, res) => {
+  try {
+    const {
+      firstName,
+      middleName = null,
+      lastName,
+      address,
+      email,
+      password,
+    } = req.body;
+    if (await User.exists({ email })) {
+      return res.status(409).json({ error: "Email is already registered." });
+    }
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const newAdmin = new User({
+      firstName,
+      middleName,
+      lastName,
+      address,
+      userType: "admin",
+      email,
+      password: hashedPassword,
+    });
+    await newAdmin.save();
+    console.log(`Admin ${email} created by ${req.tokenInfo.email}`);
+    res.status(201).json({ message: "Admin created successfully." });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to create admin." });
+  }
+};
+
+// log a user out of every session
+const revokeUserSessions = async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const user = mongoose.isValidObjectId(userId)
+      ? await User.findById(userId)
+      : null;
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
+    await revokeAllSessions(user._id);
+    res.status(200).json({ message: "Sessions revoked." });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to revoke sessions." });
+  }
+};
+
+// send the verification link again to an unverified user
+const resendVerification = async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
+    if (user.emailVerified) {
+      return res.status(409).json({ error: "Email is already verified." });
+    }
+    await sendVerificationEmail(user);
+    res.status(200).json({ message: "Verification email sent." });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to send verification email." });
+  }
+};
+
+// show the accounts and addresses currently locked out of logging in
+const getLoginLockouts = async (req, res) => {
+  try {
+    res.status(200).json(await getActiveLockouts());
+  } catch (error) {
+    res.status(500).json({ error: "Unable to get lockouts." });
+  }
+};
+
+// let a locked out account or address log in again
+const clearLoginLockout = async (req, res) => {
+  try {
+    if (!(await clearLockout(req.body.lockoutId))) {
+      return res.status(404).json({ error: "Lockout not found." });
+    }
+    res.status(200).json({ message: "Lockout cleared." });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to clear lockout." });
+  }
+};
+
 // show all orders
+// status can be a comma-separated list of statuses
 const getOrders = async (req, res) => {
   const { status } = req.query;
   try {
-    const orders = await Order.find({ status: status }).sort({
+    const orders = await Order.find({
+      status: { $in: parseStatuses(status) },
+    }).sort({
       dateTimeOrdered: -1,
     });
     res.status(200).json(orders);
@@ -72,65 +428,128 @@ const getOrders = async (req, res) => {
 };
 
 // fulfill an order
+// the stock was already reserved when the order was placed, so confirming
+// only turns the reservation into a deduction of the stock on hand
 const confirmOrder = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
     const { orderId } = req.body;
-    const order = await Order.findById(orderId);          
-    const productOrders = order.products;
-    // check if the inventory suffices
-    let orderSuffices = true;
-    let productError;
-    for (let productOrder of productOrders) {
-      const productStore = await Product.findById(productOrder.productId);
-      if (productStore.quantity < productOrder.count) {
-        orderSuffices = false;
-        productError = productStore.name;
-        break;
-      }
-    }
 
-    if (orderSuffices) {
-      await Order.findOneAndUpdate({ _id: orderId }, { status: 1 });
-      res.status(200).json({ message: "Order confirmed." });
-    } else {
-      res
-        .status(400)
-        .json({ error: `Insufficient inventory for ${productError}.` });
-    }
+    await session.withTransaction(async () => {
+      await transitionOrder(
+        orderId,
+        ORDER_STATUS.CONFIRMED,
+        req.tokenInfo,
+        session
+      );
+    });
+
+    res.status(200).json({ message: "Order confirmed." });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.log(error);
     res.status(500).json({ error: "Order confirmation failed." });
+  } finally {
+    await session.endSession();
   }
 };
 
 // cancel an order
 const cancelOrder = async (req, res) => {
-  try{
+  const session = await mongoose.startSession();
+  try {
     const { orderId } = req.body;
-    const order = await Order.findById(orderId);  
 
-    for (let product of order.products) {
-      const productInventory = await Product.findById(product.productId);
+    await session.withTransaction(async () => {
+      await transitionOrder(
+        orderId,
+        ORDER_STATUS.CANCELLED,
+        req.tokenInfo,
+        session
+      );
+    });
 
-      await Product.findByIdAndUpdate(product.productId, {
-        quantity: productInventory.quantity + product.count
-      });
+    res.status(200).json({ message: "Order cancelled." });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.log(error);
+    res.status(500).json({ error: "Order cancellation failed." });
+  } finally {
+    await session.endSession();
+  }
+};
 
-    await Order.findOneAndUpdate({ _id: orderId }, { status: 2 });
+// move an order along its lifecycle (ex: confirmed -> packed)
+// the allowed moves are defined in utils/orderLifecycle.js
+const updateOrderStatus = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const { orderId, status } = req.body;
 
-    res.status(200).json({ message: "Order cancelled." });
+    let order;
+    await session.withTransaction(async () => {
+      order = await transitionOrder(
+        orderId,
+        Number(status),
+        req.tokenInfo,
+        session
+      );
+    });
+
+    res.status(200).json(order);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.log(error);
-    res.status(500).json({ error: "Order cancellation failed." });
+    res.status(500).json({ error: "Order status update failed." });
+  } finally {
+    await session.endSession();
   }
-}
+};
 
 // update stock in inventory
+// this sets the stock on hand of a variant, which cannot go below what
+// pending orders have reserved, and is a whole number unless the unit is
+// fractional
 const updateStock = async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
-    await Product.findByIdAndUpdate(productId, { quantity: quantity });
+    const { productId, variantId, quantity } = req.body;
+    const product = await Product.findById(productId);
+    const variant = product && product.variants.id(variantId);
+    if (!variant) {
+      return res.status(404).json({ error: "Product variant not found." });
+    }
+    const unitError = checkUnitQuantity(quantity, variant.unit);
+    if (unitError) {
+      return fieldError(res, 400, "quantity", unitError);
+    }
+
+    const updated = await Product.findOneAndUpdate(
+      {
+        _id: productId,
+        "variants._id": variantId,
+        $expr: { $lte: [variantReservedExpr(variantId), quantity] },
+      },
+      { "variants.$[v].quantity": quantity },
+      { arrayFilters: [{ "v._id": variantId }] }
+    );
+    if (!updated) {
+      // the variant may have been deleted since it was read above
+      const current = await Product.findById(productId);
+      const latest = current && current.variants.id(variantId);
+      if (!latest) {
+        return res.status(404).json({ error: "Product variant not found." });
+      }
+      const { reserved, unit } = latest;
+      return res.status(400).json({
+        error: `Stock cannot be lower than the ${roundQuantity(reserved)} ${unit} reserved by pending orders.`,
+      });
+    }
     res.status(200).json({ message: "Stock updated." });
   }
   catch (error) {
@@ -138,12 +557,743 @@ const updateStock = async (req, res) => {
   } 
 };
 
+// the product fields an admin can edit
+// the price, unit and stock are those of each variant (see updateVariant)
+const EDITABLE_PRODUCT_FIELDS = [
+  "name",
+  "description",
+  "origin",
+  "category",
+  "imageUrl",
+];
+
+// edit some fields of a product
+// orders keep the name they were placed with, so this only affects orders
+// placed from now on
+const updateProduct = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ error: "Product not found." });
+    }
+
+    if (
+      req.body.category !== undefined &&
+      !(await Category.exists({ _id: req.body.category }))
+    ) {
+      return categoryNotFound(res);
+    }
+
+    for (const field of EDITABLE_PRODUCT_FIELDS) {
+      if (req.body[field] !== undefined) {
+        product[field] = req.body[field];
+      }
+    }
+    // an uploaded cover wins over the link, which is kept for when there is
+    // none
+    if (req.body.imageUrl !== undefined) {
+      product.linkedImageUrl = req.body.imageUrl;
+    }
+    setCover(product);
+    await product.save();
+    forgetVocabulary();
+    await product.populate("category", CATEGORY_SUMMARY);
+    res.status(200).json(product);
+  } catch (error) {
+    // duplicate key: the name is taken by another product
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: "Another product already has this name.",
+        errors: { name: "Another product already has this name." },
+      });
+    }
+    res.status(500).json({ error: "Unable to update product." });
+  }
+};
+
+// hide a product from customers and stop it from being ordered
+// the product is kept so past orders and reports still resolve it; pending
+// orders that have it can still be fulfilled
+// it is taken out of every cart, since it can no longer be checked out
+const archiveProduct = async (req, res) => {
+  try {
+    const product = await Product.findByIdAndUpdate(
+      req.params.productId,
+      { archived: true, archivedAt: new Date() },
+      { new: true }
+    );
+    if (!product) {
+      return res.status(404).json({ error: "Product not found." });
+    }
+    await Cart.updateMany(
+      { "items.product": product._id },
+      { $pull: { items: { product: product._id } } }
+    );
+    res.status(200).json(product);
+  } catch (error) {
+    res.status(500).json({ error: "Unable to archive product." });
+  }
+};
+
+// put an archived product back on sale
+const unarchiveProduct = async (req, res) => {
+  try {
+    const product = await Product.findByIdAndUpdate(
+      req.params.productId,
+      { archived: false, archivedAt: null },
+      { new: true }
+    );
+    if (!product) {
+      return res.status(404).json({ error: "Product not found." });
+    }
+    res.status(200).json(product);
+  } catch (error) {
+    res.status(500).json({ error: "Unable to restore product." });
+  }
+};
+
+// the variant fields an admin can edit
+// stock goes through updateStock, since it has to respect reservations
+const EDITABLE_VARIANT_FIELDS = [
+  "label",
+  "price",
+  "unit",
+  "orderIncrement",
+  "imageUrl",
+];
+
+// add another way to sell a product (ex: eggs by the dozen next to eggs by
+// the tray)
+const addVariant = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ error: "Product not found." });
+    }
+    const {
+      label,
+      price,
+      unit = DEFAULT_UNIT,
+      orderIncrement = 1,
+      quantity,
+      imageUrl = null,
+    } = req.body;
+    const labelError = checkVariantLabel(product, label);
+    if (labelError) return fieldError(res, 409, "label", labelError);
+    const errors = checkProductUnits({ unit, orderIncrement, quantity });
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: "Invalid request.", errors });
+    }
+
+    product.variants.push({
+      label: label.trim(),
+      price,
+      unit,
+      orderIncrement,
+      quantity,
+      imageUrl,
+    });
+    await product.save();
+    const variant = product.variants[product.variants.length - 1];
+    await recordPriceChange({
+      productId: product._id,
+      variantId: variant._id,
+      price: variant.price,
+      source: "created",
+      actor: actorOf(req.tokenInfo),
+    });
+    await product.populate("category", CATEGORY_SUMMARY);
+    res.status(201).json(product);
+  } catch (error) {
+    res.status(500).json({ error: "Unable to add variant." });
+  }
+};
+
+// edit some fields of a variant
+// orders keep the label, price and unit they were placed with, so this only
+// affects orders placed from now on
+// a new price is recorded in the price history
+const updateVariant = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+    const variant = product && product.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({ error: "Product variant not found." });
+    }
+    const { label } = req.body;
+    if (label !== undefined) {
+      const labelError = checkVariantLabel(product, label, variant._id);
+      if (labelError) return fieldError(res, 409, "label", labelError);
+    }
+
+    const previousPrice = variant.price;
+    for (const field of EDITABLE_VARIANT_FIELDS) {
+      if (req.body[field] !== undefined) {
+        variant[field] = req.body[field];
+      }
+    }
+    variant.label = variant.label.trim();
+    // the stock on hand has to fit a new unit too
+    const errors = checkProductUnits(variant);
+    if (errors.quantity) {
+      errors.unit = `The stock on hand (${variant.quantity}) does not fit this unit.`;
+      delete errors.quantity;
+    }
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: "Invalid request.", errors });
+    }
+    await product.save();
+
+    if (variant.price !== previousPrice) {
+      await recordPriceChange({
+        productId: product._id,
+        variantId: variant._id,
+        price: variant.price,
+        previousPrice,
+        source: "manual",
+        actor: actorOf(req.tokenInfo),
+      });
+    }
+    await product.populate("category", CATEGORY_SUMMARY);
+    res.status(200).json(product);
+  } catch (error) {
+    res.status(500).json({ error: "Unable to update variant." });
+  }
+};
+
+// stop selling a product one way
+// a product keeps at least one variant (archive the product to stop selling
+// it), and a variant cannot go while pending orders hold its stock; past
+// orders keep their copy of its label
+// it is taken out of every cart, and its scheduled prices are called off
+const deleteVariant = async (req, res) => {
+  try {
+    const { productId, variantId } = req.params;
+    const product = await Product.findById(productId);
+    if (!product || !product.variants.id(variantId)) {
+      return res.status(404).json({ error: "Product variant not found." });
+    }
+    if (product.variants.length === 1) {
+      return res.status(409).json({
+        error: "A product needs at least one variant; archive it instead.",
+      });
+    }
+    // a confirmed or packed order no longer holds reserved stock, but would
+    // still restock the variant if cancelled
+    if (
+      await Order.exists({
+        "products.variantId": variantId,
+        status: { $in: UNFINISHED_STATUSES },
+      })
+    ) {
+      return res.status(409).json({
+        error:
+          "Orders that are not finished yet have this variant; delete it once they are delivered or cancelled.",
+      });
+    }
+
+    // checked again here, since an order may have reserved stock since
+    const updated = await Product.findOneAndUpdate(
+      {
+        _id: productId,
+        "variants.1": { $exists: true },
+        $expr: { $eq: [variantReservedExpr(variantId), 0] },
+      },
+      { $pull: { variants: { _id: variantId } } },
+      { new: true }
+    ).populate("category", CATEGORY_SUMMARY);
+    if (!updated) {
+      return res
+        .status(409)
+        .json({ error: "Pending orders have reserved stock of this variant." });
+    }
+
+    await Cart.updateMany(
+      { "items.variantId": variantId },
+      { $pull: { items: { variantId } } }
+    );
+    await ScheduledPrice.updateMany(
+      { variantId, appliedAt: null, cancelledAt: null },
+      { cancelledAt: new Date() }
+    );
+    res.status(200).json(updated);
+  } catch (error) {
+    res.status(500).json({ error: "Unable to delete variant." });
+  }
+};
+
+// the first uploaded image of a product is its cover, which listings, carts
+// and orders show through imageUrl
+// products without uploaded images show the link they were given, which is
+// kept in linkedImageUrl while they have some
+const setCover = (product) => {
+  if (product.images.length > 0) product.imageUrl = product.images[0].url;
+};
+
+// add an uploaded image to the end of a product's gallery
+const addProductImage = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ error: "Product not found." });
+    }
+    if (product.images.length >= MAX_PRODUCT_IMAGES) {
+      return res.status(409).json({
+        error: `A product can have at most ${MAX_PRODUCT_IMAGES} images.`,
+      });
+    }
+
+    if (!canStoreFiles()) {
+      return res.status(503).json({
+        error: "Image uploads are not set up on this server.",
+      });
+    }
+
+    const image = await storeImage(req.file.buffer);
+    if (!image) {
+      return res.status(400).json({
+        error: "Invalid request.",
+        errors: { image: "Must be a JPEG, PNG or WebP image." },
+      });
+    }
+    // the link the product was given, from before its first upload
+    if (product.images.length === 0) {
+      product.linkedImageUrl = product.imageUrl ?? null;
+    }
+    product.images.push(image);
+    setCover(product);
+    try {
+      await product.save();
+    } catch (error) {
+      await removeImage(image).catch(() => {});
+      throw error;
+    }
+    await product.populate("category", CATEGORY_SUMMARY);
+    res.status(201).json(product);
+  } catch (error) {
+    res.status(500).json({ error: "Unable to add image." });
+  }
+};
+
+// put the images of a product's gallery in the given order
+// the first one becomes the product's cover
+const reorderProductImages = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ error: "Product not found." });
+    }
+    const { order } = req.body;
+    const complete =
+      order.length === product.images.length &&
+      new Set(order).size === order.length &&
+      order.every((imageId) => product.images.id(imageId));
+    if (!complete) {
+      return fieldError(
+        res,
+        400,
+        "order",
+        "Must have every image of the product once."
+      );
+    }
+
+    product.images = order.map((imageId) =>
+      product.images.id(imageId).toObject()
+    );
+    setCover(product);
+    await product.save();
+    await product.populate("category", CATEGORY_SUMMARY);
+    res.status(200).json(product);
+  } catch (error) {
+    res.status(500).json({ error: "Unable to reorder images." });
+  }
+};
+
+// take an image out of a product's gallery
+// its files are deleted unless an order shows it, since orders keep the
+// image the product had when they were placed
+const deleteProductImage = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+    const image = product && product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: "Product image not found." });
+    }
+
+    product.images.pull(image._id);
+    if (product.images.length === 0) {
+      product.imageUrl = product.linkedImageUrl;
+    }
+    setCover(product);
+    await product.save();
+
+    if (!(await Order.exists({ "products.imageUrl": image.url }))) {
+      try {
+        await removeImage(image);
+      } catch (error) {
+        // the product no longer shows it; the files only take up space
+        console.log("Unable to delete image files:", error);
+      }
+    }
+    await product.populate("category", CATEGORY_SUMMARY);
+    res.status(200).json(product);
+  } catch (error) {
+    res.status(500).json({ error: "Unable to delete image." });
+  }
+};
+
+// the price history of a product, and the price changes scheduled for it
+const getProductPrices = async (req, res) => {
+  try {
+    await applyDuePriceChanges();
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ error: "Product not found." });
+    }
+    const { history, scheduled } = await getPriceTimeline(product._id);
+    res.status(200).json({ product, history, scheduled });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to get prices." });
+  }
+};
+
+// plan a price change of a variant for later (ex: a price drop for market
+// day)
+const schedulePrice = async (req, res) => {
+  try {
+    const { variantId, price, effectiveAt } = req.body;
+    const when = new Date(effectiveAt);
+    if (when <= new Date()) {
+      return res.status(400).json({
+        error: "The new price must take effect in the future.",
+        errors: { effectiveAt: "Must be in the future." },
+      });
+    }
+    const exists = await Product.exists({
+      _id: req.params.productId,
+      "variants._id": variantId,
+    });
+    if (!exists) {
+      return res.status(404).json({ error: "Product variant not found." });
+    }
+
+    const scheduled = await ScheduledPrice.create({
+      productId: req.params.productId,
+      variantId,
+      price,
+      effectiveAt: when,
+      createdBy: actorOf(req.tokenInfo),
+    });
+    res.status(201).json(scheduled);
+  } catch (error) {
+    res.status(500).json({ error: "Unable to schedule price." });
+  }
+};
+
+// call off a price change that has not been applied yet
+const cancelScheduledPrice = async (req, res) => {
+  try {
+    const { productId, scheduleId } = req.params;
+    const cancelled = await ScheduledPrice.findOneAndUpdate(
+      { _id: scheduleId, productId, appliedAt: null, cancelledAt: null },
+      { cancelledAt: new Date() },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res
+        .status(404)
+        .json({ error: "Scheduled price not found or already applied." });
+    }
+    res.status(200).json({ message: "Scheduled price cancelled." });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to cancel scheduled price." });
+  }
+};
+
+// every category in display order, with how many products are in each
+// archived products are counted too, since they keep their category
+const getCategories = async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort(CATEGORY_ORDER),
+      Product.aggregate([{ $group: { _id: "$category", count: { $sum: 1 } } }]),
+    ]);
+    const countOf = new Map(
+      counts.map(({ _id, count }) => [String(_id), count])
+    );
+    res.status(200).json(
+      categories.map((category) => ({
+        ...category.toJSON(),
+        productCount: countOf.get(String(category._id)) ?? 0,
+      }))
+    );
+  } catch (error) {
+    res.status(500).json({ error: "Unable to get categories." });
+  }
+};
+
+const EMPTY_SLUG = "Must have at least one letter or number.";
+const SLUG_TAKEN = "Another category already has this slug.";
+
+// the slug defaults to one made from the name
+const createCategory = async (req, res) => {
+  try {
+    const { name, slug, parent = null, displayOrder = 0 } = req.body;
+    const newSlug = slugify(slug || name);
+    if (!newSlug) {
+      return fieldError(res, 400, slug ? "slug" : "name", EMPTY_SLUG);
+    }
+    if (parent) {
+      const problem = await checkParent(parent);
+      if (problem) return fieldError(res, 400, "parent", problem);
+    }
+
+    const category = await Category.create({
+      name,
+      slug: newSlug,
+      parent: parent || null,
+      displayOrder,
+    });
+    res.status(201).json(category);
+  } catch (error) {
+    if (error.code === 11000) {
+      return fieldError(res, 409, "slug", SLUG_TAKEN);
+    }
+    res.status(500).json({ error: "Unable to create category." });
+  }
+};
+
+// edit some fields of a category
+// renaming it keeps its slug, so links to it keep working; a null parent
+// moves it to the top level
+const updateCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.categoryId);
+    if (!category) {
+      return res.status(404).json({ error: "Category not found." });
+    }
+    const { name, slug, parent, displayOrder } = req.body;
+
+    if (slug !== undefined) {
+      category.slug = slugify(slug);
+      if (!category.slug) {
+        return fieldError(res, 400, "slug", EMPTY_SLUG);
+      }
+    }
+    if (parent !== undefined) {
+      if (parent) {
+        const problem = await checkParent(parent, category._id);
+        if (problem) return fieldError(res, 400, "parent", problem);
+      }
+      category.parent = parent || null;
+    }
+    if (name !== undefined) category.name = name;
+    if (displayOrder !== undefined) category.displayOrder = displayOrder;
+
+    await category.save();
+    res.status(200).json(category);
+  } catch (error) {
+    if (error.code === 11000) {
+      return fieldError(res, 409, "slug", SLUG_TAKEN);
+    }
+    res.status(500).json({ error: "Unable to update category." });
+  }
+};
+
+// only empty categories can be deleted: products (archived ones too) and
+// subcategories have to be moved elsewhere first
+const deleteCategory = async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+    if (!(await Category.exists({ _id: categoryId }))) {
+      return res.status(404).json({ error: "Category not found." });
+    }
+    if (await Product.exists({ category: categoryId })) {
+      return res
+        .status(409)
+        .json({ error: "Move the products in this category first." });
+    }
+    if (await Category.exists({ parent: categoryId })) {
+      return res
+        .status(409)
+        .json({ error: "Move or delete the subcategories first." });
+    }
+
+    await Category.deleteOne({ _id: categoryId });
+    res.status(200).json({ message: "Category deleted." });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to delete category." });
+  }
+};
+
+const NO_WORDS = "Must have at least one letter or number.";
+const TERM_TAKEN = "Another entry already has this term.";
+
+// the synonyms of an entry as they are kept: lowercase, without repeats
+// and without the term itself
+const cleanSynonyms = (term, synonyms) => [
+  ...new Set(
+    synonyms
+      .map((synonym) => synonym.trim().toLowerCase())
+      .filter((synonym) => synonym !== term.trim().toLowerCase())
+  ),
+];
+
+// the first field of an entry with no words to search for, as
+// [field, message], or null
+const checkSynonymWords = ({ term, synonyms = [] }) => {
+  if (term !== undefined && wordsOf(term).length === 0) {
+    return ["term", NO_WORDS];
+  }
+  const index = synonyms.findIndex((synonym) => wordsOf(synonym).length === 0);
+  return index === -1 ? null : [`synonyms.${index}`, NO_WORDS];
+};
+
+// every synonym entry, by term
+const getSynonyms = async (req, res) => {
+  try {
+    const synonyms = await Synonym.find().sort({ term: 1 });
+    res.status(200).json(synonyms);
+  } catch (error) {
+    res.status(500).json({ error: "Unable to get synonyms." });
+  }
+};
+
+// the searches use the new words right away (see forgetVocabulary)
+const createSynonym = async (req, res) => {
+  try {
+    const { term, synonyms = [] } = req.body;
+    const problem = checkSynonymWords(req.body);
+    if (problem) return fieldError(res, 400, ...problem);
+
+    const entry = await Synonym.create({
+      term,
+      synonyms: cleanSynonyms(term, synonyms),
+    });
+    forgetVocabulary();
+    res.status(201).json(entry);
+  } catch (error) {
+    if (error.code === 11000) {
+      return fieldError(res, 409, "term", TERM_TAKEN);
+    }
+    res.status(500).json({ error: "Unable to create synonym." });
+  }
+};
+
+// edit the term or the synonyms of an entry; the synonyms sent replace the
+// old ones
+const updateSynonym = async (req, res) => {
+  try {
+    const entry = await Synonym.findById(req.params.synonymId);
+    if (!entry) {
+      return res.status(404).json({ error: "Synonym not found." });
+    }
+    const problem = checkSynonymWords(req.body);
+    if (problem) return fieldError(res, 400, ...problem);
+
+    const { term = entry.term, synonyms = entry.synonyms } = req.body;
+    entry.term = term;
+    entry.synonyms = cleanSynonyms(term, synonyms);
+    await entry.save();
+    forgetVocabulary();
+    res.status(200).json(entry);
+  } catch (error) {
+    if (error.code === 11000) {
+      return fieldError(res, 409, "term", TERM_TAKEN);
+    }
+    res.status(500).json({ error: "Unable to update synonym." });
+  }
+};
+
+const deleteSynonym = async (req, res) => {
+  try {
+    const entry = await Synonym.findByIdAndDelete(req.params.synonymId);
+    if (!entry) {
+      return res.status(404).json({ error: "Synonym not found." });
+    }
+    forgetVocabulary();
+    res.status(200).json({ message: "Synonym deleted." });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to delete synonym." });
+  }
+};
+
+// the searches of the shop that found nothing a page at a time, the most
+// searched first
+const getMissedSearches = async (req, res) => {
+  try {
+    const { page = 1, limit = MISSED_SEARCHES_PAGE_SIZE } = req.query;
+    const [searches, total] = await Promise.all([
+      MissedSearch.find()
+        .sort({ count: -1, lastSearchedAt: -1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      MissedSearch.countDocuments(),
+    ]);
+    res.status(200).json({
+      searches,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to get missed searches." });
+  }
+};
+
+// take a search off the list once it is taken care of
+// it comes back if shoppers search it and still find nothing
+const dismissMissedSearch = async (req, res) => {
+  try {
+    const search = await MissedSearch.findByIdAndDelete(req.params.searchId);
+    if (!search) {
+      return res.status(404).json({ error: "Search not found." });
+    }
+    res.status(200).json({ message: "Search dismissed." });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to dismiss search." });
+  }
+};
+
 export {
   addProduct,
+  updateProduct,
+  archiveProduct,
+  unarchiveProduct,
+  addVariant,
+  updateVariant,
+  deleteVariant,
+  addProductImage,
+  reorderProductImages,
+  deleteProductImage,
+  getProductPrices,
+  schedulePrice,
+  cancelScheduledPrice,
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+  getMissedSearches,
+  dismissMissedSearch,
   getProductListings,
   getRegisteredUsers,
+  getUserDetails,
+  deactivateUser,
+  reactivateUser,
+  promoteUser,
+  forcePasswordReset,
+  createAdmin,
+  revokeUserSessions,
+  resendVerification,
+  getLoginLockouts,
+  clearLoginLockout,
   getOrders,
   confirmOrder,
   cancelOrder,
-  updateStock
+  updateOrderStatus,
+  updateStock,
 };
@@ -1,7 +1,33 @@
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import User from "../models/userModel.js";
+import RefreshToken from "../models/refreshTokenModel.js";
+import PasswordResetToken from "../models/passwordResetTokenModel.js";
+import {
+  REFRESH_COOKIE,
+  hashToken,
+  signAccessToken,
+  issueRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  revokeAccessToken,
+  revokeRefreshFamily,
+  revokeAccessTokensOf,
+  revokeAllSessions,
+} from "../utils/tokens.js";
+import { verifyAccessToken } from "../utils/middleware.js";
+import { sendPasswordResetEmail } from "../utils/passwordReset.js";
+import { permissionsOf } from "../utils/permissions.js";
+import {
+  LoginLockedError,
+  reserveLoginAttempt,
+  clearLoginFailures,
+} from "../utils/loginThrottle.js";
+import {
+  sendVerificationEmail,
+  verifyEmailToken,
+} from "../utils/emailVerification.js";
 
+// anyone can register, but only as a customer
 const register = async (req, res) => {
   try {
     const {
@@ -9,60 +35,359 @@ const register = async (req, res) => {
       middleName = null,
       lastName,
       address,
-      userType = "user",
+      userType,
       email,
       password,
     } = req.body;
+
+    // the role is never taken from the request; asking for another one is
+    // logged since it can only be an attempt to get admin access
+    if (userType !== undefined && userType !== "user") {
+      console.warn(
+        `Registration with elevated role "${userType}" by ${email} from ${req.ip}; registering as user.`
+      );
+    }
+
     const hashedPassword = await bcrypt.hash(password, 10);
     const newUser = new User({
       firstName,
       middleName,
       lastName,
       address,
-      userType,
+      userType: "user",
       email,
+      emailVerified: false,
       password: hashedPassword,
     });
     await newUser.save();
+
+    // the account exists either way; a failed email can be sent again
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (error) {
+      console.log("Unable to send verification email", error);
+    }
     res.status(201).json({ message: "User created successfully" });
   } catch (error) {
     res.status(500).json({ error: "Error signing up" });
   }
 };
 
+// the user info sent along with every new access token
+const sessionInfo = (user, token) => ({
+  token,
+  email: user.email,
+  firstName: user.firstName,
+  userType: user.userType,
+  // what the user's role allows, so the client can hide what they cannot use
+  permissions: permissionsOf(user.userType),
+  address: user.address,
+  emailVerified: user.emailVerified,
+});
+
+// why a user with the right password still cannot log in, or null
+// checked only after the password, so it does not reveal who has an account
+const loginBlockedReason = (user) => {
+  if (!user.active) {
+    return "This account has been deactivated.";
+  }
+  if (user.passwordResetRequired) {
+    return (
+      "You must reset your password. Check your email for the reset link."
+    );
+  }
+  return null;
+};
+
+// failed logins are counted per account and per IP address; too many in a
+// row and further attempts are refused for a while (see loginThrottle.js)
+// deactivated users, and users who must reset their password, are refused
 const login = async (req, res) => {
   try {
     const { email, password } = req.body;
+    // how long to wait if the password is wrong; the attempt is already
+    // counted, so parallel guesses are held back too
+    const wait = await reserveLoginAttempt(req.ip, email);
+
+    const user = await User.findOne({ email });
+    const isPasswordValid =
+      user && (await bcrypt.compare(password, user.password));
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        error: "Invalid credentials",
+        retryAfter: Math.ceil(wait / 1000),
+      });
+    }
+    // the account's failures go; the address only gets this attempt back
+    await clearLoginFailures(req.ip, email);
+
+    const blocked = loginBlockedReason(user);
+    if (blocked) {
+      return res.status(403).json({ error: blocked });
+    }
+
+    const token = signAccessToken(user);
+    setRefreshCookie(res, await issueRefreshToken(user._id));
+    res.status(200).json({
+      message: "Login successful",
+      ...sessionInfo(user, token),
+    });
+  } catch (error) {
+    if (error instanceof LoginLockedError) {
+      res.set("Retry-After", String(error.retryAfter));
+      return res
+        .status(error.status)
+        .json({ error: error.message, retryAfter: error.retryAfter });
+    }
+    res.status(500).json({ error: "Error logging in" });
+  }
+};
+
+// trade the refresh token cookie for a new access token
+// the refresh token is rotated on every use; presenting one that was
+// already rotated means it was stolen, so its whole family is revoked
+const refresh = async (req, res) => {
+  try {
+    const presented = req.cookies?.[REFRESH_COOKIE];
+    if (!presented) {
+      return res.status(401).json({ error: "Refresh token not found." });
+    }
+
+    const stored = await RefreshToken.findOne({
+      tokenHash: hashToken(presented),
+    });
+    if (!stored || stored.expiresAt <= new Date()) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: "Invalid refresh token." });
+    }
+
+    if (stored.revokedAt) {
+      await RefreshToken.updateMany(
+        { family: stored.family, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: "Refresh token reuse detected." });
+    }
+
+    const user = await User.findById(stored.userId);
+    if (!user || loginBlockedReason(user)) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: "Invalid refresh token." });
+    }
+
+    const next = await issueRefreshToken(user._id, stored.family);
+    // only rotate if no other request rotated it first
+    const rotated = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { revokedAt: new Date(), replacedBy: hashToken(next) }
+    );
+    if (!rotated) {
+      await RefreshToken.updateMany(
+        { family: stored.family, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: "Refresh token reuse detected." });
+    }
+
+    setRefreshCookie(res, next);
+    res.status(200).json({
+      message: "Token refreshed",
+      ...sessionInfo(user, signAccessToken(user)),
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Error refreshing session" });
+  }
+};
+
+// end the current session
+// the refresh token in the cookie is revoked, and so is the access token if
+// one is sent; an expired access token does not stop the logout
+const logout = async (req, res) => {
+  try {
+    const presented = req.cookies?.[REFRESH_COOKIE];
+    if (presented) {
+      await revokeRefreshFamily(presented);
+    }
+
+    const authHeader = req.headers["authorization"];
+    const token = authHeader && authHeader.split(" ")[1];
+    if (token) {
+      const result = verifyAccessToken(token);
+      if (result.success) {
+        await revokeAccessToken(result.data);
+      }
+    }
+
+    clearRefreshCookie(res);
+    res.status(200).json({ message: "Logged out" });
+  } catch (error) {
+    res.status(500).json({ error: "Error logging out" });
+  }
+};
+
+// end every session of the user in the token, on every device
+const logoutEverywhere = async (req, res) => {
+  try {
+    await revokeAllSessions(req.tokenInfo.userId);
+    clearRefreshCookie(res);
+    res.status(200).json({ message: "Logged out everywhere" });
+  } catch (error) {
+    res.status(500).json({ error: "Error logging out" });
+  }
+};
+
+// email a link to reset the password
+// the response is the same whether or not the email is registered, so it
+// cannot be used to find out who has an account
+const forgotPassword = async (req, res) => {
+  const message = "If the email is registered, a reset link has been sent.";
+  try {
+    const { email } = req.body;
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(401).json({ error: "Invalid credentials" });
+      return res.status(200).json({ message });
     }
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({ error: "Invalid credentials" });
+
+    await sendPasswordResetEmail(user);
+    res.status(200).json({ message });
+  } catch (error) {
+    console.log(error);
+    res.status(500).json({ error: "Unable to send the reset link." });
+  }
+};
+
+// set a new password with the token from the reset link
+// every session of the user is ended, in case the old password leaked
+// this also lifts a password reset required by an admin
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    // marking it used in the same query keeps it single-use even if the
+    // link is opened twice at once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { usedAt: new Date() }
+    );
+    if (!resetToken) {
+      return res
+        .status(400)
+        .json({ error: "Reset link is invalid or has expired." });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = await User.findByIdAndUpdate(resetToken.userId, {
+      password: hashedPassword,
+      passwordResetRequired: false,
+    });
+    if (!user) {
+      return res
+        .status(400)
+        .json({ error: "Reset link is invalid or has expired." });
+    }
+
+    await revokeAllSessions(user._id);
+    res.status(200).json({ message: "Password has been reset." });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to reset password." });
+  }
+};
+
+// change the password of the user in the token
+// the current password is checked again, so a stolen session alone cannot
+// take over the account
+// every other session of the user is ended: their refresh tokens are
+// revoked, and so is every access token issued until now, so a stolen one
+// stops working right away
+// this session stays logged in with a new access token
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.tokenInfo.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
     }
-    const token = jwt.sign(
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(400).json({
+        error: "Current password is incorrect.",
+        errors: { currentPassword: "Current password is incorrect." },
+      });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    // the refresh token of this session is the only one kept
+    const presented = req.cookies?.[REFRESH_COOKIE];
+    const current =
+      presented &&
+      (await RefreshToken.findOne({ tokenHash: hashToken(presented) }));
+    await RefreshToken.updateMany(
       {
         userId: user._id,
-        userType: user.userType,
-        email: user.email,
-        firstName: user.firstName,
+        revokedAt: null,
+        ...(current ? { family: { $ne: current.family } } : {}),
       },
-      process.env.SECRET_KEY,
-      {
-        expiresIn: "1hr",
-      }
+      { revokedAt: new Date() }
     );
+    // issued at the cut, so the revocation spares this session's new token
+    const revokedBefore = await revokeAccessTokensOf(user._id);
+
     res.status(200).json({
-      message: "Login successful",
-      token,
-      firstName: user.firstName,
-      userType: user.userType,
-      address: user.address,
+      message: "Password changed.",
+      ...sessionInfo(user, signAccessToken(user, revokedBefore)),
     });
   } catch (error) {
-    res.status(500).json({ error: "Error logging in" });
+    res.status(500).json({ error: "Unable to change password." });
+  }
+};
+
+// verify the email of the user with the token from the emailed link
+const verifyEmail = async (req, res) => {
+  try {
+    const user = await verifyEmailToken(req.body.token);
+    if (!user) {
+      return res
+        .status(400)
+        .json({ error: "Verification link is invalid or has expired." });
+    }
+    res.status(200).json({ message: "Email verified." });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to verify email." });
+  }
+};
+
+// send the verification link again to the user in the token
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.tokenInfo.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
+    if (user.emailVerified) {
+      return res.status(409).json({ error: "Email is already verified." });
+    }
+    await sendVerificationEmail(user);
+    res.status(200).json({ message: "Verification email sent." });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to send verification email." });
   }
 };
 
-export { register, login };
+export {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutEverywhere,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+};
@@ -1,98 +1,284 @@
+import mongoose from "mongoose";
 import Product from "../models/productModel.js";
 import Order from "../models/orderModel.js";
 import Cart from "../models/cartModel.js";
+import User from "../models/userModel.js";
+import Category from "../models/categoryModel.js";
+import {
+  InsufficientStockError,
+  reserveStock,
+} from "../utils/inventory.js";
+import {
+  ORDER_STATUS,
+  historyEntry,
+  parseStatuses,
+  transitionOrder,
+} from "../utils/orderLifecycle.js";
+import { priceOrder } from "../utils/pricing.js";
+import { applyDuePriceChanges } from "../utils/priceSchedule.js";
+import { formatAddress, defaultAddress } from "../utils/addresses.js";
+import { CATEGORY_SUMMARY, CATEGORY_ORDER } from "../utils/categories.js";
+import { roundQuantity, checkOrderQuantity } from "../utils/units.js";
+import {
+  checkPriceRange,
+  productFilter,
+  findProductPage,
+  findSuggestions,
+  findRelatedProducts,
+} from "../utils/productSearch.js";
+import { recordMissedSearch } from "../utils/search.js";
 
-/**
- * req.body should be something like this:
- *
- * {
- *  "sortOption": {<key>: <asc or desc>}
- * }
- *
- * <key> can be "name", "type", "price", or "quantity"
- * <asc or desc>: 1 for ascending, -1 for descending
- * Only one key is allowed for now.
- */
+// thrown when the cart cannot be turned into an order
+class CheckoutError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "CheckoutError";
+    this.status = status;
+  }
+}
+
+// one page of the products a customer can order, searched, filtered and
+// sorted with the query string (see utils/productSearch.js)
 const getProductListings = async (req, res) => {
   try {
-    const { sortOption } = req.body;
-    const products = await Product.find({ quantity: { $gt: 0 } }).sort(sortOption);
-    res.status(200).json(products);
+    const rangeError = checkPriceRange(req.query);
+    if (rangeError) {
+      return res.status(400).json({
+        error: "Invalid request.",
+        errors: { maxPrice: rangeError },
+      });
+    }
+    await applyDuePriceChanges();
+    // only products still sold, with a variant that has stock that is not
+    // yet reserved; the variants without are left for the shop to hide
+    const filter = await productFilter({ ...req.query, inStock: true });
+    filter.archived = { $ne: true };
+    const page = await findProductPage(filter, req.query);
+
+    // a search that found nothing by itself is shown to the admins; one
+    // narrowed down by other filters may just be too narrow
+    const { search, category, minPrice, maxPrice } = req.query;
+    const narrowed =
+      category || minPrice !== undefined || maxPrice !== undefined;
+    if (search && page.total === 0 && !narrowed) {
+      try {
+        await recordMissedSearch(search);
+      } catch (error) {
+        console.log("Unable to record missed search", error);
+      }
+    }
+    res.status(200).json(page);
   } catch (error) {
     res.status(500).json({ error: "Unable to get products." });
   }
 };
 
+// the products a customer can order that best match a search they are
+// still typing, for suggestions
+const getSearchSuggestions = async (req, res) => {
+  try {
+    const filter = await productFilter(
+      { search: req.query.search, inStock: true },
+      { partial: true }
+    );
+    if (!filter.$text) return res.status(200).json([]);
+    filter.archived = { $ne: true };
+    res.status(200).json(await findSuggestions(filter));
+  } catch (error) {
+    res.status(500).json({ error: "Unable to get suggestions." });
+  }
+};
+
+// one product, for its page, with the products related to it
+// products that ran out of stock keep their page, so links to them keep
+// working; archived ones do not
+const getProduct = async (req, res) => {
+  try {
+    await applyDuePriceChanges();
+    const product = await Product.findOne({
+      _id: req.params.productId,
+      archived: { $ne: true },
+    }).populate("category", CATEGORY_SUMMARY);
+    if (!product) {
+      return res.status(404).json({ error: "Product not found." });
+    }
+    const related = await findRelatedProducts(product);
+    res.status(200).json({ product, related });
+  } catch (error) {
+    res.status(500).json({ error: "Unable to get product." });
+  }
+};
+
+// every category in display order, for the shop's filters
+const getCategories = async (req, res) => {
+  try {
+    const categories = await Category.find().sort(CATEGORY_ORDER);
+    res.status(200).json(categories);
+  } catch (error) {
+    res.status(500).json({ error: "Unable to get categories." });
+  }
+};
+
 // create a order
-// order one product
+// the order lines are built from the user's stored cart and the current
+// product prices; the customer's name comes from their account
+// the order ships to the address book entry in addressId, or to the default
+// one; a copy of it is kept on the order. users without saved addresses get
+// their registration address
+// the stock of every product is reserved in one transaction along with the
+// order itself, so a failed line leaves no product decremented
 const orderProduct = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const { name, email, address, products, shippingFee, status = 0 } = req.body;
+    const { email } = req.tokenInfo;
+    const { addressId } = req.body;
+    // the order is priced with the prices in effect now
+    await applyDuePriceChanges();
+
+    await session.withTransaction(async () => {
+      const user = await User.findOne({ email }).session(session);
+      if (!user) {
+        throw new CheckoutError("User not found.", 404);
+      }
+      if (!user.emailVerified) {
+        throw new CheckoutError(
+          "Please verify your email before ordering.",
+          403
+        );
+      }
+      const cart = await Cart.findOne({ email })
+        .session(session)
+        .populate("items.product");
+
+      if (!cart || cart.items.length === 0) {
+        throw new CheckoutError("Cart is empty.");
+      }
+      const items = cart.items.map((item) => ({
+        product: item.product,
+        variant: item.product && item.product.variants.id(item.variantId),
+        count: item.quantity,
+      }));
+      const unavailable = ({ product, variant }) =>
+        !product || product.archived || !variant;
+      if (items.some(unavailable)) {
+        throw new CheckoutError(
+          "A product in your cart is no longer available."
+        );
+      }
+      // the order increment may have changed since the item was added
+      for (const { product, variant, count } of items) {
+        const quantityError = checkOrderQuantity(product, variant, count);
+        if (quantityError) throw new CheckoutError(quantityError);
+      }
 
-    // recalculate the total product sales
-    let totalOrderSales = 0;
-    for (let product of products) {
-      const productInventory = await Product.findById(product.productId);
+      const deliveryAddress = addressId
+        ? user.addresses.id(addressId)
+        : defaultAddress(user.addresses);
+      if (addressId && !deliveryAddress) {
+        throw new CheckoutError("Delivery address not found.");
+      }
 
-      if (productInventory.quantity < product.count) 
-        return res.status(400).json({ error: "Insufficient stock for one or more items" });
+      const { products, shippingFee, totalOrderSales } = priceOrder(items);
 
-      await Product.findByIdAndUpdate(product.productId, {
-        quantity: productInventory.quantity - product.count});
+      await reserveStock(products, session);
 
-      product.totalProductSales = product.count * product.price;
-      totalOrderSales += product.totalProductSales;
-    }
+      const newOrder = new Order({
+        name: user.firstName,
+        email,
+        address: deliveryAddress
+          ? formatAddress(deliveryAddress)
+          : user.address,
+        deliveryAddress: deliveryAddress && {
+          label: deliveryAddress.label,
+          street: deliveryAddress.street,
+          barangay: deliveryAddress.barangay,
+          city: deliveryAddress.city,
+          province: deliveryAddress.province,
+          postalCode: deliveryAddress.postalCode,
+          contactNumber: deliveryAddress.contactNumber,
+        },
+        products,
+        status: ORDER_STATUS.PENDING,
+        statusHistory: [
+          historyEntry(null, ORDER_STATUS.PENDING, req.tokenInfo),
+        ],
+        totalOrderSales,
+        shippingFee,
+      });
 
-    totalOrderSales += shippingFee;
+      await newOrder.save({ session });
 
-    const newOrder = new Order({
-      name,
-      email,
-      address,
-      products,
-      status,
-      totalOrderSales,
-      shippingFee,
+      // the cart has been turned into the order
+      cart.items = [];
+      await cart.save({ session });
     });
 
-    await newOrder.save();
     res.status(200).json({ message: "Ordered successfully." });
   } catch (error) {
+    if (error instanceof CheckoutError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof InsufficientStockError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.log(error);
     res.status(500).json({ error: "Ordering failed." });
+  } finally {
+    await session.endSession();
   }
 };
 
 // cancel an order
+// only pending orders can be cancelled by the customer
 const cancelOrder = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
     const { orderId } = req.body;
-    const order = await Order.findById(orderId);
 
-    for (let product of order.products) {
-      const productInventory = await Product.findById(product.productId);
+    if (!mongoose.isValidObjectId(orderId)) {
+      return res.status(404).json({ error: "Order not found." });
+    }
 
-      await Product.findByIdAndUpdate(product.productId, {
-        quantity: productInventory.quantity + product.count
-      });
+    // only the owner of the order can cancel it
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ error: "Order not found." });
+    }
+    if (order.email !== req.tokenInfo.email) {
+      return res
+        .status(403)
+        .json({ error: "You can only cancel your own orders." });
     }
-    
-    await Order.findOneAndUpdate({ _id: orderId }, { status: 2 });
-    
+
+    await session.withTransaction(async () => {
+      await transitionOrder(
+        orderId,
+        ORDER_STATUS.CANCELLED,
+        req.tokenInfo,
+        session
+      );
+    });
+
     res.status(200).json({ message: "Cancellation confirmed." });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: "Cancellation failed." });
+  } finally {
+    await session.endSession();
   }
 };
 
 // get the order by the user
+// status can be a comma-separated list of statuses
 const getOrders = async (req, res) => {
-  const { email, status } = req.query;
+  const { status } = req.query;
+  const { email } = req.tokenInfo;
   try {
     const orders = await Order.find({
       email: email,
-      status: status,
+      status: { $in: parseStatuses(status) },
     }).sort({
       dateTimeOrdered: -1,
     });
@@ -105,8 +291,12 @@ const getOrders = async (req, res) => {
 // get the cart of the user
 const getCart = async (req, res) => {
   try {
-    const { email } = req.query;
-    const cart = await Cart.findOne({ email }).populate("items.product");
+    const { email } = req.tokenInfo;
+    await applyDuePriceChanges();
+    const cart = await Cart.findOne({ email }).populate({
+      path: "items.product",
+      populate: { path: "category", select: CATEGORY_SUMMARY },
+    });
     if (cart) {
       res.json(cart);
     } else {
@@ -117,29 +307,52 @@ const getCart = async (req, res) => {
   }
 };
 
-// add a product and their quantity to the cart of the user
+// add a variant of a product and their quantity to the cart of the user
 // if cart is not yet existent, create a new one
+// archived products cannot be added, and the quantity has to be a multiple
+// of the variant's order increment
+// the same variant added again is merged into one item
 const addToCart = async (req, res) => {
   try {
-    const { email, product } = req.body;
+    const { email } = req.tokenInfo;
+    const { product } = req.body;
+    const forSale = await Product.findOne({
+      _id: product._id,
+      archived: { $ne: true },
+    });
+    const variant = forSale && forSale.variants.id(product.variantId);
+    if (!variant) {
+      return res.status(404).json({ error: "Product is no longer available." });
+    }
+    const quantityError = checkOrderQuantity(
+      forSale,
+      variant,
+      product.selectedQuantity
+    );
+    if (quantityError) {
+      return res.status(400).json({
+        error: quantityError,
+        errors: { "product.selectedQuantity": quantityError },
+      });
+    }
     let cart = await Cart.findOne({ email });
 
+    const newItem = {
+      product: product._id,
+      variantId: variant._id,
+      quantity: product.selectedQuantity,
+    };
     if (!cart) {
-      cart = new Cart({
-        email,
-        items: [{ product: product._id, quantity: product.selectedQuantity }],
-      });
+      cart = new Cart({ email, items: [newItem] });
     } else {
-      const existingProductIndex = cart.items.findIndex(
-        (item) => item.product.toString() === product._id
+      const existingProductIndex = cart.items.findIndex((item) =>
+        variant._id.equals(item.variantId)
       );
       if (existingProductIndex !== -1) {
-        cart.items[existingProductIndex].quantity += product.selectedQuantity;
+        const item = cart.items[existingProductIndex];
+        item.quantity = roundQuantity(item.quantity + product.selectedQuantity);
       } else {
-        cart.items.push({
-          product: product._id,
-          quantity: product.selectedQuantity,
-        });
+        cart.items.push(newItem);
       }
     }
 
@@ -153,7 +366,8 @@ const addToCart = async (req, res) => {
 // remove a product from the cart of the user
 const removeFromCart = async (req, res) => {
   try {
-    const { email, productId } = req.body;
+    const { email } = req.tokenInfo;
+    const { productId } = req.body;
     const cart = await Cart.findOne({ email });
 
     if (cart) {
@@ -172,15 +386,31 @@ const removeFromCart = async (req, res) => {
 };
 
 // update the quantity of a product in the cart of the user
+// the quantity has to be a multiple of the variant's order increment
 const updateCartQuantity = async (req, res) => {
   try {
-    const { email, productId, quantity } = req.body;
+    const { email } = req.tokenInfo;
+    const { productId, quantity } = req.body;
     const cart = await Cart.findOne({ email });
 
     if (cart) {
       const item = cart.items.find((item) => item._id.toString() === productId);
 
       if (item) {
+        const product = await Product.findById(item.product);
+        const variant = product && product.variants.id(item.variantId);
+        if (!variant) {
+          return res
+            .status(404)
+            .json({ error: "Product is no longer available." });
+        }
+        const quantityError = checkOrderQuantity(product, variant, quantity);
+        if (quantityError) {
+          return res.status(400).json({
+            error: quantityError,
+            errors: { quantity: quantityError },
+          });
+        }
         item.quantity = quantity;
         await cart.save();
         res.json(cart);
@@ -198,7 +428,7 @@ const updateCartQuantity = async (req, res) => {
 // clear the cart of the user
 const clearCart = async (req, res) => {
   try {
-    const { email } = req.body;
+    const { email } = req.tokenInfo;
     const cart = await Cart.findOne({ email });
 
     if (cart) {
@@ -214,8 +444,171 @@ const clearCart = async (req, res) => {
   }
 };
 
+// the account fields a customer can see and edit
+// the email cannot be changed, since it identifies the account
+const profileOf = (user) => ({
+  firstName: user.firstName,
+  middleName: user.middleName,
+  lastName: user.lastName,
+  address: user.address,
+  email: user.email,
+  emailVerified: user.emailVerified,
+});
+
+const EDITABLE_PROFILE_FIELDS = [
+  "firstName",
+  "middleName",
+  "lastName",
+  "address",
+];
+
+// get the profile of the user
+const getProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.tokenInfo.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
+    res.status(200).json(profileOf(user));
+  } catch (error) {
+    res.status(500).json({ error: "Unable to get profile." });
+  }
+};
+
+// update some fields of the profile of the user
+// fields left out of the request are kept
+const updateProfile = async (req, res) => {
+  try {
+    const updates = {};
+    for (const field of EDITABLE_PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(req.tokenInfo.userId, updates, {
+      new: true,
+      runValidators: true,
+    });
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
+    res.status(200).json(profileOf(user));
+  } catch (error) {
+    res.status(500).json({ error: "Unable to update profile." });
+  }
+};
+
+// the fields of an address book entry a customer can set
+const ADDRESS_FIELDS = [
+  "label",
+  "street",
+  "barangay",
+  "city",
+  "province",
+  "postalCode",
+  "contactNumber",
+];
+
+// make one address the default, and no other
+const setDefaultAddress = (user, addressId) => {
+  for (const address of user.addresses) {
+    address.isDefault = address._id.equals(addressId);
+  }
+};
+
+// get the address book of the user
+const getAddresses = async (req, res) => {
+  try {
+    const user = await User.findById(req.tokenInfo.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
+    res.status(200).json(user.addresses);
+  } catch (error) {
+    res.status(500).json({ error: "Unable to get addresses." });
+  }
+};
+
+// add an address to the address book of the user
+// the first address added is the default
+const addAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.tokenInfo.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
+
+    const fields = {};
+    for (const field of ADDRESS_FIELDS) {
+      fields[field] = req.body[field];
+    }
+    user.addresses.push(fields);
+    const added = user.addresses[user.addresses.length - 1];
+    if (req.body.isDefault || user.addresses.length === 1) {
+      setDefaultAddress(user, added._id);
+    }
+
+    await user.save();
+    res.status(201).json(user.addresses);
+  } catch (error) {
+    res.status(500).json({ error: "Unable to add address." });
+  }
+};
+
+// update some fields of an address in the address book of the user
+// the default can only be moved to another address, not unset
+const updateAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.tokenInfo.userId);
+    const address = user && user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ error: "Address not found." });
+    }
+
+    for (const field of ADDRESS_FIELDS) {
+      if (req.body[field] !== undefined) {
+        address[field] = req.body[field];
+      }
+    }
+    if (req.body.isDefault) {
+      setDefaultAddress(user, address._id);
+    }
+
+    await user.save();
+    res.status(200).json(user.addresses);
+  } catch (error) {
+    res.status(500).json({ error: "Unable to update address." });
+  }
+};
+
+// remove an address from the address book of the user
+// if it was the default, the first address left becomes the default
+const deleteAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.tokenInfo.userId);
+    const address = user && user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ error: "Address not found." });
+    }
+
+    address.deleteOne();
+    if (address.isDefault && user.addresses.length > 0) {
+      setDefaultAddress(user, user.addresses[0]._id);
+    }
+
+    await user.save();
+    res.status(200).json(user.addresses);
+  } catch (error) {
+    res.status(500).json({ error: "Unable to delete address." });
+  }
+};
+
 export {
   getProductListings,
+  getSearchSuggestions,
+  getProduct,
+  getCategories,
   orderProduct,
   cancelOrder,
   getOrders,
@@ -224,4 +617,10 @@ export {
   removeFromCart,
   updateCartQuantity,
   clearCart,
+  getProfile,
+  updateProfile,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
 };
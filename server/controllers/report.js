@@ -1,5 +1,7 @@
 // for analyzing sales reports
 import Order from "../models/orderModel.js";
+import { ORDER_STATUS, SALE_STATUSES } from "../utils/orderLifecycle.js";
+import { DEFAULT_UNIT, QUANTITY_DECIMALS } from "../utils/units.js";
 
 // only includes the orders that are sold, sorted by recency
 // the cutoff would be in a latest provided date, along with the limit
@@ -8,7 +10,7 @@ const getRecentSales = async (req, res) => {
 
   try {
     const sales = await Order.find({
-      status: 1,
+      status: { $in: SALE_STATUSES },
       dateTimeOrdered: { $gte: new Date(earliestDate) },
     })
       .sort({
@@ -27,7 +29,7 @@ const getCancelledOrders = async (req, res) => {
 
   try {
     const sales = await Order.find({
-      status: 2,
+      status: { $in: [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED] },
       dateTimeOrdered: { $gte: new Date(earliestDate) },
     })
       .sort({
@@ -41,7 +43,10 @@ const getCancelledOrders = async (req, res) => {
   }
 };
 
-// get all the list of products sold in a given time interval
+// get all the list of product variants sold in a given time interval
+// each variant is its own entry; the label and unit are the ones of its
+// latest sale, the price is its current one (or the latest sold at, if the
+// variant has since been deleted)
 // YYYY-MM-DD format
 // Ex: 2024-05-25 doesn't include that day in 5 PM, it strictly means at 12 MN
 // limit is applied in case the products are too much
@@ -59,23 +64,33 @@ const getProductsSold = async (req, res) => {
             $gte: new Date(earliestDate),
             $lte: new Date(latestDate),
           },
-          status: 1,
+          status: { $in: SALE_STATUSES },
         },
       },
+      {
+        // oldest first, so $last is the latest sale
+        $sort: { dateTimeOrdered: 1 },
+      },
       {
         $unwind: "$products",
       },
       {
         $group: {
-          _id: "$products.productId",
+          _id: {
+            productId: "$products.productId",
+            variantId: "$products.variantId",
+          },
           totalSales: { $sum: "$products.totalProductSales" },
           totalQuantity: { $sum: "$products.count" },
+          variantLabel: { $last: "$products.variantLabel" },
+          unit: { $last: "$products.unit" },
+          lastPrice: { $last: "$products.price" },
         },
       },
       {
         $lookup: {
           from: "products",
-          localField: "_id",
+          localField: "_id.productId",
           foreignField: "_id",
           as: "productInfo",
         },
@@ -83,15 +98,46 @@ const getProductsSold = async (req, res) => {
       {
         $unwind: "$productInfo",
       },
+      {
+        $lookup: {
+          from: "categories",
+          localField: "productInfo.category",
+          foreignField: "_id",
+          as: "categoryInfo",
+        },
+      },
+      {
+        $addFields: {
+          variantInfo: {
+            $arrayElemAt: [
+              {
+                $filter: {
+                  input: "$productInfo.variants",
+                  cond: { $eq: ["$$this._id", "$_id.variantId"] },
+                },
+              },
+              0,
+            ],
+          },
+        },
+      },
       {
         $project: {
+          productId: "$_id.productId",
+          variantId: "$_id.variantId",
           name: "$productInfo.name",
-          imageUrl: "$productInfo.imageUrl",
+          variantLabel: "$variantLabel",
+          imageUrl: {
+            $ifNull: ["$variantInfo.imageUrl", "$productInfo.imageUrl"],
+          },
           description: "$productInfo.description",
-          price: "$productInfo.price",
-          totalQuantity: "$totalQuantity",
+          price: { $ifNull: ["$variantInfo.price", "$lastPrice"] },
+          unit: { $ifNull: ["$unit", DEFAULT_UNIT] },
+          totalQuantity: { $round: ["$totalQuantity", QUANTITY_DECIMALS] },
           totalSales: "$totalSales",
-          type: "$productInfo.type",
+          category: { $arrayElemAt: ["$categoryInfo.name", 0] },
+          // archived products are still reported
+          archived: "$productInfo.archived",
         },
       },
       {
@@ -120,9 +166,9 @@ const getWeeklyReport = async (req, res) => {
   try {
     const salesReport = await Order.aggregate([
       {
-        // only completed orders
+        // only sales
         $match: {
-          status: 1,
+          status: { $in: SALE_STATUSES },
           dateTimeOrdered: {
             $gte: new Date(earliestDate),
             $lte: new Date(latestDate),
@@ -169,9 +215,9 @@ const getMonthlyReport = async (req, res) => {
   try {
     const salesReport = await Order.aggregate([
       {
-        // only completed orders
+        // only sales
         $match: {
-          status: 1,
+          status: { $in: SALE_STATUSES },
           dateTimeOrdered: {
             $gte: new Date(earliestDate),
             $lte: new Date(latestDate),
@@ -218,9 +264,9 @@ const getYearlyReport = async (req, res) => {
   try {
     const salesReport = await Order.aggregate([
       {
-        // only completed orders
+        // only sales
         $match: {
-          status: 1,
+          status: { $in: SALE_STATUSES },
           dateTimeOrdered: {
             $gte: new Date(earliestDate),
             $lte: new Date(latestDate),
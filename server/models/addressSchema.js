@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// a structured delivery address
+// shared by the address book of a user and the snapshot saved on an order
+const addressFields = {
+  // ex: "Home", "Office", "Lola's house"
+  label: { type: String, required: true },
+  street: { type: String, required: true },
+  barangay: { type: String, required: true },
+  city: { type: String, required: true },
+  province: { type: String, required: true },
+  postalCode: { type: String, required: true },
+  contactNumber: { type: String, required: true },
+};
+
+// an entry in the address book of a user
+const addressSchema = new mongoose.Schema({
+  ...addressFields,
+  // the address picked at checkout unless another is chosen
+  // exactly one address in a non-empty address book is the default
+  isDefault: { type: Boolean, required: true, default: false },
+});
+
+export { addressFields, addressSchema };
@@ -6,7 +6,10 @@ const cartItemSchema = new mongoose.Schema({
     ref: "Product",
     required: true,
   },
-  quantity: { type: Number, required: true, min: 1 },
+  // the variant of the product (see models/variantSchema.js)
+  variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // in the variant's unit, a multiple of its order increment
+  quantity: { type: Number, required: true, min: 0.001 },
 });
 
 const cartSchema = new mongoose.Schema({
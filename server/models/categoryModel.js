@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+const categorySchema = new mongoose.Schema({
+  // category id is the _id
+  name: { type: String, required: true },
+  // lowercase words joined by dashes (ex: "leafy-greens"), for urls
+  slug: { type: String, required: true, unique: true },
+  // null for top-level categories
+  // categories nest one level deep, so a parent never has a parent itself
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: "Category",
+    default: null,
+  },
+  // lower comes first; categories with the same order are sorted by name
+  displayOrder: { type: Number, required: true, default: 0 },
+});
+
+const Category = mongoose.model("Category", categorySchema);
+
+export default Category;
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+const emailVerificationTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.ObjectId, required: true, ref: "User" },
+  // sha256 of the token; the token itself is only in the emailed link
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+});
+
+// let mongo drop expired tokens
+emailVerificationTokenSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 0 }
+);
+
+const EmailVerificationToken = mongoose.model(
+  "EmailVerificationToken",
+  emailVerificationTokenSchema
+);
+
+export default EmailVerificationToken;
@@ -0,0 +1,12 @@
+import mongoose from "mongoose";
+
+// one image of a product's gallery, uploaded through utils/images.js
+const imageSchema = new mongoose.Schema({
+  // names its files in the storage (see utils/storage.js)
+  key: { type: String, required: true },
+  url: { type: String, required: true },
+  // a square, smaller copy for listings and galleries
+  thumbnailUrl: { type: String, required: true },
+});
+
+export { imageSchema };
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// failed logins, tracked both per account and per IP address
+// kept in the database so lockouts survive restarts
+const loginAttemptSchema = new mongoose.Schema({
+  // "account" (key is the email) or "ip" (key is the address)
+  kind: { type: String, enum: ["account", "ip"], required: true },
+  key: { type: String, required: true },
+  // failed attempts in a row
+  failures: { type: Number, required: true, default: 0 },
+  lastFailureAt: { type: Date },
+  // no login is accepted before this
+  lockedUntil: { type: Date, default: null },
+  // the record is forgotten after a quiet period without failures
+  expiresAt: { type: Date, required: true },
+});
+
+loginAttemptSchema.index({ kind: 1, key: 1 }, { unique: true });
+// let mongo drop records that no longer matter
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// a search of the shop that found no product, for admins to add the
+// product or a synonym for it
+// searches for the same words count as one, whatever their case or
+// punctuation (see recordMissedSearch in utils/search.js)
+const missedSearchSchema = new mongoose.Schema({
+  // the words searched, lowercase and separated by single spaces
+  query: { type: String, required: true, unique: true },
+  // how many times it was searched
+  count: { type: Number, required: true, default: 1 },
+  firstSearchedAt: { type: Date, required: true, default: Date.now },
+  lastSearchedAt: { type: Date, required: true, default: Date.now },
+});
+
+// the admin list shows the most searched first
+missedSearchSchema.index({ count: -1, lastSearchedAt: -1 });
+
+const MissedSearch = mongoose.model("MissedSearch", missedSearchSchema);
+
+export default MissedSearch;
@@ -1,10 +1,19 @@
 import mongoose from "mongoose";
+import { addressFields } from "./addressSchema.js";
 
 const orderSchema = new mongoose.Schema({
   // order id is _id
   name: { type: String, required: true },
   email: { type: String, required: true },
+  // the delivery address as one line of text
   address: { type: String, required: true },
+  // a copy of the address book entry picked at checkout, so later edits to
+  // the address book do not change past orders
+  // null for orders shipped to the registration address
+  deliveryAddress: {
+    type: new mongoose.Schema(addressFields, { _id: false }),
+    default: null,
+  },
   products: [
     {
       // for referencing other info
@@ -14,19 +23,48 @@ const orderSchema = new mongoose.Schema({
         ref: "Product",
       },
       name: { type: String, required: true },
+      // the variant of the product, with its label when ordered
+      // (ex: "Tray of 30")
+      variantId: { type: mongoose.Schema.ObjectId, required: true },
+      variantLabel: { type: String, required: true },
+      // how much was ordered, in the unit below; decimals only for kg
       count: { type: Number, required: true },
+      // the price of one unit
       price: { type: Number, required: true },
+      // the unit the variant was sold in when ordered
+      // orders from before units were added have none; they were by the piece
+      unit: { type: String },
       // helper field
       totalProductSales: { type: Number },
       imageUrl: { type: String },
     },
   ],
   dateTimeOrdered: { type: Date, required: true, default: Date.now },
+  // see ORDER_STATUS in utils/orderLifecycle.js
   // -1 = in cart
   // 0 = pending
-  // 1 = completed
+  // 1 = confirmed
   // 2 = cancelled
-  status: { type: Number, enum: [-1, 0, 1, 2], required: true },
+  // 3 = packed
+  // 4 = out for delivery
+  // 5 = delivered
+  // 6 = refunded
+  status: { type: Number, enum: [-1, 0, 1, 2, 3, 4, 5, 6], required: true },
+  // every status change, oldest first
+  statusHistory: [
+    {
+      // null for the entry made when the order is placed
+      from: { type: Number, default: null },
+      to: { type: Number, required: true },
+      // the user who made the change
+      actor: {
+        userId: { type: mongoose.Schema.ObjectId, ref: "User" },
+        email: { type: String },
+        userType: { type: String },
+      },
+      dateTime: { type: Date, required: true, default: Date.now },
+    },
+  ],
   // helper field
   shippingFee: { type: Number },
   totalOrderSales: { type: Number },
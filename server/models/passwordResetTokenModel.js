@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.ObjectId, required: true, ref: "User" },
+  // sha256 of the token; the token itself is only in the emailed link
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  // set once the token is used; a token only works once
+  usedAt: { type: Date, default: null },
+});
+
+// let mongo drop expired tokens
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordResetToken = mongoose.model(
+  "PasswordResetToken",
+  passwordResetTokenSchema
+);
+
+export default PasswordResetToken;
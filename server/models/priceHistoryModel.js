@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// every price a product variant has had, one entry per change
+// the price of a variant at any time is the one of the latest entry with
+// effectiveAt up to that time
+const priceHistorySchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.ObjectId,
+    required: true,
+    ref: "Product",
+  },
+  // the variant of the product the price is for
+  variantId: { type: mongoose.Schema.ObjectId, required: true },
+  price: { type: Number, required: true },
+  // null for the price a variant was created with
+  previousPrice: { type: Number, default: null },
+  effectiveAt: { type: Date, required: true, default: Date.now },
+  // "created", "manual" (edited by an admin) or "scheduled"
+  source: {
+    type: String,
+    enum: ["created", "manual", "scheduled"],
+    required: true,
+  },
+  // the admin who made the change, or who scheduled it
+  changedBy: {
+    userId: { type: mongoose.Schema.ObjectId, ref: "User" },
+    email: { type: String },
+  },
+});
+
+priceHistorySchema.index({ productId: 1, effectiveAt: -1 });
+
+const PriceHistory = mongoose.model("PriceHistory", priceHistorySchema);
+
+export default PriceHistory;
@@ -1,15 +1,60 @@
 import mongoose from "mongoose";
+import { variantSchema } from "./variantSchema.js";
+import { imageSchema } from "./imageSchema.js";
 
-const productSchema = new mongoose.Schema({
-  // product id is the _id
-  name: { type: String, required: true, unique: true },
-  description: { type: String },
-  price: { type: Number, required: true },
-  type: { type: Number, enum: [1, 2], required: true },
-  quantity: { type: Number, required: true },
-  // the image url
-  imageUrl: { type: String },
-});
+const productSchema = new mongoose.Schema(
+  {
+    // product id is the _id
+    name: { type: String, required: true, unique: true },
+    description: { type: String },
+    // the farm the product comes from (ex: "Dela Cruz Farm, Nueva Ecija"),
+    // shown on its page; null if not given
+    origin: { type: String, trim: true, default: null },
+    // replaced the numeric type (1 = crop, 2 = poultry); products from
+    // before categories are moved over by scripts/migrateProductCategories.js
+    category: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Category",
+      required: true,
+    },
+    // the ways the product is sold, each with its own price, unit and stock
+    // there is always at least one; products from before variants are moved
+    // over by scripts/migrateProductVariants.js
+    variants: {
+      type: [variantSchema],
+      validate: {
+        validator: (variants) => variants.length > 0,
+        message: "A product needs at least one variant.",
+      },
+    },
+    // the image url
+    // for products with uploaded images, the url of the first one; before
+    // uploads, a link to an image on another site
+    imageUrl: { type: String },
+    // the link to an image on another site the product was given, kept while
+    // uploaded images cover it and shown again once the last one is deleted
+    linkedImageUrl: { type: String, default: null },
+    // the uploaded images, in the order they are shown
+    images: { type: [imageSchema], default: [] },
+    // archived products are hidden from customers and cannot be ordered,
+    // but are kept so past orders and reports can still refer to them
+    archived: { type: Boolean, default: false },
+    archivedAt: { type: Date, default: null },
+  },
+  { toJSON: { virtuals: true } }
+);
+
+// the indexes of the product listings (see utils/productSearch.js)
+// the search weighs a match in the name over one in the description
+productSchema.index(
+  { name: "text", description: "text" },
+  { name: "product_search", weights: { name: 5, description: 1 } }
+);
+productSchema.index({ category: 1, name: 1 });
+// multikey: a product is found by any variant's price, and sorted by its
+// lowest going up and its highest going down
+productSchema.index({ "variants.price": 1 });
+productSchema.index({ "variants.quantity": 1 });
 
 const Product = mongoose.model("Product", productSchema);
 
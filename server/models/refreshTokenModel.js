@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+const refreshTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.ObjectId, required: true, ref: "User" },
+  // sha256 of the token; the token itself only lives in the user's cookie
+  tokenHash: { type: String, required: true, unique: true },
+  // every token issued from one login shares a family
+  // reusing a rotated token revokes the whole family
+  family: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  // set once the token is rotated or revoked
+  revokedAt: { type: Date, default: null },
+  // hash of the token that replaced this one when rotated
+  replacedBy: { type: String, default: null },
+});
+
+// let mongo drop expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
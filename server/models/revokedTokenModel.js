@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// access tokens that must no longer be accepted before they expire
+// an entry either revokes a single token (jti), or every token of a user
+// issued up to revokedBefore (ex: "log out everywhere")
+const revokedTokenSchema = new mongoose.Schema({
+  jti: { type: String, unique: true, sparse: true },
+  userId: { type: mongoose.Schema.ObjectId, ref: "User", index: true },
+  revokedBefore: { type: Date },
+  // once every token the entry covers has expired, it is no longer needed
+  expiresAt: { type: Date, required: true },
+});
+
+// let mongo drop entries that no longer matter
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model("RevokedToken", revokedTokenSchema);
+
+export default RevokedToken;
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// a price change of a product variant planned for later (ex: a price drop for market day)
+// it is applied the first time prices are read after effectiveAt, or by
+// scripts/applyDuePriceChanges.js, and recorded in PriceHistory as of
+// effectiveAt (see utils/priceSchedule.js)
+const scheduledPriceSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.ObjectId,
+    required: true,
+    ref: "Product",
+  },
+  // the variant of the product the price is for
+  variantId: { type: mongoose.Schema.ObjectId, required: true },
+  price: { type: Number, required: true },
+  effectiveAt: { type: Date, required: true },
+  createdBy: {
+    userId: { type: mongoose.Schema.ObjectId, ref: "User" },
+    email: { type: String },
+  },
+  // set once the variant has the new price
+  appliedAt: { type: Date, default: null },
+  // set if an admin calls it off before it is applied, or if its variant
+  // was deleted by then
+  cancelledAt: { type: Date, default: null },
+});
+
+// finds the changes that are due
+scheduledPriceSchema.index({ appliedAt: 1, cancelledAt: 1, effectiveAt: 1 });
+
+const ScheduledPrice = mongoose.model("ScheduledPrice", scheduledPriceSchema);
+
+export default ScheduledPrice;
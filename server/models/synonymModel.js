@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// other words shoppers use for a word of the catalog (ex: "itlog", the
+// Tagalog for "egg")
+// a search for any word of the entry also looks for the others, both ways
+const synonymSchema = new mongoose.Schema({
+  // the word as it appears in product names (ex: "egg")
+  term: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  // the other words for it (ex: ["itlog"])
+  synonyms: {
+    type: [{ type: String, lowercase: true, trim: true }],
+    default: [],
+  },
+});
+
+const Synonym = mongoose.model("Synonym", synonymSchema);
+
+export default Synonym;
@@ -1,14 +1,43 @@
 import mongoose from "mongoose";
+import { addressSchema } from "./addressSchema.js";
+import { ROLES } from "../utils/permissions.js";
 
 const userSchema = new mongoose.Schema({
   firstName: { type: String, required: true },
   middleName: { type: String },
   lastName: { type: String, required: true },
+  // the address given at registration, as free text
   address: { type: String, required: true },
-  // either "user" or "admin"
-  userType: { type: String, required: true },
+  // saved delivery addresses; one is picked at checkout
+  addresses: [addressSchema],
+  // the role: "user" (customer), "staff" or "admin"
+  // what each role can do is in utils/permissions.js
+  // only customers can register themselves; admins are seeded or created by
+  // another admin, and staff are promoted by an admin
+  userType: {
+    type: String,
+    enum: ROLES,
+    required: true,
+    default: "user",
+  },
   email: { type: String, required: true, unique: true },
+  // registration sets this to false until the emailed link is opened
+  // accounts from before verification existed, and admins, count as verified
+  emailVerified: { type: Boolean, default: true },
   password: { type: String, required: true },
+  // deactivated users cannot log in; an admin can reactivate them
+  active: { type: Boolean, default: true },
+  deactivatedAt: { type: Date, default: null },
+  // set by an admin; the user cannot log in until they reset their password
+  passwordResetRequired: { type: Boolean, default: false },
+});
+
+// the password hash never leaves the server, even when a whole user is sent
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.password;
+    return ret;
+  },
 });
 
 const User = mongoose.model("User", userSchema);
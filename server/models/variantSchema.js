@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+import { UNIT_NAMES, DEFAULT_UNIT, roundQuantity } from "../utils/units.js";
+
+// one way a product is sold (ex: eggs by the tray of 30 or by the dozen)
+// each variant has its own price, stock and unit; cart items, order lines,
+// price history and reports refer to it by its _id
+const variantSchema = new mongoose.Schema(
+  {
+    // unique within the product (ex: "Tray of 30", "Grade A", "Small")
+    label: { type: String, required: true },
+    // the price of one unit
+    price: { type: Number, required: true },
+    // what the price and the quantities are counted in (see utils/units.js)
+    unit: { type: String, enum: UNIT_NAMES, default: DEFAULT_UNIT },
+    // customers order in multiples of this, which is also the least they
+    // can order (ex: 0.25 for a quarter kg at a time)
+    orderIncrement: { type: Number, default: 1 },
+    // stock on hand, in the unit; decimals only for fractional units
+    quantity: { type: Number, required: true },
+    // part of the stock on hand held by pending orders
+    reserved: { type: Number, required: true, default: 0, min: 0 },
+    // shown instead of the product's image when the variant is picked
+    imageUrl: { type: String, default: null },
+  },
+  { toJSON: { virtuals: true } }
+);
+
+// stock that can still be ordered
+variantSchema.virtual("available").get(function () {
+  return roundQuantity(this.quantity - this.reserved);
+});
+
+export { variantSchema };
@@ -1,129 +1,1452 @@
 import express from "express";
 import {
   addProduct,
+  updateProduct,
+  archiveProduct,
+  unarchiveProduct,
+  addVariant,
+  updateVariant,
+  deleteVariant,
+  addProductImage,
+  reorderProductImages,
+  deleteProductImage,
+  getProductPrices,
+  schedulePrice,
+  cancelScheduledPrice,
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+  getMissedSearches,
+  dismissMissedSearch,
   confirmOrder,
   getProductListings,
   getRegisteredUsers,
+  getUserDetails,
+  deactivateUser,
+  reactivateUser,
+  promoteUser,
+  forcePasswordReset,
+  createAdmin,
+  revokeUserSessions,
+  resendVerification,
+  getLoginLockouts,
+  clearLoginLockout,
   getOrders,
   cancelOrder,
+  updateOrderStatus,
   updateStock,
 } from "../controllers/admin.js";
-import { verifyToken, verifyIfAdmin } from "../utils/middleware.js";
+import { verifyToken, requirePermission } from "../utils/middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import { UNIT_NAMES } from "../utils/units.js";
+import { validate } from "../utils/validation.js";
+import { PRODUCT_SORT_PATTERN } from "../utils/productSearch.js";
+import { uploadImage } from "../utils/images.js";
 
 const adminRoutes = express.Router();
 
 /**
  * POST /admin/addProduct
- * Add one product.
+ * Add one product, with its first variant.
+ * More variants are added through /admin/products/:productId/variants.
  *
  * Requires the Authorization header with the value "Bearer <token>".
- * User accessing it must be an admin.
+ * User accessing it must have the "inventory:write" permission.
  *
  * Inputs for req.body:
  * name - String (unique)
  * description - String (optional)
- * price - Number
- * type - Number (1 or 2)
- * quantity - Number
+ * origin - String (optional; the farm the product comes from)
+ * category - String (id of the category)
  * imageUrl - String (optional)
  *
+ * The first variant:
+ * variantLabel - String (optional, default "Regular")
+ * price - Number (of one unit)
+ * unit - "kg", "g", "piece", "bundle", "dozen" or "tray" (optional, default "piece")
+ * orderIncrement - Number (optional, default 1; customers order multiples of it)
+ * quantity - Number (stock on hand, in the unit)
+ *
+ * Only kg allows decimals (up to 3 places) in orderIncrement and quantity;
+ * the other units are counted in whole numbers.
+ *
  * Response:
  * If successful: Status code 201; "Product created successfully"
+ * If the category does not exist: Status code 400; "Category not found", <errors per field>
+ * If the input is invalid or does not fit the unit: Status code 400; "Invalid request", <errors per field>
  * Else: Status code 500; "Error adding the new product"
  */
-adminRoutes.post("/addProduct", verifyToken, verifyIfAdmin, addProduct);
+adminRoutes.post(
+  "/addProduct",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    body: {
+      name: { type: "string", required: true, maxLength: 100 },
+      description: { type: "string", maxLength: 1000 },
+      origin: { type: "string", maxLength: 100 },
+      category: { type: "objectId", required: true },
+      imageUrl: { type: "string" },
+      variantLabel: { type: "string", notBlank: true, maxLength: 50 },
+      price: { type: "number", required: true, min: 0 },
+      unit: { type: "string", enum: UNIT_NAMES },
+      orderIncrement: { type: "number", min: 0.001 },
+      quantity: { type: "number", required: true, min: 0 },
+    },
+  }),
+  addProduct
+);
 
 /**
  * GET /admin/getProductListings
- * Get all products in the database.
+ * Search all products in the database, a page at a time.
+ * Archived products are included; archived tells them apart.
+ * Each product has its variants, each with its own price, unit, stock and
+ * optional imageUrl.
+ * category holds the _id, name, slug and parent of the product's category.
+ * images holds the uploaded images in order (see
+ * /admin/products/:productId/images).
  *
  * Requires the Authorization header with the value "Bearer <token>".
- * User accessing it must be an admin.
+ * User accessing it must have the "inventory:write" permission.
  *
- * Inputs for req.body:
- * sortOption - Object
+ * Inputs for req.query:
+ * search - String (optional; finds words of the name and description,
+ *   allowing for typos and synonyms, ex: "tomatos" finds "Tomato" and
+ *   "itlog" finds "Eggs" once admins add it as a synonym of egg)
+ * category - String (optional; category _id; a top-level category includes
+ *   its subcategories)
+ * minPrice - Number (optional; products with a variant at this price or up)
+ * maxPrice - Number (optional; products with a variant at this price or down)
+ * inStock - Boolean (optional; true for products with a variant that can
+ *   still be ordered, false for the rest)
+ * sort - String (optional; see below)
+ * page - Number (optional, starts at 1)
+ * limit - Number (optional, products per page; 24 by default, 100 at most)
  *
- * Example of the req.body:
+ * Example: ?search=eggs&maxPrice=300&sort=-price,name&page=2
  *
+ * sort is a comma separated list of keys, each with "-" in front to sort
+ * going down: "name", "price", "quantity" and "relevance" (best match
+ * first, only with a search).
+ * price and quantity go by the lowest variant when going up, and by the
+ * highest when going down.
+ * Searches are sorted by relevance by default, and the rest by name.
+ *
+ * Returns:
  * {
- *  "sortOption": {<key>: <asc or desc>}
+ *  products: [<product>],
+ *  total: number of matching products,
+ *  page,
+ *  pages: number of pages
  * }
  *
- * <key> can be "name", "type", "price", or "quantity"
- * <asc or desc>: 1 for ascending, -1 for descending
- * Only one key is allowed for now.
- *
  * Response:
- * If successful: Status code 200, <list of products>
+ * If successful: Status code 200, <page of products>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ *   (maxPrice below minPrice is reported on maxPrice)
  * Else: Status code 500; "Unable to get products"
  */
 adminRoutes.get(
   "/getProductListings",
   verifyToken,
-  verifyIfAdmin,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    query: {
+      search: { type: "string", maxLength: 100 },
+      category: { type: "objectId" },
+      minPrice: { type: "number", min: 0 },
+      maxPrice: { type: "number", min: 0 },
+      inStock: { type: "boolean" },
+      sort: { type: "string", pattern: PRODUCT_SORT_PATTERN },
+      page: { type: "integer", min: 1 },
+      limit: { type: "integer", min: 1, max: 100 },
+    },
+  }),
   getProductListings
 );
 
 /**
  * GET /admin/registeredUsers
- * Get all registered users in the database.
+ * Get the registered users a page at a time, sorted by last name.
+ * emailVerified tells whether the user has verified their email, and active
+ * whether they can log in. Password hashes are never included.
  *
  * Requires the Authorization header with the value "Bearer <token>".
- * User accessing it must be an admin.
+ * User accessing it must have the "users:manage" permission.
  *
- * Inputs for req.body:
- * None
+ * Inputs for req.query:
+ * search - String (optional; every word must appear in the name or email)
+ * status - "active" or "deactivated" (optional)
+ * userType - "user", "staff" or "admin" (optional)
+ * page - Number (optional, starts at 1)
+ * limit - Number (optional, users per page; 20 by default, 100 at most)
+ *
+ * Returns:
+ * {
+ *  users: <list of users>,
+ *  total: number of users that match,
+ *  page,
+ *  pages: number of pages
+ * }
  *
  * Response:
- * If successful: Status code 200, <list of users>
+ * If successful: Status code 200, <page of users>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
  * Else: Status code 500; "Unable to get users"
  */
 adminRoutes.get(
   "/registeredUsers",
   verifyToken,
-  verifyIfAdmin,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({
+    query: {
+      search: { type: "string", maxLength: 100 },
+      status: { type: "string", enum: ["active", "deactivated"] },
+      userType: { type: "string", enum: ["user", "staff", "admin"] },
+      page: { type: "integer", min: 1 },
+      limit: { type: "integer", min: 1, max: 100 },
+    },
+  }),
   getRegisteredUsers
 );
 
+/**
+ * GET /admin/users/:userId
+ * Get one user with their order history, latest order first.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "users:manage" permission.
+ *
+ * Inputs for req.params:
+ * userId - String
+ *
+ * Returns:
+ * {
+ *  user: the user, without the password hash,
+ *  orders: <list of orders>,
+ *  orderCount: number of orders,
+ *  lifetimeSpend: total of the orders that count as sales (confirmed,
+ *                 packed, out for delivery or delivered), shipping included
+ * }
+ *
+ * Response:
+ * If successful: Status code 200, <user details>
+ * If the user does not exist: Status code 404; "User not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to get user"
+ */
+adminRoutes.get(
+  "/users/:userId",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({ params: { userId: { type: "objectId", required: true } } }),
+  getUserDetails
+);
+
+/**
+ * POST /admin/deactivateUser
+ * Stops a user from logging in, and logs them out of every session.
+ * Their account, orders and addresses are kept.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "users:manage" permission.
+ *
+ * Inputs for req.body:
+ * userId - String
+ *
+ * Response:
+ * If successful: Status code 200, "User deactivated"
+ * If the user does not exist: Status code 404; "User not found"
+ * If the user is the admin making the request: Status code 409; "You cannot deactivate your own account"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to deactivate user"
+ */
+adminRoutes.post(
+  "/deactivateUser",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({ body: { userId: { type: "objectId", required: true } } }),
+  deactivateUser
+);
+
+/**
+ * POST /admin/reactivateUser
+ * Lets a deactivated user log in again.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "users:manage" permission.
+ *
+ * Inputs for req.body:
+ * userId - String
+ *
+ * Response:
+ * If successful: Status code 200, "User reactivated"
+ * If the user does not exist: Status code 404; "User not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to reactivate user"
+ */
+adminRoutes.post(
+  "/reactivateUser",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({ body: { userId: { type: "objectId", required: true } } }),
+  reactivateUser
+);
+
+/**
+ * POST /admin/promoteUser
+ * Makes a customer staff or an admin, or staff an admin.
+ * To confirm, the user's email has to be sent again as confirmEmail.
+ * The user gets the new role's permissions the next time their session is
+ * renewed.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "users:manage" permission.
+ *
+ * Inputs for req.body:
+ * userId - String
+ * confirmEmail - String (the email of the user being promoted)
+ * role - "staff" or "admin" (optional, "admin" by default)
+ *
+ * Response:
+ * If successful: Status code 200, "User promoted to <role>"
+ * If the user does not exist: Status code 404; "User not found"
+ * If confirmEmail does not match: Status code 400; "Confirmation does not match the user's email", <errors per field>
+ * If the user already has the role, is an admin or is deactivated: Status code 409; <error>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to promote user"
+ */
+adminRoutes.post(
+  "/promoteUser",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({
+    body: {
+      userId: { type: "objectId", required: true },
+      confirmEmail: { type: "string", required: true },
+      role: { type: "string", enum: ["staff", "admin"] },
+    },
+  }),
+  promoteUser
+);
+
+/**
+ * POST /admin/forcePasswordReset
+ * Requires a user to choose a new password.
+ * The user is logged out of every session and emailed a reset link; they
+ * cannot log in until they use it.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "users:manage" permission.
+ *
+ * Inputs for req.body:
+ * userId - String
+ *
+ * Response:
+ * If successful: Status code 200, "Password reset required"
+ * If the user does not exist: Status code 404; "User not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to require a password reset"
+ */
+adminRoutes.post(
+  "/forcePasswordReset",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({ body: { userId: { type: "objectId", required: true } } }),
+  forcePasswordReset
+);
+
+/**
+ * POST /admin/createAdmin
+ * Create an admin account.
+ * Registering through /auth/register always creates a customer, so this is
+ * how every admin after the seeded one is made.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "users:manage" permission.
+ *
+ * Inputs for req.body:
+ * firstName - String
+ * middleName - String (optional)
+ * lastName - String
+ * address - String
+ * email - String (unique)
+ * password - String
+ *
+ * Response:
+ * If successful: Status code 201, "Admin created successfully"
+ * If the email is taken: Status code 409; "Email is already registered"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to create admin"
+ */
+adminRoutes.post(
+  "/createAdmin",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({
+    body: {
+      firstName: { type: "string", required: true, maxLength: 100 },
+      middleName: { type: "string", maxLength: 100 },
+      lastName: { type: "string", required: true, maxLength: 100 },
+      address: { type: "string", required: true, maxLength: 300 },
+      email: { type: "email", required: true },
+      password: { type: "string", required: true, minLength: 8 },
+    },
+  }),
+  createAdmin
+);
+
+/**
+ * POST /admin/revokeUserSessions
+ * Logs a user out of every session, on every device.
+ * All refresh tokens of the user are revoked, and every access token issued
+ * until now stops working.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "users:manage" permission.
+ *
+ * Inputs for req.body:
+ * userId - String
+ *
+ * Response:
+ * If successful: Status code 200, "Sessions revoked"
+ * If the user does not exist: Status code 404; "User not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to revoke sessions"
+ */
+adminRoutes.post(
+  "/revokeUserSessions",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({ body: { userId: { type: "objectId", required: true } } }),
+  revokeUserSessions
+);
+
+/**
+ * POST /admin/resendVerification
+ * Emails a new verification link to a user whose email is not yet verified.
+ * The previous link stops working.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "users:manage" permission.
+ *
+ * Inputs for req.body:
+ * userId - String
+ *
+ * Response:
+ * If successful: Status code 200, "Verification email sent"
+ * If the user does not exist: Status code 404; "User not found"
+ * If the email is already verified: Status code 409; "Email is already verified"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to send verification email"
+ */
+adminRoutes.post(
+  "/resendVerification",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({ body: { userId: { type: "objectId", required: true } } }),
+  resendVerification
+);
+
+/**
+ * GET /admin/loginLockouts
+ * Get the accounts and IP addresses that must currently wait before logging
+ * in, latest lockout first.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "users:manage" permission.
+ *
+ * Returns:
+ * An array of lockouts with the format:
+ * {
+ *  _id,
+ *  kind: "account" or "ip",
+ *  key: the email or the IP address,
+ *  failures: failed attempts in a row,
+ *  lastFailureAt,
+ *  lockedUntil
+ * }
+ *
+ * Response:
+ * If successful: Status code 200, <list of lockouts>
+ * Else: Status code 500; "Unable to get lockouts"
+ */
+adminRoutes.get(
+  "/loginLockouts",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  getLoginLockouts
+);
+
+/**
+ * POST /admin/clearLoginLockout
+ * Lifts a lockout and forgets the failed attempts behind it.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "users:manage" permission.
+ *
+ * Inputs for req.body:
+ * lockoutId - String
+ *
+ * Response:
+ * If successful: Status code 200, "Lockout cleared"
+ * If the lockout does not exist: Status code 404; "Lockout not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to clear lockout"
+ */
+adminRoutes.post(
+  "/clearLoginLockout",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({ body: { lockoutId: { type: "objectId", required: true } } }),
+  clearLoginLockout
+);
+
 /**
  * GET /admin/getOrders
  * Get all orders in the database, ordered by recency.
  *
  * Requires the Authorization header with the value "Bearer <token>".
- * User accessing it must be an admin.
+ * User accessing it must have the "orders:fulfil" permission.
  *
- * Inputs for req.body:
- * status - Number (0, 1, 2)
+ * Inputs for req.query:
+ * status - Number, or a comma-separated list of Numbers (ex: "1,3,4,5")
  * 0 - Pending
  * 1 - Confirmed
  * 2 - Canceled
+ * 3 - Packed
+ * 4 - Out for delivery
+ * 5 - Delivered
+ * 6 - Refunded
  *
  * Response:
  * If successful: Status code 200, <list of orders>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
  * Else: Status code 500; "Unable to get orders"
  */
-adminRoutes.get("/getOrders", verifyToken, verifyIfAdmin, getOrders);
+adminRoutes.get(
+  "/getOrders",
+  verifyToken,
+  requirePermission(PERMISSIONS.ORDERS_FULFIL),
+  validate({
+    query: {
+      status: {
+        type: "string",
+        required: true,
+        pattern: {
+          regex: /^-?\d+(,-?\d+)*$/,
+          message: "Must be a status or a comma-separated list of statuses.",
+        },
+      },
+    },
+  }),
+  getOrders
+);
 
 /**
  * POST /admin/confirmOrder
  * Confirms a order.
- * This marks the order confirmed and deducts the inventory of products.
+ * This marks a pending order confirmed.
+ * The stock reserved for the order when it was placed is deducted from the
+ * stock on hand; no stock check is needed here.
  *
  * Requires the Authorization header with the value "Bearer <token>".
- * User accessing it must be an admin.
+ * User accessing it must have the "orders:fulfil" permission.
  *
  * Inputs for req.body:
  * orderId - String
  *
  * Response:
  * If successful: Status code 200, "Order confirmed"
- * If inventory is insufficient: Status code 400: "Insufficient product quantity for <product>"
+ * If the order does not exist: Status code 404; "Order not found"
+ * If the order is not pending: Status code 409; "Cannot move an order from <status> to confirmed"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
  * Else: Status code 500; "Order confirmation failed"
  */
-adminRoutes.post("/confirmOrder", verifyToken, verifyIfAdmin, confirmOrder);
+adminRoutes.post(
+  "/confirmOrder",
+  verifyToken,
+  requirePermission(PERMISSIONS.ORDERS_FULFIL),
+  validate({ body: { orderId: { type: "objectId", required: true } } }),
+  confirmOrder
+);
+
+/**
+ * POST /admin/cancelOrder
+ * Cancels a order.
+ * This marks the order cancelled and returns its products to the inventory.
+ * A pending order releases its reservation; a confirmed or packed order puts
+ * its items back in the stock on hand.
+ * Only pending, confirmed or packed orders can be cancelled.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "orders:fulfil" permission.
+ *
+ * Inputs for req.body:
+ * orderId - String
+ *
+ * Response:
+ * If successful: Status code 200, "Order cancelled"
+ * If the order does not exist: Status code 404; "Order not found"
+ * If the order can no longer be cancelled: Status code 409; "Cannot move an order from <status> to cancelled"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Order cancellation failed"
+ */
+adminRoutes.post(
+  "/cancelOrder",
+  verifyToken,
+  requirePermission(PERMISSIONS.ORDERS_FULFIL),
+  validate({ body: { orderId: { type: "objectId", required: true } } }),
+  cancelOrder
+);
+
+/**
+ * POST /admin/updateOrderStatus
+ * Moves an order to the next step of its lifecycle.
+ * Every change is recorded in the order's statusHistory with the admin and time.
+ *
+ * Allowed moves:
+ * 0 (pending) -> 1 (confirmed) or 2 (cancelled)
+ * 1 (confirmed) -> 3 (packed) or 2 (cancelled)
+ * 3 (packed) -> 4 (out for delivery) or 2 (cancelled)
+ * 4 (out for delivery) -> 5 (delivered)
+ * 5 (delivered) -> 6 (refunded)
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "orders:fulfil" permission.
+ *
+ * Inputs for req.body:
+ * orderId - String
+ * status - Number (the new status)
+ *
+ * Response:
+ * If successful: Status code 200, <updated order>
+ * If the order does not exist: Status code 404; "Order not found"
+ * If the move is not allowed: Status code 409; "Cannot move an order from <status> to <status>"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Order status update failed"
+ */
+adminRoutes.post(
+  "/updateOrderStatus",
+  verifyToken,
+  requirePermission(PERMISSIONS.ORDERS_FULFIL),
+  validate({
+    body: {
+      orderId: { type: "objectId", required: true },
+      status: { type: "integer", required: true },
+    },
+  }),
+  updateOrderStatus
+);
+
+/**
+ * POST /admin/updateStock
+ * Sets the stock on hand of a product variant.
+ * The stock on hand cannot be lower than what pending orders have reserved.
+ * It is in the variant's unit, and has to be a whole number unless the unit
+ * is kg.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.body:
+ * productId - String
+ * variantId - String
+ * quantity - Number (new stock on hand)
+ *
+ * Response:
+ * If successful: Status code 200, "Stock updated"
+ * If the product or variant does not exist: Status code 404; "Product variant not found"
+ * If quantity does not fit the unit: Status code 400; <reason>, <errors per field>
+ * If quantity is below the reserved stock: Status code 400; "Stock cannot be lower than the <reserved> <unit> reserved by pending orders"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Stock update failed"
+ */
+adminRoutes.post(
+  "/updateStock",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    body: {
+      productId: { type: "objectId", required: true },
+      variantId: { type: "objectId", required: true },
+      quantity: { type: "number", required: true, min: 0 },
+    },
+  }),
+  updateStock
+);
+
+/**
+ * PATCH /admin/products/:productId
+ * Edits a product. Only the fields sent are changed.
+ * Past orders keep the name they were placed with.
+ * The price, unit and stock are those of each variant, and are changed
+ * through /admin/products/:productId/variants/:variantId and
+ * /admin/updateStock instead.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * productId - String
+ *
+ * Inputs for req.body (all optional):
+ * name - String (unique)
+ * description - String
+ * origin - String (the farm the product comes from)
+ * category - String (id of the category)
+ * imageUrl - String (only kept for products without uploaded images; the
+ *   first uploaded image is the product's image)
+ *
+ * Response:
+ * If successful: Status code 200, <updated product>
+ * If the product does not exist: Status code 404; "Product not found"
+ * If the category does not exist: Status code 400; "Category not found", <errors per field>
+ * If the name is taken: Status code 409; "Another product already has this name", <errors per field>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to update product"
+ */
+adminRoutes.patch(
+  "/products/:productId",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    params: { productId: { type: "objectId", required: true } },
+    body: {
+      name: { type: "string", notBlank: true, maxLength: 100 },
+      description: { type: "string", maxLength: 1000 },
+      origin: { type: "string", maxLength: 100 },
+      category: { type: "objectId", notBlank: true },
+      imageUrl: { type: "string" },
+    },
+  }),
+  updateProduct
+);
+
+/**
+ * POST /admin/products/:productId/variants
+ * Adds a variant to a product (ex: eggs by the dozen next to eggs by the
+ * tray of 30).
+ * Its price is recorded in the product's price history.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * productId - String
+ *
+ * Inputs for req.body:
+ * label - String (unique within the product, ex: "Tray of 30")
+ * price - Number (of one unit)
+ * unit - "kg", "g", "piece", "bundle", "dozen" or "tray" (optional, default "piece")
+ * orderIncrement - Number (optional, default 1; customers order multiples of it)
+ * quantity - Number (stock on hand, in the unit)
+ * imageUrl - String (optional, shown instead of the product's image)
+ *
+ * Only kg allows decimals (up to 3 places) in orderIncrement and quantity;
+ * the other units are counted in whole numbers.
+ *
+ * Response:
+ * If successful: Status code 201, <updated product>
+ * If the product does not exist: Status code 404; "Product not found"
+ * If the label is taken: Status code 409; "Another variant of this product has this label", <errors per field>
+ * If the input is invalid or does not fit the unit: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to add variant"
+ */
+adminRoutes.post(
+  "/products/:productId/variants",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    params: { productId: { type: "objectId", required: true } },
+    body: {
+      label: { type: "string", required: true, maxLength: 50 },
+      price: { type: "number", required: true, min: 0 },
+      unit: { type: "string", enum: UNIT_NAMES },
+      orderIncrement: { type: "number", min: 0.001 },
+      quantity: { type: "number", required: true, min: 0 },
+      imageUrl: { type: "string" },
+    },
+  }),
+  addVariant
+);
+
+/**
+ * PATCH /admin/products/:productId/variants/:variantId
+ * Edits a variant of a product. Only the fields sent are changed.
+ * Past orders keep the label, price and unit they were placed with. A new
+ * price is recorded in the product's price history.
+ * The stock is changed through /admin/updateStock instead.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * productId - String
+ * variantId - String
+ *
+ * Inputs for req.body (all optional):
+ * label - String (unique within the product)
+ * price - Number (of one unit)
+ * unit - "kg", "g", "piece", "bundle", "dozen" or "tray"
+ * orderIncrement - Number
+ * imageUrl - String (null to use the product's image)
+ *
+ * A new unit has to fit the current stock on hand (ex: 2.5 kg cannot become
+ * pieces).
+ *
+ * Response:
+ * If successful: Status code 200, <updated product>
+ * If the product or variant does not exist: Status code 404; "Product variant not found"
+ * If the label is taken: Status code 409; "Another variant of this product has this label", <errors per field>
+ * If the unit does not fit the increment or stock: Status code 400; "Invalid request", <errors per field>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to update variant"
+ */
+adminRoutes.patch(
+  "/products/:productId/variants/:variantId",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    params: {
+      productId: { type: "objectId", required: true },
+      variantId: { type: "objectId", required: true },
+    },
+    body: {
+      label: { type: "string", notBlank: true, maxLength: 50 },
+      price: { type: "number", notBlank: true, min: 0 },
+      unit: { type: "string", notBlank: true, enum: UNIT_NAMES },
+      orderIncrement: { type: "number", notBlank: true, min: 0.001 },
+      imageUrl: { type: "string" },
+    },
+  }),
+  updateVariant
+);
+
+/**
+ * DELETE /admin/products/:productId/variants/:variantId
+ * Stops selling a product one way.
+ * It is taken out of every cart, and its scheduled price changes are called
+ * off. Past orders and reports keep their copy of its label.
+ * A product keeps at least one variant; archive the product to stop selling
+ * it altogether.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * productId - String
+ * variantId - String
+ *
+ * Response:
+ * If successful: Status code 200, <updated product>
+ * If the product or variant does not exist: Status code 404; "Product variant not found"
+ * If it is the only variant: Status code 409; "A product needs at least one variant; archive it instead"
+ * If orders that are not delivered or cancelled have it: Status code 409; "Orders that are not finished yet have this variant; delete it once they are delivered or cancelled"
+ * If pending orders hold its stock: Status code 409; "Pending orders have reserved stock of this variant"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to delete variant"
+ */
+adminRoutes.delete(
+  "/products/:productId/variants/:variantId",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    params: {
+      productId: { type: "objectId", required: true },
+      variantId: { type: "objectId", required: true },
+    },
+  }),
+  deleteVariant
+);
+
+/**
+ * POST /admin/products/:productId/images
+ * Uploads an image to the end of a product's gallery.
+ * It is stored as webp, shrunk to at most 1600px a side, along with a 400px
+ * square thumbnail. The first image of the gallery is the product's
+ * imageUrl.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * productId - String
+ *
+ * Inputs for the multipart/form-data body:
+ * image - File (a JPEG, PNG or WebP image of at most 5 MB)
+ *
+ * Response:
+ * If successful: Status code 201, <updated product> (images holds the
+ *   gallery, each with its _id, url and thumbnailUrl)
+ * If the product does not exist: Status code 404; "Product not found"
+ * If the gallery is full: Status code 409; "A product can have at most 10 images"
+ * If the input is invalid or not an image: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to add image"
+ */
+adminRoutes.post(
+  "/products/:productId/images",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    params: { productId: { type: "objectId", required: true } },
+  }),
+  uploadImage,
+  addProductImage
+);
+
+/**
+ * PATCH /admin/products/:productId/images
+ * Puts the images of a product's gallery in a new order.
+ * The first one becomes the product's imageUrl.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * productId - String
+ *
+ * Inputs for req.body:
+ * order - Array of String (the id of every image of the product, once)
+ *
+ * Response:
+ * If successful: Status code 200, <updated product>
+ * If the product does not exist: Status code 404; "Product not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to reorder images"
+ */
+adminRoutes.patch(
+  "/products/:productId/images",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    params: { productId: { type: "objectId", required: true } },
+    body: {
+      order: {
+        type: "array",
+        required: true,
+        items: { type: "objectId" },
+      },
+    },
+  }),
+  reorderProductImages
+);
+
+/**
+ * DELETE /admin/products/:productId/images/:imageId
+ * Takes an image out of a product's gallery.
+ * Its files are deleted, unless past orders show it.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * productId - String
+ * imageId - String
+ *
+ * Response:
+ * If successful: Status code 200, <updated product>
+ * If the product or image does not exist: Status code 404; "Product image not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to delete image"
+ */
+adminRoutes.delete(
+  "/products/:productId/images/:imageId",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    params: {
+      productId: { type: "objectId", required: true },
+      imageId: { type: "objectId", required: true },
+    },
+  }),
+  deleteProductImage
+);
+
+/**
+ * POST /admin/products/:productId/archive
+ * Archives (soft-deletes) a product.
+ * Customers no longer see it, and it is taken out of every cart. It is kept
+ * in the database, so past orders and reports still show it, and pending
+ * orders that have it can still be fulfilled.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * productId - String
+ *
+ * Response:
+ * If successful: Status code 200, <archived product>
+ * If the product does not exist: Status code 404; "Product not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to archive product"
+ */
+adminRoutes.post(
+  "/products/:productId/archive",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({ params: { productId: { type: "objectId", required: true } } }),
+  archiveProduct
+);
+
+/**
+ * POST /admin/products/:productId/unarchive
+ * Puts an archived product back on sale.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * productId - String
+ *
+ * Response:
+ * If successful: Status code 200, <restored product>
+ * If the product does not exist: Status code 404; "Product not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to restore product"
+ */
+adminRoutes.post(
+  "/products/:productId/unarchive",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({ params: { productId: { type: "objectId", required: true } } }),
+  unarchiveProduct
+);
+
+/**
+ * GET /admin/products/:productId/prices
+ * Get the price timeline of a product: every price each of its variants has
+ * had, and the price changes scheduled for them.
+ * Scheduled changes that are due are applied first.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" or "reports:read"
+ * permission.
+ *
+ * Inputs for req.params:
+ * productId - String
+ *
+ * Returns:
+ * {
+ *  product,
+ *  history: price changes, latest first, with the format:
+ *    { variantId, price, previousPrice, effectiveAt, source, changedBy: { email } }
+ *    source is "created", "manual" or "scheduled"
+ *  scheduled: changes still to come, soonest first, with the format:
+ *    { _id, variantId, price, effectiveAt, createdBy: { email } }
+ * }
+ *
+ * Response:
+ * If successful: Status code 200, <price timeline>
+ * If the product does not exist: Status code 404; "Product not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to get prices"
+ */
+adminRoutes.get(
+  "/products/:productId/prices",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE, PERMISSIONS.REPORTS_READ),
+  validate({ params: { productId: { type: "objectId", required: true } } }),
+  getProductPrices
+);
+
+/**
+ * POST /admin/products/:productId/scheduledPrices
+ * Schedules a price change of a variant (ex: a price drop for market day).
+ * The variant gets the new price once effectiveAt has passed, and the change
+ * is recorded in the product's price history as of effectiveAt.
+ * It is called off if the variant is deleted first.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * productId - String
+ *
+ * Inputs for req.body:
+ * variantId - String
+ * price - Number
+ * effectiveAt - String (a date and time in the future, ex: "2024-06-01T06:00:00+08:00")
+ *
+ * Response:
+ * If successful: Status code 201, <scheduled price>
+ * If the product or variant does not exist: Status code 404; "Product variant not found"
+ * If effectiveAt is not in the future: Status code 400; "The new price must take effect in the future", <errors per field>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to schedule price"
+ */
+adminRoutes.post(
+  "/products/:productId/scheduledPrices",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    params: { productId: { type: "objectId", required: true } },
+    body: {
+      variantId: { type: "objectId", required: true },
+      price: { type: "number", required: true, min: 0 },
+      effectiveAt: { type: "date", required: true },
+    },
+  }),
+  schedulePrice
+);
+
+/**
+ * DELETE /admin/products/:productId/scheduledPrices/:scheduleId
+ * Cancels a scheduled price change that has not been applied yet.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * productId - String
+ * scheduleId - String
+ *
+ * Response:
+ * If successful: Status code 200, "Scheduled price cancelled"
+ * If there is no such pending change: Status code 404; "Scheduled price not found or already applied"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to cancel scheduled price"
+ */
+adminRoutes.delete(
+  "/products/:productId/scheduledPrices/:scheduleId",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    params: {
+      productId: { type: "objectId", required: true },
+      scheduleId: { type: "objectId", required: true },
+    },
+  }),
+  cancelScheduledPrice
+);
+
+/**
+ * GET /admin/categories
+ * Get every product category in display order.
+ * Categories nest one level deep: parent is the _id of the top-level
+ * category a subcategory is under, or null.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Returns a list of categories with the format:
+ * { _id, name, slug, parent, displayOrder, productCount }
+ * productCount includes archived products.
+ *
+ * Response:
+ * If successful: Status code 200, <list of categories>
+ * Else: Status code 500; "Unable to get categories"
+ */
+adminRoutes.get(
+  "/categories",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  getCategories
+);
 
-adminRoutes.post("/cancelOrder", verifyToken, verifyIfAdmin, cancelOrder);
+/**
+ * POST /admin/categories
+ * Add a product category.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.body:
+ * name - String
+ * slug - String (optional, unique; made from the name if left out)
+ * parent - String (optional; id of a top-level category)
+ * displayOrder - Number (optional, lower comes first; default 0)
+ *
+ * Response:
+ * If successful: Status code 201, <new category>
+ * If the parent does not exist or is a subcategory: Status code 400; <reason>, <errors per field>
+ * If the slug is taken: Status code 409; "Another category already has this slug", <errors per field>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to create category"
+ */
+adminRoutes.post(
+  "/categories",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    body: {
+      name: { type: "string", required: true, maxLength: 50 },
+      slug: { type: "string", maxLength: 60 },
+      parent: { type: "objectId" },
+      displayOrder: { type: "integer" },
+    },
+  }),
+  createCategory
+);
 
-adminRoutes.post("/updateStock", verifyToken, verifyIfAdmin, updateStock);
+/**
+ * PATCH /admin/categories/:categoryId
+ * Edits a product category. Only the fields sent are changed.
+ * Renaming a category keeps its slug.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * categoryId - String
+ *
+ * Inputs for req.body (all optional):
+ * name - String
+ * slug - String (unique)
+ * parent - String (id of a top-level category), or null for the top level
+ * displayOrder - Number
+ *
+ * Response:
+ * If successful: Status code 200, <updated category>
+ * If the category does not exist: Status code 404; "Category not found"
+ * If the category cannot go under the parent: Status code 400; <reason>, <errors per field>
+ * If the slug is taken: Status code 409; "Another category already has this slug", <errors per field>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to update category"
+ */
+adminRoutes.patch(
+  "/categories/:categoryId",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    params: { categoryId: { type: "objectId", required: true } },
+    body: {
+      name: { type: "string", notBlank: true, maxLength: 50 },
+      slug: { type: "string", notBlank: true, maxLength: 60 },
+      parent: { type: "objectId" },
+      displayOrder: { type: "integer", notBlank: true },
+    },
+  }),
+  updateCategory
+);
+
+/**
+ * DELETE /admin/categories/:categoryId
+ * Deletes an empty product category.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * categoryId - String
+ *
+ * Response:
+ * If successful: Status code 200, "Category deleted"
+ * If the category does not exist: Status code 404; "Category not found"
+ * If products or subcategories are in it: Status code 409; <reason>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to delete category"
+ */
+adminRoutes.delete(
+  "/categories/:categoryId",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({ params: { categoryId: { type: "objectId", required: true } } }),
+  deleteCategory
+);
+
+/**
+ * GET /admin/synonyms
+ * Get every synonym entry, by term.
+ * A search for the term or any of its synonyms also looks for the others
+ * (ex: term "egg" with synonyms ["itlog"]).
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Returns a list of entries with the format:
+ * { _id, term, synonyms: [String] }
+ *
+ * Response:
+ * If successful: Status code 200, <list of entries>
+ * Else: Status code 500; "Unable to get synonyms"
+ */
+adminRoutes.get(
+  "/synonyms",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  getSynonyms
+);
+
+/**
+ * POST /admin/synonyms
+ * Add a synonym entry. Searches use it right away.
+ * Terms and synonyms are kept lowercase; repeated synonyms are dropped.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.body:
+ * term - String (unique; the word as it appears in product names)
+ * synonyms - Array of String (optional; the other words shoppers use)
+ *
+ * Example of the req.body:
+ *
+ * {
+ *  "term": "tomato",
+ *  "synonyms": ["kamatis"]
+ * }
+ *
+ * Response:
+ * If successful: Status code 201, <new entry>
+ * If a word has no letters or numbers: Status code 400; <reason>, <errors per field>
+ * If the term is taken: Status code 409; "Another entry already has this term", <errors per field>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to create synonym"
+ */
+adminRoutes.post(
+  "/synonyms",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    body: {
+      term: { type: "string", required: true, maxLength: 50 },
+      synonyms: {
+        type: "array",
+        maxLength: 20,
+        items: { type: "string", maxLength: 50 },
+      },
+    },
+  }),
+  createSynonym
+);
+
+/**
+ * PATCH /admin/synonyms/:synonymId
+ * Edits a synonym entry. Only the fields sent are changed; the synonyms
+ * sent replace the old ones.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * synonymId - String
+ *
+ * Inputs for req.body (all optional):
+ * term - String (unique)
+ * synonyms - Array of String
+ *
+ * Response:
+ * If successful: Status code 200, <updated entry>
+ * If the entry does not exist: Status code 404; "Synonym not found"
+ * If a word has no letters or numbers: Status code 400; <reason>, <errors per field>
+ * If the term is taken: Status code 409; "Another entry already has this term", <errors per field>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to update synonym"
+ */
+adminRoutes.patch(
+  "/synonyms/:synonymId",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    params: { synonymId: { type: "objectId", required: true } },
+    body: {
+      term: { type: "string", notBlank: true, maxLength: 50 },
+      synonyms: {
+        type: "array",
+        maxLength: 20,
+        items: { type: "string", maxLength: 50 },
+      },
+    },
+  }),
+  updateSynonym
+);
+
+/**
+ * DELETE /admin/synonyms/:synonymId
+ * Deletes a synonym entry.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * synonymId - String
+ *
+ * Response:
+ * If successful: Status code 200, "Synonym deleted"
+ * If the entry does not exist: Status code 404; "Synonym not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to delete synonym"
+ */
+adminRoutes.delete(
+  "/synonyms/:synonymId",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({ params: { synonymId: { type: "objectId", required: true } } }),
+  deleteSynonym
+);
+
+/**
+ * GET /admin/missedSearches
+ * Get the searches of the shop that found no product, a page at a time,
+ * the most searched first.
+ * Searches for the same words, whatever their case or punctuation, are
+ * counted together. Searches narrowed down by a category or price filter
+ * are left out.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.query:
+ * page - Number (optional, starts at 1)
+ * limit - Number (optional, searches per page; 20 by default, 100 at most)
+ *
+ * Returns:
+ * {
+ *  searches: [{ _id, query, count, firstSearchedAt, lastSearchedAt }],
+ *  total: number of missed searches,
+ *  page,
+ *  pages: number of pages
+ * }
+ *
+ * Response:
+ * If successful: Status code 200, <page of searches>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to get missed searches"
+ */
+adminRoutes.get(
+  "/missedSearches",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({
+    query: {
+      page: { type: "integer", min: 1 },
+      limit: { type: "integer", min: 1, max: 100 },
+    },
+  }),
+  getMissedSearches
+);
+
+/**
+ * DELETE /admin/missedSearches/:searchId
+ * Takes a missed search off the list, once a product or synonym was added
+ * for it. It is listed again if shoppers search it and still find nothing.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "inventory:write" permission.
+ *
+ * Inputs for req.params:
+ * searchId - String
+ *
+ * Response:
+ * If successful: Status code 200, "Search dismissed"
+ * If the search does not exist: Status code 404; "Search not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to dismiss search"
+ */
+adminRoutes.delete(
+  "/missedSearches/:searchId",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_WRITE),
+  validate({ params: { searchId: { type: "objectId", required: true } } }),
+  dismissMissedSearch
+);
 
 export default adminRoutes;
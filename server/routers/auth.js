@@ -1,26 +1,56 @@
 import express from "express";
-import { register, login } from "../controllers/auth.js";
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutEverywhere,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+} from "../controllers/auth.js";
+import { verifyToken } from "../utils/middleware.js";
+import { validate } from "../utils/validation.js";
 
 const authRoutes = express.Router();
 
 /**
  * POST /auth/register
- * Register one user.
+ * Register one customer.
+ * The account is always created with userType "user". Admin accounts are
+ * created with /admin/createAdmin or the seed:admin script.
+ * The account starts unverified, and a verification link is emailed. It
+ * cannot order until the email is verified (see /auth/verify-email).
  *
  * Inputs for req.body:
  * firstName - String
  * middleName - String (optional)
  * lastName - String
  * address - String
- * userType - String ("admin" or "user") (Default: "user")
  * email - String (unique)
  * password - String
  *
  * Response:
  * If successful: Status code 201; "User created successfully"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
  * Else: Status code 500; "Error signing up"
  */
-authRoutes.post("/register", register);
+authRoutes.post(
+  "/register",
+  validate({
+    body: {
+      firstName: { type: "string", required: true, maxLength: 100 },
+      middleName: { type: "string", maxLength: 100 },
+      lastName: { type: "string", required: true, maxLength: 100 },
+      address: { type: "string", required: true, maxLength: 300 },
+      email: { type: "email", required: true },
+      password: { type: "string", required: true, minLength: 8 },
+    },
+  }),
+  register
+);
 
 /**
  * POST /auth/login
@@ -30,11 +60,211 @@ authRoutes.post("/register", register);
  * email - String
  * password - String
  *
+ * The access token expires after 15 minutes.
+ * A refresh token is also set in the httpOnly cookie "refreshToken" (valid for
+ * 7 days), which can be traded for a new access token at /auth/refresh.
+ * Along with the token come the user's role (userType) and the permissions
+ * it has (see utils/permissions.js).
+ *
  * Returns:
  * If successful: Status code 200; "Login successful", <token>
- * If non-existent user or wrong password: Status code 401; "Invalid credentials"
+ * If non-existent user or wrong password: Status code 401; "Invalid credentials", retryAfter
+ * If there were too many failed attempts: Status code 429; "Too many failed login attempts. Try again in <seconds> seconds", retryAfter
+ * If the account is deactivated: Status code 403; "This account has been deactivated"
+ * If an admin required a password reset: Status code 403; "You must reset your password. Check your email for the reset link"
+ *
+ * retryAfter is the number of seconds to wait before the next attempt (0 if
+ * none). After 3 failed attempts in a row on an account, every failure doubles
+ * the wait (starting at 2 seconds); after 10 the account is locked for 15
+ * minutes. The same applies per IP address after 10 and 50 failures. A
+ * successful login clears the failures of the account.
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
  * Else: Status code 500; "Error signing up"
  */
-authRoutes.post("/login", login);
+authRoutes.post(
+  "/login",
+  validate({
+    body: {
+      email: { type: "string", required: true },
+      password: { type: "string", required: true },
+    },
+  }),
+  login
+);
+
+/**
+ * POST /auth/refresh
+ * Get a new access token using the refresh token cookie.
+ * The refresh token is rotated: the cookie is replaced with a new one and the
+ * old one stops working. Reusing an old refresh token revokes every refresh
+ * token issued from the same login.
+ *
+ * Requests must be sent with credentials so the cookie is included.
+ *
+ * Inputs for req.body:
+ * None
+ *
+ * Returns:
+ * If successful: Status code 200; "Token refreshed", <token>
+ * If the cookie is missing, expired or revoked, or the user can no longer log
+ * in (deactivated or required to reset their password): Status code 401; <error>
+ * Else: Status code 500; "Error refreshing session"
+ */
+authRoutes.post("/refresh", refresh);
+
+/**
+ * POST /auth/logout
+ * Logout the current session.
+ * Revokes the refresh token cookie (and every token rotated from it) and the
+ * access token in the Authorization header, if any. Works even if the access
+ * token has already expired.
+ *
+ * Requests must be sent with credentials so the cookie is included.
+ *
+ * Inputs for req.body:
+ * None
+ *
+ * Returns:
+ * If successful: Status code 200; "Logged out"
+ * Else: Status code 500; "Error logging out"
+ */
+authRoutes.post("/logout", logout);
+
+/**
+ * POST /auth/logoutEverywhere
+ * Logout every session of the user, on every device.
+ * All refresh tokens of the user are revoked, and every access token issued
+ * until now stops working.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ *
+ * Inputs for req.body:
+ * None
+ *
+ * Returns:
+ * If successful: Status code 200; "Logged out everywhere"
+ * Else: Status code 500; "Error logging out"
+ */
+authRoutes.post("/logoutEverywhere", verifyToken, logoutEverywhere);
+
+/**
+ * POST /auth/forgot-password
+ * Email a link to reset the password.
+ * The link holds a one-time token that expires after 1 hour. Asking again
+ * invalidates the previous link.
+ * The email is sent with the transport set in MAIL_TRANSPORT ("console" or
+ * "file" in development).
+ *
+ * Inputs for req.body:
+ * email - String
+ *
+ * Response:
+ * Status code 200; "If the email is registered, a reset link has been sent"
+ * (whether or not the email is registered)
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to send the reset link"
+ */
+authRoutes.post(
+  "/forgot-password",
+  validate({ body: { email: { type: "email", required: true } } }),
+  forgotPassword
+);
+
+/**
+ * POST /auth/reset-password
+ * Set a new password with the token from the reset link.
+ * The token can only be used once. Every session of the user is logged out.
+ *
+ * Inputs for req.body:
+ * token - String
+ * password - String (the new password)
+ *
+ * Response:
+ * If successful: Status code 200; "Password has been reset"
+ * If the token is wrong, used or expired: Status code 400; "Reset link is invalid or has expired"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to reset password"
+ */
+authRoutes.post(
+  "/reset-password",
+  validate({
+    body: {
+      token: { type: "string", required: true },
+      password: { type: "string", required: true, minLength: 8 },
+    },
+  }),
+  resetPassword
+);
+
+/**
+ * POST /auth/verify-email
+ * Verify the email of an account with the token from the emailed link.
+ * The token expires after 24 hours and can only be used once.
+ *
+ * Inputs for req.body:
+ * token - String
+ *
+ * Response:
+ * If successful: Status code 200; "Email verified"
+ * If the token is wrong, used or expired: Status code 400; "Verification link is invalid or has expired"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to verify email"
+ */
+authRoutes.post(
+  "/verify-email",
+  validate({ body: { token: { type: "string", required: true } } }),
+  verifyEmail
+);
+
+/**
+ * POST /auth/resend-verification
+ * Email a new verification link to the logged in user.
+ * The previous link stops working.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ *
+ * Inputs for req.body:
+ * None
+ *
+ * Response:
+ * If successful: Status code 200; "Verification email sent"
+ * If the email is already verified: Status code 409; "Email is already verified"
+ * Else: Status code 500; "Unable to send verification email"
+ */
+authRoutes.post("/resend-verification", verifyToken, resendVerification);
+
+/**
+ * POST /auth/change-password
+ * Change the password of the logged in user.
+ * The current password must be given again.
+ * Every other session of the user is logged out right away; this session
+ * stays logged in with the new access token in the response, which
+ * replaces the one sent.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * Requests must be sent with credentials so the refresh token cookie of this
+ * session is kept.
+ *
+ * Inputs for req.body:
+ * currentPassword - String
+ * newPassword - String
+ *
+ * Response:
+ * If successful: Status code 200; "Password changed", <token>
+ * If the current password is wrong: Status code 400; "Current password is incorrect", <errors per field>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to change password"
+ */
+authRoutes.post(
+  "/change-password",
+  verifyToken,
+  validate({
+    body: {
+      currentPassword: { type: "string", required: true },
+      newPassword: { type: "string", required: true, minLength: 8 },
+    },
+  }),
+  changePassword
+);
 
 export default authRoutes;
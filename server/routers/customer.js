@@ -2,6 +2,9 @@ import express from "express";
 import {
   cancelOrder,
   getProductListings,
+  getSearchSuggestions,
+  getProduct,
+  getCategories,
   orderProduct,
   getOrders,
   getCart,
@@ -9,74 +12,230 @@ import {
   removeFromCart,
   updateCartQuantity,
   clearCart,
+  getProfile,
+  updateProfile,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
 } from "../controllers/customer.js";
 import { verifyIfUser, verifyToken } from "../utils/middleware.js";
+import { validate } from "../utils/validation.js";
+import { PRODUCT_SORT_PATTERN } from "../utils/productSearch.js";
 
 const customerRoutes = express.Router();
 
+// every route here acts on the user in the token (req.tokenInfo)
+// an email sent in the request is never used to pick whose data to touch
+
 /**
  * GET /customer/getProductListings
- * Get all products in the database.
+ * Search the products that can still be ordered, a page at a time.
+ * Archived products, and products with no variant in stock, are left out.
+ * Each product has its variants, each with its label, price, unit,
+ * orderIncrement, imageUrl, stock on hand (quantity), the part of it held by
+ * pending orders (reserved), and what can still be ordered (available).
+ * Variants with nothing available are included; the shop hides them.
+ * category holds the _id, name, slug and parent of the product's category.
+ * images holds the uploaded images in order, each with its url and a square
+ * thumbnailUrl; the first is also the product's imageUrl.
  *
  * Requires the Authorization header with the value "Bearer <token>".
  * User accessing it must be a regular user.
  *
- * Inputs for req.body:
- * sortOption - Object
+ * Inputs for req.query:
+ * search - String (optional; finds words of the name and description,
+ *   allowing for typos and synonyms, ex: "tomatos" finds "Tomato" and
+ *   "itlog" finds "Eggs" once admins add it as a synonym of egg)
+ * category - String (optional; category _id; a top-level category includes
+ *   its subcategories)
+ * minPrice - Number (optional; products with a variant at this price or up)
+ * maxPrice - Number (optional; products with a variant at this price or down)
+ * sort - String (optional; see below)
+ * page - Number (optional, starts at 1)
+ * limit - Number (optional, products per page; 24 by default, 100 at most)
+ *
+ * Example: ?search=eggs&maxPrice=300&sort=-price,name&page=2
  *
- * Example of the req.body:
+ * sort is a comma separated list of keys, each with "-" in front to sort
+ * going down: "name", "price", "quantity" and "relevance" (best match
+ * first, only with a search).
+ * price and quantity go by the lowest variant when going up, and by the
+ * highest when going down.
+ * Searches are sorted by relevance by default, and the rest by name.
+ * A search that finds nothing, with no category or price filter, is
+ * recorded for the admins (see GET /admin/missedSearches).
  *
+ * Returns:
  * {
- *  "sortOption": {<key>: <asc or desc>}
+ *  products: [<product>],
+ *  total: number of matching products,
+ *  page,
+ *  pages: number of pages
  * }
  *
- * <key> can be "name", "type", "price", or "quantity"
- * <asc or desc>: 1 for ascending, -1 for descending
- * Only one key is allowed for now.
- *
  * Response:
- * If successful: Status code 200, <list of products>
+ * If successful: Status code 200, <page of products>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ *   (maxPrice below minPrice is reported on maxPrice)
  * Else: Status code 500; "Unable to get products"
  */
 customerRoutes.get(
   "/getProductListings",
   verifyToken,
   verifyIfUser,
+  validate({
+    query: {
+      search: { type: "string", maxLength: 100 },
+      category: { type: "objectId" },
+      minPrice: { type: "number", min: 0 },
+      maxPrice: { type: "number", min: 0 },
+      sort: { type: "string", pattern: PRODUCT_SORT_PATTERN },
+      page: { type: "integer", min: 1 },
+      limit: { type: "integer", min: 1, max: 100 },
+    },
+  }),
   getProductListings
 );
 
 /**
- * POST /customer/orderProduct
- * Order one product.
+ * GET /customer/searchSuggestions
+ * Suggest products that can still be ordered while a search is typed.
+ * The last word of the search can be the start of a word (ex: "toma"
+ * suggests Tomato), and typos and synonyms are allowed like in
+ * GET /customer/getProductListings.
  *
  * Requires the Authorization header with the value "Bearer <token>".
  * User accessing it must be a regular user.
  *
- * Inputs for req.body:
- * name - String (customer name)
- * email - String (customer email)
- * products - Array<Object>
- * dateTimeOrdered - ISO DateTime String (optional)
- * status - Number (default: 0)
+ * Inputs for req.query:
+ * search - String
+ *
+ * Returns a list of at most 8 products, best match first, with the format:
+ * { _id, name, imageUrl, images }
+ *
+ * Response:
+ * If successful: Status code 200, <list of products>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to get suggestions"
+ */
+customerRoutes.get(
+  "/searchSuggestions",
+  verifyToken,
+  verifyIfUser,
+  validate({
+    query: { search: { type: "string", required: true, maxLength: 100 } },
+  }),
+  getSearchSuggestions
+);
+
+/**
+ * GET /customer/products/:productId
+ * Get one product, for its page, with up to 4 related products.
+ * Products that ran out of stock are still returned, so links to them keep
+ * working; archived products are not.
+ * The product has the same fields as in GET /customer/getProductListings,
+ * along with origin: the farm it comes from, or null.
+ * The related products are ones that can be ordered, from the product's
+ * category first and then from the rest of its top-level category.
  *
- * Each product in the array products is formatted as follows:
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must be a regular user.
+ *
+ * Inputs for req.params:
+ * productId - String
+ *
+ * Returns:
  * {
- *  productId - String (referencing the Product collection)
- *  name - String
- *  count - Number (quantity of products to purchase)
- *  price - Number
+ *  product: <product>,
+ *  related: [<product>]
  * }
  *
  * Response:
+ * If successful: Status code 200, <product and related products>
+ * If the product does not exist or is archived: Status code 404; "Product not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to get product"
+ */
+customerRoutes.get(
+  "/products/:productId",
+  verifyToken,
+  verifyIfUser,
+  validate({ params: { productId: { type: "objectId", required: true } } }),
+  getProduct
+);
+
+/**
+ * GET /customer/categories
+ * Get every product category in display order, for filtering products.
+ * Categories nest one level deep: parent is the _id of the top-level
+ * category a subcategory is under, or null.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must be a regular user.
+ *
+ * Returns a list of categories with the format:
+ * { _id, name, slug, parent, displayOrder }
+ *
+ * Response:
+ * If successful: Status code 200, <list of categories>
+ * Else: Status code 500; "Unable to get categories"
+ */
+customerRoutes.get("/categories", verifyToken, verifyIfUser, getCategories);
+
+/**
+ * POST /customer/orderProduct
+ * Order the contents of the user's cart.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must be a regular user.
+ *
+ * Inputs for req.body:
+ * addressId - String (optional, an address in the user's address book)
+ *
+ * The customer is the user in the token.
+ * The order uses the name stored in their account.
+ * It ships to the address in addressId, or to the user's default address if
+ * none is given. A copy of the address is saved on the order
+ * (deliveryAddress), and its text in address. Users without saved addresses
+ * get their registration address, with no deliveryAddress.
+ *
+ * The order lines are built from the user's stored cart, one per variant.
+ * Each line keeps the variant's id and label, the unit it was sold in, and
+ * its count (which can have decimals for kg).
+ * Prices, line totals, the shipping fee and the order total are all computed
+ * from the stored variants; prices sent by the client are ignored.
+ * Orders with a subtotal above 500 ship for free, else the shipping fee is 25.
+ *
+ * The stock of every variant is reserved in a single transaction.
+ * If any variant runs short, nothing is reserved and no order is saved.
+ * The cart is emptied once the order is saved.
+ *
+ * Response:
  * If successful: Status code 200; "Ordered successfully"
+ * If the user no longer exists: Status code 404; "User not found"
+ * If the user's email is not verified: Status code 403; "Please verify your email before ordering"
+ * If the cart is empty: Status code 400; "Cart is empty"
+ * If a product in the cart was archived or its variant deleted: Status code 400; "A product in your cart is no longer available"
+ * If a quantity is no longer a multiple of the variant's increment: Status code 400; "<product> (<variant>) is sold in steps of <increment> <unit>"
+ * If addressId is not in the address book: Status code 400; "Delivery address not found"
+ * If inventory is insufficient: Status code 400; "Insufficient stock for <product> (<variant>)"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
  * Else: Status code 500; "Ordering failed"
  */
-customerRoutes.post("/orderProduct", verifyToken, verifyIfUser, orderProduct);
+customerRoutes.post(
+  "/orderProduct",
+  verifyToken,
+  verifyIfUser,
+  validate({ body: { addressId: { type: "objectId" } } }),
+  orderProduct
+);
 
 /**
  * POST /customer/cancelOrder
  * Cancels a order.
- * This marks the order cancelled.
+ * This marks the order cancelled and returns its products to the inventory.
+ * Only pending orders can be cancelled by the customer.
  *
  * Requires the Authorization header with the value "Bearer <token>".
  * User accessing it must be a regular user.
@@ -86,9 +245,19 @@ customerRoutes.post("/orderProduct", verifyToken, verifyIfUser, orderProduct);
  *
  * Response:
  * If successful: Status code 200, "Cancellation confirmed"
+ * If the order does not exist: Status code 404, "Order not found"
+ * If the order belongs to another user: Status code 403, "You can only cancel your own orders"
+ * If the order is no longer pending: Status code 409, "Cannot move an order from <status> to cancelled"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
  * Else: Status code 500; "Cancellation failed"
  */
-customerRoutes.post("/cancelOrder", verifyToken, verifyIfUser, cancelOrder);
+customerRoutes.post(
+  "/cancelOrder",
+  verifyToken,
+  verifyIfUser,
+  validate({ body: { orderId: { type: "objectId", required: true } } }),
+  cancelOrder
+);
 
 /**
  * GET /customer/getOrders
@@ -97,27 +266,51 @@ customerRoutes.post("/cancelOrder", verifyToken, verifyIfUser, cancelOrder);
  * Requires the Authorization header with the value "Bearer <token>".
  * User accessing it must be a regular user.
  *
- * Inputs for req.body:
- * status - Number (0, 1, 2)
+ * Inputs for req.query:
+ * status - Number, or a comma-separated list of Numbers (ex: "1,3,4,5")
  * 0 - Pending
  * 1 - Confirmed
  * 2 - Canceled
+ * 3 - Packed
+ * 4 - Out for delivery
+ * 5 - Delivered
+ * 6 - Refunded
  *
  * Response:
  * If successful: Status code 200, <list of orders>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
  * Else: Status code 500; "Unable to get orders"
  */
-customerRoutes.get("/getOrders", verifyToken, verifyIfUser, getOrders);
+customerRoutes.get(
+  "/getOrders",
+  verifyToken,
+  verifyIfUser,
+  validate({
+    query: {
+      status: {
+        type: "string",
+        required: true,
+        pattern: {
+          regex: /^-?\d+(,-?\d+)*$/,
+          message: "Must be a status or a comma-separated list of statuses.",
+        },
+      },
+    },
+  }),
+  getOrders
+);
 
 /**
  * GET /customer/getCart
  * Get the user's cart.
+ * Each item has its product (with every variant) and the variantId of the
+ * variant in the cart.
  *
  * Requires the Authorization header with the value "Bearer <token>".
  * User accessing it must be a regular user.
  *
- * Input for req.query:
- * email - String
+ * Inputs for req.query:
+ * None
  *
  * Response:
  * If successful: Status code 200, <cart>
@@ -128,23 +321,45 @@ customerRoutes.get("/getCart", verifyToken, verifyIfUser, getCart);
 
 /**
  * POST /customer/addToCart
- * Add a product and its quantity to the user's cart.
+ * Add a variant of a product and its quantity to the user's cart.
  * Creates a new cart if one doesn't exist.
+ * Adding a variant already in the cart adds to its quantity.
  *
  * Requires the Authorization header with the value "Bearer <token>".
  * User accessing it must be a regular user.
  *
  * Inputs for req.body:
- * email - String
  * product - Object
  *  _id - String (product ID)
- *  selectedQuantity - Number
+ *  variantId - String (the _id of one of the product's variants)
+ *  selectedQuantity - Number (in the variant's unit, a multiple of its orderIncrement)
  *
  * Response:
  * If successful: Status code 200, <updated cart>
+ * If the product or variant does not exist, or the product is archived: Status code 404; "Product is no longer available"
+ * If the quantity is not a multiple of the increment: Status code 400; "<product> (<variant>) is sold in steps of <increment> <unit>", <errors per field>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
  * Else: Status code 500; "Error adding to cart"
  */
-customerRoutes.post("/addToCart", verifyToken, verifyIfUser, addToCart);
+customerRoutes.post(
+  "/addToCart",
+  verifyToken,
+  verifyIfUser,
+  validate({
+    body: {
+      product: {
+        type: "object",
+        required: true,
+        fields: {
+          _id: { type: "objectId", required: true },
+          variantId: { type: "objectId", required: true },
+          selectedQuantity: { type: "number", required: true, min: 0.001 },
+        },
+      },
+    },
+  }),
+  addToCart
+);
 
 /**
  * POST /customer/removeFromCart
@@ -154,18 +369,19 @@ customerRoutes.post("/addToCart", verifyToken, verifyIfUser, addToCart);
  * User accessing it must be a regular user.
  *
  * Inputs for req.body:
- * email - String
- * productId - String
+ * productId - String (the _id of the cart item)
  *
  * Response:
  * If successful: Status code 200, <updated cart>
  * If cart not found: Status code 404, "Cart not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
  * Else: Status code 500; "Error removing from cart"
  */
 customerRoutes.post(
   "/removeFromCart",
   verifyToken,
   verifyIfUser,
+  validate({ body: { productId: { type: "objectId", required: true } } }),
   removeFromCart
 );
 
@@ -177,20 +393,27 @@ customerRoutes.post(
  * User accessing it must be a regular user.
  *
  * Inputs for req.body:
- * email - String
- * productId - String
- * quantity - Number (new quantity)
+ * productId - String (the _id of the cart item)
+ * quantity - Number (new quantity, a multiple of the variant's orderIncrement)
  *
  * Response:
  * If successful: Status code 200, <updated cart>
  * If cart not found: Status code 404, "Cart not found"
  * If product not found in cart: Status code 404, "Product not found in cart"
+ * If the quantity is not a multiple of the increment: Status code 400; "<product> (<variant>) is sold in steps of <increment> <unit>", <errors per field>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
  * Else: Status code 500; "Error updating cart quantity"
  */
 customerRoutes.post(
   "/updateCartQuantity",
   verifyToken,
   verifyIfUser,
+  validate({
+    body: {
+      productId: { type: "objectId", required: true },
+      quantity: { type: "number", required: true, min: 0.001 },
+    },
+  }),
   updateCartQuantity
 );
 
@@ -202,7 +425,7 @@ customerRoutes.post(
  * User accessing it must be a regular user.
  *
  * Inputs for req.body:
- * email - String
+ * None
  *
  * Response:
  * If successful: Status code 200, "Cart cleared successfully"
@@ -211,4 +434,216 @@ customerRoutes.post(
  */
 customerRoutes.post("/clearCart", verifyToken, verifyIfUser, clearCart);
 
+/**
+ * GET /customer/profile
+ * Get the user's profile.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must be a regular user.
+ *
+ * Inputs for req.query:
+ * None
+ *
+ * Response:
+ * If successful: Status code 200, <profile>
+ * (firstName, middleName, lastName, address, email, emailVerified)
+ * If the user does not exist: Status code 404, "User not found"
+ * Else: Status code 500; "Unable to get profile"
+ */
+customerRoutes.get("/profile", verifyToken, verifyIfUser, getProfile);
+
+/**
+ * PATCH /customer/profile
+ * Update the user's profile.
+ * Only the fields sent are changed. The email cannot be changed.
+ * Orders already placed keep the name and address they were placed with.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must be a regular user.
+ *
+ * Inputs for req.body:
+ * firstName - String (optional)
+ * middleName - String (optional, can be blank)
+ * lastName - String (optional)
+ * address - String (optional)
+ *
+ * Response:
+ * If successful: Status code 200, <updated profile>
+ * If the user does not exist: Status code 404, "User not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to update profile"
+ */
+customerRoutes.patch(
+  "/profile",
+  verifyToken,
+  verifyIfUser,
+  validate({
+    body: {
+      firstName: { type: "string", notBlank: true, maxLength: 100 },
+      middleName: { type: "string", maxLength: 100 },
+      lastName: { type: "string", notBlank: true, maxLength: 100 },
+      address: { type: "string", notBlank: true, maxLength: 300 },
+    },
+  }),
+  updateProfile
+);
+
+/**
+ * GET /customer/addresses
+ * Get the user's address book.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must be a regular user.
+ *
+ * Inputs for req.query:
+ * None
+ *
+ * Returns:
+ * An array of addresses with the format:
+ * {
+ *  _id,
+ *  label (ex: "Home"),
+ *  street,
+ *  barangay,
+ *  city,
+ *  province,
+ *  postalCode,
+ *  contactNumber,
+ *  isDefault: whether it is picked at checkout unless another is chosen
+ * }
+ *
+ * Response:
+ * If successful: Status code 200, <list of addresses>
+ * If the user does not exist: Status code 404, "User not found"
+ * Else: Status code 500; "Unable to get addresses"
+ */
+customerRoutes.get("/addresses", verifyToken, verifyIfUser, getAddresses);
+
+/**
+ * POST /customer/addresses
+ * Add an address to the user's address book.
+ * The first address added becomes the default.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must be a regular user.
+ *
+ * Inputs for req.body:
+ * label - String (ex: "Home", "Office")
+ * street - String
+ * barangay - String
+ * city - String
+ * province - String
+ * postalCode - String (4 digits)
+ * contactNumber - String (mobile number, ex: "09171234567")
+ * isDefault - Boolean (optional, make it the default)
+ *
+ * Response:
+ * If successful: Status code 201, <updated list of addresses>
+ * If the user does not exist: Status code 404, "User not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to add address"
+ */
+customerRoutes.post(
+  "/addresses",
+  verifyToken,
+  verifyIfUser,
+  validate({
+    body: {
+      label: { type: "string", required: true, maxLength: 50 },
+      street: { type: "string", required: true, maxLength: 200 },
+      barangay: { type: "string", required: true, maxLength: 100 },
+      city: { type: "string", required: true, maxLength: 100 },
+      province: { type: "string", required: true, maxLength: 100 },
+      postalCode: {
+        type: "string",
+        required: true,
+        pattern: { regex: /^\d{4}$/, message: "Must be 4 digits." },
+      },
+      contactNumber: {
+        type: "string",
+        required: true,
+        pattern: {
+          regex: /^(\+63|0)9\d{9}$/,
+          message: "Must be a mobile number (ex: 09171234567).",
+        },
+      },
+      isDefault: { type: "boolean" },
+    },
+  }),
+  addAddress
+);
+
+/**
+ * PATCH /customer/addresses/:addressId
+ * Update an address in the user's address book.
+ * Only the fields sent are changed.
+ * Setting isDefault to true makes it the default in place of the current
+ * one. The default cannot be unset, only moved to another address.
+ * Orders already placed keep the address they were placed with.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must be a regular user.
+ *
+ * Inputs for req.body:
+ * The same as POST /customer/addresses, all optional
+ *
+ * Response:
+ * If successful: Status code 200, <updated list of addresses>
+ * If the address does not exist: Status code 404, "Address not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to update address"
+ */
+customerRoutes.patch(
+  "/addresses/:addressId",
+  verifyToken,
+  verifyIfUser,
+  validate({
+    params: { addressId: { type: "objectId", required: true } },
+    body: {
+      label: { type: "string", notBlank: true, maxLength: 50 },
+      street: { type: "string", notBlank: true, maxLength: 200 },
+      barangay: { type: "string", notBlank: true, maxLength: 100 },
+      city: { type: "string", notBlank: true, maxLength: 100 },
+      province: { type: "string", notBlank: true, maxLength: 100 },
+      postalCode: {
+        type: "string",
+        notBlank: true,
+        pattern: { regex: /^\d{4}$/, message: "Must be 4 digits." },
+      },
+      contactNumber: {
+        type: "string",
+        notBlank: true,
+        pattern: {
+          regex: /^(\+63|0)9\d{9}$/,
+          message: "Must be a mobile number (ex: 09171234567).",
+        },
+      },
+      isDefault: { type: "boolean" },
+    },
+  }),
+  updateAddress
+);
+
+/**
+ * DELETE /customer/addresses/:addressId
+ * Remove an address from the user's address book.
+ * If it was the default, the first address left becomes the default.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must be a regular user.
+ *
+ * Response:
+ * If successful: Status code 200, <updated list of addresses>
+ * If the address does not exist: Status code 404, "Address not found"
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to delete address"
+ */
+customerRoutes.delete(
+  "/addresses/:addressId",
+  verifyToken,
+  verifyIfUser,
+  validate({ params: { addressId: { type: "objectId", required: true } } }),
+  deleteAddress
+);
+
 export default customerRoutes;
@@ -7,83 +7,127 @@ import {
   getWeeklyReport,
   getYearlyReport,
 } from "../controllers/report.js";
-import { verifyIfAdmin, verifyToken } from "../utils/middleware.js";
+import { requirePermission, verifyToken } from "../utils/middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import { validate } from "../utils/validation.js";
 
 const reportRoutes = express.Router();
 
 /**
  * GET /report/getRecentSales
- * Get recent sales (orders that are completed with status 1).
+ * Get recent sales (orders that are confirmed, packed, out for delivery or delivered).
  * Ordered by recency.
  * The cutoff would be in a latest provided date.
  * Ex: 2024-05-25 doesn't include that day in 5 PM, it strictly means at 12 MN.
  * Limit indicates the maximum number of collections to be shown.
  *
  * Requires the Authorization header with the value "Bearer <token>".
- * User accessing it must be an admin.
+ * User accessing it must have the "orders:fulfil" permission, since the
+ * orders page lists these orders to move them along.
  *
- * Inputs for req.body:
+ * Inputs for req.query:
  * earliestDate - String (format: YYYY-MM-DD)
  * limit - Integer
  *
  * Response:
  * If successful: Status code 200; <sales list>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
  * Else: Status code 500; "Unable to get recent sales"
  */
-reportRoutes.get("/getRecentSales", verifyToken, verifyIfAdmin, getRecentSales);
+reportRoutes.get(
+  "/getRecentSales",
+  verifyToken,
+  requirePermission(PERMISSIONS.ORDERS_FULFIL),
+  validate({
+    query: {
+      earliestDate: { type: "date", required: true },
+      limit: { type: "integer", required: true, min: 1 },
+    },
+  }),
+  getRecentSales
+);
 
+/**
+ * GET /report/getCancelledOrders
+ * Get cancelled and refunded orders.
+ * Ordered by recency.
+ * Limit indicates the maximum number of collections to be shown.
+ *
+ * Requires the Authorization header with the value "Bearer <token>".
+ * User accessing it must have the "orders:fulfil" permission, since the
+ * orders page lists these orders to move them along.
+ *
+ * Inputs for req.query:
+ * earliestDate - String (format: YYYY-MM-DD)
+ * limit - Integer
+ *
+ * Response:
+ * If successful: Status code 200; <order list>
+ * If the input is invalid: Status code 400; "Invalid request", <errors per field>
+ * Else: Status code 500; "Unable to get cancelled orders"
+ */
 reportRoutes.get(
   "/getCancelledOrders",
   verifyToken,
-  verifyIfAdmin,
+  requirePermission(PERMISSIONS.ORDERS_FULFIL),
+  validate({
+    query: {
+      earliestDate: { type: "date", required: true },
+      limit: { type: "integer", required: true, min: 1 },
+    },
+  }),
   getCancelledOrders
 );
 
 /**
  * GET /report/getProductsSold
- * Get overall products that are sold.
- * Only sales are included (orders that are completed with status 1).
- * Ordered by aggregate sales per product.
+ * Get overall products that are sold, one entry per product variant.
+ * Only sales are included (orders that are confirmed, packed, out for delivery or delivered).
+ * Ordered by aggregate sales per variant.
  * Orders between the earliest and latest dates are included.
  * Limit indicates the maximum number of collections to be shown.
  *
  * Requires the Authorization header with the value "Bearer <token>".
- * User accessing it must be an admin.
+ * User accessing it must have the "reports:read" permission.
  *
  * Returns:
  * An array containing the aggregated product info with the format:
  * {
- *  _id: the id of the product,
- *  name,
+ *  _id: { productId, variantId },
+ *  productId: the id of the product,
+ *  variantId: the id of the variant,
+ *  name: the name of the product,
+ *  variantLabel: the label of the variant (ex: "Tray of 30"),
  *  description,
- *  price,
- *  totalQuantity: the total quantity sold for that product,
- *  totalSales: the total sales for that product (quantity * price)
- *  type: product type,
+ *  price: the current price of the variant,
+ *  unit: the unit the variant is sold in,
+ *  totalQuantity: the total quantity sold for that variant, in the unit,
+ *  totalSales: the total sales for that variant (quantity * price)
+ *  category: name of the product's category,
  * }
  *
  * Response:
- * If successful: Status code 200; <aggregate sales list per product>
+ * If successful: Status code 200; <aggregate sales list per variant>
  * Else: Status code 500; "Unable to get report."
  */
 reportRoutes.get(
   "/getProductsSold",
   verifyToken,
-  verifyIfAdmin,
+  requirePermission(PERMISSIONS.REPORTS_READ),
   getProductsSold
 );
 
 /**
  * GET /report/getWeeklyReport
  * Get sale reports in the given week intervals
- * Only sales are included (orders that are completed with status 1).
+ * Only sales are included (orders that are confirmed, packed, out for delivery or delivered).
  * Grouped by week.
  * Return length depends on the gap between earliest and latest dates.
  * Orders between the earliest and latest dates are included.
  * Ex: 2024-05-25 doesn't include that day in 5 PM, it strictly means at 12 MN.
  *
  * Requires the Authorization header with the value "Bearer <token>".
- * User accessing it must be an admin.
+ * User accessing it must have the "reports:read" permission.
  *
  * Returns:
  * An array containing aggregated info with the format:
@@ -99,21 +143,21 @@ reportRoutes.get(
 reportRoutes.get(
   "/getWeeklyReport",
   verifyToken,
-  verifyIfAdmin,
+  requirePermission(PERMISSIONS.REPORTS_READ),
   getWeeklyReport
 );
 
 /**
  * GET /report/getMonthlyReport
  * Get sale reports in the given month intervals
- * Only sales are included (orders that are completed with status 1).
+ * Only sales are included (orders that are confirmed, packed, out for delivery or delivered).
  * Grouped by month.
  * Return length depends on the gap between earliest and latest dates.
  * Orders between the earliest and latest dates are included.
  * Ex: 2024-05-25 doesn't include that day in 5 PM, it strictly means at 12 MN.
  *
  * Requires the Authorization header with the value "Bearer <token>".
- * User accessing it must be an admin.
+ * User accessing it must have the "reports:read" permission.
  *
  * Returns:
  * An array containing aggregated info with the format:
@@ -129,21 +173,21 @@ reportRoutes.get(
 reportRoutes.get(
   "/getMonthlyReport",
   verifyToken,
-  verifyIfAdmin,
+  requirePermission(PERMISSIONS.REPORTS_READ),
   getMonthlyReport
 );
 
 /**
  * GET /report/getYearlyReport
  * Get sale reports in the given year intervals
- * Only sales are included (orders that are completed with status 1).
+ * Only sales are included (orders that are confirmed, packed, out for delivery or delivered).
  * Grouped by year.
  * Return length depends on the gap between earliest and latest dates.
  * Orders between the earliest and latest dates are included.
  * Ex: 2024-05-25 doesn't include that day in 5 PM, it strictly means at 12 MN.
  *
  * Requires the Authorization header with the value "Bearer <token>".
- * User accessing it must be an admin.
+ * User accessing it must have the "reports:read" permission.
  *
  * Returns:
  * An array containing aggregated info with the format:
@@ -159,7 +203,7 @@ reportRoutes.get(
 reportRoutes.get(
   "/getYearlyReport",
   verifyToken,
-  verifyIfAdmin,
+  requirePermission(PERMISSIONS.REPORTS_READ),
   getYearlyReport
 );
 
@@ -0,0 +1,24 @@
+// applies the scheduled price changes that are due (see
+// utils/priceSchedule.js)
+// prices are also brought up to date whenever customers read them, but
+// running this on a schedule (ex: every few minutes with cron) keeps those
+// reads from doing the writes
+//
+// usage: node scripts/applyDuePriceChanges.js
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { applyDuePriceChanges } from "../utils/priceSchedule.js";
+
+dotenv.config();
+
+await mongoose.connect(process.env.MONGODB_URI);
+
+try {
+  const applied = await applyDuePriceChanges();
+  console.log(`Applied ${applied} scheduled price changes.`);
+} catch (error) {
+  console.log("Applying scheduled price changes failed", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,67 @@
+// one-time migration from the numeric product type to categories
+// before it, Product.type was 1 for crops and 2 for poultry; this creates a
+// category for each (unless one with the same slug exists), points the
+// products at it and drops their type
+// products that were misfiled under the two types (ex: seafood under
+// poultry) keep the category of their old type and have to be moved by hand;
+// the sample products of farm-to-table.products.json already come in their
+// own categories
+// only products with a type and no category are touched, so it is safe to
+// rerun
+//
+// usage: node scripts/migrateProductCategories.js
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Product from "../models/productModel.js";
+import Category from "../models/categoryModel.js";
+
+dotenv.config();
+
+// the category each old type becomes
+const TYPE_CATEGORIES = {
+  1: { name: "Crops", slug: "crops", displayOrder: 1 },
+  2: { name: "Poultry", slug: "poultry", displayOrder: 2 },
+};
+
+await mongoose.connect(process.env.MONGODB_URI);
+
+const session = await mongoose.startSession();
+try {
+  await session.withTransaction(async () => {
+    let migrated = 0;
+
+    for (const [type, fields] of Object.entries(TYPE_CATEGORIES)) {
+      const category = await Category.findOneAndUpdate(
+        { slug: fields.slug },
+        { $setOnInsert: fields },
+        { upsert: true, new: true, session }
+      );
+
+      // type is no longer in the schema, so this goes around it
+      const { modifiedCount } = await Product.collection.updateMany(
+        { type: Number(type), category: { $exists: false } },
+        { $set: { category: category._id }, $unset: { type: "" } },
+        { session }
+      );
+      migrated += modifiedCount;
+    }
+
+    const unknown = await Product.collection.countDocuments(
+      { category: { $exists: false } },
+      { session }
+    );
+
+    console.log(`Migrated ${migrated} products.`);
+    if (unknown > 0) {
+      console.log(
+        `${unknown} products have no category and an unknown type; set their category by hand.`
+      );
+    }
+  });
+} catch (error) {
+  console.log("Migration failed", error);
+  process.exitCode = 1;
+} finally {
+  await session.endSession();
+  await mongoose.disconnect();
+}
@@ -0,0 +1,117 @@
+// one-time migration from single-SKU products to product variants
+// before it, the price, unit, order increment and stock were fields of the
+// product itself; this moves them into a "Regular" variant and points the
+// price history, scheduled prices, cart items and order lines of the
+// product at it
+// only products without variants are touched, and only records without a
+// variantId are pointed at the new variant, so it is safe to rerun
+//
+// usage: node scripts/migrateProductVariants.js
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Product from "../models/productModel.js";
+import PriceHistory from "../models/priceHistoryModel.js";
+import ScheduledPrice from "../models/scheduledPriceModel.js";
+import Cart from "../models/cartModel.js";
+import Order from "../models/orderModel.js";
+import { DEFAULT_UNIT } from "../utils/units.js";
+import { DEFAULT_VARIANT_LABEL } from "../utils/variants.js";
+
+dotenv.config();
+
+await mongoose.connect(process.env.MONGODB_URI);
+
+const session = await mongoose.startSession();
+try {
+  await session.withTransaction(async () => {
+    // the old fields are no longer in the schema, so this goes around it
+    const products = await Product.collection
+      .find({ variants: { $exists: false } }, { session })
+      .toArray();
+
+    for (const product of products) {
+      const variantId = new mongoose.Types.ObjectId();
+      await Product.collection.updateOne(
+        { _id: product._id },
+        {
+          $set: {
+            variants: [
+              {
+                _id: variantId,
+                label: DEFAULT_VARIANT_LABEL,
+                price: product.price,
+                unit: product.unit ?? DEFAULT_UNIT,
+                orderIncrement: product.orderIncrement ?? 1,
+                quantity: product.quantity,
+                reserved: product.reserved ?? 0,
+                imageUrl: null,
+              },
+            ],
+          },
+          $unset: {
+            price: "",
+            unit: "",
+            orderIncrement: "",
+            quantity: "",
+            reserved: "",
+          },
+        },
+        { session }
+      );
+
+      const unlinked = {
+        productId: product._id,
+        variantId: { $exists: false },
+      };
+      await PriceHistory.collection.updateMany(
+        unlinked,
+        { $set: { variantId } },
+        { session }
+      );
+      await ScheduledPrice.collection.updateMany(
+        unlinked,
+        { $set: { variantId } },
+        { session }
+      );
+      await Cart.collection.updateMany(
+        { "items.product": product._id },
+        { $set: { "items.$[item].variantId": variantId } },
+        {
+          session,
+          arrayFilters: [
+            {
+              "item.product": product._id,
+              "item.variantId": { $exists: false },
+            },
+          ],
+        }
+      );
+      await Order.collection.updateMany(
+        { "products.productId": product._id },
+        {
+          $set: {
+            "products.$[line].variantId": variantId,
+            "products.$[line].variantLabel": DEFAULT_VARIANT_LABEL,
+          },
+        },
+        {
+          session,
+          arrayFilters: [
+            {
+              "line.productId": product._id,
+              "line.variantId": { $exists: false },
+            },
+          ],
+        }
+      );
+    }
+
+    console.log(`Migrated ${products.length} products.`);
+  });
+} catch (error) {
+  console.log("Migration failed", error);
+  process.exitCode = 1;
+} finally {
+  await session.endSession();
+  await mongoose.disconnect();
+}
@@ -0,0 +1,71 @@
+// one-time migration to the reserved/on-hand stock model
+// before it, placing an order deducted Product.quantity right away, so the
+// items of every pending order are missing from the stock on hand
+// this puts them back and marks them as reserved instead
+// only products without a reserved field are touched, so it is safe to rerun
+// it predates product variants, so it has to run before
+// scripts/migrateProductVariants.js; products that already have variants
+// are left alone
+//
+// usage: node scripts/migrateReservedStock.js
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Product from "../models/productModel.js";
+import Order from "../models/orderModel.js";
+import { ORDER_STATUS } from "../utils/orderLifecycle.js";
+
+dotenv.config();
+
+await mongoose.connect(process.env.MONGODB_URI);
+
+const session = await mongoose.startSession();
+try {
+  await session.withTransaction(async () => {
+    // the stock fields are no longer in the schema, so this goes around it
+    const products = await Product.collection
+      .find(
+        { reserved: { $exists: false }, variants: { $exists: false } },
+        { session, projection: { _id: 1 } }
+      )
+      .toArray();
+    const productIds = products.map((product) => product._id);
+
+    // the count of every product held by pending orders
+    const pendingCounts = await Order.aggregate([
+      { $match: { status: ORDER_STATUS.PENDING } },
+      { $unwind: "$products" },
+      { $match: { "products.productId": { $in: productIds } } },
+      {
+        $group: {
+          _id: "$products.productId",
+          count: { $sum: "$products.count" },
+        },
+      },
+    ]).session(session);
+
+    for (let { _id, count } of pendingCounts) {
+      await Product.collection.updateOne(
+        { _id },
+        { $inc: { quantity: count }, $set: { reserved: count } },
+        { session }
+      );
+    }
+
+    // the rest have nothing reserved
+    await Product.collection.updateMany(
+      { _id: { $in: productIds }, reserved: { $exists: false } },
+      { $set: { reserved: 0 } },
+      { session }
+    );
+
+    console.log(
+      `Migrated ${productIds.length} products, ${pendingCounts.length} with pending orders.`
+    );
+  });
+} catch (error) {
+  console.log("Migration failed", error);
+  process.exitCode = 1;
+} finally {
+  await session.endSession();
+  await mongoose.disconnect();
+}
@@ -0,0 +1,52 @@
+// creates the bootstrap admin account
+// registration only creates customers, so the first admin has to come from
+// here; later admins can be created by an admin through /admin/createAdmin
+// does nothing if an account with the email already exists
+//
+// usage: ADMIN_EMAIL=... ADMIN_PASSWORD=... node scripts/seedAdmin.js
+// ADMIN_FIRST_NAME, ADMIN_LAST_NAME and ADMIN_ADDRESS are optional
+import mongoose from "mongoose";
+import bcrypt from "bcrypt";
+import dotenv from "dotenv";
+import User from "../models/userModel.js";
+
+dotenv.config();
+
+const {
+  ADMIN_EMAIL,
+  ADMIN_PASSWORD,
+  ADMIN_FIRST_NAME = "Department",
+  ADMIN_LAST_NAME = "of Agriculture",
+  ADMIN_ADDRESS = "Department of Agriculture",
+} = process.env;
+
+if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+  console.log("ADMIN_EMAIL and ADMIN_PASSWORD must be set.");
+  process.exit(1);
+}
+
+await mongoose.connect(process.env.MONGODB_URI);
+
+try {
+  const existing = await User.findOne({ email: ADMIN_EMAIL });
+  if (existing) {
+    console.log(
+      `${ADMIN_EMAIL} already exists as "${existing.userType}"; nothing to do.`
+    );
+  } else {
+    await User.create({
+      firstName: ADMIN_FIRST_NAME,
+      lastName: ADMIN_LAST_NAME,
+      address: ADMIN_ADDRESS,
+      userType: "admin",
+      email: ADMIN_EMAIL,
+      password: await bcrypt.hash(ADMIN_PASSWORD, 10),
+    });
+    console.log(`Created admin ${ADMIN_EMAIL}.`);
+  }
+} catch (error) {
+  console.log("Seeding failed", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
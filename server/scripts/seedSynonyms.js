@@ -0,0 +1,55 @@
+// adds the Tagalog names of common produce and meat as synonyms, so
+// searches like "itlog" or "kamatis" find products from the start
+// admins can add more, or change these, on the admin search page
+// terms that already have an entry get the missing synonyms added, and
+// nothing is removed, so it is safe to rerun
+//
+// usage: node scripts/seedSynonyms.js
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Synonym from "../models/synonymModel.js";
+
+dotenv.config();
+
+const SYNONYMS = {
+  egg: ["itlog"],
+  chicken: ["manok"],
+  pork: ["baboy"],
+  beef: ["baka"],
+  fish: ["isda"],
+  milk: ["gatas"],
+  rice: ["bigas", "palay"],
+  corn: ["mais"],
+  tomato: ["kamatis"],
+  onion: ["sibuyas"],
+  garlic: ["bawang"],
+  ginger: ["luya"],
+  potato: ["patatas"],
+  cabbage: ["repolyo"],
+  eggplant: ["talong"],
+  squash: ["kalabasa"],
+  cucumber: ["pipino"],
+  carrot: ["karot"],
+  chili: ["sili"],
+  mango: ["mangga"],
+  banana: ["saging"],
+  coconut: ["niyog", "buko"],
+};
+
+await mongoose.connect(process.env.MONGODB_URI);
+
+try {
+  for (const [term, synonyms] of Object.entries(SYNONYMS)) {
+    await Synonym.updateOne(
+      { term },
+      { $addToSet: { synonyms: { $each: synonyms } } },
+      { upsert: true }
+    );
+  }
+  console.log(`Seeded synonyms for ${Object.keys(SYNONYMS).length} terms.`);
+} catch (error) {
+  console.log("Seeding failed", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
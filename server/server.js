@@ -2,25 +2,43 @@ import express from "express";
 import mongoose from "mongoose";
 import cors from "cors";
 import bodyParser from "body-parser";
+import cookieParser from "cookie-parser";
 import dotenv from "dotenv";
 import authRoutes from "./routers/auth.js";
 import adminRoutes from "./routers/admin.js";
 import customerRoutes from "./routers/customer.js";
 import reportRoutes from "./routers/report.js";
+import { UPLOADS_ROUTE, serveUploads } from "./utils/storage.js";
 
 // prepare the dot env
 dotenv.config();
 // connect to express app
 const app = express();
+// behind a proxy, req.ip must be the client's address for the login limits
+// (see utils/loginThrottle.js); set TRUST_PROXY to the number of proxies in
+// front of the app
+// left off otherwise, since a client could then pick its own address with
+// the X-Forwarded-For header and get around the limits
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY));
+}
 // middleware
 app.use(bodyParser.json());
-app.use(cors());
+app.use(cookieParser());
+// credentials are needed for the refresh token cookie
+app.use(
+  cors({
+    origin: [process.env.FRONTEND_URL, "http://localhost:3000"],
+    credentials: true,
+  })
+);
 
 // mount the route files here
 app.use("/auth", authRoutes);
 app.use("/admin", adminRoutes);
 app.use("/customer", customerRoutes);
 app.use("/report", reportRoutes);
+app.use(UPLOADS_ROUTE, serveUploads());
 
 // connect to mongoDB
 const dbURI = process.env.MONGODB_URI;
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+
+// the database of the tests that need one
+// a throwaway single-node replica set is started for every test file, since
+// stock moves and order transitions run in transactions; MONGODB_TEST_URI
+// points the tests at an existing replica set instead
+// every test starts from empty collections
+
+let replSet = null;
+
+const connectTestDb = async () => {
+  let uri = process.env.MONGODB_TEST_URI;
+  if (!uri) {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    uri = replSet.getUri();
+  }
+  await mongoose.connect(uri, { dbName: `farm-to-table-test-${process.pid}` });
+  // collections cannot always be created inside a transaction, and the
+  // unique indexes have to exist before the tests rely on them
+  await Promise.all(
+    Object.values(mongoose.models).map((model) => model.init())
+  );
+};
+
+const clearTestDb = async () => {
+  await Promise.all(
+    Object.values(mongoose.connection.collections).map((collection) =>
+      collection.deleteMany({})
+    )
+  );
+};
+
+const disconnectTestDb = async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+  await replSet?.stop();
+};
+
+// run fn(session) in a transaction, the way the controllers do
+const inTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+export { connectTestDb, clearTestDb, disconnectTestDb, inTransaction };
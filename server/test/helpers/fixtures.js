@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+import Product from "../../models/productModel.js";
+import Order from "../../models/orderModel.js";
+import { ORDER_STATUS } from "../../utils/orderLifecycle.js";
+
+// records the tests start from
+
+let products = 0;
+
+// a product sold one way; the stock fields are those of its variant
+const createProduct = async ({
+  quantity = 10,
+  reserved = 0,
+  unit = "piece",
+  orderIncrement = 1,
+} = {}) => {
+  products += 1;
+  return await Product.create({
+    name: `Test product ${products}`,
+    category: new mongoose.Types.ObjectId(),
+    variants: [
+      { label: "Regular", price: 10, unit, orderIncrement, quantity, reserved },
+    ],
+  });
+};
+
+// the order line of count units of the product's first variant
+const orderLine = (product, count) => {
+  const [variant] = product.variants;
+  return {
+    productId: product._id,
+    name: product.name,
+    variantId: variant._id,
+    variantLabel: variant.label,
+    count,
+    price: variant.price,
+    unit: variant.unit,
+  };
+};
+
+const createOrder = async (lines, status = ORDER_STATUS.PENDING) =>
+  await Order.create({
+    name: "Juan Dela Cruz",
+    email: "juan@example.com",
+    address: "Manila",
+    products: lines,
+    status,
+  });
+
+// the first variant of the product as it is stored now
+const storedVariant = async (product) =>
+  (await Product.findById(product._id)).variants[0];
+
+// the req.tokenInfo of a user with the given role
+const actor = (userType) => ({
+  userId: new mongoose.Types.ObjectId(),
+  email: `${userType}@example.com`,
+  userType,
+});
+
+export { createProduct, orderLine, createOrder, storedVariant, actor };
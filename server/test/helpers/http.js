@@ -0,0 +1,42 @@
+// stand-ins for the express request and response, to call middleware and
+// controllers directly
+
+// records what a controller sends: the status, the json body, and the
+// cookies and headers it sets (a cleared cookie is null)
+const mockResponse = () => {
+  const res = { statusCode: 200, body: undefined, cookies: {}, headers: {} };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.cookie = (name, value) => {
+    res.cookies[name] = value;
+    return res;
+  };
+  res.clearCookie = (name) => {
+    res.cookies[name] = null;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  return res;
+};
+
+// runs a middleware, resolving to the response and whether it let the
+// request through
+const runMiddleware = async (middleware, req) => {
+  const res = mockResponse();
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+};
+
+export { mockResponse, runMiddleware };
@@ -0,0 +1,176 @@
+import { describe, it, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Product from "../models/productModel.js";
+import {
+  inStockExpr,
+  InsufficientStockError,
+  MissingVariantError,
+  reserveStock,
+  releaseStock,
+  commitStock,
+  restock,
+} from "../utils/inventory.js";
+import { roundQuantity } from "../utils/units.js";
+import {
+  connectTestDb,
+  clearTestDb,
+  disconnectTestDb,
+  inTransaction,
+} from "./helpers/db.js";
+import {
+  createProduct,
+  orderLine,
+  storedVariant,
+} from "./helpers/fixtures.js";
+
+describe("inventory", () => {
+  before(connectTestDb);
+  beforeEach(clearTestDb);
+  after(disconnectTestDb);
+
+  describe("reserveStock", () => {
+    it("holds the stock of every line without taking it out", async () => {
+      const product = await createProduct({ quantity: 10 });
+
+      await reserveStock([orderLine(product, 4)]);
+
+      const variant = await storedVariant(product);
+      assert.equal(variant.quantity, 10);
+      assert.equal(variant.reserved, 4);
+      assert.equal(variant.available, 6);
+    });
+
+    it("refuses more than is available, reservations included", async () => {
+      const product = await createProduct({ quantity: 10, reserved: 7 });
+
+      await assert.rejects(
+        reserveStock([orderLine(product, 4)]),
+        InsufficientStockError
+      );
+      assert.equal((await storedVariant(product)).reserved, 7);
+    });
+
+    it("rolls back the earlier lines when a later one fails", async () => {
+      const plenty = await createProduct({ quantity: 10 });
+      const scarce = await createProduct({ quantity: 1 });
+
+      await assert.rejects(
+        inTransaction((session) =>
+          reserveStock(
+            [orderLine(plenty, 5), orderLine(scarce, 2)],
+            session
+          )
+        ),
+        InsufficientStockError
+      );
+      assert.equal((await storedVariant(plenty)).reserved, 0);
+    });
+
+    it("never oversells to concurrent checkouts", async () => {
+      const product = await createProduct({ quantity: 5 });
+
+      const results = await Promise.allSettled(
+        Array.from({ length: 4 }, () => reserveStock([orderLine(product, 2)]))
+      );
+
+      assert.equal(
+        results.filter(({ status }) => status === "fulfilled").length,
+        2
+      );
+      assert.equal((await storedVariant(product)).reserved, 4);
+    });
+
+    it("does not leave float dust after fractional reservations", async () => {
+      const product = await createProduct({
+        quantity: 0.3,
+        unit: "kg",
+        orderIncrement: 0.1,
+      });
+
+      for (let i = 0; i < 3; i++) {
+        await reserveStock([orderLine(product, 0.1)]);
+      }
+
+      await assert.rejects(
+        reserveStock([orderLine(product, 0.1)]),
+        InsufficientStockError
+      );
+      const { reserved } = await storedVariant(product);
+      assert.equal(roundQuantity(reserved), 0.3);
+    });
+  });
+
+  describe("moving reserved stock", () => {
+    it("takes committed stock out of the inventory", async () => {
+      const product = await createProduct({ quantity: 10, reserved: 4 });
+
+      await commitStock([orderLine(product, 4)]);
+
+      const variant = await storedVariant(product);
+      assert.equal(variant.quantity, 6);
+      assert.equal(variant.reserved, 0);
+    });
+
+    it("gives released stock back to the shop", async () => {
+      const product = await createProduct({ quantity: 10, reserved: 4 });
+
+      await releaseStock([orderLine(product, 4)]);
+
+      const variant = await storedVariant(product);
+      assert.equal(variant.quantity, 10);
+      assert.equal(variant.reserved, 0);
+    });
+
+    it("puts the items of a committed order back in stock", async () => {
+      const product = await createProduct({ quantity: 6 });
+
+      await restock([orderLine(product, 4)]);
+
+      assert.equal((await storedVariant(product)).quantity, 10);
+    });
+
+    it("fails instead of skipping a variant that is gone", async () => {
+      const product = await createProduct({ quantity: 10, reserved: 4 });
+      const line = {
+        ...orderLine(product, 4),
+        variantId: new mongoose.Types.ObjectId(),
+      };
+
+      await assert.rejects(releaseStock([line]), MissingVariantError);
+      assert.equal((await storedVariant(product)).reserved, 4);
+    });
+  });
+
+  describe("inStockExpr", () => {
+    const inStock = async (product) =>
+      Boolean(
+        await Product.exists({ _id: product._id, $expr: inStockExpr })
+      );
+
+    it("counts a variant with stock nobody holds", async () => {
+      assert.equal(await inStock(await createProduct({ quantity: 2 })), true);
+    });
+
+    it("leaves out a variant whose stock is all reserved", async () => {
+      const product = await createProduct({ quantity: 2, reserved: 2 });
+      assert.equal(await inStock(product), false);
+    });
+
+    it("needs at least one order increment available", async () => {
+      const short = await createProduct({
+        quantity: 0.3,
+        unit: "kg",
+        orderIncrement: 0.5,
+      });
+      const enough = await createProduct({
+        quantity: 0.5,
+        unit: "kg",
+        orderIncrement: 0.5,
+      });
+
+      assert.equal(await inStock(short), false);
+      assert.equal(await inStock(enough), true);
+    });
+  });
+});
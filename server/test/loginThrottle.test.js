@@ -0,0 +1,142 @@
+import { describe, it, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import LoginAttempt from "../models/loginAttemptModel.js";
+import {
+  LoginLockedError,
+  getActiveLockouts,
+  clearLockout,
+  reserveLoginAttempt,
+  clearLoginFailures,
+} from "../utils/loginThrottle.js";
+import { connectTestDb, clearTestDb, disconnectTestDb } from "./helpers/db.js";
+
+const IP = "203.0.113.7";
+const EMAIL = "juan@example.com";
+
+const record = (kind, key) => LoginAttempt.findOne({ kind, key });
+
+// lets every wait run out, as if time had passed
+const waitOut = () =>
+  LoginAttempt.updateMany({}, { lockedUntil: new Date(Date.now() - 1) });
+
+// fail count logins in a row, waiting out every delay in between
+const failLogins = async (count, ip = IP, email = EMAIL) => {
+  for (let i = 0; i < count; i++) {
+    await waitOut();
+    await reserveLoginAttempt(ip, email);
+  }
+};
+
+describe("login throttle", () => {
+  before(connectTestDb);
+  beforeEach(clearTestDb);
+  after(disconnectTestDb);
+
+  it("lets the first failures through without a wait", async () => {
+    assert.equal(await reserveLoginAttempt(IP, EMAIL), 0);
+    assert.equal(await reserveLoginAttempt(IP, EMAIL), 0);
+  });
+
+  it("makes the next attempt wait once the free ones are used", async () => {
+    await failLogins(2);
+
+    assert.equal(await reserveLoginAttempt(IP, EMAIL), 2000);
+    await assert.rejects(reserveLoginAttempt(IP, EMAIL), (error) => {
+      assert.ok(error instanceof LoginLockedError);
+      assert.equal(error.status, 429);
+      assert.equal(error.retryAfter, 2);
+      return true;
+    });
+  });
+
+  it("doubles the wait with every failure", async () => {
+    await failLogins(3);
+
+    await waitOut();
+    assert.equal(await reserveLoginAttempt(IP, EMAIL), 4000);
+    await waitOut();
+    assert.equal(await reserveLoginAttempt(IP, EMAIL), 8000);
+  });
+
+  it("locks the account out after ten failures", async () => {
+    await failLogins(10);
+
+    const account = await record("account", EMAIL);
+    assert.equal(account.failures, 10);
+    const lockMs = account.lockedUntil - account.lastFailureAt;
+    assert.equal(lockMs, 15 * 60 * 1000);
+  });
+
+  it("does not count attempts made while locked", async () => {
+    await failLogins(3);
+
+    await assert.rejects(reserveLoginAttempt(IP, EMAIL), LoginLockedError);
+
+    assert.equal((await record("account", EMAIL)).failures, 3);
+    assert.equal((await record("ip", IP)).failures, 3);
+  });
+
+  it("lets only one of many parallel guesses through a lock", async () => {
+    await failLogins(2);
+    await waitOut();
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () => reserveLoginAttempt(IP, EMAIL))
+    );
+
+    assert.equal(
+      results.filter(({ status }) => status === "fulfilled").length,
+      1
+    );
+    assert.equal((await record("account", EMAIL)).failures, 3);
+    assert.equal((await record("ip", IP)).failures, 3);
+  });
+
+  it("takes the account's attempt back when the address is locked", async () => {
+    await LoginAttempt.create({
+      kind: "ip",
+      key: IP,
+      failures: 50,
+      lockedUntil: new Date(Date.now() + 60 * 1000),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+
+    await assert.rejects(reserveLoginAttempt(IP, EMAIL), LoginLockedError);
+
+    assert.equal((await record("account", EMAIL)).failures, 0);
+  });
+
+  it("counts the account by its email, whatever the case", async () => {
+    await reserveLoginAttempt(IP, EMAIL);
+    await reserveLoginAttempt(IP, EMAIL.toUpperCase());
+
+    assert.equal((await record("account", EMAIL)).failures, 2);
+  });
+
+  it("forgets the account's failures after a successful login", async () => {
+    await failLogins(3);
+    await waitOut();
+    await reserveLoginAttempt(IP, EMAIL);
+
+    await clearLoginFailures(IP, EMAIL);
+
+    assert.equal(await record("account", EMAIL), null);
+    // the address only gets the successful attempt back
+    assert.equal((await record("ip", IP)).failures, 3);
+  });
+
+  it("lists and lifts lockouts", async () => {
+    await failLogins(3);
+
+    // the address still has free attempts left, so only the account waits
+    const lockouts = await getActiveLockouts();
+    assert.deepEqual(
+      lockouts.map(({ kind, key }) => [kind, key]),
+      [["account", EMAIL]]
+    );
+
+    assert.equal(await clearLockout(lockouts[0]._id), true);
+    assert.equal(await clearLockout(lockouts[0]._id), false);
+    assert.equal(await record("account", EMAIL), null);
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Order from "../models/orderModel.js";
+import {
+  ORDER_STATUS,
+  OrderNotFoundError,
+  OrderTransitionError,
+  canTransition,
+  nextStatuses,
+  parseStatuses,
+  transitionOrder,
+} from "../utils/orderLifecycle.js";
+import {
+  connectTestDb,
+  clearTestDb,
+  disconnectTestDb,
+  inTransaction,
+} from "./helpers/db.js";
+import {
+  createProduct,
+  orderLine,
+  createOrder,
+  storedVariant,
+  actor,
+} from "./helpers/fixtures.js";
+
+const { PENDING, CONFIRMED, CANCELLED, PACKED, DELIVERED, REFUNDED } =
+  ORDER_STATUS;
+
+describe("order transitions", () => {
+  it("lets customers cancel only orders that are not confirmed yet", () => {
+    assert.equal(canTransition(PENDING, CANCELLED, "user"), true);
+    assert.equal(canTransition(CONFIRMED, CANCELLED, "user"), false);
+    assert.equal(canTransition(PENDING, CONFIRMED, "user"), false);
+  });
+
+  it("lets staff and admins move orders along", () => {
+    for (const userType of ["staff", "admin"]) {
+      assert.equal(canTransition(PENDING, CONFIRMED, userType), true);
+      assert.equal(canTransition(CONFIRMED, PACKED, userType), true);
+      assert.equal(canTransition(PACKED, CANCELLED, userType), true);
+    }
+  });
+
+  it("does not skip or undo steps", () => {
+    assert.equal(canTransition(PENDING, DELIVERED, "admin"), false);
+    assert.equal(canTransition(CANCELLED, PENDING, "admin"), false);
+    assert.equal(canTransition(DELIVERED, CANCELLED, "admin"), false);
+    assert.deepEqual(nextStatuses(REFUNDED, "admin"), []);
+  });
+
+  it("lists the next statuses a role can pick", () => {
+    assert.deepEqual(nextStatuses(PENDING, "user"), [CANCELLED]);
+    assert.deepEqual(nextStatuses(PENDING, "admin"), [CONFIRMED, CANCELLED]);
+  });
+
+  it("reads one or more statuses from a query string", () => {
+    assert.deepEqual(parseStatuses("1"), [1]);
+    assert.deepEqual(parseStatuses("1,3,4"), [1, 3, 4]);
+  });
+});
+
+describe("transitionOrder", () => {
+  before(connectTestDb);
+  beforeEach(clearTestDb);
+  after(disconnectTestDb);
+
+  const transition = (orderId, to, userType) =>
+    inTransaction((session) =>
+      transitionOrder(orderId, to, actor(userType), session)
+    );
+
+  it("commits the reserved stock when an order is confirmed", async () => {
+    const product = await createProduct({ quantity: 10, reserved: 3 });
+    const order = await createOrder([orderLine(product, 3)]);
+
+    const updated = await transition(order._id, CONFIRMED, "admin");
+
+    assert.equal(updated.status, CONFIRMED);
+    const variant = await storedVariant(product);
+    assert.equal(variant.quantity, 7);
+    assert.equal(variant.reserved, 0);
+  });
+
+  it("records who made every change", async () => {
+    const product = await createProduct({ reserved: 1 });
+    const order = await createOrder([orderLine(product, 1)]);
+
+    await transition(order._id, CONFIRMED, "staff");
+
+    const [entry] = (await Order.findById(order._id)).statusHistory;
+    assert.equal(entry.from, PENDING);
+    assert.equal(entry.to, CONFIRMED);
+    assert.equal(entry.actor.userType, "staff");
+    assert.equal(entry.actor.email, "staff@example.com");
+  });
+
+  it("releases the reservation when a pending order is cancelled", async () => {
+    const product = await createProduct({ quantity: 10, reserved: 4 });
+    const order = await createOrder([orderLine(product, 4)]);
+
+    await transition(order._id, CANCELLED, "user");
+
+    const variant = await storedVariant(product);
+    assert.equal(variant.quantity, 10);
+    assert.equal(variant.reserved, 0);
+  });
+
+  it("restocks a confirmed order that is cancelled", async () => {
+    const product = await createProduct({ quantity: 6 });
+    const order = await createOrder([orderLine(product, 4)], CONFIRMED);
+
+    await transition(order._id, CANCELLED, "admin");
+
+    const variant = await storedVariant(product);
+    assert.equal(variant.quantity, 10);
+    assert.equal(variant.reserved, 0);
+  });
+
+  it("refuses a move the role cannot make and leaves the order", async () => {
+    const product = await createProduct({ reserved: 2 });
+    const order = await createOrder([orderLine(product, 2)], CONFIRMED);
+
+    await assert.rejects(
+      transition(order._id, CANCELLED, "user"),
+      OrderTransitionError
+    );
+
+    assert.equal((await Order.findById(order._id)).status, CONFIRMED);
+    assert.equal((await storedVariant(product)).quantity, 10);
+  });
+
+  it("answers not found for unknown and malformed ids", async () => {
+    await assert.rejects(
+      transition(new mongoose.Types.ObjectId(), CONFIRMED, "admin"),
+      OrderNotFoundError
+    );
+    await assert.rejects(
+      transition("not-an-id", CONFIRMED, "admin"),
+      OrderNotFoundError
+    );
+  });
+
+  it("rolls the status back when the stock cannot move", async () => {
+    const product = await createProduct({ reserved: 2 });
+    const line = {
+      ...orderLine(product, 2),
+      variantId: new mongoose.Types.ObjectId(),
+    };
+    const order = await createOrder([line]);
+
+    await assert.rejects(transition(order._id, CONFIRMED, "admin"));
+
+    assert.equal((await Order.findById(order._id)).status, PENDING);
+  });
+
+  it("applies only one of two concurrent cancels", async () => {
+    const product = await createProduct({ quantity: 10, reserved: 5 });
+    const order = await createOrder([orderLine(product, 5)]);
+
+    const results = await Promise.allSettled([
+      transition(order._id, CANCELLED, "user"),
+      transition(order._id, CANCELLED, "admin"),
+    ]);
+
+    const applied = results.filter(({ status }) => status === "fulfilled");
+    assert.equal(applied.length, 1);
+    const rejected = results.find(({ status }) => status === "rejected");
+    assert.ok(rejected.reason instanceof OrderTransitionError);
+    const stored = await Order.findById(order._id);
+    assert.equal(stored.statusHistory.length, 1);
+    assert.equal((await storedVariant(product)).reserved, 0);
+  });
+
+  it("refuses a move made from a status that is no longer current", async () => {
+    const product = await createProduct({ quantity: 10, reserved: 5 });
+    const order = await createOrder([orderLine(product, 5)]);
+
+    // without a transaction, only the status check in the update keeps the
+    // second move out
+    const results = await Promise.allSettled([
+      transitionOrder(order._id, CONFIRMED, actor("admin")),
+      transitionOrder(order._id, CANCELLED, actor("admin")),
+    ]);
+
+    assert.equal(
+      results.filter(({ status }) => status === "fulfilled").length,
+      1
+    );
+    assert.equal((await Order.findById(order._id)).statusHistory.length, 1);
+  });
+});
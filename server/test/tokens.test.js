@@ -0,0 +1,207 @@
+import { describe, it, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import User from "../models/userModel.js";
+import RefreshToken from "../models/refreshTokenModel.js";
+import {
+  REFRESH_COOKIE,
+  hashToken,
+  signAccessToken,
+  issueRefreshToken,
+  revokeAccessToken,
+  revokeAccessTokensOf,
+  revokeAllSessions,
+  isAccessTokenRevoked,
+} from "../utils/tokens.js";
+import { refresh } from "../controllers/auth.js";
+import { connectTestDb, clearTestDb, disconnectTestDb } from "./helpers/db.js";
+import { mockResponse } from "./helpers/http.js";
+
+process.env.SECRET_KEY ??= "test-secret";
+
+const decode = (token) => jwt.verify(token, process.env.SECRET_KEY);
+
+const createUser = async (fields = {}) =>
+  await User.create({
+    firstName: "Juan",
+    lastName: "Dela Cruz",
+    address: "Manila",
+    email: "juan@example.com",
+    password: "not-a-real-hash",
+    ...fields,
+  });
+
+describe("access tokens", () => {
+  const user = {
+    _id: "6650bd35d02adc97196d8163",
+    userType: "user",
+    email: "juan@example.com",
+    firstName: "Juan",
+  };
+
+  it("carry the user and expire after 15 minutes", () => {
+    const claims = decode(signAccessToken(user));
+
+    assert.equal(claims.userId, user._id);
+    assert.equal(claims.userType, "user");
+    assert.equal(claims.email, user.email);
+    assert.equal(claims.exp - claims.iat, 15 * 60);
+  });
+
+  it("can each be told apart, to be revoked one at a time", () => {
+    assert.notEqual(
+      decode(signAccessToken(user)).jti,
+      decode(signAccessToken(user)).jti
+    );
+  });
+
+  it("know when they were issued to the millisecond", () => {
+    const issuedAt = new Date("2026-01-01T00:00:00.123Z");
+    assert.equal(decode(signAccessToken(user, issuedAt)).iatMs, 1767225600123);
+  });
+
+  it("are stored only by hash", () => {
+    assert.match(hashToken("secret"), /^[0-9a-f]{64}$/);
+    assert.equal(hashToken("secret"), hashToken("secret"));
+    assert.notEqual(hashToken("secret"), hashToken("secret2"));
+  });
+});
+
+describe("token revocation and refresh", () => {
+  before(connectTestDb);
+  beforeEach(clearTestDb);
+  after(disconnectTestDb);
+
+  const refreshWith = async (token) => {
+    const res = mockResponse();
+    await refresh({ cookies: { [REFRESH_COOKIE]: token } }, res);
+    return res;
+  };
+
+  describe("revocation", () => {
+    it("revokes a single access token", async () => {
+      const user = await createUser();
+      const revoked = decode(signAccessToken(user));
+      const other = decode(signAccessToken(user));
+
+      await revokeAccessToken(revoked);
+
+      assert.equal(await isAccessTokenRevoked(revoked), true);
+      assert.equal(await isAccessTokenRevoked(other), false);
+    });
+
+    it("revokes every token issued before the cut, and none after", async () => {
+      const user = await createUser();
+      const before = decode(signAccessToken(user));
+
+      const cut = await revokeAccessTokensOf(user._id);
+      const kept = decode(signAccessToken(user, cut));
+      // a login in the same second as the revocation
+      const next = decode(
+        signAccessToken(user, new Date(cut.getTime() + 1))
+      );
+
+      assert.equal(await isAccessTokenRevoked(before), true);
+      assert.equal(await isAccessTokenRevoked(kept), false);
+      assert.equal(await isAccessTokenRevoked(next), false);
+    });
+
+    it("checks tokens from before iatMs by their whole second", async () => {
+      const user = await createUser();
+      const { iatMs, ...legacy } = decode(signAccessToken(user));
+
+      await revokeAccessTokensOf(user._id);
+
+      assert.ok(iatMs);
+      assert.equal(await isAccessTokenRevoked(legacy), true);
+    });
+
+    it("ends every session of a user", async () => {
+      const user = await createUser();
+      await issueRefreshToken(user._id);
+      await issueRefreshToken(user._id);
+      const access = decode(signAccessToken(user));
+
+      await revokeAllSessions(user._id);
+
+      assert.equal(
+        await RefreshToken.countDocuments({ revokedAt: null }),
+        0
+      );
+      assert.equal(await isAccessTokenRevoked(access), true);
+    });
+  });
+
+  describe("refresh", () => {
+    it("keeps only the hash of a refresh token", async () => {
+      const user = await createUser();
+      const token = await issueRefreshToken(user._id);
+
+      assert.equal(await RefreshToken.exists({ tokenHash: token }), null);
+      assert.ok(await RefreshToken.exists({ tokenHash: hashToken(token) }));
+    });
+
+    it("trades a refresh token for a new pair and rotates it", async () => {
+      const user = await createUser();
+      const token = await issueRefreshToken(user._id);
+
+      const res = await refreshWith(token);
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(decode(res.body.token).email, user.email);
+      const next = res.cookies[REFRESH_COOKIE];
+      assert.ok(next && next !== token);
+      const rotated = await RefreshToken.findOne({
+        tokenHash: hashToken(token),
+      });
+      assert.ok(rotated.revokedAt);
+      assert.equal(rotated.replacedBy, hashToken(next));
+    });
+
+    it("revokes the whole family when a rotated token is reused", async () => {
+      const user = await createUser();
+      const stolen = await issueRefreshToken(user._id);
+      const next = (await refreshWith(stolen)).cookies[REFRESH_COOKIE];
+
+      const reuse = await refreshWith(stolen);
+
+      assert.equal(reuse.statusCode, 401);
+      assert.equal(reuse.body.error, "Refresh token reuse detected.");
+      assert.equal(reuse.cookies[REFRESH_COOKIE], null);
+      assert.equal((await refreshWith(next)).statusCode, 401);
+    });
+
+    it("rotates a token only once when it is used twice at once", async () => {
+      const user = await createUser();
+      const token = await issueRefreshToken(user._id);
+
+      const results = await Promise.all([
+        refreshWith(token),
+        refreshWith(token),
+      ]);
+
+      const codes = results.map(({ statusCode }) => statusCode).sort();
+      assert.deepEqual(codes, [200, 401]);
+    });
+
+    it("refuses a missing, unknown or expired token", async () => {
+      const user = await createUser();
+      const expired = await issueRefreshToken(user._id);
+      await RefreshToken.updateOne(
+        { tokenHash: hashToken(expired) },
+        { expiresAt: new Date(Date.now() - 1000) }
+      );
+
+      assert.equal((await refreshWith(undefined)).statusCode, 401);
+      assert.equal((await refreshWith("unknown")).statusCode, 401);
+      assert.equal((await refreshWith(expired)).statusCode, 401);
+    });
+
+    it("refuses the token of a deactivated user", async () => {
+      const user = await createUser({ active: false });
+      const token = await issueRefreshToken(user._id);
+
+      assert.equal((await refreshWith(token)).statusCode, 401);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { validate } from "../utils/validation.js";
+import { runMiddleware } from "./helpers/http.js";
+
+// runs a request with the given parts through validate(schema)
+const check = (schema, { body, query = {}, params = {} }) =>
+  runMiddleware(validate(schema), { body, query, params });
+
+// the error of every invalid field, or undefined if the request passed
+const errorsOf = async (schema, req) => {
+  const { res, passed } = await check(schema, req);
+  return passed ? undefined : res.body.errors;
+};
+
+describe("validate", () => {
+  it("lets a valid request through", async () => {
+    const { res, passed } = await check(
+      { body: { email: { type: "email", required: true } } },
+      { body: { email: "juan@example.com" } }
+    );
+
+    assert.equal(passed, true);
+    assert.equal(res.body, undefined);
+  });
+
+  it("answers 400 with the message of every invalid field", async () => {
+    const { res, passed } = await check(
+      {
+        body: {
+          email: { type: "email", required: true },
+          password: { type: "string", required: true },
+        },
+      },
+      { body: { email: "juan" } }
+    );
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, {
+      error: "Invalid request.",
+      errors: {
+        email: "Must be a valid email address.",
+        password: "Required.",
+      },
+    });
+  });
+
+  it("treats blank strings as missing", async () => {
+    const schema = {
+      body: {
+        name: { type: "string", required: true },
+        origin: { type: "string", notBlank: true },
+        description: { type: "string" },
+      },
+    };
+
+    assert.deepEqual(
+      await errorsOf(schema, {
+        body: { name: "  ", origin: "", description: "" },
+      }),
+      { name: "Required.", origin: "Cannot be blank." }
+    );
+    // notBlank fields can still be left out
+    assert.equal(await errorsOf(schema, { body: { name: "Eggs" } }), undefined);
+  });
+
+  it("converts numbers and booleans of the query string, and keeps them", async () => {
+    const req = {
+      query: { page: "2", minPrice: "10.5", inStock: "true" },
+      params: {},
+    };
+    const { passed } = await runMiddleware(
+      validate({
+        query: {
+          page: { type: "integer", min: 1 },
+          minPrice: { type: "number", min: 0 },
+          inStock: { type: "boolean" },
+        },
+      }),
+      req
+    );
+
+    assert.equal(passed, true);
+    assert.deepEqual(req.query, { page: 2, minPrice: 10.5, inStock: true });
+  });
+
+  it("does not convert the body", async () => {
+    assert.deepEqual(
+      await errorsOf(
+        { body: { price: { type: "number" } } },
+        { body: { price: "10" } }
+      ),
+      { price: "Must be a number." }
+    );
+  });
+
+  it("refuses query values that are not numbers", async () => {
+    const schema = {
+      query: {
+        page: { type: "integer" },
+        minPrice: { type: "number" },
+        inStock: { type: "boolean" },
+      },
+    };
+
+    assert.deepEqual(
+      await errorsOf(schema, {
+        query: { page: "1.5", minPrice: "cheap", inStock: "yes" },
+      }),
+      {
+        page: "Must be a whole number.",
+        minPrice: "Must be a number.",
+        inStock: "Must be true or false.",
+      }
+    );
+  });
+
+  it("checks enums, bounds and patterns", async () => {
+    const schema = {
+      body: {
+        status: { type: "string", enum: ["pending", "confirmed"] },
+        quantity: { type: "number", min: 0.5, max: 100 },
+        price: { type: "number", min: 0 },
+        name: { type: "string", minLength: 2, maxLength: 5 },
+        code: {
+          type: "string",
+          pattern: { regex: /^[A-Z]+$/, message: "Must be capital letters." },
+        },
+      },
+    };
+
+    assert.deepEqual(
+      await errorsOf(schema, {
+        body: {
+          status: "lost",
+          quantity: 101,
+          price: -1,
+          name: "Tomatoes",
+          code: "abc",
+        },
+      }),
+      {
+        status: "Must be one of: pending, confirmed.",
+        quantity: "Must be at most 100.",
+        price: "Must be at least 0.",
+        name: "Must be at most 5 characters.",
+        code: "Must be capital letters.",
+      }
+    );
+  });
+
+  it("counts the items of lists against their length bounds", async () => {
+    assert.deepEqual(
+      await errorsOf(
+        { body: { images: { type: "array", minLength: 1 } } },
+        { body: { images: [] } }
+      ),
+      { images: "Must have at least 1 items." }
+    );
+  });
+
+  it("checks ids and dates", async () => {
+    const schema = {
+      params: { id: { type: "objectId", required: true } },
+      query: { from: { type: "date" } },
+    };
+
+    assert.deepEqual(
+      await errorsOf(schema, {
+        params: { id: "42" },
+        query: { from: "someday" },
+      }),
+      { id: "Must be a valid id.", from: "Must be a valid date." }
+    );
+    assert.equal(
+      await errorsOf(schema, {
+        params: { id: "6650bd35d02adc97196d8180" },
+        query: { from: "2024-05-01" },
+      }),
+      undefined
+    );
+  });
+
+  it("names the fields of nested objects with dots", async () => {
+    const schema = {
+      body: {
+        product: {
+          type: "object",
+          required: true,
+          fields: {
+            _id: { type: "objectId", required: true },
+            selectedQuantity: { type: "number", required: true, min: 0 },
+          },
+        },
+      },
+    };
+
+    assert.deepEqual(
+      await errorsOf(schema, {
+        body: {
+          product: { _id: "6650bd35d02adc97196d8180", selectedQuantity: -2 },
+        },
+      }),
+      { "product.selectedQuantity": "Must be at least 0." }
+    );
+    assert.deepEqual(
+      await errorsOf(schema, { body: { product: [] } }),
+      { product: "Must be an object." }
+    );
+  });
+
+  it("names the items of lists with their index", async () => {
+    assert.deepEqual(
+      await errorsOf(
+        {
+          body: {
+            synonyms: {
+              type: "array",
+              items: { type: "string", maxLength: 10 },
+            },
+          },
+        },
+        { body: { synonyms: ["veggies", "", 3] } }
+      ),
+      { "synonyms.1": "Required.", "synonyms.2": "Must be text." }
+    );
+  });
+});
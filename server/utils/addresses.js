@@ -0,0 +1,14 @@
+// one line of text for an address, ex: for the address field of an order
+const formatAddress = (address) =>
+  [
+    address.street,
+    address.barangay,
+    address.city,
+    `${address.province} ${address.postalCode}`,
+  ].join(", ");
+
+// the address picked at checkout when none is chosen
+const defaultAddress = (addresses) =>
+  addresses.find((address) => address.isDefault) || addresses[0] || null;
+
+export { formatAddress, defaultAddress };
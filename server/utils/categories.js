@@ -0,0 +1,41 @@
+// product categories
+// categories nest one level deep: a top-level category (ex: Produce) can
+// have subcategories (ex: Leafy Greens), but subcategories cannot have their
+// own, which keeps the shop's filters to one list under each heading
+import Category from "../models/categoryModel.js";
+
+// the category fields sent along with products
+const CATEGORY_SUMMARY = "name slug parent";
+
+// categories in the order they are displayed
+const CATEGORY_ORDER = { displayOrder: 1, name: 1 };
+
+// "Leafy Greens & Herbs" -> "leafy-greens-herbs"
+const slugify = (text) =>
+  text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// why the category cannot go under the given parent, or null if it can
+// categoryId is null for a category that is not created yet
+const checkParent = async (parentId, categoryId = null) => {
+  if (categoryId && parentId.toString() === categoryId.toString()) {
+    return "A category cannot be its own parent.";
+  }
+  const parent = await Category.findById(parentId);
+  if (!parent) {
+    return "Category not found.";
+  }
+  if (parent.parent) {
+    return "Subcategories cannot have subcategories.";
+  }
+  if (categoryId && (await Category.exists({ parent: categoryId }))) {
+    return "A category with subcategories has to stay at the top level.";
+  }
+  return null;
+};
+
+export { CATEGORY_SUMMARY, CATEGORY_ORDER, slugify, checkParent };
@@ -0,0 +1,51 @@
+import crypto from "crypto";
+import EmailVerificationToken from "../models/emailVerificationTokenModel.js";
+import User from "../models/userModel.js";
+import { hashToken } from "./tokens.js";
+import { sendMail } from "./mailer.js";
+
+const VERIFICATION_TOKEN_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+// email the user a link to verify their address
+// only the latest link works; sending again invalidates the previous one
+const sendVerificationEmail = async (user) => {
+  await EmailVerificationToken.deleteMany({ userId: user._id });
+  const token = crypto.randomBytes(32).toString("hex");
+  await EmailVerificationToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + VERIFICATION_TOKEN_LIFETIME_MS),
+  });
+
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Farm-to-Table email",
+    text:
+      `Hi ${user.firstName},\n\n` +
+      "Thanks for signing up! Open the link below to verify your email. " +
+      "You can place orders once it is verified. The link expires in 24 " +
+      "hours.\n\n" +
+      `${frontendUrl}/verify-email?token=${token}\n\n` +
+      "If you did not create an account, you can ignore this email.",
+  });
+};
+
+// mark the user of the token verified and use up the token
+// returns the user, or null if the token is wrong or expired
+const verifyEmailToken = async (token) => {
+  // deleting it in the same query keeps it single-use
+  const verification = await EmailVerificationToken.findOneAndDelete({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() },
+  });
+  if (!verification) return null;
+
+  return await User.findByIdAndUpdate(
+    verification.userId,
+    { emailVerified: true },
+    { new: true }
+  );
+};
+
+export { sendVerificationEmail, verifyEmailToken };
@@ -0,0 +1,111 @@
+import crypto from "crypto";
+import multer from "multer";
+import sharp from "sharp";
+import { saveFile, removeFile } from "./storage.js";
+
+// product images
+// an upload is checked by its content rather than by the type the browser
+// gives it, then stored twice as webp (see utils/storage.js): the image
+// itself, shrunk to fit IMAGE_MAX_SIDE, and a square thumbnail for listings
+// and galleries
+
+// the formats accepted, as sharp names them
+const IMAGE_FORMATS = ["jpeg", "png", "webp"];
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+const IMAGE_MAX_SIDE = 1600;
+
+const THUMBNAIL_SIDE = 400;
+
+// the most images a product's gallery holds
+const MAX_PRODUCT_IMAGES = 10;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: 1 },
+}).single("image");
+
+const imageError = (res, message) =>
+  res.status(400).json({ error: "Invalid request.", errors: { image: message } });
+
+// reads the file sent as "image" in a multipart/form-data request into
+// req.file, answering 400 if it is missing or too large
+// the content is checked later, by storeImage
+const uploadImage = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error?.code === "LIMIT_FILE_SIZE") {
+      return imageError(
+        res,
+        `Must be at most ${MAX_IMAGE_SIZE / 1024 / 1024} MB.`
+      );
+    }
+    if (error instanceof multer.MulterError) {
+      return imageError(res, "Must be a single file.");
+    }
+    if (error) {
+      return res.status(400).json({ error: "Unable to read the upload." });
+    }
+    if (!req.file) return imageError(res, "Required.");
+    next();
+  });
+};
+
+const fileNames = (key) => [`${key}.webp`, `${key}-thumbnail.webp`];
+
+// stores both sizes of an uploaded image
+// returns { key, url, thumbnailUrl }, or null if the file is not a jpeg, png
+// or webp image
+const storeImage = async (buffer) => {
+  let format;
+  try {
+    ({ format } = await sharp(buffer).metadata());
+  } catch (error) {
+    return null;
+  }
+  if (!IMAGE_FORMATS.includes(format)) return null;
+
+  // rotate() turns photos upright by their exif, which webp leaves out
+  const [image, thumbnail] = await Promise.all([
+    sharp(buffer)
+      .rotate()
+      .resize(IMAGE_MAX_SIDE, IMAGE_MAX_SIDE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .webp()
+      .toBuffer(),
+    sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIDE, THUMBNAIL_SIDE, { fit: "cover" })
+      .webp()
+      .toBuffer(),
+  ]);
+
+  const key = crypto.randomUUID();
+  const [name, thumbnailName] = fileNames(key);
+  const saved = await Promise.allSettled([
+    saveFile(name, image, "image/webp"),
+    saveFile(thumbnailName, thumbnail, "image/webp"),
+  ]);
+  const failed = saved.find(({ status }) => status === "rejected");
+  if (failed) {
+    // the size that was written would be left behind
+    await removeImage({ key }).catch(() => {});
+    throw failed.reason;
+  }
+  const [url, thumbnailUrl] = saved.map(({ value }) => value);
+  return { key, url, thumbnailUrl };
+};
+
+// deletes both sizes of a stored image
+const removeImage = async ({ key }) => {
+  await Promise.all(fileNames(key).map(removeFile));
+};
+
+export {
+  MAX_PRODUCT_IMAGES,
+  uploadImage,
+  storeImage,
+  removeImage,
+};
@@ -0,0 +1,189 @@
+import mongoose from "mongoose";
+import Product from "../models/productModel.js";
+import { QUANTITY_DECIMALS } from "./units.js";
+
+// stock accounting
+// every variant of a product has its own stock: variant.quantity is the
+// stock on hand, variant.reserved is the part of it held by pending orders
+// placing an order reserves stock, confirming it commits the reservation
+// (the items leave the inventory) and cancelling it releases the reservation
+// (or puts the items back if the order was already confirmed)
+
+// the stock of a variant that can still be ordered, as an aggregation
+// expression; variant is an expression of the variant (ex: "$$this")
+// rounded like every quantity, since stock moves with $inc (see units.js)
+const availableOf = (variant) => ({
+  $round: [
+    {
+      $subtract: [
+        `${variant}.quantity`,
+        { $ifNull: [`${variant}.reserved`, 0] },
+      ],
+    },
+    QUANTITY_DECIMALS,
+  ],
+});
+
+// whether any variant of a product has at least one order increment of
+// stock that can still be ordered, as an aggregation expression
+// the shop leaves out variants with less, so this is what counts as in stock
+const inStockExpr = {
+  $anyElementTrue: [
+    {
+      $map: {
+        input: "$variants",
+        in: {
+          $gte: [
+            availableOf("$$this"),
+            { $ifNull: ["$$this.orderIncrement", 1] },
+          ],
+        },
+      },
+    },
+  ],
+};
+
+// one variant of a product, as an aggregation expression
+// ids inside $expr are not cast by mongoose, so this casts the variantId
+const variantExpr = (variantId) => ({
+  $arrayElemAt: [
+    {
+      $filter: {
+        input: "$variants",
+        cond: { $eq: ["$$this._id", new mongoose.Types.ObjectId(variantId)] },
+      },
+    },
+    0,
+  ],
+});
+
+// the available stock of one variant of a product, as an aggregation
+// expression
+const variantAvailableExpr = (variantId) => ({
+  $let: {
+    vars: { variant: variantExpr(variantId) },
+    in: availableOf("$$variant"),
+  },
+});
+
+// the reserved stock of one variant of a product, as an aggregation
+// expression
+const variantReservedExpr = (variantId) => ({
+  $round: [
+    {
+      $let: {
+        vars: { variant: variantExpr(variantId) },
+        in: { $ifNull: ["$$variant.reserved", 0] },
+      },
+    },
+    QUANTITY_DECIMALS,
+  ],
+});
+
+// moves the stock of the variant of a product line with $inc
+// (ex: { reserved: 2 } reserves 2 more units)
+const incVariant = (line, changes, session, filter = {}) =>
+  Product.findOneAndUpdate(
+    { _id: line.productId, "variants._id": line.variantId, ...filter },
+    {
+      $inc: Object.fromEntries(
+        Object.entries(changes).map(([field, count]) => [
+          `variants.$[v].${field}`,
+          count,
+        ])
+      ),
+    },
+    { session, new: true, arrayFilters: [{ "v._id": line.variantId }] }
+  );
+
+// thrown when a product variant cannot cover the requested count
+class InsufficientStockError extends Error {
+  constructor(productName) {
+    super(`Insufficient stock for ${productName}.`);
+    this.name = "InsufficientStockError";
+    this.productName = productName;
+  }
+}
+
+// thrown when the variant of a product line is no longer in the inventory,
+// so its stock cannot be moved
+class MissingVariantError extends Error {
+  constructor(line) {
+    super(`${line.name} (${line.variantLabel}) is no longer in the inventory.`);
+    this.name = "MissingVariantError";
+    this.status = 409;
+  }
+}
+
+// incVariant for a move that has to happen: throws a MissingVariantError
+// instead of leaving the stock as it was, so the transaction rolls back
+const moveStock = async (line, changes, session) => {
+  const updated = await incVariant(line, changes, session);
+  if (!updated) throw new MissingVariantError(line);
+  return updated;
+};
+
+// reserve the stock of every product line for a new order
+// each reservation only matches if enough stock of the variant is
+// available, so two checkouts can never oversell the same variant
+// pass the session of the running transaction so a failed line rolls back
+// the lines before it
+const reserveStock = async (products, session) => {
+  for (let product of products) {
+    const updated = await incVariant(
+      product,
+      { reserved: product.count },
+      session,
+      {
+        $expr: {
+          $gte: [variantAvailableExpr(product.variantId), product.count],
+        },
+      }
+    );
+
+    if (!updated) {
+      throw new InsufficientStockError(
+        `${product.name} (${product.variantLabel})`
+      );
+    }
+  }
+};
+
+// give back the reserved stock of every product line (ex: a pending order
+// is cancelled)
+const releaseStock = async (products, session) => {
+  for (let product of products) {
+    await moveStock(product, { reserved: -product.count }, session);
+  }
+};
+
+// turn the reservation of every product line into a deduction of the stock
+// on hand (ex: a pending order is confirmed)
+const commitStock = async (products, session) => {
+  for (let product of products) {
+    await moveStock(
+      product,
+      { quantity: -product.count, reserved: -product.count },
+      session
+    );
+  }
+};
+
+// put the items of every product line back in stock (ex: a confirmed order
+// is cancelled)
+const restock = async (products, session) => {
+  for (let product of products) {
+    await moveStock(product, { quantity: product.count }, session);
+  }
+};
+
+export {
+  inStockExpr,
+  variantReservedExpr,
+  InsufficientStockError,
+  MissingVariantError,
+  reserveStock,
+  releaseStock,
+  commitStock,
+  restock,
+};
@@ -0,0 +1,178 @@
+import LoginAttempt from "../models/loginAttemptModel.js";
+
+// limits on failed logins
+// the first few failures are free; after that every failure doubles the wait
+// before the next attempt, and after lockoutAfter failures the account or
+// address is locked out for lockoutMs
+const LIMITS = {
+  account: {
+    freeAttempts: 3,
+    baseDelayMs: 2 * 1000,
+    lockoutAfter: 10,
+    lockoutMs: 15 * 60 * 1000,
+  },
+  // an address can be shared by many users (ex: a school network), so it
+  // gets more room
+  ip: {
+    freeAttempts: 10,
+    baseDelayMs: 2 * 1000,
+    lockoutAfter: 50,
+    lockoutMs: 15 * 60 * 1000,
+  },
+};
+
+// failures are forgotten after this long without another one
+const ATTEMPT_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+// thrown when a login is attempted before the wait is over
+class LoginLockedError extends Error {
+  constructor(retryAfterMs) {
+    const seconds = Math.ceil(retryAfterMs / 1000);
+    super(`Too many failed login attempts. Try again in ${seconds} seconds.`);
+    this.name = "LoginLockedError";
+    this.status = 429;
+    this.retryAfter = seconds;
+  }
+}
+
+const attemptKeys = (ip, email) => [
+  { kind: "account", key: String(email).toLowerCase() },
+  { kind: "ip", key: ip },
+];
+
+// how long to wait after the given number of failures in a row
+const waitAfter = (failures, limits) => {
+  if (failures >= limits.lockoutAfter) return limits.lockoutMs;
+  if (failures < limits.freeAttempts) return 0;
+  return Math.min(
+    limits.baseDelayMs * 2 ** (failures - limits.freeAttempts),
+    limits.lockoutMs
+  );
+};
+
+// the lock after the record's failures, as an update pipeline expression
+// it reads the waits off waitAfter, so both always agree
+const lockedUntilAfterFailures = (limits) => {
+  const waits = Array.from({ length: limits.lockoutAfter + 1 }, (_, failures) =>
+    waitAfter(failures, limits)
+  );
+  return {
+    $add: [
+      "$lastFailureAt",
+      { $arrayElemAt: [waits, { $min: ["$failures", limits.lockoutAfter] }] },
+    ],
+  };
+};
+
+// count an attempt against one record as a failure, unless it is locked
+// checking the lock and counting are a single update, so parallel attempts
+// cannot all get in before the first of them locks the record
+// returns the record as it was before, or null if it was just created
+const countAttempt = async ({ kind, key }, now) =>
+  await LoginAttempt.findOneAndUpdate(
+    { kind, key },
+    [
+      { $set: { locked: { $gt: ["$lockedUntil", now] } } },
+      {
+        $set: {
+          failures: {
+            $cond: [
+              "$locked",
+              "$failures",
+              { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+            ],
+          },
+          lastFailureAt: { $cond: ["$locked", "$lastFailureAt", now] },
+          expiresAt: {
+            $cond: [
+              "$locked",
+              "$expiresAt",
+              new Date(now.getTime() + ATTEMPT_MEMORY_MS),
+            ],
+          },
+        },
+      },
+      {
+        $set: {
+          lockedUntil: {
+            $cond: [
+              "$locked",
+              "$lockedUntil",
+              lockedUntilAfterFailures(LIMITS[kind]),
+            ],
+          },
+        },
+      },
+      { $unset: "locked" },
+    ],
+    { upsert: true, new: false }
+  );
+
+// take back an attempt counted by countAttempt
+const uncountAttempt = async ({ kind, key }) => {
+  await LoginAttempt.updateOne({ kind, key }, [
+    { $set: { failures: { $max: [{ $subtract: ["$failures", 1] }, 0] } } },
+    { $set: { lockedUntil: lockedUntilAfterFailures(LIMITS[kind]) } },
+  ]);
+};
+
+// reserve a login attempt, before the password is checked
+// the attempt is counted as a failure against both the account and the
+// address right away, and taken back by clearLoginFailures if the password
+// is right
+// throws a LoginLockedError if the account or the address must still wait;
+// otherwise returns how long to wait before the next attempt if this one
+// fails (0 if none)
+const reserveLoginAttempt = async (ip, email) => {
+  const now = new Date();
+  const counted = [];
+  let wait = 0;
+
+  for (const keys of attemptKeys(ip, email)) {
+    const before = await countAttempt(keys, now);
+    if (before?.lockedUntil > now) {
+      await Promise.all(counted.map(uncountAttempt));
+      throw new LoginLockedError(before.lockedUntil - now);
+    }
+    counted.push(keys);
+    wait = Math.max(
+      wait,
+      waitAfter((before?.failures ?? 0) + 1, LIMITS[keys.kind])
+    );
+  }
+
+  return wait;
+};
+
+// a successful login clears the failures of the account, and takes back the
+// attempt reserved against the address
+// the address keeps its count on purpose, even across successful logins of
+// different accounts from it (ex: a shared network), so one valid account
+// cannot be used to keep guessing others from the same address; its failures
+// are forgotten ATTEMPT_MEMORY_MS after the last one
+const clearLoginFailures = async (ip, email) => {
+  const [account, address] = attemptKeys(ip, email);
+  await LoginAttempt.deleteOne(account);
+  await uncountAttempt(address);
+};
+
+// the accounts and addresses that must currently wait before logging in
+const getActiveLockouts = async () =>
+  await LoginAttempt.find({ lockedUntil: { $gt: new Date() } }).sort({
+    lockedUntil: -1,
+  });
+
+// lift a lockout and forget the failures behind it
+// returns false if there is no such lockout
+const clearLockout = async (lockoutId) => {
+  const result = await LoginAttempt.deleteOne({ _id: lockoutId });
+  return result.deletedCount > 0;
+};
+
+export {
+  LoginLockedError,
+  getActiveLockouts,
+  clearLockout,
+  reserveLoginAttempt,
+  clearLoginFailures,
+};
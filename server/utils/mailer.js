@@ -0,0 +1,51 @@
+import fs from "fs/promises";
+import path from "path";
+
+// sends the emails of the app (ex: password reset links)
+// the transport that delivers them is picked with MAIL_TRANSPORT:
+//   "console" (default) - prints every email to the server log
+//   "file" - writes every email to its own file in MAIL_DIR (default: mail/)
+// a real provider can be plugged in with setMailTransport, as long as it is
+// an async function taking { to, subject, text }
+
+const DEFAULT_FROM = "Farm-to-Table <no-reply@farm-to-table.local>";
+
+const consoleTransport = async (mail) => {
+  console.log(
+    `--- mail ---\nFrom: ${mail.from}\nTo: ${mail.to}\nSubject: ${mail.subject}\n\n${mail.text}\n------------`
+  );
+};
+
+const fileTransport = async (mail) => {
+  const dir = process.env.MAIL_DIR || "mail";
+  await fs.mkdir(dir, { recursive: true });
+  const recipient = mail.to.replace(/[^a-zA-Z0-9@.]/g, "_");
+  const fileName = `${Date.now()}-${recipient}.txt`;
+  await fs.writeFile(
+    path.join(dir, fileName),
+    `From: ${mail.from}\nTo: ${mail.to}\nSubject: ${mail.subject}\n\n${mail.text}\n`
+  );
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+let customTransport = null;
+
+// replace the transport picked by MAIL_TRANSPORT
+const setMailTransport = (transport) => {
+  customTransport = transport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const transport =
+    customTransport ||
+    transports[process.env.MAIL_TRANSPORT] ||
+    transports.console;
+  const from = process.env.MAIL_FROM || DEFAULT_FROM;
+  await transport({ from, to, subject, text });
+};
+
+export { sendMail, setMailTransport };
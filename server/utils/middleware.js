@@ -1,4 +1,6 @@
 import jwt from "jsonwebtoken";
+import { isAccessTokenRevoked } from "./tokens.js";
+import { hasPermission } from "./permissions.js";
 
 const verifyAccessToken = (token) => {
   try {
@@ -9,7 +11,7 @@ const verifyAccessToken = (token) => {
   }
 };
 
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
 
@@ -19,21 +21,35 @@ const verifyToken = (req, res, next) => {
 
   const result = verifyAccessToken(token);
 
+  // 401 tells the client to renew the token at /auth/refresh
   if (!result.success) {
-    return res.status(403).json({ error: result.error });
+    return res.status(401).json({ error: result.error });
+  }
+
+  try {
+    if (await isAccessTokenRevoked(result.data)) {
+      return res.status(401).json({ error: "Token has been revoked." });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: "Unable to verify token." });
   }
 
   req.tokenInfo = result.data;
   next();
 };
 
-// further verification if the required user is an admin
+// further verification if the user's role has the given permission
+// (see utils/permissions.js); with several, any one of them is enough
 // call this after verifyToken(...)
-const verifyIfAdmin = (req, res, next) => {
-  if (req.tokenInfo.userType != "admin") {
+// ex: requirePermission(PERMISSIONS.ORDERS_FULFIL)
+const requirePermission = (...permissions) => (req, res, next) => {
+  const allowed = permissions.some((permission) =>
+    hasPermission(req.tokenInfo.userType, permission)
+  );
+  if (!allowed) {
     return res
       .status(403)
-      .json({ error: "You need admin privileges to access this content." });
+      .json({ error: "You do not have permission to access this content." });
   }
   next();
 };
@@ -49,4 +65,9 @@ const verifyIfUser = (req, res, next) => {
   next();
 };
 
-export { verifyToken, verifyIfAdmin, verifyIfUser };
+export {
+  verifyAccessToken,
+  verifyToken,
+  requirePermission,
+  verifyIfUser,
+};
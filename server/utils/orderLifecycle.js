@@ -0,0 +1,181 @@
+// the order lifecycle
+// every status change of an order goes through transitionOrder(...) so the
+// allowed moves live in one place and each move is recorded on the order
+import mongoose from "mongoose";
+import Order from "../models/orderModel.js";
+import { commitStock, releaseStock, restock } from "./inventory.js";
+import { PERMISSIONS, rolesWith } from "./permissions.js";
+
+// the numeric codes are stored in Order.status
+// 0, 1 and 2 keep their original meaning so older orders stay valid
+const ORDER_STATUS = {
+  IN_CART: -1,
+  PENDING: 0,
+  CONFIRMED: 1,
+  CANCELLED: 2,
+  PACKED: 3,
+  OUT_FOR_DELIVERY: 4,
+  DELIVERED: 5,
+  REFUNDED: 6,
+};
+
+const STATUS_LABELS = {
+  [ORDER_STATUS.IN_CART]: "in cart",
+  [ORDER_STATUS.PENDING]: "pending",
+  [ORDER_STATUS.CONFIRMED]: "confirmed",
+  [ORDER_STATUS.CANCELLED]: "cancelled",
+  [ORDER_STATUS.PACKED]: "packed",
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: "out for delivery",
+  [ORDER_STATUS.DELIVERED]: "delivered",
+  [ORDER_STATUS.REFUNDED]: "refunded",
+};
+
+// orders in these states count as sales in the reports
+const SALE_STATUSES = [
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.PACKED,
+  ORDER_STATUS.OUT_FOR_DELIVERY,
+  ORDER_STATUS.DELIVERED,
+];
+
+// orders in these states can still move stock (ex: a packed order that is
+// cancelled is restocked), so the variants they have must stay
+const UNFINISHED_STATUSES = [
+  ORDER_STATUS.PENDING,
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.PACKED,
+  ORDER_STATUS.OUT_FOR_DELIVERY,
+];
+
+// the roles that can move orders along (ex: admins and staff)
+const FULFILLERS = rolesWith(PERMISSIONS.ORDERS_FULFIL);
+
+// allowed moves: current status -> next status -> who can do it and what
+// happens to the stock, run in the same transaction as the status change
+// customers may only cancel an order that has not been confirmed yet
+const TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: {
+    [ORDER_STATUS.CONFIRMED]: { userTypes: FULFILLERS, effect: commitStock },
+    [ORDER_STATUS.CANCELLED]: {
+      userTypes: [...FULFILLERS, "user"],
+      effect: releaseStock,
+    },
+  },
+  [ORDER_STATUS.CONFIRMED]: {
+    [ORDER_STATUS.PACKED]: { userTypes: FULFILLERS },
+    [ORDER_STATUS.CANCELLED]: { userTypes: FULFILLERS, effect: restock },
+  },
+  [ORDER_STATUS.PACKED]: {
+    [ORDER_STATUS.OUT_FOR_DELIVERY]: { userTypes: FULFILLERS },
+    [ORDER_STATUS.CANCELLED]: { userTypes: FULFILLERS, effect: restock },
+  },
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: {
+    [ORDER_STATUS.DELIVERED]: { userTypes: FULFILLERS },
+  },
+  [ORDER_STATUS.DELIVERED]: {
+    [ORDER_STATUS.REFUNDED]: { userTypes: FULFILLERS },
+  },
+};
+
+// thrown when an order does not exist
+class OrderNotFoundError extends Error {
+  constructor() {
+    super("Order not found.");
+    this.name = "OrderNotFoundError";
+    this.status = 404;
+  }
+}
+
+// thrown when a move is not allowed from the order's current status
+class OrderTransitionError extends Error {
+  constructor(from, to) {
+    super(
+      `Cannot move an order from ${STATUS_LABELS[from] ?? from} to ${
+        STATUS_LABELS[to] ?? to
+      }.`
+    );
+    this.name = "OrderTransitionError";
+    this.status = 409;
+  }
+}
+
+const canTransition = (from, to, userType) =>
+  Boolean(TRANSITIONS[from]?.[to]?.userTypes.includes(userType));
+
+// the next statuses the given user type can move the order to
+const nextStatuses = (from, userType) =>
+  Object.entries(TRANSITIONS[from] ?? {})
+    .filter(([, { userTypes }]) => userTypes.includes(userType))
+    .map(([to]) => Number(to));
+
+// read a status filter from a query string
+// accepts a single status ("1") or a comma-separated list ("1,3,4,5")
+const parseStatuses = (status) =>
+  String(status)
+    .split(",")
+    .map((value) => Number(value));
+
+// the history entry saved for every status change
+// actor is the req.tokenInfo of the user making the change
+const historyEntry = (from, to, actor) => ({
+  from,
+  to,
+  actor: {
+    userId: actor.userId,
+    email: actor.email,
+    userType: actor.userType,
+  },
+  dateTime: new Date(),
+});
+
+// move an order to a new status
+// the update only matches if the order is still in the status it was read
+// in, so two concurrent moves can never both apply (ex: a double cancel)
+// run it inside a transaction (session) so the side effects roll back with it
+// returns the updated order
+const transitionOrder = async (orderId, to, actor, session) => {
+  if (!mongoose.isValidObjectId(orderId)) {
+    throw new OrderNotFoundError();
+  }
+
+  const order = await Order.findById(orderId).session(session);
+  if (!order) {
+    throw new OrderNotFoundError();
+  }
+
+  const from = order.status;
+  if (!canTransition(from, to, actor.userType)) {
+    throw new OrderTransitionError(from, to);
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: orderId, status: from },
+    { status: to, $push: { statusHistory: historyEntry(from, to, actor) } },
+    { session, new: true }
+  );
+  if (!updated) {
+    // someone else moved the order in the meantime
+    throw new OrderTransitionError(from, to);
+  }
+
+  const { effect } = TRANSITIONS[from][to];
+  if (effect) {
+    await effect(updated.products, session);
+  }
+
+  return updated;
+};
+
+export {
+  ORDER_STATUS,
+  STATUS_LABELS,
+  SALE_STATUSES,
+  UNFINISHED_STATUSES,
+  OrderNotFoundError,
+  OrderTransitionError,
+  canTransition,
+  nextStatuses,
+  parseStatuses,
+  historyEntry,
+  transitionOrder,
+};
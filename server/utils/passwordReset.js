@@ -0,0 +1,41 @@
+import crypto from "crypto";
+import PasswordResetToken from "../models/passwordResetTokenModel.js";
+import { hashToken } from "./tokens.js";
+import { sendMail } from "./mailer.js";
+
+const RESET_TOKEN_LIFETIME_MS = 60 * 60 * 1000;
+
+// email the user a link to choose a new password
+// only the latest link works; sending again invalidates the previous one
+// forced is set when an admin requires the reset, which changes the wording
+const sendPasswordResetEmail = async (user, { forced = false } = {}) => {
+  await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+  const token = crypto.randomBytes(32).toString("hex");
+  await PasswordResetToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_LIFETIME_MS),
+  });
+
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+  const reason = forced
+    ? "An administrator has required you to choose a new password. You " +
+      "cannot log in until you do. "
+    : "We received a request to reset your password. ";
+  await sendMail({
+    to: user.email,
+    subject: "Reset your Farm-to-Table password",
+    text:
+      `Hi ${user.firstName},\n\n` +
+      reason +
+      "Open the link below to choose a new one. It expires in 1 hour and " +
+      "can only be used once.\n\n" +
+      `${frontendUrl}/reset-password?token=${token}\n\n` +
+      (forced
+        ? "If the link expires, use \"Forgot password?\" on the login page " +
+          "to get a new one."
+        : "If you did not ask for this, you can ignore this email."),
+  });
+};
+
+export { sendPasswordResetEmail };
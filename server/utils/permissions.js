@@ -0,0 +1,42 @@
+// what each role is allowed to do
+// routes ask for a permission with requirePermission(...) in middleware.js
+// instead of checking the role, so a new role only needs a line here
+const PERMISSIONS = {
+  // add products and change their prices and stock
+  INVENTORY_WRITE: "inventory:write",
+  // see and move orders along their lifecycle
+  ORDERS_FULFIL: "orders:fulfil",
+  // see the sales and revenue reports
+  REPORTS_READ: "reports:read",
+  // see and manage user accounts
+  USERS_MANAGE: "users:manage",
+};
+
+// the permissions bundled in each role (User.userType)
+// customers have none; what they can do is checked with verifyIfUser
+// staff fulfil orders but cannot touch prices or see revenue
+const ROLE_PERMISSIONS = {
+  user: [],
+  staff: [PERMISSIONS.ORDERS_FULFIL],
+  admin: Object.values(PERMISSIONS),
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const permissionsOf = (role) => ROLE_PERMISSIONS[role] ?? [];
+
+const hasPermission = (role, permission) =>
+  permissionsOf(role).includes(permission);
+
+// the roles that have the given permission
+const rolesWith = (permission) =>
+  ROLES.filter((role) => hasPermission(role, permission));
+
+export {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  permissionsOf,
+  hasPermission,
+  rolesWith,
+};
@@ -0,0 +1,137 @@
+// price history and scheduled price changes
+// the price of each product variant is its current price; every change to
+// it is recorded in PriceHistory, and changes planned for later wait in
+// ScheduledPrice
+// due changes are applied by applyDuePriceChanges(), both right before
+// prices are read (the api also runs serverless, where a job may not run)
+// and by scripts/applyDuePriceChanges.js, meant to run on a schedule
+import mongoose from "mongoose";
+import Product from "../models/productModel.js";
+import PriceHistory from "../models/priceHistoryModel.js";
+import ScheduledPrice from "../models/scheduledPriceModel.js";
+
+// the part of req.tokenInfo kept on price records
+const actorOf = (tokenInfo) => ({
+  userId: tokenInfo.userId,
+  email: tokenInfo.email,
+});
+
+// record a new price of a product variant
+// previousPrice is null when the variant is created
+// pass the session of the running transaction, if any, so the record rolls
+// back with the price
+const recordPriceChange = async ({
+  productId,
+  variantId,
+  price,
+  previousPrice = null,
+  source,
+  actor,
+  effectiveAt = new Date(),
+  session = null,
+}) => {
+  await PriceHistory.create(
+    [
+      {
+        productId,
+        variantId,
+        price,
+        previousPrice,
+        source,
+        changedBy: actor,
+        effectiveAt,
+      },
+    ],
+    { session }
+  );
+};
+
+// apply one due change in a transaction, so the claim, the new price and
+// its history entry are saved together or not at all
+// the claim only matches a change still waiting, so two requests never
+// apply the same one twice
+// a change for a variant deleted since it was scheduled is cancelled
+const applyPriceChange = async (changeId, session) => {
+  const now = new Date();
+  const change = await ScheduledPrice.findOneAndUpdate(
+    { _id: changeId, appliedAt: null, cancelledAt: null },
+    { appliedAt: now },
+    { session, new: true }
+  );
+  if (!change) return false;
+
+  const product = await Product.findOneAndUpdate(
+    { _id: change.productId, "variants._id": change.variantId },
+    { "variants.$.price": change.price },
+    { session }
+  );
+  if (!product) {
+    await ScheduledPrice.updateOne(
+      { _id: change._id },
+      { appliedAt: null, cancelledAt: now },
+      { session }
+    );
+    return false;
+  }
+
+  await recordPriceChange({
+    productId: product._id,
+    variantId: change.variantId,
+    price: change.price,
+    previousPrice: product.variants.id(change.variantId).price,
+    source: "scheduled",
+    actor: change.createdBy,
+    effectiveAt: change.effectiveAt,
+    session,
+  });
+  return true;
+};
+
+// give variants the scheduled prices that are due, oldest first, so the
+// latest one due is the one that stays
+// most calls find nothing due, and return after that one indexed read
+// returns how many changes were applied
+const applyDuePriceChanges = async () => {
+  const due = await ScheduledPrice.find({
+    appliedAt: null,
+    cancelledAt: null,
+    effectiveAt: { $lte: new Date() },
+  })
+    .sort({ effectiveAt: 1 })
+    .select("_id");
+  if (due.length === 0) return 0;
+
+  let applied = 0;
+  const session = await mongoose.startSession();
+  try {
+    for (const { _id } of due) {
+      await session.withTransaction(async () => {
+        if (await applyPriceChange(_id, session)) applied += 1;
+      });
+    }
+  } finally {
+    await session.endSession();
+  }
+  return applied;
+};
+
+// the past prices of every variant of a product, latest first, and the
+// changes still to come, soonest first
+const getPriceTimeline = async (productId) => {
+  const [history, scheduled] = await Promise.all([
+    PriceHistory.find({ productId }).sort({ effectiveAt: -1 }),
+    ScheduledPrice.find({
+      productId,
+      appliedAt: null,
+      cancelledAt: null,
+    }).sort({ effectiveAt: 1 }),
+  ]);
+  return { history, scheduled };
+};
+
+export {
+  actorOf,
+  recordPriceChange,
+  applyDuePriceChanges,
+  getPriceTimeline,
+};
@@ -0,0 +1,44 @@
+// orders above this subtotal (in PHP) ship for free
+const FREE_SHIPPING_THRESHOLD = 500;
+const SHIPPING_FEE = 25;
+
+// keep money values at centavo precision
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+const computeShippingFee = (subtotal) =>
+  subtotal > FREE_SHIPPING_THRESHOLD ? 0 : SHIPPING_FEE;
+
+// build the order lines and totals from the stored products
+// items is a list of { product, variant, count } where product is a Product
+// document and variant one of its variants
+// client-supplied prices are never used here
+const priceOrder = (items) => {
+  const products = items.map(({ product, variant, count }) => ({
+    productId: product._id,
+    name: product.name,
+    variantId: variant._id,
+    variantLabel: variant.label,
+    count,
+    price: variant.price,
+    unit: variant.unit,
+    totalProductSales: roundPrice(count * variant.price),
+    imageUrl: variant.imageUrl || product.imageUrl,
+  }));
+
+  const subtotal = roundPrice(
+    products.reduce((total, product) => total + product.totalProductSales, 0)
+  );
+  const shippingFee = computeShippingFee(subtotal);
+
+  return {
+    products,
+    shippingFee,
+    totalOrderSales: roundPrice(subtotal + shippingFee),
+  };
+};
+
+export {
+  roundPrice,
+  computeShippingFee,
+  priceOrder,
+};
@@ -0,0 +1,150 @@
+import Product from "../models/productModel.js";
+import Category from "../models/categoryModel.js";
+import { CATEGORY_SUMMARY } from "./categories.js";
+import { inStockExpr } from "./inventory.js";
+import { VARIANT_SORT_KEYS } from "./variants.js";
+import { expandSearch } from "./search.js";
+
+// product listings
+// the shop and the inventory page search, filter, sort and page through the
+// products with the query string (see GET /customer/getProductListings)
+// every filter but in-stock is backed by an index of models/productModel.js
+
+const PRODUCTS_PAGE_SIZE = 24;
+
+// the most products suggested while typing a search
+const SUGGESTION_LIMIT = 8;
+
+// the most related products shown on a product's page
+const RELATED_LIMIT = 4;
+
+// sort keys, comma separated, with a "-" in front to sort going down
+// (ex: "-price,name"); relevance only goes one way, best match first
+const PRODUCT_SORT_PATTERN = {
+  regex: /^(-?(name|price|quantity)|relevance)(,(-?(name|price|quantity)|relevance))*$/,
+  message:
+    'Must be keys among "name", "price", "quantity" and "relevance", comma separated, with "-" in front to sort going down.',
+};
+
+// the sort query as a mongoose sort
+// searches go by relevance unless asked otherwise, and the rest by name
+// ties are broken by _id, so a product never shows up on two pages
+const productSort = (sort, searching) => {
+  const keys = sort ? sort.split(",") : [searching ? "relevance" : "name"];
+  const sortBy = {};
+  for (const key of keys) {
+    if (key === "relevance") {
+      // without a search there is nothing to rank
+      if (searching) sortBy.score = { $meta: "textScore" };
+      continue;
+    }
+    const name = key.replace(/^-/, "");
+    const field = VARIANT_SORT_KEYS.includes(name) ? `variants.${name}` : name;
+    sortBy[field] = key.startsWith("-") ? -1 : 1;
+  }
+  sortBy._id = 1;
+  return sortBy;
+};
+
+// why the price range cannot be used, or null if it can
+const checkPriceRange = ({ minPrice, maxPrice }) =>
+  minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice
+    ? "Must be at least minPrice."
+    : null;
+
+// the query as a mongo filter
+// search finds words of the name and description, with typos and synonyms
+// (see utils/search.js), a top-level category includes its subcategories,
+// and the price range matches products with at least one variant in it
+// inStock is left out when undefined, so every product matches
+// partial takes the last word of the search as the start of a word
+const productFilter = async (
+  { search, category, minPrice, maxPrice, inStock },
+  { partial = false } = {}
+) => {
+  const filter = {};
+  if (search?.trim()) {
+    const terms = await expandSearch(search, { partial });
+    if (terms.length > 0) {
+      filter.$text = { $search: terms.join(" ") };
+    } else {
+      // a search without words (ex: "!!") finds nothing, not everything
+      filter._id = { $in: [] };
+    }
+  }
+  if (category) {
+    const subcategories = await Category.find({ parent: category }).distinct(
+      "_id"
+    );
+    filter.category = { $in: [category, ...subcategories] };
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const price = {};
+    if (minPrice !== undefined) price.$gte = minPrice;
+    if (maxPrice !== undefined) price.$lte = maxPrice;
+    filter.variants = { $elemMatch: { price } };
+  }
+  if (inStock !== undefined) {
+    filter.$expr = inStock ? inStockExpr : { $not: [inStockExpr] };
+  }
+  return filter;
+};
+
+// one page of the products matching the filter, with the total count
+const findProductPage = async (
+  filter,
+  { sort, page = 1, limit = PRODUCTS_PAGE_SIZE }
+) => {
+  const [products, total] = await Promise.all([
+    Product.find(filter)
+      .sort(productSort(sort, Boolean(filter.$text)))
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("category", CATEGORY_SUMMARY),
+    Product.countDocuments(filter),
+  ]);
+  return { products, total, page, pages: Math.ceil(total / limit) };
+};
+
+// the best matches of a search, for suggestions while typing
+const findSuggestions = (filter) =>
+  Product.find(filter)
+    .sort({ score: { $meta: "textScore" }, name: 1 })
+    .limit(SUGGESTION_LIMIT)
+    .select("name imageUrl images");
+
+// the products to show on a product's page: in stock ones of its category
+// first, then of the rest of its top-level category
+// product.category has to be populated
+const findRelatedProducts = async (product) => {
+  const orderable = { archived: { $ne: true }, $expr: inStockExpr };
+  const related = await Product.find({
+    ...orderable,
+    _id: { $ne: product._id },
+    category: product.category._id,
+  })
+    .sort({ name: 1 })
+    .limit(RELATED_LIMIT)
+    .populate("category", CATEGORY_SUMMARY);
+  if (related.length === RELATED_LIMIT) return related;
+
+  const top = product.category.parent ?? product.category._id;
+  const subcategories = await Category.find({ parent: top }).distinct("_id");
+  const family = [top, ...subcategories].filter(
+    (categoryId) => !categoryId.equals(product.category._id)
+  );
+  const more = await Product.find({ ...orderable, category: { $in: family } })
+    .sort({ name: 1 })
+    .limit(RELATED_LIMIT - related.length)
+    .populate("category", CATEGORY_SUMMARY);
+  return [...related, ...more];
+};
+
+export {
+  PRODUCT_SORT_PATTERN,
+  checkPriceRange,
+  productFilter,
+  findProductPage,
+  findSuggestions,
+  findRelatedProducts,
+};
@@ -0,0 +1,162 @@
+import Product from "../models/productModel.js";
+import Synonym from "../models/synonymModel.js";
+import MissedSearch from "../models/missedSearchModel.js";
+
+// fuzzy product search
+// the text index of the products only finds whole words (and their plurals
+// and other endings), so before searching, every word of the search is
+// matched against the words of the catalog, allowing for typos, and
+// expanded with the synonyms admins added
+// (ex: "tomatos" -> "tomatoes", "chiken" -> "chicken", "itlog" -> "egg")
+
+// how long the words of the catalog are kept before being read again, so
+// products added elsewhere are found soon enough; changes made through this
+// server clear them right away (see forgetVocabulary)
+const VOCABULARY_TTL = 60 * 1000;
+
+// the most words of the catalog one word of the search can turn into
+const MAX_MATCHES = 10;
+
+// the typos a word of the search can have, by its length
+// short words have to match exactly, or "pea" would find "tea"
+const allowedTypos = (word) => {
+  if (word.length < 4) return 0;
+  return word.length < 8 ? 1 : 2;
+};
+
+// the words of a text, lowercase and without accents
+// (ex: "Kamatis, Pinoy!" -> ["kamatis", "pinoy"])
+const wordsOf = (text = "") =>
+  text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .match(/[a-z0-9]+/g) ?? [];
+
+// the edits (insertions, deletions, changes and swaps of two letters next
+// to each other) between two words, or Infinity if more than max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(
+        previous[j] + 1,
+        row[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], before[j - 2] + 1);
+      }
+    }
+    if (Math.min(...row) > max) return Infinity;
+    before = previous;
+    previous = row;
+  }
+  return previous[b.length] > max ? Infinity : previous[b.length];
+};
+
+let vocabulary = null;
+
+// the words of the product names and descriptions and of the synonyms,
+// along with the synonyms of each word
+const loadVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabulary.loadedAt < VOCABULARY_TTL) {
+    return vocabulary;
+  }
+
+  const [products, entries] = await Promise.all([
+    Product.find().select("name description").lean(),
+    Synonym.find().lean(),
+  ]);
+
+  const words = new Set();
+  for (const product of products) {
+    const text = `${product.name} ${product.description ?? ""}`;
+    for (const word of wordsOf(text)) {
+      words.add(word);
+    }
+  }
+  // a word can be in more than one entry (ex: "sili" for both chili and
+  // bell pepper), so it takes the words of all of them
+  const synonyms = new Map();
+  for (const entry of entries) {
+    const group = wordsOf([entry.term, ...entry.synonyms].join(" "));
+    for (const word of group) {
+      words.add(word);
+      synonyms.set(word, new Set([...(synonyms.get(word) ?? []), ...group]));
+    }
+  }
+
+  vocabulary = { words, synonyms, loadedAt: Date.now() };
+  return vocabulary;
+};
+
+// read the words of the catalog again on the next search
+const forgetVocabulary = () => {
+  vocabulary = null;
+};
+
+// the words of the catalog close to a word of the search, closest first
+// with partial set, the word can also be the start of a longer one (ex:
+// "toma" while the shopper is still typing "tomato")
+const closeWords = (word, words, partial) => {
+  const max = allowedTypos(word);
+  const matches = [];
+  for (const known of words) {
+    if (partial && known.startsWith(word)) {
+      matches.push({ known, distance: 0 });
+      continue;
+    }
+    const distance = editDistance(word, known, max);
+    if (distance !== Infinity) matches.push({ known, distance });
+  }
+  return matches
+    .sort((a, b) => a.distance - b.distance || a.known.length - b.known.length)
+    .slice(0, MAX_MATCHES)
+    .map(({ known }) => known);
+};
+
+// the words to look for in the text index for a search, or an empty list
+// if it has no words
+// partial takes the last word as the start of a word, for suggestions
+const expandSearch = async (search, { partial = false } = {}) => {
+  const { words, synonyms } = await loadVocabulary();
+  const searched = wordsOf(search);
+  const terms = new Set();
+
+  searched.forEach((word, i) => {
+    const isLast = i === searched.length - 1;
+    // the word itself is kept, since the text index also finds other
+    // endings of it
+    const matches = closeWords(word, words, partial && isLast);
+    for (const match of [word, ...matches]) {
+      terms.add(match);
+      for (const synonym of synonyms.get(match) ?? []) terms.add(synonym);
+    }
+  });
+  return [...terms];
+};
+
+// remember a search of the shop that found no product
+const recordMissedSearch = async (search) => {
+  const query = wordsOf(search).join(" ");
+  if (!query) return;
+
+  const now = new Date();
+  await MissedSearch.updateOne(
+    { query },
+    {
+      $inc: { count: 1 },
+      $set: { lastSearchedAt: now },
+      $setOnInsert: { firstSearchedAt: now },
+    },
+    { upsert: true }
+  );
+};
+
+export { wordsOf, expandSearch, forgetVocabulary, recordMissedSearch };
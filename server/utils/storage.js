@@ -0,0 +1,77 @@
+import fs from "fs/promises";
+import path from "path";
+import express from "express";
+
+// stores the files uploaded to the app (ex: product images)
+// the storage that keeps them is picked with FILE_STORAGE:
+//   "local" (default) - writes every file to UPLOADS_DIR (default: uploads/),
+//                       served by the app itself at /uploads
+// another backend (ex: an S3-compatible bucket) can be plugged in with
+// setFileStorage, as long as it is an object with the async functions
+//   save(name, buffer, contentType) - stores the file, resolving to its url
+//   remove(name) - deletes the file; a missing file is not an error
+// names are made by the caller and never reused, so files can be cached for
+// good
+// the local storage needs a disk that outlives the server process; on Vercel
+// (VERCEL is set there) the disk is temporary and uploads would be lost, so
+// it is refused there and another backend has to be set with setFileStorage,
+// its url included in place of UPLOADS_URL
+
+const UPLOADS_ROUTE = "/uploads";
+
+const uploadsDir = () => process.env.UPLOADS_DIR || "uploads";
+
+// the address browsers load local files from; UPLOADS_URL has to be set
+// wherever the app is not reached at localhost
+const uploadsUrl = () =>
+  process.env.UPLOADS_URL ||
+  `http://localhost:${process.env.PORT || 3001}${UPLOADS_ROUTE}`;
+
+const diskStorage = {
+  save: async (name, buffer) => {
+    const dir = uploadsDir();
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, name), buffer);
+    return `${uploadsUrl()}/${name}`;
+  },
+  remove: async (name) => {
+    await fs.rm(path.join(uploadsDir(), name), { force: true });
+  },
+};
+
+const storages = {
+  local: diskStorage,
+};
+
+let customStorage = null;
+
+// replace the storage picked by FILE_STORAGE
+const setFileStorage = (storage) => {
+  customStorage = storage;
+};
+
+const fileStorage = () =>
+  customStorage || storages[process.env.FILE_STORAGE] || storages.local;
+
+// whether uploads can be kept: not on the local storage of a deployment
+// whose disk does not persist (see above)
+const canStoreFiles = () =>
+  fileStorage() !== diskStorage || !process.env.VERCEL;
+
+const saveFile = (name, buffer, contentType) =>
+  fileStorage().save(name, buffer, contentType);
+
+const removeFile = (name) => fileStorage().remove(name);
+
+// serves the files of the local storage, mounted at UPLOADS_ROUTE
+const serveUploads = () =>
+  express.static(uploadsDir(), { immutable: true, maxAge: "365d" });
+
+export {
+  UPLOADS_ROUTE,
+  canStoreFiles,
+  saveFile,
+  removeFile,
+  setFileStorage,
+  serveUploads,
+};
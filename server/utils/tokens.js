@@ -0,0 +1,155 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import RefreshToken from "../models/refreshTokenModel.js";
+import RevokedToken from "../models/revokedTokenModel.js";
+
+// access tokens are short-lived; the client renews them with the refresh
+// token kept in an httpOnly cookie
+const ACCESS_TOKEN_LIFETIME_S = 15 * 60;
+const REFRESH_TOKEN_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000;
+const REFRESH_COOKIE = "refreshToken";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// iatMs is when the token was issued to the millisecond, since iat only has
+// whole seconds (see isAccessTokenRevoked)
+// issuedAt (a Date) sets it, for a token that has to outlive a revocation
+// made just before (see revokeAccessTokensOf)
+const signAccessToken = (user, issuedAt = new Date()) =>
+  jwt.sign(
+    {
+      userId: user._id,
+      userType: user.userType,
+      email: user.email,
+      firstName: user.firstName,
+      iatMs: issuedAt.getTime(),
+    },
+    process.env.SECRET_KEY,
+    {
+      expiresIn: ACCESS_TOKEN_LIFETIME_S,
+      // lets a single token be revoked
+      jwtid: crypto.randomUUID(),
+    }
+  );
+
+// create and store a new refresh token
+// pass the family of the token being rotated, or none for a new login
+// returns the raw token to put in the cookie
+const issueRefreshToken = async (userId, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString("hex");
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_LIFETIME_MS),
+  });
+  return token;
+};
+
+// the frontend is served from another site in production, so the cookie
+// has to be cross-site there
+const refreshCookieOptions = () => {
+  const production = process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? "none" : "lax",
+    path: "/auth",
+  };
+};
+
+const setRefreshCookie = (res, token) => {
+  res.cookie(REFRESH_COOKIE, token, {
+    ...refreshCookieOptions(),
+    maxAge: REFRESH_TOKEN_LIFETIME_MS,
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+};
+
+// revoke one access token until it expires
+// tokenInfo is the decoded token (req.tokenInfo)
+const revokeAccessToken = async (tokenInfo) => {
+  if (!tokenInfo.jti) return;
+  await RevokedToken.updateOne(
+    { jti: tokenInfo.jti },
+    {
+      jti: tokenInfo.jti,
+      userId: tokenInfo.userId,
+      expiresAt: new Date(tokenInfo.exp * 1000),
+    },
+    { upsert: true }
+  );
+};
+
+// revoke the refresh token in the cookie, along with every token rotated
+// from the same login
+const revokeRefreshFamily = async (refreshToken) => {
+  const stored = await RefreshToken.findOne({
+    tokenHash: hashToken(refreshToken),
+  });
+  if (!stored) return;
+  await RefreshToken.updateMany(
+    { family: stored.family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// stop every access token of a user issued until now
+// the cut is the next millisecond, so a token issued in the same one as the
+// revocation is stopped too, and tokens issued after it are not
+// returns the cut; a token signed with it as issuedAt is still accepted
+const revokeAccessTokensOf = async (userId) => {
+  const now = Date.now();
+  const revokedBefore = new Date(now + 1);
+  await RevokedToken.create({
+    userId,
+    revokedBefore,
+    expiresAt: new Date(now + ACCESS_TOKEN_LIFETIME_S * 1000),
+  });
+  return revokedBefore;
+};
+
+// end every session of a user: all refresh tokens are revoked, and every
+// access token issued until now stops working
+const revokeAllSessions = async (userId) => {
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  await revokeAccessTokensOf(userId);
+};
+
+// check a decoded access token against the revocation store
+const isAccessTokenRevoked = async (tokenInfo) => {
+  const revoked = await RevokedToken.exists({
+    $or: [
+      ...(tokenInfo.jti ? [{ jti: tokenInfo.jti }] : []),
+      {
+        userId: tokenInfo.userId,
+        // tokens from before iatMs only have iat, the start of their second
+        revokedBefore: {
+          $gt: new Date(tokenInfo.iatMs ?? tokenInfo.iat * 1000),
+        },
+      },
+    ],
+  });
+  return Boolean(revoked);
+};
+
+export {
+  REFRESH_COOKIE,
+  hashToken,
+  signAccessToken,
+  issueRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  revokeAccessToken,
+  revokeRefreshFamily,
+  revokeAccessTokensOf,
+  revokeAllSessions,
+  isAccessTokenRevoked,
+};
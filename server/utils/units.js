@@ -0,0 +1,87 @@
+import { variantName } from "./variants.js";
+
+// units of measure
+// every product variant is sold in one unit, and in multiples of its order
+// increment (ex: potatoes by the kg in steps of 0.5 kg, eggs by the tray in
+// steps of 1)
+// only fractional units can have quantities with decimals; the rest are
+// counted in whole numbers
+const UNITS = {
+  kg: { fractional: true },
+  g: { fractional: false },
+  piece: { fractional: false },
+  bundle: { fractional: false },
+  dozen: { fractional: false },
+  tray: { fractional: false },
+};
+
+const UNIT_NAMES = Object.keys(UNITS);
+
+// products from before units were added
+const DEFAULT_UNIT = "piece";
+
+// quantities are kept to the gram when sold by the kg
+const QUANTITY_DECIMALS = 3;
+const QUANTITY_SCALE = 10 ** QUANTITY_DECIMALS;
+
+// stock is added and taken away with $inc, so sums of decimals like
+// 0.1 + 0.2 can be a hair off; quantities are rounded wherever they are
+// compared or stored
+const roundQuantity = (value) =>
+  Math.round(value * QUANTITY_SCALE) / QUANTITY_SCALE;
+
+const isFractional = (unit) => UNITS[unit ?? DEFAULT_UNIT].fractional;
+
+const hasValidPrecision = (value, unit) =>
+  isFractional(unit)
+    ? roundQuantity(value) === value
+    : Number.isInteger(value);
+
+// why a quantity of the unit cannot be used as stock or as an order
+// increment, or null if it can
+const checkUnitQuantity = (value, unit) => {
+  if (hasValidPrecision(value, unit)) return null;
+  return isFractional(unit)
+    ? `Can have at most ${QUANTITY_DECIMALS} decimal places.`
+    : `Must be a whole number when sold by the ${unit}.`;
+};
+
+// why a customer cannot order this quantity of a variant of the product, or
+// null if they can: it has to be a positive multiple of the variant's order
+// increment
+const checkOrderQuantity = (product, variant, quantity) => {
+  const unit = variant.unit ?? DEFAULT_UNIT;
+  const increment = variant.orderIncrement ?? 1;
+  const steps = roundQuantity(quantity / increment);
+  if (
+    quantity <= 0 ||
+    !Number.isInteger(steps) ||
+    checkUnitQuantity(quantity, unit)
+  ) {
+    return `${variantName(product, variant)} is sold in steps of ${increment} ${unit}.`;
+  }
+  return null;
+};
+
+// the fields of a variant that do not fit its unit, as { field: message }
+// (ex: a stock of 2.5 for a variant sold by the piece)
+const checkProductUnits = ({ unit, orderIncrement, quantity }) => {
+  const errors = {};
+  const incrementError = checkUnitQuantity(orderIncrement, unit);
+  if (incrementError) errors.orderIncrement = incrementError;
+  const stockError = checkUnitQuantity(quantity, unit);
+  if (stockError) errors.quantity = stockError;
+  return errors;
+};
+
+export {
+  UNITS,
+  UNIT_NAMES,
+  DEFAULT_UNIT,
+  QUANTITY_DECIMALS,
+  roundQuantity,
+  isFractional,
+  checkUnitQuantity,
+  checkOrderQuantity,
+  checkProductUnits,
+};
@@ -0,0 +1,174 @@
+import mongoose from "mongoose";
+
+// declarative request validation
+// a schema maps a part of the request (body, query or params) to its fields,
+// and each field to its rules:
+//   type - "string", "email", "number", "integer", "boolean", "objectId",
+//          "date" (anything new Date() can read), "object" or "array"
+//   required - the field must be present and not blank (default: false)
+//   notBlank - the field can be left out, but not sent blank (ex: the
+//              fields of a partial update)
+//   min, max - bounds for numbers
+//   minLength, maxLength - bounds for the length of strings and arrays
+//   enum - the only values allowed
+//   pattern - a regex strings must match, along with the message to show
+//   fields - the schema of the fields of an object
+//   items - the rule every item of an array follows
+//
+// ex: validate({ body: { price: { type: "number", required: true, min: 0 } } })
+//
+// query and params values always arrive as strings, so numbers and booleans
+// there are converted before being checked, and the converted values are kept
+// a failed request gets a 400 with the message of every invalid field:
+// { error: "Invalid request.", errors: { <field>: <message> } }
+// fields of nested objects are named with dots (ex: "product.selectedQuantity"),
+// and items of arrays with their index (ex: "synonyms.2")
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+// turn a query string into the type the rule asks for
+// values that cannot be converted are left as is, so they fail the type check
+const fromQueryString = (value, rule) => {
+  if (typeof value !== "string") return value;
+  if (rule.type === "number" || rule.type === "integer") {
+    return value.trim() === "" ? value : Number(value);
+  }
+  if (rule.type === "boolean" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  return value;
+};
+
+// returns the message for the first rule the value breaks, or null
+const checkType = (value, type) => {
+  switch (type) {
+    case "string":
+      return typeof value === "string" ? null : "Must be text.";
+    case "email":
+      return typeof value === "string" && EMAIL_PATTERN.test(value)
+        ? null
+        : "Must be a valid email address.";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value)
+        ? null
+        : "Must be a number.";
+    case "integer":
+      return Number.isInteger(value) ? null : "Must be a whole number.";
+    case "boolean":
+      return typeof value === "boolean" ? null : "Must be true or false.";
+    case "objectId":
+      return mongoose.isValidObjectId(value) ? null : "Must be a valid id.";
+    case "date":
+      return typeof value === "string" && !isNaN(new Date(value))
+        ? null
+        : "Must be a valid date.";
+    case "object":
+      return typeof value === "object" && !Array.isArray(value)
+        ? null
+        : "Must be an object.";
+    case "array":
+      return Array.isArray(value) ? null : "Must be a list.";
+    default:
+      return null;
+  }
+};
+
+const checkValue = (value, rule) => {
+  const typeError = checkType(value, rule.type);
+  if (typeError) return typeError;
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `Must be one of: ${rule.enum.join(", ")}.`;
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return `Must be at least ${rule.min}.`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `Must be at most ${rule.max}.`;
+  }
+  const length = Array.isArray(value) ? "have" : "be";
+  const things = Array.isArray(value) ? "items" : "characters";
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return `Must ${length} at least ${rule.minLength} ${things}.`;
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `Must ${length} at most ${rule.maxLength} ${things}.`;
+  }
+  if (rule.pattern && !rule.pattern.regex.test(value)) {
+    return rule.pattern.message;
+  }
+  return null;
+};
+
+// check every field of an object against its schema
+// errors are added to the errors object, named with the given prefix
+// returns the object with converted values, if any
+const checkFields = (source = {}, fields, errors, prefix, fromQuery) => {
+  const checked = { ...source };
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const path = prefix ? `${prefix}.${name}` : name;
+    let value = source[name];
+
+    if (isBlank(value)) {
+      if (rule.required) {
+        errors[path] = "Required.";
+      } else if (rule.notBlank && value !== undefined) {
+        errors[path] = "Cannot be blank.";
+      }
+      continue;
+    }
+
+    if (fromQuery) value = fromQueryString(value, rule);
+
+    const message = checkValue(value, rule);
+    if (message) {
+      errors[path] = message;
+      continue;
+    }
+
+    if (rule.fields) {
+      value = checkFields(value, rule.fields, errors, path, fromQuery);
+    }
+    if (rule.items) {
+      const items = Object.fromEntries(value.map((item, i) => [i, item]));
+      const itemRules = Object.fromEntries(
+        value.map((_, i) => [i, { required: true, ...rule.items }])
+      );
+      value = Object.values(
+        checkFields(items, itemRules, errors, path, fromQuery)
+      );
+    }
+    checked[name] = value;
+  }
+
+  return checked;
+};
+
+// middleware that checks the request against the schema before the
+// controller runs
+const validate = (schema) => (req, res, next) => {
+  const errors = {};
+
+  if (schema.body) {
+    req.body = checkFields(req.body, schema.body, errors, "", false);
+  }
+  if (schema.query) {
+    req.query = checkFields(req.query, schema.query, errors, "", true);
+  }
+  if (schema.params) {
+    req.params = checkFields(req.params, schema.params, errors, "", true);
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ error: "Invalid request.", errors });
+  }
+  next();
+};
+
+export { validate };
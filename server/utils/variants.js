@@ -0,0 +1,35 @@
+// product variants (see models/variantSchema.js)
+// a product is sold in one or more variants (ex: eggs by the tray of 30 and
+// by the dozen); the variant holds the price, unit and stock
+
+// the label of the only variant of products added without one, and of
+// products from before variants
+const DEFAULT_VARIANT_LABEL = "Regular";
+
+// the sort keys of the product listings that are fields of the variants
+// a product is sorted by its lowest variant value going up, and by its
+// highest going down
+const VARIANT_SORT_KEYS = ["price", "quantity"];
+
+// the product name with the variant label, for messages and order lines
+// (ex: "Eggs (Tray of 30)")
+const variantName = (product, variant) =>
+  `${product.name} (${variant.label})`;
+
+// why a variant cannot have this label, or null if it can
+// labels only have to be unique within the product, ignoring case
+const checkVariantLabel = (product, label, variantId = null) => {
+  const taken = product.variants.some(
+    (variant) =>
+      variant.label.toLowerCase() === label.trim().toLowerCase() &&
+      !variant._id.equals(variantId)
+  );
+  return taken ? "Another variant of this product has this label." : null;
+};
+
+export {
+  DEFAULT_VARIANT_LABEL,
+  VARIANT_SORT_KEYS,
+  variantName,
+  checkVariantLabel,
+};